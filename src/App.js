@@ -1,68 +1,253 @@
 /**
  * メインアプリケーションコンポーネント
  */
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import Step1 from './components/Step1';
 import Step2 from './components/Step2';
 import Step3 from './components/Step3';
 import Step4 from './components/Step4';
 import Step5 from './components/Step5';
-import { generateMetadata } from './utils/metadata';
-import { validateAll } from './utils/errorHandler';
-import {
-    generateRSAKeyPair,
-    generateECDSAKeyPair,
-    generateEdDSAKeyPair,
-    convertToPEM,
-    convertToJWK,
-    convertToSSH,
-    convertToOpenPGP
-} from './utils/crypto';
+import StepPGP from './components/StepPGP';
+import Result from './components/Result';
+import Inspect from './components/Inspect';
+import Convert from './components/Convert';
+import SSHCertificate from './components/SSHCertificate';
+import CertificateAuthority from './components/CertificateAuthority';
+import Batch from './components/Batch';
+import RecoverShares from './components/RecoverShares';
+import { formatError } from './utils/errorHandler';
+import { startKeyGeneration } from './utils/keygenEngine';
+import { DEFAULT_PEM_ENCRYPTION } from './utils/pbes2';
+import { DEFAULT_BCRYPT_ROUNDS } from './utils/ssh';
+import { DEFAULT_X509_OPTIONS } from './utils/x509';
+import { DEFAULT_PGP_OPTIONS } from './utils/pgp';
+
+/**
+ * RSAオプションの初期値
+ * Step1で案内している署名用途を基本とし、JWKではRS256として扱われる
+ */
+const initialRSAOptions = {
+    algorithm: 'RSASSA-PKCS1-v1_5',
+    hash: 'SHA-256',
+    publicExponent: 65537
+};
+
+/**
+ * SSHオプションの初期値
+ */
+const initialSSHOptions = {
+    comment: '',
+    rounds: DEFAULT_BCRYPT_ROUNDS
+};
+
+/**
+ * JWKオプションの初期値（kidが空の場合はサムプリントを使用）
+ */
+const initialJWKOptions = {
+    kid: ''
+};
+
+/**
+ * 自己署名X.509証明書とCSRのオプションの初期値（既定ではどちらも作成しない）
+ */
+const initialX509Options = {
+    ...DEFAULT_X509_OPTIONS,
+    enabled: false,
+    csr: false,
+    challengePassword: '',
+    pkcs12: false,
+    pkcs12Password: '',
+    pkcs12Encryption: 'modern',
+    friendlyName: ''
+};
+
+/**
+ * 画面の証明書オプションから自己署名証明書のオプションを取り出す
+ * @param {Object} options - 画面の証明書オプション（enabled, csr, PKCS#12の設定を含む）
+ * @returns {Object} 証明書オプション
+ */
+function getCertificateOptions({ enabled, csr, challengePassword, pkcs12, pkcs12Password, pkcs12Encryption, friendlyName, ...options }) {
+    return options;
+}
+
+/**
+ * 画面の証明書オプションからPKCS#12のオプションを取り出す
+ * @param {Object} options - 画面の証明書オプション
+ * @returns {Object} PKCS#12オプション
+ */
+function getPkcs12Options({ pkcs12Password, pkcs12Encryption, friendlyName }) {
+    return { password: pkcs12Password, encryption: pkcs12Encryption, friendlyName };
+}
+
+/**
+ * 画面の証明書オプションからCSRのオプションを取り出す
+ * @param {Object} options - 画面の証明書オプション
+ * @returns {Object} CSRオプション
+ */
+function getRequestOptions({ profile, subject, dnsNames, ipAddresses, emailAddresses, challengePassword }) {
+    return { profile, subject, dnsNames, ipAddresses, emailAddresses, challengePassword };
+}
 
 /**
  * アプリケーションコンポーネント
  */
 export default function App() {
+    const [mode, setMode] = useState('generate');
     const [step, setStep] = useState(1);
     const [keyType, setKeyType] = useState('');
     const [keySize, setKeySize] = useState('');
     const [outputFormat, setOutputFormat] = useState('');
     const [passphrase, setPassphrase] = useState('');
+    const [rsaOptions, setRSAOptions] = useState(initialRSAOptions);
+    const [pemEncryption, setPemEncryption] = useState(DEFAULT_PEM_ENCRYPTION);
+    const [sshOptions, setSSHOptions] = useState(initialSSHOptions);
+    const [jwkOptions, setJWKOptions] = useState(initialJWKOptions);
+    const [pgpOptions, setPGPOptions] = useState(DEFAULT_PGP_OPTIONS);
+    const [x509Options, setX509Options] = useState(initialX509Options);
     const [language, setLanguage] = useState('ja');
+    const [result, setResult] = useState(null);
+    const [isGenerating, setIsGenerating] = useState(false);
+    const [progress, setProgress] = useState(null);
+    const [error, setError] = useState('');
+    const generationRef = useRef(null);
+
+    // 証明書とCSRは署名できる鍵でOpenPGP以外の出力形式の場合のみ作成する
+    const canCreateCertificate = keyType !== 'ecdh' && outputFormat !== 'pgp';
+
+    const params = {
+        keyType,
+        keySize,
+        outputFormat,
+        passphrase,
+        ...(keyType === 'rsa' && { rsaOptions }),
+        ...(outputFormat === 'pem' && passphrase && { pemEncryption }),
+        ...(outputFormat === 'ssh' && { sshOptions }),
+        ...(outputFormat === 'jwk' && { jwkOptions }),
+        ...(outputFormat === 'pgp' && { pgpOptions }),
+        ...(canCreateCertificate && x509Options.enabled && { x509Options: getCertificateOptions(x509Options) }),
+        ...(canCreateCertificate && x509Options.csr && { csrOptions: getRequestOptions(x509Options) }),
+        ...(canCreateCertificate && x509Options.enabled && x509Options.pkcs12 && { pkcs12Options: getPkcs12Options(x509Options) })
+    };
+
+    // ウィザードの画面の並び（OpenPGP形式の場合のみ鍵の設定画面を追加し、最後は生成結果）
+    const steps = [
+        'keyType',
+        'keySize',
+        'outputFormat',
+        ...(outputFormat === 'pgp' ? ['pgp'] : []),
+        'passphrase',
+        'confirm',
+        'result'
+    ];
 
     const handleNext = () => {
-        setStep(prev => Math.min(prev + 1, 5));
+        setStep(prev => Math.min(prev + 1, steps.length - 1));
     };
 
     const handleBack = () => {
+        setError('');
         setStep(prev => Math.max(prev - 1, 1));
     };
 
+    // 暗号方式を変更した場合は以降の選択をリセット
+    const handleKeyTypeSelect = (value) => {
+        if (value !== keyType) {
+            setKeySize('');
+            setOutputFormat('');
+        }
+        setKeyType(value);
+    };
+
+    // 鍵サイズを変更した場合は出力形式をリセット
+    const handleKeySizeSelect = (value) => {
+        if (value !== keySize) {
+            setOutputFormat('');
+        }
+        setKeySize(value);
+    };
+
+    // 鍵の生成と出力形式への変換（Web Workerで実行）
+    const handleGenerate = async () => {
+        setIsGenerating(true);
+        setError('');
+        const generation = startKeyGeneration(params, setProgress);
+        generationRef.current = generation;
+        try {
+            const keys = await generation.promise;
+            setResult(keys);
+            setStep(steps.length);
+        } catch (err) {
+            // キャンセルはエラーとして表示しない
+            if (err.name !== 'AbortError') {
+                console.error('鍵生成エラー:', err);
+                setError(formatError(err));
+            }
+        } finally {
+            generationRef.current = null;
+            setIsGenerating(false);
+            setProgress(null);
+        }
+    };
+
+    // 鍵生成のキャンセル
+    const handleCancel = () => {
+        if (generationRef.current) {
+            generationRef.current.cancel();
+        }
+    };
+
+    // 最初からやり直す
+    const handleReset = () => {
+        setKeyType('');
+        setKeySize('');
+        setOutputFormat('');
+        setPassphrase('');
+        setRSAOptions(initialRSAOptions);
+        setPemEncryption(DEFAULT_PEM_ENCRYPTION);
+        setSSHOptions(initialSSHOptions);
+        setJWKOptions(initialJWKOptions);
+        setPGPOptions(DEFAULT_PGP_OPTIONS);
+        setX509Options(initialX509Options);
+        setResult(null);
+        setError('');
+        setStep(1);
+    };
+
+    // 画面上部のモード切り替え（鍵の生成/一括生成/既存の鍵の解析/形式変換/SSH証明書の発行/ローカルCA）
+    const modes = {
+        ja: { generate: '鍵を生成', batch: '一括生成', inspect: '鍵を解析', convert: '形式を変換', certificate: 'SSH証明書', ca: 'ローカルCA', recover: 'シェアから復元' },
+        en: { generate: 'Generate Key', batch: 'Batch', inspect: 'Inspect Key', convert: 'Convert Key', certificate: 'SSH Certificate', ca: 'Local CA', recover: 'Recover Shares' }
+    }[language];
+
     const renderStep = () => {
-        switch (step) {
-            case 1:
+        switch (steps[step - 1]) {
+            case 'keyType':
                 return (
                     <Step1
                         selected={keyType}
-                        onSelect={setKeyType}
+                        onSelect={handleKeyTypeSelect}
                         onNext={handleNext}
                         language={language}
                     />
                 );
-            case 2:
+            case 'keySize':
                 return (
                     <Step2
                         keyType={keyType}
                         selected={keySize}
-                        onSelect={setKeySize}
+                        onSelect={handleKeySizeSelect}
                         onBack={handleBack}
                         onNext={handleNext}
+                        rsaOptions={rsaOptions}
+                        onRSAOptionsChange={setRSAOptions}
                         language={language}
                     />
                 );
-            case 3:
+            case 'outputFormat':
                 return (
                     <Step3
+                        keyType={keyType}
+                        keySize={keySize}
                         selected={outputFormat}
                         onSelect={setOutputFormat}
                         onBack={handleBack}
@@ -70,25 +255,56 @@ export default function App() {
                         language={language}
                     />
                 );
-            case 4:
+            case 'pgp':
+                return (
+                    <StepPGP
+                        keyType={keyType}
+                        keySize={keySize}
+                        options={pgpOptions}
+                        onChange={setPGPOptions}
+                        onBack={handleBack}
+                        onNext={handleNext}
+                        language={language}
+                    />
+                );
+            case 'passphrase':
                 return (
                     <Step4
+                        keyType={keyType}
                         outputFormat={outputFormat}
                         passphrase={passphrase}
                         onSelect={setPassphrase}
+                        pemEncryption={pemEncryption}
+                        onPemEncryptionChange={setPemEncryption}
+                        sshOptions={sshOptions}
+                        onSSHOptionsChange={setSSHOptions}
+                        jwkOptions={jwkOptions}
+                        onJWKOptionsChange={setJWKOptions}
+                        x509Options={x509Options}
+                        onX509OptionsChange={setX509Options}
                         onBack={handleBack}
                         onNext={handleNext}
                         language={language}
                     />
                 );
-            case 5:
+            case 'confirm':
                 return (
                     <Step5
-                        keyType={keyType}
-                        keySize={keySize}
-                        outputFormat={outputFormat}
-                        passphrase={passphrase}
+                        params={params}
+                        onGenerate={handleGenerate}
+                        onCancel={handleCancel}
                         onBack={handleBack}
+                        isGenerating={isGenerating}
+                        progress={progress}
+                        language={language}
+                    />
+                );
+            case 'result':
+                return (
+                    <Result
+                        result={result}
+                        params={params}
+                        onReset={handleReset}
                         language={language}
                     />
                 );
@@ -101,8 +317,38 @@ export default function App() {
         <div className="min-h-screen bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
             <div className="max-w-3xl mx-auto">
                 <div className="bg-white shadow sm:rounded-lg">
+                    <div className="flex border-b border-gray-200">
+                        {Object.keys(modes).map(name => (
+                            <button
+                                key={name}
+                                onClick={() => setMode(name)}
+                                className={`flex-1 px-4 py-3 text-sm font-medium ${
+                                    mode === name
+                                        ? 'border-b-2 border-blue-500 text-blue-600'
+                                        : 'text-gray-500 hover:text-gray-700'
+                                }`}
+                            >
+                                {modes[name]}
+                            </button>
+                        ))}
+                    </div>
                     <div className="px-4 py-5 sm:p-6">
-                        {renderStep()}
+                        {mode === 'batch' && <Batch language={language} />}
+                        {mode === 'inspect' && <Inspect language={language} />}
+                        {mode === 'convert' && <Convert language={language} />}
+                        {mode === 'certificate' && <SSHCertificate language={language} />}
+                        {mode === 'ca' && <CertificateAuthority language={language} />}
+                        {mode === 'recover' && <RecoverShares language={language} />}
+                        {mode === 'generate' && (
+                            <>
+                                {error && (
+                                    <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-lg">
+                                        {error}
+                                    </div>
+                                )}
+                                {renderStep()}
+                            </>
+                        )}
                     </div>
                 </div>
             </div>
@@ -0,0 +1,480 @@
+/**
+ * 鍵の一括生成コンポーネント（同じ設定で複数の鍵を生成し、マニフェストと共にZIPファイルにまとめる）
+ */
+import { useState, useRef, useEffect } from 'react';
+import { startBatchGeneration } from '../utils/keygenEngine';
+import { parseBatchCSV, createBatchEntries, createBatchJobs, DEFAULT_FILENAME_TEMPLATE, BATCH_MAX_COUNT } from '../utils/batch';
+import { createBatchBundle } from '../utils/bundle';
+import { formatError, validateOutputFormat, validateBatchJobs, validateZipPassword } from '../utils/errorHandler';
+import { saveFile } from '../utils/download';
+
+// 選択できる暗号方式と鍵サイズ
+const keySizes = {
+    rsa: ['2048', '3072', '4096'],
+    ecdsa: ['P-256', 'P-384', 'P-521', 'secp256k1'],
+    eddsa: ['Ed25519', 'Ed448'],
+    ecdh: ['X25519', 'X448']
+};
+
+// 暗号方式の表示名
+const algorithmNames = {
+    rsa: 'RSA',
+    ecdsa: 'ECDSA',
+    eddsa: 'EdDSA',
+    ecdh: 'ECDH'
+};
+
+// 出力形式の表示名
+const outputFormats = {
+    pem: 'PEM (PKCS#8/SPKI)',
+    jwk: 'JWK (JSON Web Key)',
+    ssh: 'SSH (OpenSSH)',
+    pgp: 'OpenPGP'
+};
+
+// 一覧に表示するフィンガープリントの種類（出力形式を読み込むツールが表示するもの）
+// OpenPGPはEd448の主鍵のみv6の鍵になる
+const fingerprintTypes = {
+    pem: ['spkiSha256'],
+    jwk: ['jwkThumbprint'],
+    ssh: ['sshSha256'],
+    pgp: ['openpgpV4', 'openpgpV6']
+};
+
+// 一括生成の設定の初期値
+const initialOptions = {
+    keyType: 'eddsa',
+    keySize: 'Ed25519',
+    outputFormat: 'ssh',
+    source: 'count',
+    count: 10,
+    csv: '',
+    template: DEFAULT_FILENAME_TEMPLATE
+};
+
+/**
+ * Batchコンポーネント
+ * @param {Object} props - プロパティ
+ * @param {string} props.language - 表示言語
+ */
+export default function Batch({ language }) {
+    const [options, setOptions] = useState(initialOptions);
+    const [zipPassword, setZipPassword] = useState('');
+    const [generated, setGenerated] = useState(null);
+    const [isGenerating, setIsGenerating] = useState(false);
+    const [progress, setProgress] = useState(null);
+    const [error, setError] = useState('');
+    const generationRef = useRef(null);
+
+    // 画面を切り替えた場合は生成を中止する
+    useEffect(() => () => {
+        if (generationRef.current) {
+            generationRef.current.cancel();
+        }
+    }, []);
+
+    // 言語に応じたテキストを取得
+    const texts = {
+        ja: {
+            title: '鍵の一括生成',
+            subtitle: '同じ設定で複数の鍵を生成し、1つのZIPファイルにまとめます',
+            keyType: '暗号方式',
+            keySize: '鍵サイズ・曲線',
+            outputFormat: '出力形式',
+            source: '生成する鍵',
+            sources: {
+                count: '数を指定',
+                csv: 'CSVから作成'
+            },
+            count: '鍵の数',
+            countHint: `1〜${BATCH_MAX_COUNT}個まで生成できます`,
+            csv: 'CSV（名前,メールアドレス,コメント）',
+            csvHint: '1行につき1つの鍵を生成します。SSHのコメントにはコメントまたはメールアドレスを、OpenPGPのユーザーIDには名前・メールアドレス・コメントを使用します',
+            selectFile: 'ファイルを選択',
+            readError: 'ファイルを読み込めませんでした',
+            template: 'ファイル名のテンプレート',
+            templateHint: '{n}は連番、{name}・{email}・{comment}はCSVの値に置き換えます。末尾に「_public.拡張子」「_private.拡張子」が付きます',
+            generate: '一括生成',
+            generating: '生成中...',
+            cancel: 'キャンセル',
+            progress: '生成済み',
+            elapsed: '経過時間',
+            seconds: '秒',
+            generated: '生成した鍵',
+            filename: 'ファイル名',
+            fingerprint: 'フィンガープリント',
+            zipPassword: 'ZIPファイルのパスワード（オプション）',
+            zipPasswordHint: 'AES-256で暗号化します。Windows標準の展開機能では開けないため、7-Zipなどで展開してください',
+            downloadZip: 'ZIPをダウンロード',
+            bundleHint: 'すべての鍵と、各鍵のメタデータ・フィンガープリントをまとめたマニフェスト（manifest.json）を含みます',
+            reset: '設定に戻る',
+            warning: '秘密鍵はパスフレーズで保護されていません。ZIPファイルのパスワードを設定し、展開後は安全な場所に保管してください。'
+        },
+        en: {
+            title: 'Batch Key Generation',
+            subtitle: 'Generate many keys with the same settings and bundle them into one ZIP file',
+            keyType: 'Algorithm',
+            keySize: 'Key Size / Curve',
+            outputFormat: 'Output Format',
+            source: 'Keys to Generate',
+            sources: {
+                count: 'By count',
+                csv: 'From CSV'
+            },
+            count: 'Number of Keys',
+            countHint: `Up to ${BATCH_MAX_COUNT} keys`,
+            csv: 'CSV (name,email,comment)',
+            csvHint: 'One key is generated per line. SSH keys use the comment or email as their comment, and OpenPGP keys use the name, email and comment as their user ID',
+            selectFile: 'Choose File',
+            readError: 'Could not read the file',
+            template: 'Filename Template',
+            templateHint: '{n} is replaced with a sequence number and {name}, {email} and {comment} with the CSV values. "_public.ext" and "_private.ext" are appended',
+            generate: 'Generate All',
+            generating: 'Generating...',
+            cancel: 'Cancel',
+            progress: 'Generated',
+            elapsed: 'Elapsed',
+            seconds: 's',
+            generated: 'Generated Keys',
+            filename: 'Filename',
+            fingerprint: 'Fingerprint',
+            zipPassword: 'ZIP Password (Optional)',
+            zipPasswordHint: 'Encrypted with AES-256. The built-in Windows extractor cannot open it, so use 7-Zip or similar',
+            downloadZip: 'Download ZIP',
+            bundleHint: 'Contains every key and a manifest (manifest.json) with the metadata and fingerprints of each key',
+            reset: 'Back to Settings',
+            warning: 'The private keys are not protected with a passphrase. Set a ZIP password and store the extracted keys securely.'
+        }
+    }[language];
+
+    const inputClass = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500';
+
+    const handleChange = (key, value) => {
+        const next = {
+            ...options,
+            [key]: value,
+            ...(key === 'keyType' && { keySize: keySizes[value][0] })
+        };
+        // 暗号方式と鍵サイズで使えなくなった出力形式はPEMに戻す
+        if (!validateOutputFormat(next).isValid) {
+            next.outputFormat = 'pem';
+        }
+        setOptions(next);
+    };
+
+    // CSVファイルをテキストとして読み込む
+    const handleLoadCSV = (file) => {
+        if (!file) {
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = (e) => handleChange('csv', e.target.result);
+        reader.onerror = () => setError(texts.readError);
+        reader.readAsText(file);
+    };
+
+    // 鍵を1つずつ生成（Web Workerで実行）
+    const handleGenerate = async () => {
+        const params = { keyType: options.keyType, keySize: options.keySize, outputFormat: options.outputFormat };
+        let jobs;
+        try {
+            // 上限を超える数は大きな配列を作らずにvalidateBatchJobsでエラーにする
+            const entries = options.source === 'csv'
+                ? parseBatchCSV(options.csv)
+                : createBatchEntries(Math.min(parseInt(options.count) || 0, BATCH_MAX_COUNT + 1));
+            jobs = createBatchJobs(params, entries, options.template);
+        } catch (err) {
+            setError(formatError(err));
+            return;
+        }
+
+        const validation = validateBatchJobs(jobs);
+        if (!validation.isValid) {
+            setError(validation.message);
+            return;
+        }
+
+        setError('');
+        setIsGenerating(true);
+        const generation = startBatchGeneration(jobs.map(job => job.params), setProgress);
+        generationRef.current = generation;
+        try {
+            const results = await generation.promise;
+            setGenerated({ jobs, results, params });
+        } catch (err) {
+            // キャンセルはエラーとして表示しない
+            if (err.name !== 'AbortError') {
+                console.error('鍵生成エラー:', err);
+                setError(formatError(err));
+            }
+        } finally {
+            generationRef.current = null;
+            setIsGenerating(false);
+            setProgress(null);
+        }
+    };
+
+    const handleCancel = () => {
+        if (generationRef.current) {
+            generationRef.current.cancel();
+        }
+    };
+
+    // 生成した鍵とマニフェストをZIPファイルにまとめてダウンロード（ブラウザ内で作成）
+    const handleDownloadZip = () => {
+        const validation = validateZipPassword(zipPassword);
+        if (!validation.isValid) {
+            setError(validation.message);
+            return;
+        }
+
+        try {
+            const { jobs, results, params } = generated;
+            const { zip, filename } = createBatchBundle(jobs, results, params, { password: zipPassword, language });
+            saveFile(zip, filename, 'application/zip');
+            setError('');
+        } catch (err) {
+            setError(formatError(err));
+        }
+    };
+
+    const handleReset = () => {
+        setGenerated(null);
+        setZipPassword('');
+        setError('');
+    };
+
+    const renderSettings = () => (
+        <div className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <label className="block">
+                    <span className="text-sm font-medium text-gray-700">{texts.keyType}</span>
+                    <select value={options.keyType} onChange={(e) => handleChange('keyType', e.target.value)} disabled={isGenerating} className={inputClass}>
+                        {Object.keys(keySizes).map(keyType => (
+                            <option key={keyType} value={keyType}>{algorithmNames[keyType]}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="block">
+                    <span className="text-sm font-medium text-gray-700">{texts.keySize}</span>
+                    <select value={options.keySize} onChange={(e) => handleChange('keySize', e.target.value)} disabled={isGenerating} className={inputClass}>
+                        {keySizes[options.keyType].map(size => (
+                            <option key={size} value={size}>{size}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="block">
+                    <span className="text-sm font-medium text-gray-700">{texts.outputFormat}</span>
+                    <select value={options.outputFormat} onChange={(e) => handleChange('outputFormat', e.target.value)} disabled={isGenerating} className={inputClass}>
+                        {Object.keys(outputFormats).map(format => (
+                            <option
+                                key={format}
+                                value={format}
+                                disabled={!validateOutputFormat({ ...options, outputFormat: format }).isValid}
+                            >
+                                {outputFormats[format]}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
+            <fieldset>
+                <legend className="text-sm font-medium text-gray-700">{texts.source}</legend>
+                <div className="mt-1 flex space-x-4">
+                    {Object.keys(texts.sources).map(source => (
+                        <label key={source} className="flex items-center space-x-2 text-sm">
+                            <input
+                                type="radio"
+                                name="batch-source"
+                                value={source}
+                                checked={options.source === source}
+                                onChange={() => handleChange('source', source)}
+                                disabled={isGenerating}
+                            />
+                            <span>{texts.sources[source]}</span>
+                        </label>
+                    ))}
+                </div>
+            </fieldset>
+
+            {options.source === 'count' ? (
+                <div>
+                    <label className="block">
+                        <span className="text-sm font-medium text-gray-700">{texts.count}</span>
+                        <input
+                            type="number"
+                            min="1"
+                            max={BATCH_MAX_COUNT}
+                            value={options.count}
+                            onChange={(e) => handleChange('count', e.target.value)}
+                            disabled={isGenerating}
+                            className={inputClass}
+                        />
+                    </label>
+                    <p className="mt-1 text-xs text-gray-500">{texts.countHint}</p>
+                </div>
+            ) : (
+                <div>
+                    <label className="block">
+                        <span className="text-sm font-medium text-gray-700">{texts.csv}</span>
+                        <textarea
+                            value={options.csv}
+                            onChange={(e) => handleChange('csv', e.target.value)}
+                            rows={6}
+                            placeholder={'name,email,comment\nTaro Yamada,taro@example.com,laptop'}
+                            disabled={isGenerating}
+                            className={`${inputClass} font-mono text-xs`}
+                        />
+                    </label>
+                    <div className="mt-1 flex items-start justify-between gap-4 text-xs text-gray-500">
+                        <span>{texts.csvHint}</span>
+                        <label className="flex-shrink-0 px-3 py-1 text-sm border border-gray-300 rounded-md cursor-pointer hover:bg-gray-50">
+                            {texts.selectFile}
+                            <input
+                                type="file"
+                                accept=".csv,text/csv"
+                                className="hidden"
+                                onChange={(e) => handleLoadCSV(e.target.files[0])}
+                            />
+                        </label>
+                    </div>
+                </div>
+            )}
+
+            <div>
+                <label className="block">
+                    <span className="text-sm font-medium text-gray-700">{texts.template}</span>
+                    <input
+                        type="text"
+                        value={options.template}
+                        onChange={(e) => handleChange('template', e.target.value)}
+                        disabled={isGenerating}
+                        className={`${inputClass} font-mono`}
+                    />
+                </label>
+                <p className="mt-1 text-xs text-gray-500">{texts.templateHint}</p>
+            </div>
+
+            {/* 生成の進捗 */}
+            {isGenerating && progress && (
+                <div className="p-4 bg-blue-50 text-blue-800 rounded-lg space-y-2" role="status">
+                    <div className="flex items-center justify-between">
+                        <span>{texts.progress}: {progress.completed} / {progress.total}</span>
+                        <span>
+                            {texts.elapsed}: {(progress.elapsed / 1000).toFixed(1)}{texts.seconds}
+                        </span>
+                    </div>
+                    <div className="h-2 bg-blue-100 rounded-full overflow-hidden">
+                        <div
+                            className="h-full bg-blue-600"
+                            style={{ width: `${(progress.completed / progress.total) * 100}%` }}
+                        />
+                    </div>
+                </div>
+            )}
+
+            <div className="flex justify-end space-x-2">
+                {isGenerating && (
+                    <button
+                        onClick={handleCancel}
+                        className="px-6 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+                    >
+                        {texts.cancel}
+                    </button>
+                )}
+                <button
+                    onClick={handleGenerate}
+                    disabled={isGenerating}
+                    className={`px-6 py-2 text-white rounded-lg ${
+                        isGenerating
+                            ? 'bg-blue-400 cursor-not-allowed'
+                            : 'bg-blue-600 hover:bg-blue-700'
+                    }`}
+                >
+                    {isGenerating ? texts.generating : texts.generate}
+                </button>
+            </div>
+        </div>
+    );
+
+    const renderGenerated = () => (
+        <div className="space-y-4">
+            <div>
+                <h3 className="font-bold text-lg mb-2">{texts.generated} ({generated.jobs.length})</h3>
+                <div className="max-h-80 overflow-y-auto border border-gray-200 rounded-lg">
+                    <table className="w-full text-sm">
+                        <thead className="bg-gray-50 text-left text-gray-500">
+                            <tr>
+                                <th className="px-3 py-2 font-medium">{texts.filename}</th>
+                                <th className="px-3 py-2 font-medium">{texts.fingerprint}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {generated.jobs.map((job, index) => (
+                                <tr key={job.filename} className="border-t border-gray-200">
+                                    <td className="px-3 py-2 break-all">{job.filename}</td>
+                                    <td className="px-3 py-2 font-mono text-xs break-all">
+                                        {generated.results[index].fingerprints
+                                            .find(({ type }) => fingerprintTypes[generated.params.outputFormat].includes(type)).value}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+                <p className="text-sm text-gray-600">{texts.bundleHint}</p>
+                <label className="block">
+                    <span className="text-sm font-medium text-gray-700">{texts.zipPassword}</span>
+                    <input
+                        type="password"
+                        value={zipPassword}
+                        onChange={(e) => setZipPassword(e.target.value)}
+                        autoComplete="new-password"
+                        className={inputClass}
+                    />
+                </label>
+                {zipPassword && <p className="text-xs text-gray-500">{texts.zipPasswordHint}</p>}
+                <button
+                    onClick={handleDownloadZip}
+                    className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                >
+                    {texts.downloadZip}
+                </button>
+            </div>
+
+            <div className="p-4 bg-yellow-50 text-yellow-800 rounded-lg text-sm">
+                {texts.warning}
+            </div>
+
+            <div className="flex justify-end">
+                <button
+                    onClick={handleReset}
+                    className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                >
+                    {texts.reset}
+                </button>
+            </div>
+        </div>
+    );
+
+    return (
+        <div className="space-y-6">
+            <div className="text-center">
+                <h2 className="text-2xl font-bold">{texts.title}</h2>
+                <p className="text-gray-600 mt-2">{texts.subtitle}</p>
+            </div>
+
+            {error && (
+                <div className="p-4 bg-red-50 text-red-700 rounded-lg">
+                    {error}
+                </div>
+            )}
+
+            {generated ? renderGenerated() : renderSettings()}
+        </div>
+    );
+}
@@ -0,0 +1,142 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { webcrypto } from 'crypto';
+import Batch from './Batch';
+import { startBatchGeneration } from '../utils/keygenEngine';
+
+jest.unmock('node-forge');
+jest.unmock('../utils/metadata');
+
+jest.mock('../utils/keygenEngine', () => ({
+    ...jest.requireActual('../utils/keygenEngine'),
+    startBatchGeneration: jest.fn()
+}));
+
+/**
+ * 暗号化していないZIPファイルからファイル名と内容を取り出す
+ * @param {Uint8Array} zip - ZIPファイル
+ * @returns {Object} ファイル名と内容（UTF-8の文字列）の対応
+ */
+const readZip = (zip) => {
+    const data = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    const files = {};
+    let offset = 0;
+    while (data.getUint32(offset, true) === 0x04034b50) {
+        const size = data.getUint32(offset + 18, true);
+        const nameLength = data.getUint16(offset + 26, true);
+        const start = offset + 30 + nameLength + data.getUint16(offset + 28, true);
+        const name = new TextDecoder().decode(zip.subarray(offset + 30, offset + 30 + nameLength));
+        files[name] = new TextDecoder().decode(zip.subarray(start, start + size));
+        offset = start + size;
+    }
+    return files;
+};
+
+describe('Batchコンポーネントテスト', () => {
+    // 鍵の生成にはWeb Crypto APIの実装が必要
+    const cryptoMock = global.crypto;
+    const { startBatchGeneration: actualStartBatchGeneration } = jest.requireActual('../utils/keygenEngine');
+    let clickSpy;
+    beforeAll(() => {
+        global.crypto = webcrypto;
+    });
+    afterAll(() => {
+        global.crypto = cryptoMock;
+    });
+    beforeEach(() => {
+        clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        URL.createObjectURL.mockImplementation(() => 'mock-url');
+        startBatchGeneration.mockImplementation(actualStartBatchGeneration);
+    });
+    afterEach(() => {
+        clickSpy.mockRestore();
+    });
+
+    test('CSVから鍵を生成してマニフェストと共にダウンロード', async () => {
+        render(<Batch language="ja" />);
+
+        fireEvent.click(screen.getByLabelText('CSVから作成'));
+        fireEvent.change(screen.getByLabelText('CSV（名前,メールアドレス,コメント）'), {
+            target: { value: 'name,email,comment\nweb-01,,web-01@example.com\nweb-02,,web-02@example.com' }
+        });
+        fireEvent.change(screen.getByLabelText('ファイル名のテンプレート'), { target: { value: '{name}' } });
+        fireEvent.click(screen.getByText('一括生成'));
+
+        expect(await screen.findByText('生成した鍵 (2)')).toBeInTheDocument();
+        expect(screen.getByText('web-02')).toBeInTheDocument();
+        expect(screen.getAllByText(/^SHA256:/)).toHaveLength(2);
+
+        fireEvent.click(screen.getByText('ZIPをダウンロード'));
+
+        const blob = URL.createObjectURL.mock.calls[0][0];
+        expect(blob.options.type).toBe('application/zip');
+        expect(clickSpy.mock.instances[0].download).toMatch(/^eddsa_Ed25519_.*_batch\.zip$/);
+
+        const files = readZip(blob.content[0]);
+        expect(Object.keys(files)).toEqual([
+            'web-01_public.ssh',
+            'web-01_private.ssh',
+            'web-02_public.ssh',
+            'web-02_private.ssh',
+            'manifest.json'
+        ]);
+        expect(files['web-01_public.ssh']).toMatch(/^ssh-ed25519 \S+ web-01@example\.com/);
+
+        const manifest = JSON.parse(files['manifest.json']);
+        expect(manifest).toMatchObject({ type: 'eddsa', size: 'Ed25519', format: 'ssh', count: 2 });
+        expect(manifest.keys.map(key => key.name)).toEqual(['web-01', 'web-02']);
+    });
+
+    test('鍵の数を指定して生成', async () => {
+        render(<Batch language="ja" />);
+
+        fireEvent.change(screen.getByLabelText('暗号方式'), { target: { value: 'ecdh' } });
+        // X25519はSSH形式に対応しないためPEMに戻す
+        expect(screen.getByLabelText('出力形式')).toHaveValue('pem');
+        fireEvent.change(screen.getByLabelText('鍵の数'), { target: { value: '3' } });
+        fireEvent.click(screen.getByText('一括生成'));
+
+        expect(await screen.findByText('生成した鍵 (3)')).toBeInTheDocument();
+        expect(screen.getByText('key-3')).toBeInTheDocument();
+        expect(startBatchGeneration.mock.calls[0][0]).toHaveLength(3);
+    });
+
+    test('生成中は進捗を表示し、キャンセルできる', async () => {
+        const cancel = jest.fn();
+        let rejectJob;
+        startBatchGeneration.mockImplementation((paramsList, onProgress) => {
+            onProgress({ completed: 4, total: 10, elapsed: 1234 });
+            return { promise: new Promise((_, reject) => { rejectJob = reject; }), cancel };
+        });
+        render(<Batch language="ja" />);
+
+        fireEvent.click(screen.getByText('一括生成'));
+
+        expect(screen.getByRole('status')).toHaveTextContent('生成済み: 4 / 10');
+        expect(screen.getByRole('status')).toHaveTextContent('経過時間: 1.2秒');
+        fireEvent.click(screen.getByText('キャンセル'));
+        expect(cancel).toHaveBeenCalled();
+
+        const error = new Error('鍵生成をキャンセルしました');
+        error.name = 'AbortError';
+        rejectJob(error);
+        await waitFor(() => expect(screen.getByText('一括生成')).toBeEnabled());
+        expect(screen.queryByText('鍵生成をキャンセルしました')).not.toBeInTheDocument();
+    });
+
+    test('ファイル名が重複する場合はエラー', () => {
+        render(<Batch language="ja" />);
+
+        fireEvent.change(screen.getByLabelText('ファイル名のテンプレート'), { target: { value: 'key' } });
+        fireEvent.click(screen.getByText('一括生成'));
+
+        expect(screen.getByText('ファイル名が重複しています: key')).toBeInTheDocument();
+        expect(startBatchGeneration).not.toHaveBeenCalled();
+    });
+
+    test('英語表示の確認', () => {
+        render(<Batch language="en" />);
+
+        expect(screen.getByText('Batch Key Generation')).toBeInTheDocument();
+        expect(screen.getByText('Generate All')).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * 証明書署名要求（CSR）の内容表示コンポーネント
+ */
+import { parseCertificationRequest } from '../utils/x509';
+import { getKeyTypeFromJwk } from '../utils/keyImport';
+import { formatError } from '../utils/errorHandler';
+
+// 識別名の属性の略称（OpenSSLの表記）
+const nameAbbreviations = {
+    country: 'C',
+    state: 'ST',
+    locality: 'L',
+    organization: 'O',
+    organizationalUnit: 'OU',
+    commonName: 'CN',
+    email: 'emailAddress'
+};
+
+// 暗号方式の表示名
+const algorithmNames = {
+    rsa: 'RSA',
+    ecdsa: 'ECDSA',
+    eddsa: 'EdDSA'
+};
+
+/**
+ * 識別名を「C=JP, O=..., CN=...」の形式に変換
+ * @param {Object} subject - 属性名と値
+ * @returns {string} 識別名の文字列
+ */
+function formatSubject(subject) {
+    return Object.keys(subject)
+        .map(name => `${nameAbbreviations[name] || name}=${subject[name]}`)
+        .join(', ');
+}
+
+/**
+ * CSRDetailsコンポーネント
+ * @param {Object} props - プロパティ
+ * @param {string} props.csr - PEM形式のCSR
+ * @param {string} props.language - 表示言語
+ */
+export default function CSRDetails({ csr, language }) {
+    // 言語に応じたテキストを取得
+    const texts = {
+        ja: {
+            title: 'CSRの内容',
+            subject: 'サブジェクト',
+            publicKey: '公開鍵',
+            altNames: 'サブジェクト代替名',
+            profile: '証明書の用途',
+            keyUsage: '鍵用途',
+            challengePassword: 'チャレンジパスワード',
+            signatureAlgorithm: '署名アルゴリズム',
+            signature: '署名',
+            signatureValid: '検証済み（秘密鍵と一致）',
+            signatureInvalid: '不正な署名',
+            set: '設定済み',
+            none: 'なし',
+            profiles: {
+                'tls-server': 'TLSサーバー',
+                'tls-client': 'TLSクライアント',
+                smime: 'S/MIME',
+                'code-signing': 'コード署名'
+            }
+        },
+        en: {
+            title: 'CSR Contents',
+            subject: 'Subject',
+            publicKey: 'Public Key',
+            altNames: 'Subject Alternative Names',
+            profile: 'Certificate Usage',
+            keyUsage: 'Key Usage',
+            challengePassword: 'Challenge Password',
+            signatureAlgorithm: 'Signature Algorithm',
+            signature: 'Signature',
+            signatureValid: 'Verified (matches the private key)',
+            signatureInvalid: 'Invalid signature',
+            set: 'Set',
+            none: 'None',
+            profiles: {
+                'tls-server': 'TLS Server',
+                'tls-client': 'TLS Client',
+                smime: 'S/MIME',
+                'code-signing': 'Code Signing'
+            }
+        }
+    }[language];
+
+    let request;
+    try {
+        request = parseCertificationRequest(csr);
+    } catch (err) {
+        return (
+            <div className="p-4 bg-red-50 text-red-700 rounded-lg">
+                {formatError(err)}
+            </div>
+        );
+    }
+
+    const { keyType, keySize } = getKeyTypeFromJwk(request.publicJwk);
+    const altNames = [
+        ...request.dnsNames.map(name => `DNS:${name}`),
+        ...request.ipAddresses.map(address => `IP:${address}`),
+        ...request.emailAddresses.map(email => `email:${email}`)
+    ];
+    const rows = [
+        [texts.subject, formatSubject(request.subject) || texts.none],
+        [texts.publicKey, `${algorithmNames[keyType]} ${keySize}`],
+        [texts.altNames, altNames.join(', ') || texts.none],
+        [texts.profile, request.profile ? texts.profiles[request.profile] : texts.none],
+        [texts.keyUsage, request.keyUsage.join(', ') || texts.none],
+        [texts.challengePassword, request.challengePassword ? texts.set : texts.none],
+        [texts.signatureAlgorithm, request.signatureAlgorithm],
+        [texts.signature, request.signatureValid ? texts.signatureValid : texts.signatureInvalid]
+    ];
+
+    return (
+        <div>
+            <h4 className="font-bold mb-2">{texts.title}</h4>
+            <dl className="grid grid-cols-3 gap-2 text-sm bg-gray-50 rounded-lg p-4">
+                {rows.map(([label, value]) => (
+                    <div key={label} className="contents">
+                        <dt className="text-gray-500">{label}</dt>
+                        <dd className={`col-span-2 break-all ${
+                            label === texts.signature && !request.signatureValid ? 'text-red-700' : 'text-gray-900'
+                        }`}>
+                            {value}
+                        </dd>
+                    </div>
+                ))}
+            </dl>
+        </div>
+    );
+}
@@ -0,0 +1,36 @@
+import { render, screen } from '@testing-library/react';
+import CSRDetails from './CSRDetails';
+
+jest.unmock('node-forge');
+
+// OpenSSLで作成したEd25519鍵のCSR（openssl req -new -newkey ed25519 -subj /CN=ed）
+const csr = `-----BEGIN CERTIFICATE REQUEST-----
+MIGMMEACAQAwDTELMAkGA1UEAwwCZWQwKjAFBgMrZXADIQCTOOlNZ8vuqVdeK2Ty
+XDi30Ja9+NJ5Wp3aYuFcv8mD1KAAMAUGAytlcANBAPQ/t6nXbbfOdpKxvf5LgHo4
+YVejFVLB3UorVLcFX5bF6+SIThBIBMpdy0WA1AzHhNS38ZP7iq1Pj5QCUaEYcAc=
+-----END CERTIFICATE REQUEST-----`;
+
+describe('CSRDetailsコンポーネントテスト', () => {
+    test('CSRの内容と署名の検証結果を表示', () => {
+        render(<CSRDetails csr={csr} language="ja" />);
+
+        expect(screen.getByText('CSRの内容')).toBeInTheDocument();
+        expect(screen.getByText('CN=ed')).toBeInTheDocument();
+        expect(screen.getByText('EdDSA Ed25519')).toBeInTheDocument();
+        expect(screen.getByText('Ed25519')).toBeInTheDocument();
+        expect(screen.getByText('検証済み（秘密鍵と一致）')).toBeInTheDocument();
+    });
+
+    test('署名が一致しない場合は警告を表示', () => {
+        // 署名の一部を書き換える
+        render(<CSRDetails csr={csr.replace('CUaEYcAc=', 'CVaEYcAc=')} language="en" />);
+
+        expect(screen.getByText('Invalid signature')).toBeInTheDocument();
+    });
+
+    test('解析できない場合はエラーを表示', () => {
+        render(<CSRDetails csr="invalid" language="ja" />);
+
+        expect(screen.getByText('CSRの形式が正しくありません')).toBeInTheDocument();
+    });
+});
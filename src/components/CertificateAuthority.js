@@ -0,0 +1,834 @@
+/**
+ * ローカル認証局（CA）コンポーネント（ルートCA・中間CAの作成、証明書の発行、失効とCRLの作成）
+ */
+import { useState } from 'react';
+import KeyInput from './KeyInput';
+import CSRDetails from './CSRDetails';
+import { createCertificateAuthority, issueLeafCertificate, createRevocationList, createPkcs12Bundle } from '../utils/crypto';
+import { formatError } from '../utils/errorHandler';
+import { saveFile } from '../utils/download';
+import { parseCertificate, DEFAULT_X509_OPTIONS, REVOCATION_REASONS } from '../utils/x509';
+
+// CA鍵とリーフ証明書の鍵として選択できる暗号方式と鍵サイズ
+const keySizes = {
+    rsa: ['2048', '3072', '4096'],
+    ecdsa: ['P-256', 'P-384', 'P-521']
+};
+
+// CAの設定の初期値
+const initialCAOptions = {
+    keyType: 'ecdsa',
+    keySize: 'P-256',
+    commonName: '',
+    organization: '',
+    country: '',
+    validDays: 3650,
+    pathLength: '',
+    intermediate: false,
+    intermediateCommonName: '',
+    permittedDnsNames: '',
+    excludedDnsNames: ''
+};
+
+// 発行する証明書の設定の初期値（CA/Browser Forumの上限に合わせて397日）
+const initialLeafOptions = {
+    source: 'csr',
+    keyType: 'ecdsa',
+    keySize: 'P-256',
+    profile: 'tls-server',
+    commonName: '',
+    dnsNames: '',
+    validDays: 397
+};
+
+// 最初に発行する証明書のシリアル番号
+const FIRST_SERIAL = 0x1000;
+
+// PEM形式のファイルのMIMEタイプ
+const PEM_TYPE = 'application/x-pem-file';
+
+/**
+ * カンマまたは空白区切りの文字列を配列に変換
+ * @param {string} value - 入力文字列
+ * @returns {Array<string>} 空要素を除いた配列
+ */
+function splitList(value) {
+    return value.split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * CertificateAuthorityコンポーネント
+ * @param {Object} props - プロパティ
+ * @param {string} props.language - 表示言語
+ */
+export default function CertificateAuthority({ language }) {
+    const [caOptions, setCaOptions] = useState(initialCAOptions);
+    const [authority, setAuthority] = useState(null);
+    const [leafOptions, setLeafOptions] = useState(initialLeafOptions);
+    const [csrText, setCsrText] = useState('');
+    const [nextSerial, setNextSerial] = useState(FIRST_SERIAL);
+    const [issued, setIssued] = useState([]);
+    const [revokeReason, setRevokeReason] = useState('unspecified');
+    const [pkcs12Options, setPkcs12Options] = useState({ password: '', encryption: 'modern' });
+    const [crl, setCrl] = useState(null);
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState('');
+
+    // 言語に応じたテキストを取得
+    const texts = {
+        ja: {
+            title: 'ローカル認証局（CA）',
+            subtitle: 'ルートCA（と中間CA）を作成し、TLSなどの証明書の発行と失効を管理します',
+            createTitle: 'CAの作成',
+            keyType: 'CA鍵の暗号方式',
+            keySize: '鍵サイズ・曲線',
+            commonName: 'コモンネーム（CN）',
+            organization: '組織（O）',
+            country: '国（C）',
+            validDays: '有効日数',
+            pathLength: 'パス長制約',
+            pathLengthHint: '下位に作成できるCAの階層数です。空欄の場合は制限しません',
+            intermediate: '中間CAを作成し、証明書の発行に使用する',
+            intermediateHint: 'ルートCAの秘密鍵をオフラインで保管し、日常の発行は中間CAで行えます',
+            intermediateCommonName: '中間CAのコモンネーム（CN）',
+            nameConstraints: '名前制約',
+            nameConstraintsHint: '発行する証明書のDNS名を制限します。「.example.com」はサブドメインのみに一致します',
+            permittedDnsNames: '許可するDNS名',
+            excludedDnsNames: '除外するDNS名',
+            createCA: 'CAを作成',
+            creatingCA: 'CAを作成中...',
+            rootCA: 'ルートCA',
+            intermediateCA: '中間CA',
+            caWarning: 'CAの秘密鍵は暗号化されていません。ダウンロードしたら安全な場所に保管してください。',
+            downloadCertificate: '証明書',
+            downloadPrivateKey: '秘密鍵',
+            downloadChain: 'CAチェーン（ca-chain.pem）',
+            chainHint: 'ca-chain.pemは中間CAとルートCAの証明書をまとめたもので、クライアントの信頼ストアや検証に使います',
+            resetCA: 'CAを破棄して作り直す',
+            issueTitle: '証明書の発行',
+            source: '公開鍵',
+            sourceCSR: 'CSRに署名',
+            sourceGenerate: '鍵を生成して署名',
+            csr: 'CSR（PEM形式）',
+            leafKeyType: '暗号方式',
+            profile: '証明書の用途',
+            profiles: {
+                'tls-server': 'TLSサーバー',
+                'tls-client': 'TLSクライアント',
+                smime: 'S/MIME',
+                'code-signing': 'コード署名'
+            },
+            dnsNames: 'DNS名',
+            dnsNamesHint: '複数指定する場合はカンマで区切ります',
+            csrProfileHint: 'サブジェクトとサブジェクト代替名はCSRの内容を使用します。CSRに用途が含まれる場合はCSRの用途を優先します',
+            nextSerial: '次のシリアル番号',
+            issue: '証明書を発行',
+            issuing: '発行中...',
+            issuedTitle: '発行した証明書',
+            serial: 'シリアル番号',
+            subject: 'サブジェクト',
+            notAfter: '有効期限',
+            status: '状態',
+            valid: '有効',
+            revoked: '失効',
+            revokeReason: '失効理由',
+            reasons: {
+                unspecified: '指定なし',
+                keyCompromise: '鍵の危殆化',
+                cACompromise: 'CAの危殆化',
+                affiliationChanged: '所属の変更',
+                superseded: '置き換え',
+                cessationOfOperation: '運用終了'
+            },
+            revoke: '失効',
+            fullchain: 'fullchain.pem',
+            fullchainHint: 'fullchain.pemは証明書と中間CAの証明書をまとめたもので、TLSサーバーに設定します',
+            pkcs12: 'PKCS#12',
+            pkcs12Password: 'PKCS#12のパスワード',
+            pkcs12Encryption: 'PKCS#12の暗号化方式',
+            pkcs12Encryptions: {
+                modern: '標準（AES-256）',
+                legacy: '互換（3DES・RC2）'
+            },
+            pkcs12Hint: 'PKCS#12は生成した鍵の証明書のみ作成でき、秘密鍵・証明書・CAの証明書をまとめて出力します',
+            crlTitle: '証明書失効リスト（CRL）',
+            createCRL: 'CRLを作成',
+            creatingCRL: 'CRLを作成中...',
+            crlNumber: 'CRL番号',
+            downloadCRL: 'CRLをダウンロード'
+        },
+        en: {
+            title: 'Local Certificate Authority',
+            subtitle: 'Create a root CA (and an intermediate CA) to issue and revoke certificates for TLS and more',
+            createTitle: 'New Certificate Authority',
+            keyType: 'CA Key Algorithm',
+            keySize: 'Key Size / Curve',
+            commonName: 'Common Name (CN)',
+            organization: 'Organization (O)',
+            country: 'Country (C)',
+            validDays: 'Validity (days)',
+            pathLength: 'Path Length Constraint',
+            pathLengthHint: 'Number of CA levels allowed below. Leave empty for no limit',
+            intermediate: 'Create an intermediate CA and issue certificates with it',
+            intermediateHint: 'Lets you keep the root CA key offline and use the intermediate CA day to day',
+            intermediateCommonName: 'Intermediate CA Common Name (CN)',
+            nameConstraints: 'Name Constraints',
+            nameConstraintsHint: 'Restrict the DNS names in issued certificates. ".example.com" matches subdomains only',
+            permittedDnsNames: 'Permitted DNS Names',
+            excludedDnsNames: 'Excluded DNS Names',
+            createCA: 'Create CA',
+            creatingCA: 'Creating CA...',
+            rootCA: 'Root CA',
+            intermediateCA: 'Intermediate CA',
+            caWarning: 'The CA private keys are not encrypted. Store them somewhere safe after downloading.',
+            downloadCertificate: 'Certificate',
+            downloadPrivateKey: 'Private Key',
+            downloadChain: 'CA Chain (ca-chain.pem)',
+            chainHint: 'ca-chain.pem bundles the intermediate and root CA certificates for client trust stores and verification',
+            resetCA: 'Discard CA and Start Over',
+            issueTitle: 'New Certificate',
+            source: 'Public Key',
+            sourceCSR: 'Sign a CSR',
+            sourceGenerate: 'Generate a key and sign it',
+            csr: 'CSR (PEM)',
+            leafKeyType: 'Algorithm',
+            profile: 'Certificate Usage',
+            profiles: {
+                'tls-server': 'TLS Server',
+                'tls-client': 'TLS Client',
+                smime: 'S/MIME',
+                'code-signing': 'Code Signing'
+            },
+            dnsNames: 'DNS Names',
+            dnsNamesHint: 'Separate multiple values with commas',
+            csrProfileHint: 'The subject and alternative names are taken from the CSR. A usage in the CSR takes precedence',
+            nextSerial: 'Next Serial Number',
+            issue: 'Issue Certificate',
+            issuing: 'Issuing...',
+            issuedTitle: 'Issued Certificates',
+            serial: 'Serial',
+            subject: 'Subject',
+            notAfter: 'Expires',
+            status: 'Status',
+            valid: 'Valid',
+            revoked: 'Revoked',
+            revokeReason: 'Revocation Reason',
+            reasons: {
+                unspecified: 'Unspecified',
+                keyCompromise: 'Key Compromise',
+                cACompromise: 'CA Compromise',
+                affiliationChanged: 'Affiliation Changed',
+                superseded: 'Superseded',
+                cessationOfOperation: 'Cessation of Operation'
+            },
+            revoke: 'Revoke',
+            fullchain: 'fullchain.pem',
+            fullchainHint: 'fullchain.pem bundles the certificate with the intermediate CA certificate for TLS servers',
+            pkcs12: 'PKCS#12',
+            pkcs12Password: 'PKCS#12 Password',
+            pkcs12Encryption: 'PKCS#12 Encryption',
+            pkcs12Encryptions: {
+                modern: 'Modern (AES-256)',
+                legacy: 'Legacy (3DES/RC2)'
+            },
+            pkcs12Hint: 'PKCS#12 is available for generated keys and bundles the private key, the certificate and the CA certificates',
+            crlTitle: 'Certificate Revocation List (CRL)',
+            createCRL: 'Create CRL',
+            creatingCRL: 'Creating CRL...',
+            crlNumber: 'CRL Number',
+            downloadCRL: 'Download CRL'
+        }
+    }[language];
+
+    const inputClass = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500';
+
+    const handleCAChange = (key, value) => {
+        setCaOptions({
+            ...caOptions,
+            [key]: value,
+            ...(key === 'keyType' && { keySize: keySizes[value][0] })
+        });
+    };
+
+    const handleLeafChange = (key, value) => {
+        setLeafOptions({
+            ...leafOptions,
+            [key]: value,
+            ...(key === 'keyType' && { keySize: keySizes[value][0] })
+        });
+    };
+
+    // 証明書の発行に使うCA（中間CAがある場合は中間CA）
+    const issuingCA = authority && (authority.intermediate || authority.root);
+
+    // ルートCA（と中間CA）を作成
+    const handleCreateCA = async () => {
+        setBusy('ca');
+        setError('');
+        try {
+            const subject = {
+                ...DEFAULT_X509_OPTIONS.subject,
+                commonName: caOptions.commonName.trim(),
+                organization: caOptions.organization.trim(),
+                country: caOptions.country.trim()
+            };
+            // 名前制約は証明書を発行するCAに付ける
+            const constraints = {
+                permittedDnsNames: splitList(caOptions.permittedDnsNames),
+                excludedDnsNames: splitList(caOptions.excludedDnsNames)
+            };
+            const common = { keyType: caOptions.keyType, keySize: caOptions.keySize, validDays: caOptions.validDays };
+
+            const root = await createCertificateAuthority({
+                ...common,
+                subject,
+                pathLength: caOptions.pathLength === '' ? null : parseInt(caOptions.pathLength),
+                ...(caOptions.intermediate ? { permittedDnsNames: [], excludedDnsNames: [] } : constraints)
+            });
+            const intermediate = caOptions.intermediate
+                ? await createCertificateAuthority({
+                    ...common,
+                    subject: { ...subject, commonName: caOptions.intermediateCommonName.trim() },
+                    pathLength: 0,
+                    ...constraints
+                }, root)
+                : null;
+
+            setAuthority({ root, intermediate });
+            setIssued([]);
+            setNextSerial(FIRST_SERIAL);
+            setCrl(null);
+        } catch (err) {
+            setError(formatError(err));
+        } finally {
+            setBusy('');
+        }
+    };
+
+    // CSRまたは生成した鍵に証明書を発行し、シリアル番号を進める
+    const handleIssue = async () => {
+        setBusy('issue');
+        setError('');
+        try {
+            const serial = nextSerial.toString(16);
+            const source = leafOptions.source === 'csr'
+                ? { csr: csrText }
+                : { keyType: leafOptions.keyType, keySize: leafOptions.keySize };
+            const result = await issueLeafCertificate(issuingCA, source, {
+                ...DEFAULT_X509_OPTIONS,
+                profile: leafOptions.profile,
+                subject: { ...DEFAULT_X509_OPTIONS.subject, commonName: leafOptions.commonName.trim() },
+                dnsNames: splitList(leafOptions.dnsNames),
+                validDays: leafOptions.validDays,
+                serial
+            });
+            const certificate = parseCertificate(result.certificateDer);
+
+            setIssued([...issued, {
+                ...result,
+                serial,
+                subject: certificate.subject.commonName || certificate.dnsNames[0] || '',
+                notAfter: certificate.notAfter,
+                revocation: null
+            }]);
+            setNextSerial(nextSerial + 1);
+            setCsrText('');
+        } catch (err) {
+            setError(formatError(err));
+        } finally {
+            setBusy('');
+        }
+    };
+
+    // 生成した鍵の秘密鍵・証明書・CAの証明書チェーンをPKCS#12にまとめてダウンロード
+    const handleExportPkcs12 = async (entry) => {
+        setError('');
+        try {
+            const chain = [authority.intermediate, authority.root].filter(Boolean).map(ca => ca.certificateDer);
+            const result = await createPkcs12Bundle(entry.privateJwk, [entry.certificateDer, ...chain], {
+                ...pkcs12Options,
+                friendlyName: entry.subject
+            });
+            saveFile(result.pkcs12, `${entry.serial}.p12`, 'application/x-pkcs12');
+        } catch (err) {
+            setError(formatError(err));
+        }
+    };
+
+    const handleRevoke = (serial) => {
+        setIssued(issued.map(entry => (
+            entry.serial === serial ? { ...entry, revocation: { date: new Date(), reason: revokeReason } } : entry
+        )));
+    };
+
+    // 失効した証明書の一覧からCRLを作成し、CRL番号を進める
+    const handleCreateCRL = async () => {
+        setBusy('crl');
+        setError('');
+        try {
+            const crlNumber = crl ? crl.number + 1 : 1;
+            const revoked = issued
+                .filter(entry => entry.revocation)
+                .map(entry => ({ serial: entry.serial, ...entry.revocation }));
+            const result = await createRevocationList(issuingCA, revoked, { crlNumber, nextUpdateDays: 30 });
+            setCrl({ pem: result.crl, number: crlNumber });
+        } catch (err) {
+            setError(formatError(err));
+        } finally {
+            setBusy('');
+        }
+    };
+
+    const handleResetCA = () => {
+        setAuthority(null);
+        setIssued([]);
+        setNextSerial(FIRST_SERIAL);
+        setCrl(null);
+        setError('');
+    };
+
+    const caChain = authority
+        ? [authority.intermediate && authority.intermediate.certificate, authority.root.certificate].filter(Boolean).join('')
+        : '';
+
+    const canCreateCA = caOptions.commonName.trim()
+        && (!caOptions.intermediate || caOptions.intermediateCommonName.trim())
+        && !busy;
+    const canIssue = (leafOptions.source === 'generate' || csrText.trim()) && !busy;
+
+    const renderKeySelect = (options, onChange, label) => (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="block">
+                <span className="text-sm font-medium text-gray-700">{label}</span>
+                <select value={options.keyType} onChange={(e) => onChange('keyType', e.target.value)} className={inputClass}>
+                    <option value="rsa">RSA</option>
+                    <option value="ecdsa">ECDSA</option>
+                </select>
+            </label>
+            <label className="block">
+                <span className="text-sm font-medium text-gray-700">{texts.keySize}</span>
+                <select value={options.keySize} onChange={(e) => onChange('keySize', e.target.value)} className={inputClass}>
+                    {keySizes[options.keyType].map(size => (
+                        <option key={size} value={size}>{size}</option>
+                    ))}
+                </select>
+            </label>
+        </div>
+    );
+
+    const renderCADownloads = (name, ca, prefix) => (
+        <div className="flex items-center justify-between">
+            <span className="font-bold">{name}</span>
+            <div className="flex space-x-2">
+                <button
+                    onClick={() => saveFile(ca.certificate, `${prefix}.pem`, PEM_TYPE)}
+                    className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+                >
+                    {texts.downloadCertificate}
+                </button>
+                <button
+                    onClick={() => saveFile(ca.privateKey, `${prefix}_key.pem`, PEM_TYPE)}
+                    className="px-3 py-1 text-sm bg-green-600 text-white rounded-md hover:bg-green-700"
+                >
+                    {texts.downloadPrivateKey}
+                </button>
+            </div>
+        </div>
+    );
+
+    return (
+        <div className="space-y-6">
+            <div className="text-center">
+                <h2 className="text-2xl font-bold">{texts.title}</h2>
+                <p className="text-gray-600 mt-2">{texts.subtitle}</p>
+            </div>
+
+            {error && (
+                <div className="p-4 bg-red-50 text-red-700 rounded-lg">
+                    {error}
+                </div>
+            )}
+
+            {!authority ? (
+                <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+                    <h3 className="text-lg font-bold">{texts.createTitle}</h3>
+
+                    {renderKeySelect(caOptions, handleCAChange, texts.keyType)}
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        {['commonName', 'organization', 'country'].map(field => (
+                            <label key={field} className="block">
+                                <span className="text-sm font-medium text-gray-700">{texts[field]}</span>
+                                <input
+                                    type="text"
+                                    value={caOptions[field]}
+                                    onChange={(e) => handleCAChange(field, e.target.value)}
+                                    maxLength={field === 'country' ? 2 : undefined}
+                                    className={inputClass}
+                                />
+                            </label>
+                        ))}
+                        <label className="block">
+                            <span className="text-sm font-medium text-gray-700">{texts.validDays}</span>
+                            <input
+                                type="number"
+                                min="1"
+                                max="3650"
+                                value={caOptions.validDays}
+                                onChange={(e) => handleCAChange('validDays', parseInt(e.target.value))}
+                                className={inputClass}
+                            />
+                        </label>
+                    </div>
+
+                    <div>
+                        <label className="block">
+                            <span className="text-sm font-medium text-gray-700">{texts.pathLength}</span>
+                            <input
+                                type="number"
+                                min="0"
+                                max="10"
+                                value={caOptions.pathLength}
+                                onChange={(e) => handleCAChange('pathLength', e.target.value)}
+                                className={inputClass}
+                            />
+                        </label>
+                        <p className="mt-1 text-xs text-gray-500">{texts.pathLengthHint}</p>
+                    </div>
+
+                    <div>
+                        <label className="flex items-center space-x-2">
+                            <input
+                                type="checkbox"
+                                checked={caOptions.intermediate}
+                                onChange={(e) => handleCAChange('intermediate', e.target.checked)}
+                            />
+                            <span className="text-sm font-medium text-gray-700">{texts.intermediate}</span>
+                        </label>
+                        <p className="mt-1 text-xs text-gray-500">{texts.intermediateHint}</p>
+                    </div>
+
+                    {caOptions.intermediate && (
+                        <label className="block">
+                            <span className="text-sm font-medium text-gray-700">{texts.intermediateCommonName}</span>
+                            <input
+                                type="text"
+                                value={caOptions.intermediateCommonName}
+                                onChange={(e) => handleCAChange('intermediateCommonName', e.target.value)}
+                                className={inputClass}
+                            />
+                        </label>
+                    )}
+
+                    <div>
+                        <div className="text-sm font-medium text-gray-700 mb-2">{texts.nameConstraints}</div>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            {['permittedDnsNames', 'excludedDnsNames'].map(field => (
+                                <label key={field} className="block">
+                                    <span className="text-sm text-gray-700">{texts[field]}</span>
+                                    <input
+                                        type="text"
+                                        value={caOptions[field]}
+                                        onChange={(e) => handleCAChange(field, e.target.value)}
+                                        placeholder={field === 'permittedDnsNames' ? 'example.com, .example.net' : ''}
+                                        className={`${inputClass} font-mono`}
+                                    />
+                                </label>
+                            ))}
+                        </div>
+                        <p className="mt-1 text-xs text-gray-500">{texts.nameConstraintsHint}</p>
+                    </div>
+
+                    <div className="flex justify-end">
+                        <button
+                            onClick={handleCreateCA}
+                            disabled={!canCreateCA}
+                            className={`px-6 py-2 rounded-lg ${
+                                canCreateCA
+                                    ? 'bg-blue-600 text-white hover:bg-blue-700'
+                                    : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                            }`}
+                        >
+                            {busy === 'ca' ? texts.creatingCA : texts.createCA}
+                        </button>
+                    </div>
+                </div>
+            ) : (
+                <>
+                    <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+                        {renderCADownloads(texts.rootCA, authority.root, 'root_ca')}
+                        {authority.intermediate && renderCADownloads(texts.intermediateCA, authority.intermediate, 'intermediate_ca')}
+                        <div className="p-3 bg-yellow-50 text-yellow-800 rounded-lg text-sm">{texts.caWarning}</div>
+                        <div className="flex justify-between items-center">
+                            <button
+                                onClick={handleResetCA}
+                                className="px-3 py-1 text-sm text-red-600 border border-red-300 rounded-md hover:bg-red-50"
+                            >
+                                {texts.resetCA}
+                            </button>
+                            <button
+                                onClick={() => saveFile(caChain, 'ca-chain.pem', PEM_TYPE)}
+                                className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+                            >
+                                {texts.downloadChain}
+                            </button>
+                        </div>
+                        <p className="text-xs text-gray-500">{texts.chainHint}</p>
+                    </div>
+
+                    <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+                        <h3 className="text-lg font-bold">{texts.issueTitle}</h3>
+
+                        <div>
+                            <div className="text-sm font-medium text-gray-700 mb-2">{texts.source}</div>
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                                {['csr', 'generate'].map(source => (
+                                    <button
+                                        key={source}
+                                        type="button"
+                                        onClick={() => handleLeafChange('source', source)}
+                                        className={`p-3 border rounded-lg text-left font-bold hover:bg-blue-50 transition-colors ${
+                                            leafOptions.source === source ? 'border-blue-500 bg-blue-50' : 'border-gray-200'
+                                        }`}
+                                    >
+                                        {source === 'csr' ? texts.sourceCSR : texts.sourceGenerate}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
+                        {leafOptions.source === 'csr' ? (
+                            <>
+                                <KeyInput
+                                    value={csrText}
+                                    onChange={setCsrText}
+                                    onError={setError}
+                                    label={texts.csr}
+                                    language={language}
+                                />
+                                {csrText.trim() && <CSRDetails csr={csrText} language={language} />}
+                            </>
+                        ) : (
+                            <>
+                                {renderKeySelect(leafOptions, handleLeafChange, texts.leafKeyType)}
+                                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                    <label className="block">
+                                        <span className="text-sm font-medium text-gray-700">{texts.commonName}</span>
+                                        <input
+                                            type="text"
+                                            value={leafOptions.commonName}
+                                            onChange={(e) => handleLeafChange('commonName', e.target.value)}
+                                            placeholder="www.example.com"
+                                            className={inputClass}
+                                        />
+                                    </label>
+                                    <div>
+                                        <label className="block">
+                                            <span className="text-sm font-medium text-gray-700">{texts.dnsNames}</span>
+                                            <input
+                                                type="text"
+                                                value={leafOptions.dnsNames}
+                                                onChange={(e) => handleLeafChange('dnsNames', e.target.value)}
+                                                placeholder="example.com, www.example.com"
+                                                className={`${inputClass} font-mono`}
+                                            />
+                                        </label>
+                                        <p className="mt-1 text-xs text-gray-500">{texts.dnsNamesHint}</p>
+                                    </div>
+                                </div>
+                            </>
+                        )}
+
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                            <label className="block">
+                                <span className="text-sm font-medium text-gray-700">{texts.profile}</span>
+                                <select
+                                    value={leafOptions.profile}
+                                    onChange={(e) => handleLeafChange('profile', e.target.value)}
+                                    className={inputClass}
+                                >
+                                    {Object.keys(texts.profiles).map(profile => (
+                                        <option key={profile} value={profile}>{texts.profiles[profile]}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label className="block">
+                                <span className="text-sm font-medium text-gray-700">{texts.validDays}</span>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    max="3650"
+                                    value={leafOptions.validDays}
+                                    onChange={(e) => handleLeafChange('validDays', parseInt(e.target.value))}
+                                    className={inputClass}
+                                />
+                            </label>
+                            <div>
+                                <div className="text-sm font-medium text-gray-700">{texts.nextSerial}</div>
+                                <div className="mt-3 font-mono">{nextSerial.toString(16)}</div>
+                            </div>
+                        </div>
+                        {leafOptions.source === 'csr' && (
+                            <p className="text-xs text-gray-500">{texts.csrProfileHint}</p>
+                        )}
+
+                        <div className="flex justify-end">
+                            <button
+                                onClick={handleIssue}
+                                disabled={!canIssue}
+                                className={`px-6 py-2 rounded-lg ${
+                                    canIssue
+                                        ? 'bg-blue-600 text-white hover:bg-blue-700'
+                                        : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                                }`}
+                            >
+                                {busy === 'issue' ? texts.issuing : texts.issue}
+                            </button>
+                        </div>
+                    </div>
+
+                    {issued.length > 0 && (
+                        <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+                            <h3 className="text-lg font-bold">{texts.issuedTitle}</h3>
+
+                            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                                <label className="block">
+                                    <span className="text-sm font-medium text-gray-700">{texts.revokeReason}</span>
+                                    <select
+                                        value={revokeReason}
+                                        onChange={(e) => setRevokeReason(e.target.value)}
+                                        className={inputClass}
+                                    >
+                                        {Object.keys(REVOCATION_REASONS).map(reason => (
+                                            <option key={reason} value={reason}>{texts.reasons[reason]}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <label className="block">
+                                    <span className="text-sm font-medium text-gray-700">{texts.pkcs12Password}</span>
+                                    <input
+                                        type="password"
+                                        value={pkcs12Options.password}
+                                        onChange={(e) => setPkcs12Options({ ...pkcs12Options, password: e.target.value })}
+                                        className={inputClass}
+                                    />
+                                </label>
+                                <label className="block">
+                                    <span className="text-sm font-medium text-gray-700">{texts.pkcs12Encryption}</span>
+                                    <select
+                                        value={pkcs12Options.encryption}
+                                        onChange={(e) => setPkcs12Options({ ...pkcs12Options, encryption: e.target.value })}
+                                        className={inputClass}
+                                    >
+                                        {Object.keys(texts.pkcs12Encryptions).map(encryption => (
+                                            <option key={encryption} value={encryption}>{texts.pkcs12Encryptions[encryption]}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                            </div>
+
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="text-left text-gray-500">
+                                        <th className="py-1">{texts.serial}</th>
+                                        <th className="py-1">{texts.subject}</th>
+                                        <th className="py-1">{texts.notAfter}</th>
+                                        <th className="py-1">{texts.status}</th>
+                                        <th className="py-1" />
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {issued.map(entry => (
+                                        <tr key={entry.serial} className="border-t border-gray-100">
+                                            <td className="py-2 font-mono">{entry.serial}</td>
+                                            <td className="py-2 break-all">{entry.subject}</td>
+                                            <td className="py-2">{entry.notAfter.toLocaleDateString(language)}</td>
+                                            <td className={`py-2 ${entry.revocation ? 'text-red-700' : 'text-green-700'}`}>
+                                                {entry.revocation
+                                                    ? `${texts.revoked}（${texts.reasons[entry.revocation.reason]}）`
+                                                    : texts.valid}
+                                            </td>
+                                            <td className="py-2">
+                                                <div className="flex flex-wrap justify-end gap-2">
+                                                    <button
+                                                        onClick={() => saveFile(entry.certificate, `${entry.serial}_certificate.pem`, PEM_TYPE)}
+                                                        className="px-2 py-1 text-xs border border-gray-300 rounded-md hover:bg-gray-50"
+                                                    >
+                                                        {texts.downloadCertificate}
+                                                    </button>
+                                                    <button
+                                                        onClick={() => saveFile(
+                                                            entry.certificate + (authority.intermediate ? authority.intermediate.certificate : ''),
+                                                            `${entry.serial}_fullchain.pem`,
+                                                            PEM_TYPE
+                                                        )}
+                                                        className="px-2 py-1 text-xs border border-gray-300 rounded-md hover:bg-gray-50"
+                                                    >
+                                                        {texts.fullchain}
+                                                    </button>
+                                                    {entry.privateKey && (
+                                                        <button
+                                                            onClick={() => saveFile(entry.privateKey, `${entry.serial}_private.pem`, PEM_TYPE)}
+                                                            className="px-2 py-1 text-xs border border-gray-300 rounded-md hover:bg-gray-50"
+                                                        >
+                                                            {texts.downloadPrivateKey}
+                                                        </button>
+                                                    )}
+                                                    {entry.privateJwk && (
+                                                        <button
+                                                            onClick={() => handleExportPkcs12(entry)}
+                                                            className="px-2 py-1 text-xs border border-gray-300 rounded-md hover:bg-gray-50"
+                                                        >
+                                                            {texts.pkcs12}
+                                                        </button>
+                                                    )}
+                                                    {!entry.revocation && (
+                                                        <button
+                                                            onClick={() => handleRevoke(entry.serial)}
+                                                            className="px-2 py-1 text-xs text-red-600 border border-red-300 rounded-md hover:bg-red-50"
+                                                        >
+                                                            {texts.revoke}
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            <p className="text-xs text-gray-500">{texts.fullchainHint}</p>
+                            <p className="text-xs text-gray-500">{texts.pkcs12Hint}</p>
+                        </div>
+                    )}
+
+                    <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+                        <div className="flex items-center justify-between">
+                            <h3 className="text-lg font-bold">{texts.crlTitle}</h3>
+                            <button
+                                onClick={handleCreateCRL}
+                                disabled={!!busy}
+                                className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+                            >
+                                {busy === 'crl' ? texts.creatingCRL : texts.createCRL}
+                            </button>
+                        </div>
+                        {crl && (
+                            <div>
+                                <div className="flex items-center justify-between">
+                                    <span className="text-sm text-gray-700">{texts.crlNumber}: {crl.number}</span>
+                                    <button
+                                        onClick={() => saveFile(crl.pem, 'crl.pem', PEM_TYPE)}
+                                        className="px-3 py-1 text-sm bg-green-600 text-white rounded-md hover:bg-green-700"
+                                    >
+                                        {texts.downloadCRL}
+                                    </button>
+                                </div>
+                                <pre className="mt-2 p-4 bg-gray-50 rounded-lg overflow-x-auto text-xs">{crl.pem}</pre>
+                            </div>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,159 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { webcrypto, X509Certificate } from 'crypto';
+import CertificateAuthority from './CertificateAuthority';
+import { parseCertificate } from '../utils/x509';
+
+jest.unmock('node-forge');
+
+const forge = require('node-forge');
+
+// OpenSSLで作成したEd25519鍵のCSR（openssl req -new -newkey ed25519 -subj /CN=ed）
+const csr = `-----BEGIN CERTIFICATE REQUEST-----
+MIGMMEACAQAwDTELMAkGA1UEAwwCZWQwKjAFBgMrZXADIQCTOOlNZ8vuqVdeK2Ty
+XDi30Ja9+NJ5Wp3aYuFcv8mD1KAAMAUGAytlcANBAPQ/t6nXbbfOdpKxvf5LgHo4
+YVejFVLB3UorVLcFX5bF6+SIThBIBMpdy0WA1AzHhNS38ZP7iq1Pj5QCUaEYcAc=
+-----END CERTIFICATE REQUEST-----`;
+
+describe('CertificateAuthorityコンポーネントテスト', () => {
+    // CA鍵の生成にはWeb Crypto APIの実装が必要
+    const cryptoMock = global.crypto;
+    let clickSpy;
+    beforeAll(() => {
+        global.crypto = webcrypto;
+    });
+    afterAll(() => {
+        global.crypto = cryptoMock;
+    });
+    beforeEach(() => {
+        clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        URL.createObjectURL.mockImplementation(() => 'mock-url');
+    });
+    afterEach(() => {
+        clickSpy.mockRestore();
+    });
+
+    // 保存したファイルの内容を取得
+    const savedContent = (index) => URL.createObjectURL.mock.calls[index][0].content.join('');
+
+    const createCA = async (options = {}) => {
+        fireEvent.change(screen.getByLabelText('コモンネーム（CN）'), { target: { value: 'Example Root CA' } });
+        if (options.intermediate) {
+            fireEvent.click(screen.getByLabelText('中間CAを作成し、証明書の発行に使用する'));
+            fireEvent.change(screen.getByLabelText('中間CAのコモンネーム（CN）'), { target: { value: 'Example Issuing CA' } });
+        }
+        if (options.permitted) {
+            fireEvent.change(screen.getByLabelText('許可するDNS名'), { target: { value: options.permitted } });
+        }
+        fireEvent.click(screen.getByText('CAを作成'));
+        await screen.findByText('ルートCA');
+    };
+
+    test('コモンネームを入力するまでCAを作成できない', () => {
+        render(<CertificateAuthority language="ja" />);
+
+        expect(screen.getByText('CAを作成')).toBeDisabled();
+        fireEvent.change(screen.getByLabelText('コモンネーム（CN）'), { target: { value: 'Example Root CA' } });
+        expect(screen.getByText('CAを作成')).not.toBeDisabled();
+    });
+
+    test('中間CAで生成した鍵に証明書を発行し、チェーンをダウンロード', async () => {
+        render(<CertificateAuthority language="ja" />);
+        await createCA({ intermediate: true });
+        expect(screen.getByText('中間CA')).toBeInTheDocument();
+
+        fireEvent.click(screen.getByText('鍵を生成して署名'));
+        fireEvent.change(screen.getByLabelText('DNS名'), { target: { value: 'www.example.com' } });
+        fireEvent.click(screen.getByText('証明書を発行'));
+
+        expect(await screen.findByText('発行した証明書')).toBeInTheDocument();
+        expect(screen.getByText('www.example.com')).toBeInTheDocument();
+        expect(screen.getByText('1001')).toBeInTheDocument();
+
+        fireEvent.click(screen.getByText('CAチェーン（ca-chain.pem）'));
+        fireEvent.click(screen.getByText('fullchain.pem'));
+        const [intermediate, root] = savedContent(0).match(/-----BEGIN CERTIFICATE-----[^-]+-----END CERTIFICATE-----/g)
+            .map(pem => new X509Certificate(pem));
+        const [leaf, chained] = savedContent(1).match(/-----BEGIN CERTIFICATE-----[^-]+-----END CERTIFICATE-----/g)
+            .map(pem => new X509Certificate(pem));
+
+        expect(intermediate.checkIssued(root)).toBe(true);
+        expect(chained.fingerprint256).toBe(intermediate.fingerprint256);
+        expect(leaf.checkIssued(intermediate)).toBe(true);
+        expect(leaf.verify(intermediate.publicKey)).toBe(true);
+        expect(leaf.serialNumber).toBe('1000');
+        expect(screen.getByText('秘密鍵', { selector: 'td button' })).toBeInTheDocument();
+    });
+
+    test('生成した鍵の証明書をCAの証明書とともにPKCS#12で出力', async () => {
+        render(<CertificateAuthority language="ja" />);
+        await createCA({ intermediate: true });
+
+        fireEvent.click(screen.getByText('鍵を生成して署名'));
+        fireEvent.change(screen.getByLabelText('DNS名'), { target: { value: 'www.example.com' } });
+        fireEvent.click(screen.getByText('証明書を発行'));
+        await screen.findByText('発行した証明書');
+
+        // パスワードを入力するまではエラー
+        fireEvent.click(screen.getByText('PKCS#12'));
+        expect(await screen.findByText('PKCS#12のパスワードを入力してください')).toBeInTheDocument();
+
+        fireEvent.change(screen.getByLabelText('PKCS#12のパスワード'), { target: { value: 'password' } });
+        fireEvent.change(screen.getByLabelText('PKCS#12の暗号化方式'), { target: { value: 'legacy' } });
+        fireEvent.click(screen.getByText('PKCS#12'));
+        await waitFor(() => expect(URL.createObjectURL).toHaveBeenCalled());
+
+        const [file] = URL.createObjectURL.mock.calls[0];
+        const pkcs12 = forge.pkcs12.pkcs12FromAsn1(forge.asn1.fromDer(forge.util.binary.raw.encode(file.content[0])), 'password');
+        const bags = pkcs12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag];
+        expect(bags).toHaveLength(3);
+        expect(bags[0].attributes.friendlyName).toEqual(['www.example.com']);
+        expect(clickSpy.mock.instances[0].download).toBe('1000.p12');
+    });
+
+    test('CSRに署名し、失効させてCRLを作成', async () => {
+        render(<CertificateAuthority language="ja" />);
+        await createCA();
+
+        fireEvent.change(screen.getByLabelText('CSR（PEM形式）'), { target: { value: csr } });
+        expect(screen.getByText('検証済み（秘密鍵と一致）')).toBeInTheDocument();
+        fireEvent.click(screen.getByText('証明書を発行'));
+
+        expect(await screen.findByText('ed')).toBeInTheDocument();
+        expect(screen.queryByText('秘密鍵', { selector: 'td button' })).not.toBeInTheDocument();
+
+        fireEvent.change(screen.getByLabelText('失効理由'), { target: { value: 'keyCompromise' } });
+        fireEvent.click(screen.getByText('失効'));
+        expect(screen.getByText('失効（鍵の危殆化）')).toBeInTheDocument();
+
+        fireEvent.click(screen.getByText('CRLを作成'));
+        expect(await screen.findByText('CRL番号: 1')).toBeInTheDocument();
+        const crl = screen.getByText(/-----BEGIN X509 CRL-----/).textContent;
+        // シリアル番号1000の失効エントリと理由コード（keyCompromise）
+        const hex = Buffer.from(crl.replace(/-----[^-]+-----|\s/g, ''), 'base64').toString('hex');
+        expect(hex).toContain('0202100017');
+        expect(hex).toContain('0603551d1504030a0101');
+
+        fireEvent.click(screen.getByText('証明書', { selector: 'td button' }));
+        const certificate = parseCertificate(savedContent(0));
+        expect(certificate).toMatchObject({ subject: { commonName: 'ed' }, issuer: { commonName: 'Example Root CA' }, profile: 'tls-server' });
+    });
+
+    test('名前制約に違反する証明書はエラー表示', async () => {
+        render(<CertificateAuthority language="ja" />);
+        await createCA({ permitted: 'example.com' });
+
+        fireEvent.click(screen.getByText('鍵を生成して署名'));
+        fireEvent.change(screen.getByLabelText('DNS名'), { target: { value: 'www.example.org' } });
+        fireEvent.click(screen.getByText('証明書を発行'));
+
+        expect(await screen.findByText('DNS名がCAの名前制約に違反しています: www.example.org')).toBeInTheDocument();
+    });
+
+    test('英語表示の確認', () => {
+        render(<CertificateAuthority language="en" />);
+
+        expect(screen.getByText('Local Certificate Authority')).toBeInTheDocument();
+        expect(screen.getByLabelText('Path Length Constraint')).toBeInTheDocument();
+        expect(screen.getByText('Create CA')).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,243 @@
+/**
+ * 既存の鍵の形式変換コンポーネント
+ */
+import { useState } from 'react';
+import KeyInput from './KeyInput';
+import Result from './Result';
+import PemEncryptionOptions from './PemEncryptionOptions';
+import SSHOptions from './SSHOptions';
+import JWKOptions from './JWKOptions';
+import PGPOptions from './PGPOptions';
+import { importKey } from '../utils/keyImport';
+import { convertImportedKey } from '../utils/crypto';
+import { formatError } from '../utils/errorHandler';
+import { DEFAULT_PEM_ENCRYPTION } from '../utils/pbes2';
+import { DEFAULT_BCRYPT_ROUNDS } from '../utils/ssh';
+import { DEFAULT_PGP_OPTIONS } from '../utils/pgp';
+
+// SSHオプションの初期値
+const initialSSHOptions = {
+    comment: '',
+    rounds: DEFAULT_BCRYPT_ROUNDS
+};
+
+// JWKオプションの初期値
+const initialJWKOptions = {
+    kid: ''
+};
+
+// 変換先の形式
+const outputFormats = [
+    { value: 'pem', label: 'PEM' },
+    { value: 'jwk', label: 'JWK' },
+    { value: 'ssh', label: 'OpenSSH' },
+    { value: 'pgp', label: 'OpenPGP' }
+];
+
+/**
+ * Convertコンポーネント
+ * @param {Object} props - プロパティ
+ * @param {string} props.language - 表示言語
+ */
+export default function Convert({ language }) {
+    const [text, setText] = useState('');
+    const [sourcePassphrase, setSourcePassphrase] = useState('');
+    const [outputFormat, setOutputFormat] = useState('');
+    const [passphrase, setPassphrase] = useState('');
+    const [pemEncryption, setPemEncryption] = useState(DEFAULT_PEM_ENCRYPTION);
+    const [sshOptions, setSSHOptions] = useState(initialSSHOptions);
+    const [jwkOptions, setJWKOptions] = useState(initialJWKOptions);
+    const [pgpOptions, setPGPOptions] = useState(DEFAULT_PGP_OPTIONS);
+    const [result, setResult] = useState(null);
+    const [params, setParams] = useState(null);
+    const [error, setError] = useState('');
+    const [isConverting, setIsConverting] = useState(false);
+
+    // 言語に応じたテキストを取得
+    const texts = {
+        ja: {
+            title: '鍵の形式変換',
+            subtitle: '既存の鍵を読み込み、別の形式で出力します',
+            sourcePassphrase: '読み込む鍵のパスフレーズ',
+            sourcePassphraseHint: '暗号化された秘密鍵の場合のみ入力してください',
+            outputFormat: '変換先の形式',
+            passphrase: '出力する秘密鍵のパスフレーズ',
+            optional: '（オプション）',
+            convert: '変換する',
+            converting: '変換中...'
+        },
+        en: {
+            title: 'Convert Key',
+            subtitle: 'Import an existing key and export it in another format',
+            sourcePassphrase: 'Passphrase of the Imported Key',
+            sourcePassphraseHint: 'Only required for encrypted private keys',
+            outputFormat: 'Target Format',
+            passphrase: 'Passphrase for the Exported Private Key',
+            optional: '(Optional)',
+            convert: 'Convert',
+            converting: 'Converting...'
+        }
+    }[language];
+
+    const canConvert = text.trim() && outputFormat && !isConverting;
+
+    // 鍵の読み込み（必要に応じて復号）と変換
+    const handleConvert = async () => {
+        setIsConverting(true);
+        setError('');
+        try {
+            const imported = await importKey(text, sourcePassphrase);
+            const keys = await convertImportedKey(imported, outputFormat, passphrase, { pemEncryption, sshOptions, jwkOptions, pgpOptions });
+            setParams({
+                keyType: imported.keyType,
+                keySize: imported.keySize,
+                outputFormat,
+                passphrase
+            });
+            setResult(keys);
+        } catch (err) {
+            setError(formatError(err));
+        } finally {
+            setIsConverting(false);
+        }
+    };
+
+    // 入力をすべてクリアして最初に戻る
+    const handleReset = () => {
+        setText('');
+        setSourcePassphrase('');
+        setOutputFormat('');
+        setPassphrase('');
+        setPemEncryption(DEFAULT_PEM_ENCRYPTION);
+        setSSHOptions(initialSSHOptions);
+        setJWKOptions(initialJWKOptions);
+        setPGPOptions(DEFAULT_PGP_OPTIONS);
+        setResult(null);
+        setParams(null);
+        setError('');
+    };
+
+    if (result) {
+        return (
+            <Result
+                result={result}
+                params={params}
+                onReset={handleReset}
+                language={language}
+            />
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            <div className="text-center">
+                <h2 className="text-2xl font-bold">{texts.title}</h2>
+                <p className="text-gray-600 mt-2">{texts.subtitle}</p>
+            </div>
+
+            {error && (
+                <div className="p-4 bg-red-50 text-red-700 rounded-lg">
+                    {error}
+                </div>
+            )}
+
+            <KeyInput
+                value={text}
+                onChange={setText}
+                onError={setError}
+                language={language}
+            />
+
+            <label className="block">
+                <span className="text-sm font-medium text-gray-700">
+                    {texts.sourcePassphrase} {texts.optional}
+                </span>
+                <input
+                    type="password"
+                    value={sourcePassphrase}
+                    onChange={(e) => setSourcePassphrase(e.target.value)}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                />
+                <span className="text-xs text-gray-500">{texts.sourcePassphraseHint}</span>
+            </label>
+
+            <div>
+                <div className="text-sm font-medium text-gray-700 mb-2">{texts.outputFormat}</div>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                    {outputFormats.map(format => (
+                        <button
+                            key={format.value}
+                            onClick={() => setOutputFormat(format.value)}
+                            className={`p-3 border rounded-lg font-bold hover:bg-blue-50 transition-colors ${
+                                outputFormat === format.value ? 'border-blue-500 bg-blue-50' : 'border-gray-200'
+                            }`}
+                        >
+                            {format.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <label className="block">
+                <span className="text-sm font-medium text-gray-700">
+                    {texts.passphrase} {texts.optional}
+                </span>
+                <input
+                    type="password"
+                    value={passphrase}
+                    onChange={(e) => setPassphrase(e.target.value)}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                />
+            </label>
+
+            {outputFormat === 'pem' && passphrase && (
+                <PemEncryptionOptions
+                    options={pemEncryption}
+                    onChange={setPemEncryption}
+                    language={language}
+                />
+            )}
+
+            {outputFormat === 'ssh' && (
+                <SSHOptions
+                    options={sshOptions}
+                    onChange={setSSHOptions}
+                    hasPassphrase={!!passphrase}
+                    isImported
+                    language={language}
+                />
+            )}
+
+            {outputFormat === 'jwk' && (
+                <JWKOptions
+                    options={jwkOptions}
+                    onChange={setJWKOptions}
+                    language={language}
+                />
+            )}
+
+            {/* 読み込んだ鍵を主鍵として、ユーザーIDと副鍵を設定する */}
+            {outputFormat === 'pgp' && (
+                <PGPOptions
+                    options={pgpOptions}
+                    onChange={setPGPOptions}
+                    language={language}
+                />
+            )}
+
+            <div className="flex justify-end">
+                <button
+                    onClick={handleConvert}
+                    disabled={!canConvert}
+                    className={`px-6 py-2 rounded-lg ${
+                        canConvert
+                            ? 'bg-blue-600 text-white hover:bg-blue-700'
+                            : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                    }`}
+                >
+                    {isConverting ? texts.converting : texts.convert}
+                </button>
+            </div>
+        </div>
+    );
+}
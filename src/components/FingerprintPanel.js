@@ -0,0 +1,101 @@
+/**
+ * フィンガープリントの表示コンポーネント（生成結果と鍵の解析で共通）
+ * 電話や対面で相手と鍵を照合できるよう、各形式のフィンガープリントとランダムアート、PGP word listを表示する
+ */
+import { formatFingerprint } from '../utils/pgp';
+
+// 4文字ごとに区切って表示するOpenPGPのフィンガープリント（gpg --fingerprintと同じ形式）
+const groupedTypes = ['openpgp', 'openpgpV4', 'openpgpV5', 'openpgpV6'];
+
+/**
+ * FingerprintPanelコンポーネント
+ * @param {Object} props - プロパティ
+ * @param {Array<Object>} props.fingerprints - フィンガープリント（type, value）の一覧
+ * @param {string|null} props.randomart - OpenSSHのランダムアート（SSH非対応の鍵の場合はnull）
+ * @param {Object|null} props.pgpWords - PGP word list（source, words）
+ * @param {string} props.language - 表示言語
+ */
+export default function FingerprintPanel({ fingerprints, randomart, pgpWords, language }) {
+    // 言語に応じたテキストを取得
+    const texts = {
+        ja: {
+            title: 'フィンガープリント',
+            types: {
+                openpgp: 'OpenPGP',
+                openpgpV4: 'OpenPGP v4',
+                openpgpV4KeyId: 'OpenPGP v4 鍵ID',
+                openpgpV5: 'OpenPGP v5',
+                openpgpV5KeyId: 'OpenPGP v5 鍵ID',
+                openpgpV6: 'OpenPGP v6',
+                openpgpV6KeyId: 'OpenPGP v6 鍵ID',
+                jwkThumbprint: 'JWK Thumbprint（RFC 7638）',
+                spkiSha256: 'SPKI SHA-256（ピン）',
+                sshSha256: 'OpenSSH SHA256',
+                sshMd5: 'OpenSSH MD5'
+            },
+            randomart: 'ランダムアート（ssh-keygen -lv）',
+            pgpWords: 'PGP word list',
+            pgpWordsHint: {
+                openpgpV4: 'OpenPGP v4のフィンガープリントを単語にしたものです。読み上げて相手と照合できます',
+                openpgpV6: 'OpenPGP v6のフィンガープリントを単語にしたものです。読み上げて相手と照合できます',
+                spkiSha256: 'SPKI SHA-256を単語にしたものです。読み上げて相手と照合できます'
+            }
+        },
+        en: {
+            title: 'Fingerprints',
+            types: {
+                openpgp: 'OpenPGP',
+                openpgpV4: 'OpenPGP v4',
+                openpgpV4KeyId: 'OpenPGP v4 Key ID',
+                openpgpV5: 'OpenPGP v5',
+                openpgpV5KeyId: 'OpenPGP v5 Key ID',
+                openpgpV6: 'OpenPGP v6',
+                openpgpV6KeyId: 'OpenPGP v6 Key ID',
+                jwkThumbprint: 'JWK Thumbprint (RFC 7638)',
+                spkiSha256: 'SPKI SHA-256 (pin)',
+                sshSha256: 'OpenSSH SHA256',
+                sshMd5: 'OpenSSH MD5'
+            },
+            randomart: 'Randomart (ssh-keygen -lv)',
+            pgpWords: 'PGP Word List',
+            pgpWordsHint: {
+                openpgpV4: 'The OpenPGP v4 fingerprint as words, to read aloud and compare',
+                openpgpV6: 'The OpenPGP v6 fingerprint as words, to read aloud and compare',
+                spkiSha256: 'The SPKI SHA-256 as words, to read aloud and compare'
+            }
+        }
+    }[language];
+
+    const formatValue = ({ type, value }) => (groupedTypes.includes(type) ? formatFingerprint(value) : value);
+
+    return (
+        <div>
+            <h3 className="font-bold text-lg mb-2">{texts.title}</h3>
+            <dl className="space-y-2 text-sm">
+                {fingerprints.map(fingerprint => (
+                    <div key={fingerprint.type}>
+                        <dt className="text-gray-500">{texts.types[fingerprint.type]}</dt>
+                        <dd className="font-mono text-xs break-all bg-gray-50 rounded p-2">{formatValue(fingerprint)}</dd>
+                    </div>
+                ))}
+                {pgpWords && (
+                    <div>
+                        <dt className="text-gray-500">{texts.pgpWords}</dt>
+                        <dd className="text-xs bg-gray-50 rounded p-2">
+                            <p className="font-mono break-words">{pgpWords.words.join(' ')}</p>
+                            <p className="mt-1 text-gray-500">{texts.pgpWordsHint[pgpWords.source]}</p>
+                        </dd>
+                    </div>
+                )}
+                {randomart && (
+                    <div>
+                        <dt className="text-gray-500">{texts.randomart}</dt>
+                        <dd>
+                            <pre className="inline-block font-mono text-xs leading-tight bg-gray-50 rounded p-2">{randomart}</pre>
+                        </dd>
+                    </div>
+                )}
+            </dl>
+        </div>
+    );
+}
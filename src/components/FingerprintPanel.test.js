@@ -0,0 +1,53 @@
+import { render, screen, getDefaultNormalizer } from '@testing-library/react';
+import FingerprintPanel from './FingerprintPanel';
+
+describe('FingerprintPanelコンポーネントテスト', () => {
+    const randomart = [
+        '+--[ED25519 256]--+',
+        '|            oo   |',
+        '+----[SHA256]-----+'
+    ].join('\n');
+
+    test('フィンガープリントとランダムアート、単語リストの表示', () => {
+        render(
+            <FingerprintPanel
+                fingerprints={[
+                    { type: 'openpgpV4', value: '3E20133059D3B10700ADA8E18BC52FEB484B0AE5' },
+                    { type: 'openpgpV4KeyId', value: '8BC52FEB484B0AE5' },
+                    { type: 'sshSha256', value: 'SHA256:bbXpuKG6zhzdmnxq256TlqzFBzRl2f6OOg722cYNbU8' }
+                ]}
+                randomart={randomart}
+                pgpWords={{ source: 'openpgpV4', words: ['button', 'Brazilian'] }}
+                language="ja"
+            />
+        );
+
+        expect(screen.getByText('フィンガープリント')).toBeInTheDocument();
+        // OpenPGPのフィンガープリントは4文字ごとに区切り、鍵IDは区切らない
+        expect(screen.getByText('3E20 1330 59D3 B107 00AD A8E1 8BC5 2FEB 484B 0AE5')).toBeInTheDocument();
+        expect(screen.getByText('8BC52FEB484B0AE5')).toBeInTheDocument();
+        expect(screen.getByText('SHA256:bbXpuKG6zhzdmnxq256TlqzFBzRl2f6OOg722cYNbU8')).toBeInTheDocument();
+        expect(screen.getByText('button Brazilian')).toBeInTheDocument();
+        expect(screen.getByText(/OpenPGP v4のフィンガープリントを単語にしたもの/)).toBeInTheDocument();
+        expect(screen.getByText('ランダムアート（ssh-keygen -lv）')).toBeInTheDocument();
+        // 空白と改行をそのまま表示する
+        expect(screen.getByText(randomart, {
+            normalizer: getDefaultNormalizer({ trim: false, collapseWhitespace: false })
+        })).toBeInTheDocument();
+    });
+
+    test('SSH非対応の鍵ではランダムアートを表示しない', () => {
+        render(
+            <FingerprintPanel
+                fingerprints={[{ type: 'spkiSha256', value: 'a8:88' }]}
+                randomart={null}
+                pgpWords={{ source: 'spkiSha256', words: ['aardvark'] }}
+                language="en"
+            />
+        );
+
+        expect(screen.getByText('SPKI SHA-256 (pin)')).toBeInTheDocument();
+        expect(screen.getByText('PGP Word List')).toBeInTheDocument();
+        expect(screen.queryByText('Randomart (ssh-keygen -lv)')).not.toBeInTheDocument();
+    });
+});
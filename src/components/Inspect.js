@@ -0,0 +1,203 @@
+/**
+ * 既存の鍵の読み込み・解析コンポーネント
+ */
+import { useState } from 'react';
+import KeyInput from './KeyInput';
+import FingerprintPanel from './FingerprintPanel';
+import MetadataPanel from './MetadataPanel';
+import { inspectKey } from '../utils/keyImport';
+import { formatError } from '../utils/errorHandler';
+
+// 暗号方式の表示名
+const algorithmNames = {
+    rsa: 'RSA',
+    ecdsa: 'ECDSA',
+    eddsa: 'EdDSA',
+    ecdh: 'ECDH'
+};
+
+/**
+ * Inspectコンポーネント
+ * @param {Object} props - プロパティ
+ * @param {string} props.language - 表示言語
+ */
+export default function Inspect({ language }) {
+    const [text, setText] = useState('');
+    const [info, setInfo] = useState(null);
+    const [error, setError] = useState('');
+    const [isInspecting, setIsInspecting] = useState(false);
+
+    // 言語に応じたテキストを取得
+    const texts = {
+        ja: {
+            title: '鍵の解析',
+            subtitle: '既存の鍵を貼り付けるか、ファイルをドロップしてください（PEM・JWK・OpenSSH・OpenPGP）',
+            inspect: '解析する',
+            inspecting: '解析中...',
+            clear: 'クリア',
+            summary: '鍵の情報',
+            format: '形式',
+            algorithm: '暗号方式',
+            size: '鍵サイズ・曲線',
+            kind: '種類',
+            privateKey: '秘密鍵',
+            publicKey: '公開鍵',
+            encrypted: '暗号化',
+            encryptedYes: 'あり',
+            encryptedNo: 'なし',
+            comment: 'コメント',
+            userIds: 'ユーザーID',
+            subkeys: '副鍵',
+            unknown: '不明',
+            encryptedNote: '暗号化された秘密鍵のため、鍵の内容は解析できません。'
+        },
+        en: {
+            title: 'Inspect Key',
+            subtitle: 'Paste an existing key or drop a file (PEM, JWK, OpenSSH, OpenPGP)',
+            inspect: 'Inspect',
+            inspecting: 'Inspecting...',
+            clear: 'Clear',
+            summary: 'Key Information',
+            format: 'Format',
+            algorithm: 'Algorithm',
+            size: 'Key Size / Curve',
+            kind: 'Kind',
+            privateKey: 'Private Key',
+            publicKey: 'Public Key',
+            encrypted: 'Encrypted',
+            encryptedYes: 'Yes',
+            encryptedNo: 'No',
+            comment: 'Comment',
+            userIds: 'User IDs',
+            subkeys: 'Subkeys',
+            unknown: 'Unknown',
+            encryptedNote: 'The private key is encrypted, so its contents cannot be analyzed.'
+        }
+    }[language];
+
+    // 鍵の解析
+    const handleInspect = async (value = text) => {
+        setIsInspecting(true);
+        setError('');
+        setInfo(null);
+        try {
+            setInfo(await inspectKey(value, language));
+        } catch (err) {
+            setError(formatError(err));
+        } finally {
+            setIsInspecting(false);
+        }
+    };
+
+    // 読み込んだファイルをそのまま解析
+    const handleLoad = (value) => {
+        setText(value);
+        handleInspect(value);
+    };
+
+    const handleClear = () => {
+        setText('');
+        setInfo(null);
+        setError('');
+    };
+
+    const formatKeyType = (keyType, keySize) => (
+        keyType ? `${algorithmNames[keyType]} ${keySize}` : texts.unknown
+    );
+
+    const renderSummary = () => {
+        const rows = [
+            [texts.format, `${info.format.toUpperCase()}（${info.container}）`],
+            [texts.algorithm, info.keyType ? algorithmNames[info.keyType] : texts.unknown],
+            [texts.size, info.keySize || texts.unknown],
+            [texts.kind, info.isPrivate ? texts.privateKey : texts.publicKey],
+            [texts.encrypted, info.isEncrypted
+                ? [texts.encryptedYes, info.encryption].filter(Boolean).join(' - ')
+                : texts.encryptedNo]
+        ];
+        if (info.comment) {
+            rows.push([texts.comment, info.comment]);
+        }
+        if (info.userIds && info.userIds.length > 0) {
+            rows.push([texts.userIds, info.userIds.join(', ')]);
+        }
+        if (info.subkeys && info.subkeys.length > 0) {
+            rows.push([texts.subkeys, info.subkeys.map(s => formatKeyType(s.keyType, s.keySize)).join(', ')]);
+        }
+
+        return (
+            <div>
+                <h3 className="font-bold text-lg mb-2">{texts.summary}</h3>
+                <dl className="grid grid-cols-3 gap-2 text-sm bg-gray-50 rounded-lg p-4">
+                    {rows.map(([label, value]) => (
+                        <div key={label} className="contents">
+                            <dt className="text-gray-500">{label}</dt>
+                            <dd className="col-span-2 text-gray-900">{value}</dd>
+                        </div>
+                    ))}
+                </dl>
+                {info.isEncrypted && !info.keyType && (
+                    <p className="mt-2 text-sm text-gray-600">{texts.encryptedNote}</p>
+                )}
+            </div>
+        );
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="text-center">
+                <h2 className="text-2xl font-bold">{texts.title}</h2>
+                <p className="text-gray-600 mt-2">{texts.subtitle}</p>
+            </div>
+
+            {error && (
+                <div className="p-4 bg-red-50 text-red-700 rounded-lg">
+                    {error}
+                </div>
+            )}
+
+            <KeyInput
+                value={text}
+                onChange={setText}
+                onLoad={handleLoad}
+                onError={setError}
+                language={language}
+            />
+
+            <div className="flex justify-end space-x-2">
+                <button
+                    onClick={handleClear}
+                    className="px-6 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+                >
+                    {texts.clear}
+                </button>
+                <button
+                    onClick={() => handleInspect()}
+                    disabled={!text.trim() || isInspecting}
+                    className={`px-6 py-2 rounded-lg ${
+                        text.trim() && !isInspecting
+                            ? 'bg-blue-600 text-white hover:bg-blue-700'
+                            : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                    }`}
+                >
+                    {isInspecting ? texts.inspecting : texts.inspect}
+                </button>
+            </div>
+
+            {info && (
+                <div className="space-y-6">
+                    {renderSummary()}
+                    {info.fingerprints.length > 0 && (
+                        <FingerprintPanel
+                            fingerprints={info.fingerprints}
+                            randomart={info.randomart}
+                            pgpWords={info.pgpWords}
+                            language={language}
+                        />
+                    )}
+                    {info.metadata && <MetadataPanel metadata={info.metadata} language={language} />}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,74 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import Inspect from './Inspect';
+
+jest.unmock('node-forge');
+jest.unmock('../utils/metadata');
+
+// OpenSSLで生成したP-256公開鍵
+const p256PublicKey = `-----BEGIN PUBLIC KEY-----
+MFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAEf+tEHlqkyz4UYhxqGU3dWo5XWbGV
+VVAZ2WY8poKcf5WkVe9RzEEzp5boPeD6ri9vVSA2IK9VgE+XkLNHKmXpnw==
+-----END PUBLIC KEY-----`;
+
+describe('Inspectコンポーネントテスト', () => {
+    const originalFileReader = global.FileReader;
+
+    beforeEach(() => {
+        // テキストとしての読み込みをモック
+        global.FileReader = class {
+            readAsText(file) {
+                setTimeout(() => this.onload({ target: { result: file.content } }), 0);
+            }
+        };
+    });
+
+    afterEach(() => {
+        global.FileReader = originalFileReader;
+    });
+
+    test('入力前は解析ボタンが無効', () => {
+        render(<Inspect language="ja" />);
+
+        expect(screen.getByText('鍵の解析')).toBeInTheDocument();
+        expect(screen.getByText('解析する')).toBeDisabled();
+    });
+
+    test('貼り付けた鍵の解析結果を表示', async () => {
+        render(<Inspect language="ja" />);
+
+        fireEvent.change(screen.getByLabelText('鍵'), { target: { value: p256PublicKey } });
+        fireEvent.click(screen.getByText('解析する'));
+
+        expect(await screen.findByText('鍵の情報')).toBeInTheDocument();
+        expect(screen.getByText('PEM（SPKI）')).toBeInTheDocument();
+        expect(screen.getByText('ECDSA')).toBeInTheDocument();
+        expect(screen.getByText('P-256')).toBeInTheDocument();
+        expect(screen.getByText('公開鍵')).toBeInTheDocument();
+        expect(screen.getByText('SHA256:6NDjG0Hmo+0vQ0Kedf35xhuN2HtkJg1FAdPPW7uHpoo')).toBeInTheDocument();
+        expect(screen.getByText(/^\+---\[ECDSA 256\]---\+/)).toBeInTheDocument();
+        expect(screen.getByText('PGP word list')).toBeInTheDocument();
+        expect(screen.getByText('128 ビット')).toBeInTheDocument();
+        expect(screen.getByText('TLS/SSLに最適です（～2030年）')).toBeInTheDocument();
+    });
+
+    test('ドロップしたファイルの解析', async () => {
+        render(<Inspect language="en" />);
+
+        fireEvent.drop(screen.getByTestId('drop-zone'), {
+            dataTransfer: { files: [{ name: 'key.pem', content: p256PublicKey }] }
+        });
+
+        expect(await screen.findByText('Key Information')).toBeInTheDocument();
+        expect(screen.getByLabelText('Key')).toHaveValue(p256PublicKey);
+        expect(screen.getByText('OpenSSH SHA256')).toBeInTheDocument();
+    });
+
+    test('判別できない入力でエラー表示', async () => {
+        render(<Inspect language="ja" />);
+
+        fireEvent.change(screen.getByLabelText('鍵'), { target: { value: 'not a key' } });
+        fireEvent.click(screen.getByText('解析する'));
+
+        expect(await screen.findByText('鍵の形式を判別できませんでした')).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,53 @@
+/**
+ * JWK形式のオプション設定コンポーネント（鍵ID）
+ */
+
+/**
+ * JWKOptionsコンポーネント
+ * @param {Object} props - プロパティ
+ * @param {Object} props.options - 現在のJWKオプション（kid）
+ * @param {function} props.onChange - 変更時のコールバック
+ * @param {string} props.language - 表示言語
+ */
+export default function JWKOptions({ options, onChange, language }) {
+    // 言語に応じたテキストを取得
+    const texts = {
+        ja: {
+            title: 'JWKオプション',
+            kid: '鍵ID（kid）',
+            kidHint: '空欄の場合はRFC 7638のJWKサムプリント（SHA-256）を使用します',
+            parametersHint: 'use・key_ops・algは鍵のアルゴリズムに合わせて設定し、公開鍵のみのjwks.jsonも出力します'
+        },
+        en: {
+            title: 'JWK Options',
+            kid: 'Key ID (kid)',
+            kidHint: 'Leave empty to use the RFC 7638 JWK thumbprint (SHA-256)',
+            parametersHint: 'use, key_ops and alg are set to match the key algorithm, and a public-only jwks.json is exported as well'
+        }
+    }[language];
+
+    const handleChange = (key, value) => {
+        onChange({ ...options, [key]: value });
+    };
+
+    return (
+        <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+            <h3 className="text-lg font-bold">{texts.title}</h3>
+
+            <div>
+                <label className="block">
+                    <span className="text-sm font-medium text-gray-700">{texts.kid}</span>
+                    <input
+                        type="text"
+                        value={options.kid}
+                        onChange={(e) => handleChange('kid', e.target.value)}
+                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm font-mono focus:ring-blue-500 focus:border-blue-500"
+                    />
+                </label>
+                <p className="mt-1 text-xs text-gray-500">{texts.kidHint}</p>
+            </div>
+
+            <p className="text-xs text-gray-500">{texts.parametersHint}</p>
+        </div>
+    );
+}
@@ -0,0 +1,30 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import JWKOptions from './JWKOptions';
+
+describe('JWKOptionsコンポーネントテスト', () => {
+    const mockOnChange = jest.fn();
+    const defaultOptions = {
+        kid: ''
+    };
+
+    beforeEach(() => {
+        mockOnChange.mockClear();
+    });
+
+    test('鍵IDの入力', () => {
+        render(<JWKOptions options={defaultOptions} onChange={mockOnChange} language="ja" />);
+
+        expect(screen.getByText('JWKオプション')).toBeInTheDocument();
+        expect(screen.getByText('空欄の場合はRFC 7638のJWKサムプリント（SHA-256）を使用します')).toBeInTheDocument();
+
+        fireEvent.change(screen.getByLabelText('鍵ID（kid）'), { target: { value: 'signing-2024' } });
+        expect(mockOnChange).toHaveBeenCalledWith({ kid: 'signing-2024' });
+    });
+
+    test('英語表示の確認', () => {
+        render(<JWKOptions options={{ kid: 'key-1' }} onChange={mockOnChange} language="en" />);
+
+        expect(screen.getByText('JWK Options')).toBeInTheDocument();
+        expect(screen.getByLabelText('Key ID (kid)')).toHaveValue('key-1');
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * 鍵の入力コンポーネント（貼り付け・ファイルのドロップ・ファイル選択）
+ */
+import { useState } from 'react';
+
+/**
+ * KeyInputコンポーネント
+ * @param {Object} props - プロパティ
+ * @param {string} props.value - 入力された鍵
+ * @param {function} props.onChange - 入力時のコールバック
+ * @param {function} props.onLoad - ファイル読み込み時のコールバック（省略時はonChange）
+ * @param {function} props.onError - ファイル読み込み失敗時のコールバック
+ * @param {string} props.label - 入力欄のラベル（省略時は「鍵」）
+ * @param {string} props.placeholder - 入力欄のプレースホルダー（省略時は公開鍵のPEM）
+ * @param {string} props.language - 表示言語
+ */
+export default function KeyInput({ value, onChange, onLoad = onChange, onError, label, placeholder, language }) {
+    const [isDragging, setIsDragging] = useState(false);
+
+    // 言語に応じたテキストを取得
+    const texts = {
+        ja: {
+            label: '鍵',
+            placeholder: '-----BEGIN PUBLIC KEY-----\n...',
+            dropZone: 'ここに鍵ファイルをドロップ',
+            selectFile: 'ファイルを選択',
+            readError: 'ファイルを読み込めませんでした'
+        },
+        en: {
+            label: 'Key',
+            placeholder: '-----BEGIN PUBLIC KEY-----\n...',
+            dropZone: 'Drop a key file here',
+            selectFile: 'Choose File',
+            readError: 'Could not read the file'
+        }
+    }[language];
+
+    // ファイルをテキストとして読み込む
+    const readFile = (file) => {
+        if (!file) {
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = (e) => onLoad(e.target.result);
+        reader.onerror = () => onError(texts.readError);
+        reader.readAsText(file);
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        readFile(e.dataTransfer.files[0]);
+    };
+
+    return (
+        <div
+            onDragOver={(e) => {
+                e.preventDefault();
+                setIsDragging(true);
+            }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleDrop}
+            data-testid="drop-zone"
+            className={`border-2 border-dashed rounded-lg p-4 space-y-3 ${
+                isDragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300'
+            }`}
+        >
+            <label className="block">
+                <span className="text-sm font-medium text-gray-700">{label || texts.label}</span>
+                <textarea
+                    value={value}
+                    onChange={(e) => onChange(e.target.value)}
+                    rows={8}
+                    placeholder={placeholder || texts.placeholder}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm font-mono text-xs focus:ring-blue-500 focus:border-blue-500"
+                />
+            </label>
+            <div className="flex items-center justify-between text-sm text-gray-500">
+                <span>{texts.dropZone}</span>
+                <label className="px-3 py-1 border border-gray-300 rounded-md cursor-pointer hover:bg-gray-50">
+                    {texts.selectFile}
+                    <input
+                        type="file"
+                        className="hidden"
+                        onChange={(e) => readFile(e.target.files[0])}
+                    />
+                </label>
+            </div>
+        </div>
+    );
+}
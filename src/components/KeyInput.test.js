@@ -0,0 +1,73 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import KeyInput from './KeyInput';
+
+describe('KeyInputコンポーネントテスト', () => {
+    const originalFileReader = global.FileReader;
+    const mockOnChange = jest.fn();
+    const mockOnLoad = jest.fn();
+    const mockOnError = jest.fn();
+
+    beforeEach(() => {
+        mockOnChange.mockClear();
+        mockOnLoad.mockClear();
+        mockOnError.mockClear();
+    });
+
+    afterEach(() => {
+        global.FileReader = originalFileReader;
+    });
+
+    test('貼り付けた鍵の入力', () => {
+        render(<KeyInput value="" onChange={mockOnChange} onError={mockOnError} language="ja" />);
+
+        fireEvent.change(screen.getByLabelText('鍵'), { target: { value: 'ssh-ed25519 AAAA' } });
+
+        expect(mockOnChange).toHaveBeenCalledWith('ssh-ed25519 AAAA');
+    });
+
+    test('ラベルの指定', () => {
+        render(<KeyInput value="" onChange={mockOnChange} onError={mockOnError} label="CA鍵" language="ja" />);
+
+        expect(screen.getByLabelText('CA鍵')).toBeInTheDocument();
+        expect(screen.queryByLabelText('鍵')).not.toBeInTheDocument();
+    });
+
+    test('プレースホルダーの指定', () => {
+        render(<KeyInput value="" onChange={mockOnChange} onError={mockOnError} placeholder="-----BEGIN KOKAI2 SECRET SHARE-----" language="ja" />);
+
+        expect(screen.getByLabelText('鍵')).toHaveAttribute('placeholder', '-----BEGIN KOKAI2 SECRET SHARE-----');
+    });
+
+    test('選択したファイルの読み込み', async () => {
+        global.FileReader = class {
+            readAsText(file) {
+                setTimeout(() => this.onload({ target: { result: file.content } }), 0);
+            }
+        };
+        render(<KeyInput value="" onChange={mockOnChange} onLoad={mockOnLoad} onError={mockOnError} language="en" />);
+
+        fireEvent.change(screen.getByLabelText('Choose File'), {
+            target: { files: [{ name: 'id_ed25519.pub', content: 'ssh-ed25519 AAAA' }] }
+        });
+
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(mockOnLoad).toHaveBeenCalledWith('ssh-ed25519 AAAA');
+        expect(mockOnChange).not.toHaveBeenCalled();
+    });
+
+    test('ファイル読み込み失敗時のエラー', async () => {
+        global.FileReader = class {
+            readAsText() {
+                setTimeout(() => this.onerror(), 0);
+            }
+        };
+        render(<KeyInput value="" onChange={mockOnChange} onError={mockOnError} language="ja" />);
+
+        fireEvent.drop(screen.getByTestId('drop-zone'), {
+            dataTransfer: { files: [{ name: 'key.pem' }] }
+        });
+
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(mockOnError).toHaveBeenCalledWith('ファイルを読み込めませんでした');
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * 鍵のメタデータの表示コンポーネント（生成前の確認、生成結果、鍵の解析で共通）
+ * createMetadataのセキュリティ・用途・互換性の情報を表示し、現在の推奨を下回る場合は警告する
+ */
+
+// 鍵の用途のフラグ（createMetadataのusage）
+const usageFlags = ['signing', 'encryption', 'keyExchange', 'authentication'];
+
+/**
+ * MetadataPanelコンポーネント
+ * @param {Object} props - プロパティ
+ * @param {Object} props.metadata - createMetadataで作成したメタデータ（security, usage, compatibility）
+ * @param {string} props.language - 表示言語
+ */
+export default function MetadataPanel({ metadata, language }) {
+    // 言語に応じたテキストを取得
+    const texts = {
+        ja: {
+            title: '鍵の評価',
+            belowRecommendation: '推奨水準未満',
+            belowRecommendationHint: 'NIST SP 800-57では2031年以降、128ビット以上のセキュリティ強度（RSAの場合は3072ビット以上）が求められます。長期間使用する鍵には、より強い鍵サイズを選択してください。',
+            bitStrength: 'セキュリティ強度',
+            bits: 'ビット',
+            recommendation: '推奨',
+            standards: '規格',
+            usage: '用途',
+            usageFlags: {
+                signing: '署名',
+                encryption: '暗号化',
+                keyExchange: '鍵共有',
+                authentication: '認証'
+            },
+            recommendedUses: '推奨用途',
+            browsers: '対応ブラウザ',
+            tools: '対応ツール',
+            libraries: '対応ライブラリ'
+        },
+        en: {
+            title: 'Key Assessment',
+            belowRecommendation: 'Below recommendations',
+            belowRecommendationHint: 'NIST SP 800-57 requires a security strength of at least 128 bits (3072 bits or more for RSA) from 2031. Choose a stronger key size for keys used over a long period.',
+            bitStrength: 'Security Strength',
+            bits: 'bits',
+            recommendation: 'Recommendation',
+            standards: 'Standards',
+            usage: 'Usage',
+            usageFlags: {
+                signing: 'Signing',
+                encryption: 'Encryption',
+                keyExchange: 'Key agreement',
+                authentication: 'Authentication'
+            },
+            recommendedUses: 'Recommended Uses',
+            browsers: 'Supported Browsers',
+            tools: 'Supported Tools',
+            libraries: 'Supported Libraries'
+        }
+    }[language];
+
+    const { security, usage, compatibility } = metadata;
+    const rows = [
+        [texts.bitStrength, `${security.bitStrength} ${texts.bits}`],
+        [texts.recommendation, security.recommendation],
+        [texts.standards, security.standards.join(', ')],
+        [texts.usage, usageFlags.filter(flag => usage[flag]).map(flag => texts.usageFlags[flag]).join(', ')],
+        [texts.recommendedUses, usage.recommended.join(', ')],
+        [texts.browsers, compatibility.browsers.join(', ')],
+        [texts.tools, compatibility.tools.join(', ')],
+        [texts.libraries, compatibility.libraries.join(', ')]
+    ];
+
+    return (
+        <div>
+            <div className="flex items-center gap-2 mb-2">
+                <h3 className="font-bold text-lg">{texts.title}</h3>
+                {!security.meetsRecommendation && (
+                    <span className="px-2 py-0.5 text-xs font-medium bg-yellow-100 text-yellow-800 rounded-full">
+                        {texts.belowRecommendation}
+                    </span>
+                )}
+            </div>
+            {!security.meetsRecommendation && (
+                <p className="mb-2 text-sm text-yellow-800">{texts.belowRecommendationHint}</p>
+            )}
+            <dl className="grid grid-cols-3 gap-2 text-sm bg-blue-50 rounded-lg p-4">
+                {rows.filter(([, value]) => value).map(([label, value]) => (
+                    <div key={label} className="contents">
+                        <dt className="text-gray-500">{label}</dt>
+                        <dd className="col-span-2 text-gray-900">{value}</dd>
+                    </div>
+                ))}
+            </dl>
+        </div>
+    );
+}
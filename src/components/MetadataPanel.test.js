@@ -0,0 +1,40 @@
+import { render, screen } from '@testing-library/react';
+import MetadataPanel from './MetadataPanel';
+import { createMetadata } from '../utils/metadata';
+
+jest.unmock('../utils/metadata');
+
+describe('MetadataPanelコンポーネントテスト', () => {
+    test('セキュリティ・用途・互換性の情報の表示', () => {
+        const metadata = createMetadata({ keyType: 'eddsa', keySize: 'Ed25519', outputFormat: 'ssh' });
+        render(<MetadataPanel metadata={metadata} language="ja" />);
+
+        expect(screen.getByText('鍵の評価')).toBeInTheDocument();
+        expect(screen.getByText('128 ビット')).toBeInTheDocument();
+        expect(screen.getByText('SSHやブロックチェーンに最適です')).toBeInTheDocument();
+        expect(screen.getByText('RFC 8032')).toBeInTheDocument();
+        expect(screen.getByText('署名, 認証')).toBeInTheDocument();
+        expect(screen.getByText('SSH認証, ブロックチェーン署名, SSHサーバー認証')).toBeInTheDocument();
+        expect(screen.getByText('OpenSSH, PuTTY')).toBeInTheDocument();
+        expect(screen.queryByText('推奨水準未満')).not.toBeInTheDocument();
+    });
+
+    test('推奨を下回る場合は警告を表示', () => {
+        const metadata = createMetadata({ keyType: 'rsa', keySize: '2048', outputFormat: 'pem' });
+        render(<MetadataPanel metadata={metadata} language="ja" />);
+
+        expect(screen.getByText('推奨水準未満')).toBeInTheDocument();
+        expect(screen.getByText(/RSAの場合は3072ビット以上/)).toBeInTheDocument();
+    });
+
+    test('英語表示の確認', () => {
+        const metadata = createMetadata({ keyType: 'rsa', keySize: '2048', outputFormat: 'pem' }, {}, 'en');
+        render(<MetadataPanel metadata={metadata} language="en" />);
+
+        expect(screen.getByText('Key Assessment')).toBeInTheDocument();
+        expect(screen.getByText('Below recommendations')).toBeInTheDocument();
+        expect(screen.getByText('Suitable for general use (until 2030)')).toBeInTheDocument();
+        expect(screen.getByText('Signing, Encryption, Key agreement, Authentication')).toBeInTheDocument();
+        expect(screen.getByText('TLS certificates, Email encryption, File encryption, OpenSSL operations')).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,251 @@
+/**
+ * OpenPGP形式のオプション設定コンポーネント（ユーザーID、暗号化用の副鍵、有効期限、失効証明書）
+ */
+import { PGP_SUBKEY_TYPES, PGP_REVOCATION_REASONS, formatUserId, getPGPSubkeyTypes } from '../utils/pgp';
+
+// 選択可能な有効期間の日数（0は無期限）
+const expirationOptions = [0, 365, 730, 1825];
+
+/**
+ * 空のユーザーID
+ */
+const emptyUserId = { name: '', email: '', comment: '' };
+
+/**
+ * PGPOptionsコンポーネント
+ * @param {Object} props - プロパティ
+ * @param {string} props.keySize - 主鍵の鍵サイズ/曲線（オプション。指定した場合は主鍵に追加できる副鍵のみ選択できる）
+ * @param {Object} props.options - 現在のOpenPGPオプション（userIds, keyExpirationDays, subkey, subkeyExpirationDays, revocationReason, revocationComment）
+ * @param {function} props.onChange - 変更時のコールバック
+ * @param {string} props.language - 表示言語
+ */
+export default function PGPOptions({ keySize, options, onChange, language }) {
+    // 言語に応じたテキストを取得
+    const texts = {
+        ja: {
+            userIds: 'ユーザーID',
+            userIdsHint: '名前かメールアドレスのどちらかが必要です。先頭が主ユーザーIDになります',
+            primaryUserId: '主ユーザーID',
+            fields: {
+                name: { label: '名前', placeholder: 'Taro Yamada' },
+                email: { label: 'メールアドレス', placeholder: 'taro@example.com' },
+                comment: { label: 'コメント（オプション）', placeholder: 'work' }
+            },
+            addUserId: 'ユーザーIDを追加',
+            removeUserId: '削除',
+            primaryKey: '主鍵（認証・署名）',
+            primaryKeyHint: '生成した鍵をそのまま主鍵とし、ユーザーIDに自己署名します',
+            subkey: '暗号化用副鍵',
+            subkeyHint: '主鍵とは別に新しく生成し、主鍵で署名して追加します',
+            subkeys: {
+                curve25519: 'Curve25519（ECDH、GnuPGの既定）',
+                nistP256: 'NIST P-256（ECDH）',
+                rsa3072: 'RSA 3072ビット（古い実装との互換性）',
+                x448: 'X448（ECDH、Ed448の主鍵用）',
+                none: '作成しない（主鍵のみ）'
+            },
+            subkeyV6Hint: 'Ed448の主鍵はv6の鍵（RFC 9580）になるため、副鍵はX448のみ選択できます',
+            expiration: '有効期限',
+            expirations: {
+                0: '無期限',
+                365: '1年',
+                730: '2年',
+                1825: '5年'
+            },
+            revocation: '失効証明書',
+            revocationHint: '鍵と同時に失効証明書を作成します。秘密鍵を紛失しても、公開した鍵を失効させることができます',
+            revocationReason: '失効理由',
+            revocationReasons: {
+                noReason: '理由を指定しない',
+                keyCompromised: '鍵が漏洩した',
+                keySuperseded: '鍵を新しい鍵に置き換えた',
+                keyRetired: '鍵を使用しなくなった'
+            },
+            revocationComment: { label: '説明（オプション）', placeholder: '秘密鍵を紛失したため' }
+        },
+        en: {
+            userIds: 'User IDs',
+            userIdsHint: 'Either a name or an email is required. The first one becomes the primary user ID',
+            primaryUserId: 'Primary user ID',
+            fields: {
+                name: { label: 'Name', placeholder: 'Taro Yamada' },
+                email: { label: 'Email', placeholder: 'taro@example.com' },
+                comment: { label: 'Comment (Optional)', placeholder: 'work' }
+            },
+            addUserId: 'Add User ID',
+            removeUserId: 'Remove',
+            primaryKey: 'Primary Key (Certify, Sign)',
+            primaryKeyHint: 'The generated key becomes the primary key and self-signs the user IDs',
+            subkey: 'Encryption Subkey',
+            subkeyHint: 'Generated separately and bound to the primary key with its signature',
+            subkeys: {
+                curve25519: 'Curve25519 (ECDH, GnuPG default)',
+                nistP256: 'NIST P-256 (ECDH)',
+                rsa3072: 'RSA 3072-bit (compatibility with older implementations)',
+                x448: 'X448 (ECDH, for Ed448 primary keys)',
+                none: 'None (primary key only)'
+            },
+            subkeyV6Hint: 'An Ed448 primary key becomes a v6 key (RFC 9580), so only an X448 subkey can be added',
+            expiration: 'Expiration',
+            expirations: {
+                0: 'Never',
+                365: '1 year',
+                730: '2 years',
+                1825: '5 years'
+            },
+            revocation: 'Revocation Certificate',
+            revocationHint: 'Created together with the key so that the published key can be revoked even if the private key is lost',
+            revocationReason: 'Reason',
+            revocationReasons: {
+                noReason: 'No reason specified',
+                keyCompromised: 'Key has been compromised',
+                keySuperseded: 'Key is superseded',
+                keyRetired: 'Key is no longer used'
+            },
+            revocationComment: { label: 'Description (Optional)', placeholder: 'Lost the private key' }
+        }
+    }[language];
+
+    const handleChange = (key, value) => {
+        onChange({ ...options, [key]: value });
+    };
+
+    const handleUserIdChange = (index, key, value) => {
+        handleChange('userIds', options.userIds.map((userId, i) => (i === index ? { ...userId, [key]: value } : userId)));
+    };
+
+    // 有効期限の選択欄
+    const renderExpiration = (key) => (
+        <label className="block">
+            <span className="text-sm font-medium text-gray-700">{texts.expiration}</span>
+            <select
+                value={options[key]}
+                onChange={(e) => handleChange(key, parseInt(e.target.value))}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+            >
+                {expirationOptions.map(days => (
+                    <option key={days} value={days}>{texts.expirations[days]}</option>
+                ))}
+            </select>
+        </label>
+    );
+
+    const primaryUserId = formatUserId(options.userIds[0] || emptyUserId);
+    // 主鍵が分からない場合（形式変換で鍵を読み込む前）はすべての副鍵を選択できる
+    const subkeyTypes = [...(keySize ? getPGPSubkeyTypes(keySize) : Object.keys(PGP_SUBKEY_TYPES)), 'none'];
+
+    return (
+        <div className="space-y-4">
+            <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+                <h3 className="text-lg font-bold">{texts.userIds}</h3>
+
+                {options.userIds.map((userId, index) => (
+                    <div key={index} className="space-y-2">
+                        <div className="flex justify-between items-center">
+                            <span className="text-sm text-gray-500">
+                                {index === 0 ? texts.primaryUserId : `#${index + 1}`}
+                            </span>
+                            {options.userIds.length > 1 && (
+                                <button
+                                    type="button"
+                                    onClick={() => handleChange('userIds', options.userIds.filter((_, i) => i !== index))}
+                                    className="text-sm text-red-600 hover:text-red-800"
+                                >
+                                    {texts.removeUserId}
+                                </button>
+                            )}
+                        </div>
+                        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                            {Object.keys(texts.fields).map(key => (
+                                <label key={key} className="block">
+                                    <span className="text-sm font-medium text-gray-700">{texts.fields[key].label}</span>
+                                    <input
+                                        type={key === 'email' ? 'email' : 'text'}
+                                        value={userId[key]}
+                                        onChange={(e) => handleUserIdChange(index, key, e.target.value)}
+                                        placeholder={texts.fields[key].placeholder}
+                                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                    />
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                ))}
+
+                <button
+                    type="button"
+                    onClick={() => handleChange('userIds', [...options.userIds, emptyUserId])}
+                    className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+                >
+                    {texts.addUserId}
+                </button>
+                <p className="text-xs text-gray-500">{texts.userIdsHint}</p>
+
+                {primaryUserId && (
+                    <dl className="grid grid-cols-2 gap-2 text-sm bg-gray-50 rounded-lg p-3">
+                        <dt className="text-gray-500">{texts.primaryUserId}</dt>
+                        <dd className="font-mono text-gray-900 break-all">{primaryUserId}</dd>
+                    </dl>
+                )}
+            </div>
+
+            <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+                <h3 className="text-lg font-bold">{texts.primaryKey}</h3>
+                <p className="text-xs text-gray-500">{texts.primaryKeyHint}</p>
+                {renderExpiration('keyExpirationDays')}
+            </div>
+
+            <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+                <h3 className="text-lg font-bold">{texts.subkey}</h3>
+                <select
+                    aria-label={texts.subkey}
+                    value={options.subkey}
+                    onChange={(e) => handleChange('subkey', e.target.value)}
+                    className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                >
+                    {subkeyTypes.map(subkey => (
+                        <option key={subkey} value={subkey}>{texts.subkeys[subkey]}</option>
+                    ))}
+                </select>
+                {keySize === 'Ed448' && (
+                    <p className="text-xs text-gray-500">{texts.subkeyV6Hint}</p>
+                )}
+                {options.subkey !== 'none' && (
+                    <>
+                        <p className="text-xs text-gray-500">{texts.subkeyHint}</p>
+                        {renderExpiration('subkeyExpirationDays')}
+                    </>
+                )}
+            </div>
+
+            <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+                <h3 className="text-lg font-bold">{texts.revocation}</h3>
+                <p className="text-xs text-gray-500">{texts.revocationHint}</p>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <label className="block">
+                        <span className="text-sm font-medium text-gray-700">{texts.revocationReason}</span>
+                        <select
+                            value={options.revocationReason}
+                            onChange={(e) => handleChange('revocationReason', e.target.value)}
+                            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                        >
+                            {PGP_REVOCATION_REASONS.map(reason => (
+                                <option key={reason} value={reason}>{texts.revocationReasons[reason]}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="block">
+                        <span className="text-sm font-medium text-gray-700">{texts.revocationComment.label}</span>
+                        <input
+                            type="text"
+                            value={options.revocationComment}
+                            onChange={(e) => handleChange('revocationComment', e.target.value)}
+                            placeholder={texts.revocationComment.placeholder}
+                            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                        />
+                    </label>
+                </div>
+            </div>
+        </div>
+    );
+}
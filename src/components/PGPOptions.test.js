@@ -0,0 +1,107 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import PGPOptions from './PGPOptions';
+import { DEFAULT_PGP_OPTIONS } from '../utils/pgp';
+
+describe('PGPOptionsコンポーネントテスト', () => {
+    const mockOnChange = jest.fn();
+    const userId = { name: 'Taro Yamada', email: 'taro@example.com', comment: 'work' };
+
+    beforeEach(() => {
+        mockOnChange.mockClear();
+    });
+
+    test('ユーザーIDの入力と追加', () => {
+        render(<PGPOptions options={DEFAULT_PGP_OPTIONS} onChange={mockOnChange} language="ja" />);
+
+        expect(screen.getByText('ユーザーID')).toBeInTheDocument();
+        expect(screen.queryByText('削除')).not.toBeInTheDocument();
+
+        fireEvent.change(screen.getByLabelText('名前'), { target: { value: 'Taro Yamada' } });
+        expect(mockOnChange).toHaveBeenCalledWith({
+            ...DEFAULT_PGP_OPTIONS,
+            userIds: [{ name: 'Taro Yamada', email: '', comment: '' }]
+        });
+
+        fireEvent.click(screen.getByText('ユーザーIDを追加'));
+        expect(mockOnChange).toHaveBeenLastCalledWith({
+            ...DEFAULT_PGP_OPTIONS,
+            userIds: [...DEFAULT_PGP_OPTIONS.userIds, { name: '', email: '', comment: '' }]
+        });
+    });
+
+    test('2つ目以降のユーザーIDの編集と削除', () => {
+        const options = { ...DEFAULT_PGP_OPTIONS, userIds: [userId, { name: '', email: '', comment: '' }] };
+        render(<PGPOptions options={options} onChange={mockOnChange} language="en" />);
+
+        // 先頭の主ユーザーIDの表記を表示する
+        expect(screen.getByText('Taro Yamada (work) <taro@example.com>')).toBeInTheDocument();
+        expect(screen.getByText('#2')).toBeInTheDocument();
+
+        fireEvent.change(screen.getAllByLabelText('Email')[1], { target: { value: 'taro@home.example' } });
+        expect(mockOnChange).toHaveBeenCalledWith({
+            ...options,
+            userIds: [userId, { name: '', email: 'taro@home.example', comment: '' }]
+        });
+
+        fireEvent.click(screen.getAllByText('Remove')[0]);
+        expect(mockOnChange).toHaveBeenLastCalledWith({ ...options, userIds: [{ name: '', email: '', comment: '' }] });
+    });
+
+    test('副鍵と有効期限の選択', () => {
+        render(<PGPOptions options={DEFAULT_PGP_OPTIONS} onChange={mockOnChange} language="ja" />);
+
+        // 主鍵と副鍵それぞれの有効期限
+        const expirations = screen.getAllByLabelText('有効期限');
+        expect(expirations).toHaveLength(2);
+
+        fireEvent.change(expirations[0], { target: { value: '730' } });
+        expect(mockOnChange).toHaveBeenCalledWith({ ...DEFAULT_PGP_OPTIONS, keyExpirationDays: 730 });
+
+        fireEvent.change(expirations[1], { target: { value: '365' } });
+        expect(mockOnChange).toHaveBeenLastCalledWith({ ...DEFAULT_PGP_OPTIONS, subkeyExpirationDays: 365 });
+
+        fireEvent.change(screen.getByLabelText('暗号化用副鍵'), { target: { value: 'rsa3072' } });
+        expect(mockOnChange).toHaveBeenLastCalledWith({ ...DEFAULT_PGP_OPTIONS, subkey: 'rsa3072' });
+    });
+
+    test('主鍵に追加できる副鍵のみ選択できる', () => {
+        const optionValues = () => Array.from(screen.getByLabelText('暗号化用副鍵').options).map(option => option.value);
+        const { rerender } = render(<PGPOptions keySize="Ed25519" options={DEFAULT_PGP_OPTIONS} onChange={mockOnChange} language="ja" />);
+        expect(optionValues()).toEqual(['curve25519', 'nistP256', 'rsa3072', 'none']);
+
+        // Ed448の主鍵はv6の鍵になるため、副鍵はX448のみ
+        rerender(<PGPOptions keySize="Ed448" options={{ ...DEFAULT_PGP_OPTIONS, subkey: 'x448' }} onChange={mockOnChange} language="ja" />);
+        expect(optionValues()).toEqual(['x448', 'none']);
+        expect(screen.getByText('Ed448の主鍵はv6の鍵（RFC 9580）になるため、副鍵はX448のみ選択できます')).toBeInTheDocument();
+
+        // 主鍵が分からない場合はすべての副鍵
+        rerender(<PGPOptions options={DEFAULT_PGP_OPTIONS} onChange={mockOnChange} language="ja" />);
+        expect(optionValues()).toEqual(['curve25519', 'nistP256', 'rsa3072', 'x448', 'none']);
+    });
+
+    test('副鍵を作成しない場合は副鍵の有効期限を表示しない', () => {
+        render(
+            <PGPOptions
+                options={{ ...DEFAULT_PGP_OPTIONS, subkey: 'none' }}
+                onChange={mockOnChange}
+                language="en"
+            />
+        );
+
+        expect(screen.getByLabelText('Encryption Subkey')).toHaveValue('none');
+        expect(screen.getAllByLabelText('Expiration')).toHaveLength(1);
+    });
+
+    test('失効証明書の失効理由と説明', () => {
+        render(<PGPOptions options={DEFAULT_PGP_OPTIONS} onChange={mockOnChange} language="ja" />);
+
+        expect(screen.getByText('失効証明書')).toBeInTheDocument();
+        expect(screen.getByLabelText('失効理由')).toHaveValue('noReason');
+
+        fireEvent.change(screen.getByLabelText('失効理由'), { target: { value: 'keyCompromised' } });
+        expect(mockOnChange).toHaveBeenCalledWith({ ...DEFAULT_PGP_OPTIONS, revocationReason: 'keyCompromised' });
+
+        fireEvent.change(screen.getByLabelText('説明（オプション）'), { target: { value: '秘密鍵の紛失' } });
+        expect(mockOnChange).toHaveBeenLastCalledWith({ ...DEFAULT_PGP_OPTIONS, revocationComment: '秘密鍵の紛失' });
+    });
+});
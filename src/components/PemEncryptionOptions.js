@@ -0,0 +1,128 @@
+/**
+ * PEM形式の秘密鍵暗号化オプション設定コンポーネント
+ */
+
+// 選択可能な鍵導出関数
+const kdfs = [
+    {
+        value: 'pbkdf2',
+        label: 'PBKDF2-HMAC-SHA256',
+        description: {
+            ja: '最も広く対応（OpenSSL 1.1.0以降の既定）',
+            en: 'Most widely supported (OpenSSL 1.1.0+ default)'
+        }
+    },
+    {
+        value: 'scrypt',
+        label: 'scrypt',
+        description: {
+            ja: 'メモリを大量に使い総当たり攻撃に強い（OpenSSL 1.1.0以降）',
+            en: 'Memory-hard, resists brute force (OpenSSL 1.1.0+)'
+        }
+    }
+];
+
+// 選択可能なscryptのコストパラメータ（N）
+const costs = [16384, 32768, 65536, 131072, 262144];
+
+/**
+ * PemEncryptionOptionsコンポーネント
+ * @param {Object} props - プロパティ
+ * @param {Object} props.options - 現在の暗号化オプション（kdf, iterations, cost）
+ * @param {function} props.onChange - 変更時のコールバック
+ * @param {string} props.language - 表示言語
+ */
+export default function PemEncryptionOptions({ options, onChange, language }) {
+    // 言語に応じたテキストを取得
+    const texts = {
+        ja: {
+            title: 'PEM形式の暗号化',
+            kdf: '鍵導出関数',
+            iterations: '反復回数',
+            iterationsHint: '多いほど総当たり攻撃に強くなりますが、暗号化・復号に時間がかかります（推奨: 600,000回以上）',
+            cost: 'コストパラメータ（N）',
+            memory: 'メモリ使用量',
+            cipher: '暗号方式',
+            container: '出力形式'
+        },
+        en: {
+            title: 'PEM Encryption',
+            kdf: 'Key Derivation Function',
+            iterations: 'Iterations',
+            iterationsHint: 'More iterations resist brute force better but slow down encryption and decryption (recommended: 600,000 or more)',
+            cost: 'Cost Parameter (N)',
+            memory: 'Memory',
+            cipher: 'Cipher',
+            container: 'Container'
+        }
+    }[language];
+
+    const handleChange = (key, value) => {
+        onChange({ ...options, [key]: value });
+    };
+
+    return (
+        <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+            <h3 className="text-lg font-bold">{texts.title}</h3>
+
+            <div>
+                <div className="text-sm font-medium text-gray-700 mb-2">{texts.kdf}</div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                    {kdfs.map(kdf => (
+                        <button
+                            key={kdf.value}
+                            type="button"
+                            onClick={() => handleChange('kdf', kdf.value)}
+                            className={`p-3 border rounded-lg text-left hover:bg-blue-50 transition-colors ${
+                                options.kdf === kdf.value ? 'border-blue-500 bg-blue-50' : 'border-gray-200'
+                            }`}
+                        >
+                            <div className="font-bold">{kdf.label}</div>
+                            <div className="text-xs text-gray-600 mt-1">{kdf.description[language]}</div>
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {options.kdf === 'pbkdf2' ? (
+                <div>
+                    <label className="block">
+                        <span className="text-sm font-medium text-gray-700">{texts.iterations}</span>
+                        <input
+                            type="number"
+                            min={1000}
+                            step={1000}
+                            value={options.iterations}
+                            onChange={(e) => handleChange('iterations', Number(e.target.value))}
+                            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                        />
+                    </label>
+                    <p className="mt-1 text-xs text-gray-500">{texts.iterationsHint}</p>
+                </div>
+            ) : (
+                <label className="block">
+                    <span className="text-sm font-medium text-gray-700">{texts.cost}</span>
+                    <select
+                        value={options.cost}
+                        onChange={(e) => handleChange('cost', parseInt(e.target.value))}
+                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                    >
+                        {costs.map(cost => (
+                            // r=8のためメモリ使用量は128 × 8 × Nバイト
+                            <option key={cost} value={cost}>
+                                2^{Math.log2(cost)} ({cost}) - {texts.memory} {cost / 1024} MB
+                            </option>
+                        ))}
+                    </select>
+                </label>
+            )}
+
+            <dl className="grid grid-cols-2 gap-2 text-sm bg-gray-50 rounded-lg p-3">
+                <dt className="text-gray-500">{texts.cipher}</dt>
+                <dd className="text-gray-900">AES-256-CBC</dd>
+                <dt className="text-gray-500">{texts.container}</dt>
+                <dd className="font-mono text-gray-900">ENCRYPTED PRIVATE KEY (PKCS#8 PBES2)</dd>
+            </dl>
+        </div>
+    );
+}
@@ -0,0 +1,53 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import PemEncryptionOptions from './PemEncryptionOptions';
+
+describe('PemEncryptionOptionsコンポーネントテスト', () => {
+    const mockOnChange = jest.fn();
+    const defaultOptions = {
+        kdf: 'pbkdf2',
+        iterations: 600000,
+        cost: 16384
+    };
+
+    beforeEach(() => {
+        mockOnChange.mockClear();
+    });
+
+    test('オプションの表示', () => {
+        render(<PemEncryptionOptions options={defaultOptions} onChange={mockOnChange} language="ja" />);
+
+        expect(screen.getByText('PEM形式の暗号化')).toBeInTheDocument();
+        expect(screen.getByText('PBKDF2-HMAC-SHA256')).toBeInTheDocument();
+        expect(screen.getByText('scrypt')).toBeInTheDocument();
+        expect(screen.getByLabelText('反復回数')).toHaveValue(600000);
+        expect(screen.getByText('AES-256-CBC')).toBeInTheDocument();
+    });
+
+    test('鍵導出関数の選択', () => {
+        render(<PemEncryptionOptions options={defaultOptions} onChange={mockOnChange} language="ja" />);
+
+        fireEvent.click(screen.getByText('scrypt'));
+        expect(mockOnChange).toHaveBeenCalledWith({ ...defaultOptions, kdf: 'scrypt' });
+    });
+
+    test('反復回数の入力', () => {
+        render(<PemEncryptionOptions options={defaultOptions} onChange={mockOnChange} language="en" />);
+
+        fireEvent.change(screen.getByLabelText('Iterations'), { target: { value: '310000' } });
+        expect(mockOnChange).toHaveBeenCalledWith({ ...defaultOptions, iterations: 310000 });
+    });
+
+    test('scryptのコストパラメータの選択', () => {
+        render(
+            <PemEncryptionOptions
+                options={{ ...defaultOptions, kdf: 'scrypt' }}
+                onChange={mockOnChange}
+                language="ja"
+            />
+        );
+
+        expect(screen.queryByLabelText('反復回数')).not.toBeInTheDocument();
+        fireEvent.change(screen.getByLabelText('コストパラメータ（N）'), { target: { value: '65536' } });
+        expect(mockOnChange).toHaveBeenCalledWith({ ...defaultOptions, kdf: 'scrypt', cost: 65536 });
+    });
+});
@@ -0,0 +1,167 @@
+/**
+ * RSAオプション設定コンポーネント
+ */
+
+// 選択可能なアルゴリズム
+const algorithms = [
+    {
+        value: 'RSASSA-PKCS1-v1_5',
+        label: 'RSASSA-PKCS1-v1_5',
+        jwkPrefix: 'RS',
+        description: {
+            ja: '署名用（JWTのRS256、TLS証明書など）',
+            en: 'Signing (JWT RS256, TLS certificates)'
+        }
+    },
+    {
+        value: 'RSA-PSS',
+        label: 'RSA-PSS',
+        jwkPrefix: 'PS',
+        description: {
+            ja: '署名用（確率的署名方式、JWTのPS256など）',
+            en: 'Signing (probabilistic scheme, JWT PS256)'
+        }
+    },
+    {
+        value: 'RSA-OAEP',
+        label: 'RSA-OAEP',
+        jwkPrefix: 'RSA-OAEP-',
+        description: {
+            ja: '暗号化用（鍵のラップ、JWEなど）',
+            en: 'Encryption (key wrapping, JWE)'
+        }
+    }
+];
+
+// 選択可能なハッシュ関数
+const hashes = ['SHA-256', 'SHA-384', 'SHA-512'];
+
+// 選択可能な公開指数
+const exponents = [
+    {
+        value: 65537,
+        label: '65537 (0x10001)',
+        description: {
+            ja: '推奨',
+            en: 'Recommended'
+        }
+    },
+    {
+        value: 3,
+        label: '3',
+        description: {
+            ja: '旧システムとの互換性が必要な場合のみ',
+            en: 'Only for legacy compatibility'
+        }
+    }
+];
+
+/**
+ * RSAオプションに対応するJWKのalgを取得
+ * @param {Object} options - RSAオプション
+ * @returns {string} JWKのalg（'RS256'など）
+ */
+function getJwkAlgorithm(options) {
+    const algorithm = algorithms.find(a => a.value === options.algorithm);
+    return algorithm ? `${algorithm.jwkPrefix}${options.hash.replace('SHA-', '')}` : '';
+}
+
+/**
+ * RSAOptionsコンポーネント
+ * @param {Object} props - プロパティ
+ * @param {Object} props.options - 現在のRSAオプション（algorithm, hash, publicExponent）
+ * @param {function} props.onChange - 変更時のコールバック
+ * @param {string} props.language - 表示言語
+ */
+export default function RSAOptions({ options, onChange, language }) {
+    // 言語に応じたテキストを取得
+    const texts = {
+        ja: {
+            title: 'RSAオプション',
+            algorithm: 'アルゴリズム',
+            hash: 'ハッシュ関数',
+            exponent: '公開指数',
+            jwkAlgorithm: 'JWKのalg',
+            usages: '鍵の用途',
+            signing: '署名・検証（sign/verify）',
+            encryption: '暗号化・復号（encrypt/decrypt）'
+        },
+        en: {
+            title: 'RSA Options',
+            algorithm: 'Algorithm',
+            hash: 'Hash Function',
+            exponent: 'Public Exponent',
+            jwkAlgorithm: 'JWK alg',
+            usages: 'Key Usages',
+            signing: 'Sign/Verify',
+            encryption: 'Encrypt/Decrypt'
+        }
+    }[language];
+
+    const handleChange = (key, value) => {
+        onChange({ ...options, [key]: value });
+    };
+
+    return (
+        <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+            <h3 className="text-lg font-bold">{texts.title}</h3>
+
+            <div>
+                <div className="text-sm font-medium text-gray-700 mb-2">{texts.algorithm}</div>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                    {algorithms.map(algorithm => (
+                        <button
+                            key={algorithm.value}
+                            onClick={() => handleChange('algorithm', algorithm.value)}
+                            className={`p-3 border rounded-lg text-left hover:bg-blue-50 transition-colors ${
+                                options.algorithm === algorithm.value ? 'border-blue-500 bg-blue-50' : 'border-gray-200'
+                            }`}
+                        >
+                            <div className="font-bold">{algorithm.label}</div>
+                            <div className="text-xs text-gray-600 mt-1">{algorithm.description[language]}</div>
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <label className="block">
+                    <span className="text-sm font-medium text-gray-700">{texts.hash}</span>
+                    <select
+                        value={options.hash}
+                        onChange={(e) => handleChange('hash', e.target.value)}
+                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                    >
+                        {hashes.map(hash => (
+                            <option key={hash} value={hash}>{hash}</option>
+                        ))}
+                    </select>
+                </label>
+
+                <label className="block">
+                    <span className="text-sm font-medium text-gray-700">{texts.exponent}</span>
+                    <select
+                        value={options.publicExponent}
+                        onChange={(e) => handleChange('publicExponent', parseInt(e.target.value))}
+                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                    >
+                        {exponents.map(exponent => (
+                            <option key={exponent.value} value={exponent.value}>
+                                {exponent.label} - {exponent.description[language]}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
+            <dl className="grid grid-cols-2 gap-2 text-sm bg-gray-50 rounded-lg p-3">
+                <dt className="text-gray-500">{texts.usages}</dt>
+                <dd className="text-gray-900">
+                    {options.algorithm === 'RSA-OAEP' ? texts.encryption : texts.signing}
+                </dd>
+                <dt className="text-gray-500">{texts.jwkAlgorithm}</dt>
+                <dd className="font-mono text-gray-900">{getJwkAlgorithm(options)}</dd>
+            </dl>
+        </div>
+    );
+}
@@ -0,0 +1,56 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import RSAOptions from './RSAOptions';
+
+describe('RSAOptionsコンポーネントテスト', () => {
+    const mockOnChange = jest.fn();
+    const defaultOptions = {
+        algorithm: 'RSASSA-PKCS1-v1_5',
+        hash: 'SHA-256',
+        publicExponent: 65537
+    };
+
+    beforeEach(() => {
+        mockOnChange.mockClear();
+    });
+
+    test('オプションの表示', () => {
+        render(<RSAOptions options={defaultOptions} onChange={mockOnChange} language="ja" />);
+
+        expect(screen.getByText('RSAオプション')).toBeInTheDocument();
+        expect(screen.getByText('RSASSA-PKCS1-v1_5')).toBeInTheDocument();
+        expect(screen.getByText('RSA-PSS')).toBeInTheDocument();
+        expect(screen.getByText('RSA-OAEP')).toBeInTheDocument();
+        expect(screen.getByText('RS256')).toBeInTheDocument();
+        expect(screen.getByText('署名・検証（sign/verify）')).toBeInTheDocument();
+    });
+
+    test('アルゴリズムの選択', () => {
+        render(<RSAOptions options={defaultOptions} onChange={mockOnChange} language="ja" />);
+
+        fireEvent.click(screen.getByText('RSA-PSS'));
+        expect(mockOnChange).toHaveBeenCalledWith({ ...defaultOptions, algorithm: 'RSA-PSS' });
+    });
+
+    test('ハッシュ関数と公開指数の選択', () => {
+        render(<RSAOptions options={defaultOptions} onChange={mockOnChange} language="ja" />);
+
+        fireEvent.change(screen.getByLabelText('ハッシュ関数'), { target: { value: 'SHA-512' } });
+        expect(mockOnChange).toHaveBeenCalledWith({ ...defaultOptions, hash: 'SHA-512' });
+
+        fireEvent.change(screen.getByLabelText('公開指数'), { target: { value: '3' } });
+        expect(mockOnChange).toHaveBeenCalledWith({ ...defaultOptions, publicExponent: 3 });
+    });
+
+    test('暗号化用アルゴリズムのJWK alg', () => {
+        render(
+            <RSAOptions
+                options={{ ...defaultOptions, algorithm: 'RSA-OAEP', hash: 'SHA-384' }}
+                onChange={mockOnChange}
+                language="en"
+            />
+        );
+
+        expect(screen.getByText('RSA-OAEP-384')).toBeInTheDocument();
+        expect(screen.getByText('Encrypt/Decrypt')).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,348 @@
+/**
+ * 生成結果表示コンポーネント
+ */
+import { Fragment, useState } from 'react';
+import { createMetadata, generateFilenames } from '../utils/metadata';
+import { formatError, validateZipPassword } from '../utils/errorHandler';
+import { saveFile } from '../utils/download';
+import { createKeyBundle } from '../utils/bundle';
+import { formatFingerprint } from '../utils/pgp';
+import CSRDetails from './CSRDetails';
+import FingerprintPanel from './FingerprintPanel';
+import MetadataPanel from './MetadataPanel';
+import SecretSharing from './SecretSharing';
+
+/**
+ * Resultコンポーネント
+ * @param {Object} props - プロパティ
+ * @param {Object} props.result - 生成された鍵（publicKey, privateKey, fingerprints, randomart, pgpWords、JWK形式の場合はjwks、OpenPGP形式の場合はfingerprint, keyId, userIds, expires, subkeys, revocationCertificate、証明書を作成した場合はcertificate, certificateDer、PKCS#12を作成した場合はpkcs12、CSRを作成した場合はcertificateRequest）
+ * @param {Object} props.params - 鍵生成に使用したパラメータ
+ * @param {function} props.onReset - 最初からやり直すボタンのコールバック
+ * @param {string} props.language - 表示言語
+ */
+export default function Result({ result, params, onReset, language }) {
+    const [copied, setCopied] = useState('');
+    const [error, setError] = useState('');
+    const [zipPassword, setZipPassword] = useState('');
+
+    // 言語に応じたテキストを取得
+    const texts = {
+        ja: {
+            title: '生成された鍵',
+            subtitle: '鍵をコピーまたはダウンロードして安全に保管してください',
+            publicKey: '公開鍵',
+            privateKey: '秘密鍵',
+            jwks: 'JWK Set（jwks.json）',
+            certificate: 'X.509証明書',
+            certificateRequest: '証明書署名要求（CSR）',
+            revocationCertificate: '失効証明書',
+            revocationHint: [
+                '秘密鍵を紛失した場合や漏洩した場合に、この失効証明書を公開すると鍵を失効させることができます（gpg --import で取り込み、鍵サーバーに送信します）。',
+                '誰でも鍵を失効させられるため、秘密鍵とは別の場所（印刷した紙やオフラインの記録媒体など）に保管し、公開しないでください。'
+            ],
+            openpgp: {
+                fingerprint: 'フィンガープリント',
+                keyId: '鍵ID',
+                userIds: 'ユーザーID',
+                expires: '有効期限',
+                noExpiration: '無期限',
+                subkey: '暗号化用副鍵'
+            },
+            copy: {
+                publicKey: '公開鍵をコピー',
+                privateKey: '秘密鍵をコピー',
+                jwks: 'JWKSをコピー',
+                certificate: '証明書をコピー',
+                certificateRequest: 'CSRをコピー',
+                revocationCertificate: '失効証明書をコピー'
+            },
+            download: {
+                publicKey: '公開鍵をダウンロード',
+                privateKey: '秘密鍵をダウンロード',
+                jwks: 'JWKSをダウンロード',
+                certificate: 'PEMをダウンロード',
+                certificateDer: 'DERをダウンロード',
+                pkcs12: 'PKCS#12をダウンロード',
+                certificateRequest: 'CSRをダウンロード',
+                revocationCertificate: '失効証明書をダウンロード',
+                metadata: 'メタデータ（JSON）をダウンロード'
+            },
+            bundle: 'まとめてダウンロード',
+            bundleHint: '鍵・証明書・メタデータと各ファイルを説明するREADMEを1つのZIPファイルにまとめます',
+            zipPassword: 'ZIPファイルのパスワード（オプション）',
+            zipPasswordHint: 'AES-256で暗号化します。Windows標準の展開機能では開けないため、7-Zipなどで展開してください',
+            downloadZip: 'ZIPをダウンロード',
+            copied: 'コピーしました',
+            reset: '最初からやり直す',
+            warning: '秘密鍵は第三者に渡さないでください。このページを閉じると鍵は失われます。'
+        },
+        en: {
+            title: 'Generated Keys',
+            subtitle: 'Copy or download your keys and store them securely',
+            publicKey: 'Public Key',
+            privateKey: 'Private Key',
+            jwks: 'JWK Set (jwks.json)',
+            certificate: 'X.509 Certificate',
+            certificateRequest: 'Certificate Signing Request (CSR)',
+            revocationCertificate: 'Revocation Certificate',
+            revocationHint: [
+                'If the private key is lost or compromised, publish this revocation certificate to revoke the key (import it with gpg --import and send the key to a keyserver).',
+                'Anyone holding it can revoke your key, so keep it apart from the private key (on paper or offline media) and do not publish it until needed.'
+            ],
+            openpgp: {
+                fingerprint: 'Fingerprint',
+                keyId: 'Key ID',
+                userIds: 'User IDs',
+                expires: 'Expires',
+                noExpiration: 'Never',
+                subkey: 'Encryption Subkey'
+            },
+            copy: {
+                publicKey: 'Copy Public Key',
+                privateKey: 'Copy Private Key',
+                jwks: 'Copy JWKS',
+                certificate: 'Copy Certificate',
+                certificateRequest: 'Copy CSR',
+                revocationCertificate: 'Copy Revocation Certificate'
+            },
+            download: {
+                publicKey: 'Download Public Key',
+                privateKey: 'Download Private Key',
+                jwks: 'Download JWKS',
+                certificate: 'Download PEM',
+                certificateDer: 'Download DER',
+                pkcs12: 'Download PKCS#12',
+                certificateRequest: 'Download CSR',
+                revocationCertificate: 'Download Revocation Certificate',
+                metadata: 'Download Metadata (JSON)'
+            },
+            bundle: 'Download All',
+            bundleHint: 'Bundles the keys, certificates, metadata and a README describing each file into one ZIP file',
+            zipPassword: 'ZIP Password (Optional)',
+            zipPasswordHint: 'Encrypted with AES-256. The built-in Windows extractor cannot open it, so use 7-Zip or similar',
+            downloadZip: 'Download ZIP',
+            copied: 'Copied',
+            reset: 'Start Over',
+            warning: 'Never share your private key. Keys are lost when you close this page.'
+        }
+    }[language];
+
+    const filenames = generateFilenames(params);
+    const metadata = createMetadata(params, result, language);
+    // 分割した秘密鍵を復元したときに照合する公開鍵のフィンガープリント
+    const spkiFingerprint = (result.fingerprints || []).find(fingerprint => fingerprint.type === 'spkiSha256');
+
+    // ダウンロードするファイル名とMIMEタイプ
+    const downloads = {
+        publicKey: { filename: filenames.public },
+        privateKey: { filename: filenames.private },
+        jwks: { filename: filenames.jwks, type: 'application/jwk-set+json' },
+        certificate: { filename: filenames.certificate, type: 'application/x-pem-file' },
+        certificateDer: { filename: filenames.certificateDer, type: 'application/pkix-cert' },
+        pkcs12: { filename: filenames.pkcs12, type: 'application/x-pkcs12' },
+        certificateRequest: { filename: filenames.certificateRequest, type: 'application/pkcs10' },
+        revocationCertificate: { filename: filenames.revocationCertificate, type: 'application/pgp-keys' },
+        metadata: { filename: filenames.metadata, type: 'application/json' }
+    };
+
+    // OpenPGPの鍵の有効期限（UTCの日付。nullは無期限）
+    const formatExpiration = (expires) => (expires ? expires.slice(0, 10) : texts.openpgp.noExpiration);
+
+    // クリップボードへのコピー
+    const handleCopy = async (name) => {
+        try {
+            await navigator.clipboard.writeText(result[name]);
+            setError('');
+            setCopied(name);
+        } catch (err) {
+            setError(formatError(err));
+        }
+    };
+
+    // ファイルとしてダウンロード
+    const handleDownload = (name, content = result[name]) => {
+        try {
+            saveFile(content, downloads[name].filename, downloads[name].type);
+            setError('');
+        } catch (err) {
+            setError(formatError(err));
+        }
+    };
+
+    // 生成結果をZIPファイルにまとめてダウンロード（ブラウザ内で作成）
+    const handleDownloadZip = () => {
+        const validation = validateZipPassword(zipPassword);
+        if (!validation.isValid) {
+            setError(validation.message);
+            return;
+        }
+
+        try {
+            const { zip, filename } = createKeyBundle(result, params, { password: zipPassword, language });
+            saveFile(zip, filename, 'application/zip');
+            setError('');
+        } catch (err) {
+            setError(formatError(err));
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="text-center">
+                <h2 className="text-2xl font-bold">{texts.title}</h2>
+                <p className="text-gray-600 mt-2">{texts.subtitle}</p>
+            </div>
+
+            {error && (
+                <div className="p-4 bg-red-50 text-red-700 rounded-lg">
+                    {error}
+                </div>
+            )}
+
+            {/* OpenPGPの鍵は相手が確認できるようにフィンガープリントを表示（gpg --fingerprintと同じ形式） */}
+            {result.fingerprint && (
+                <dl className="grid grid-cols-1 sm:grid-cols-4 gap-2 text-sm bg-gray-50 rounded-lg p-4">
+                    <dt className="text-gray-500">{texts.openpgp.fingerprint}</dt>
+                    <dd className="sm:col-span-3 font-mono text-gray-900">{formatFingerprint(result.fingerprint)}</dd>
+                    <dt className="text-gray-500">{texts.openpgp.keyId}</dt>
+                    <dd className="sm:col-span-3 font-mono text-gray-900">{result.keyId}</dd>
+                    <dt className="text-gray-500">{texts.openpgp.expires}</dt>
+                    <dd className="sm:col-span-3 text-gray-900">{formatExpiration(result.expires)}</dd>
+                    <dt className="text-gray-500">{texts.openpgp.userIds}</dt>
+                    <dd className="sm:col-span-3 text-gray-900 break-all">
+                        {result.userIds.map(userId => <p key={userId}>{userId}</p>)}
+                    </dd>
+                    {result.subkeys.map(subkey => (
+                        <Fragment key={subkey.fingerprint}>
+                            <dt className="text-gray-500">{texts.openpgp.subkey}</dt>
+                            <dd className="sm:col-span-3 text-gray-900">
+                                <p className="font-mono">{formatFingerprint(subkey.fingerprint)}</p>
+                                <p>{subkey.type} / {texts.openpgp.expires}: {formatExpiration(subkey.expires)}</p>
+                            </dd>
+                        </Fragment>
+                    ))}
+                </dl>
+            )}
+
+            {/* 鍵を他のツールに貼り付けなくても相手と照合できるようにする */}
+            {result.fingerprints && result.fingerprints.length > 0 && (
+                <FingerprintPanel
+                    fingerprints={result.fingerprints}
+                    randomart={result.randomart}
+                    pgpWords={result.pgpWords}
+                    language={language}
+                />
+            )}
+
+            {/* 他のツールやスクリプトで扱えるよう、表示した内容をJSONでもダウンロードできるようにする */}
+            <div>
+                <MetadataPanel metadata={metadata} language={language} />
+                <button
+                    onClick={() => handleDownload('metadata', JSON.stringify(metadata, null, 2))}
+                    className="mt-2 px-3 py-1 text-sm bg-green-600 text-white rounded-md hover:bg-green-700"
+                >
+                    {texts.download.metadata}
+                </button>
+            </div>
+
+            {/* 公開鍵のみを変換した場合は秘密鍵を表示しない */}
+            {['publicKey', 'privateKey', 'revocationCertificate', 'jwks', 'certificate', 'certificateRequest'].filter(name => result[name]).map(name => (
+                <div key={name}>
+                    <div className="flex justify-between items-center">
+                        <h3 className="font-bold text-lg">{texts[name]}</h3>
+                        <div className="space-x-2">
+                            <button
+                                onClick={() => handleCopy(name)}
+                                className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+                            >
+                                {copied === name ? texts.copied : texts.copy[name]}
+                            </button>
+                            <button
+                                onClick={() => handleDownload(name)}
+                                className="px-3 py-1 text-sm bg-green-600 text-white rounded-md hover:bg-green-700"
+                            >
+                                {texts.download[name]}
+                            </button>
+                            {name === 'certificate' && result.certificateDer && (
+                                <button
+                                    onClick={() => handleDownload('certificateDer')}
+                                    className="px-3 py-1 text-sm bg-green-600 text-white rounded-md hover:bg-green-700"
+                                >
+                                    {texts.download.certificateDer}
+                                </button>
+                            )}
+                            {name === 'certificate' && result.pkcs12 && (
+                                <button
+                                    onClick={() => handleDownload('pkcs12')}
+                                    className="px-3 py-1 text-sm bg-green-600 text-white rounded-md hover:bg-green-700"
+                                >
+                                    {texts.download.pkcs12}
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                    <pre className="mt-2 p-4 bg-gray-50 rounded-lg overflow-x-auto text-xs">
+                        {result[name]}
+                    </pre>
+                    {/* CSRはダウンロード前に解析結果を表示して内容を確認できるようにする */}
+                    {name === 'certificateRequest' && (
+                        <div className="mt-2">
+                            <CSRDetails csr={result.certificateRequest} language={language} />
+                        </div>
+                    )}
+                    {/* 失効証明書は使う場面が限られるため、保管方法を併せて説明する */}
+                    {name === 'revocationCertificate' && (
+                        <div className="mt-2 p-4 bg-blue-50 text-blue-800 rounded-lg text-sm space-y-1">
+                            {texts.revocationHint.map(line => <p key={line}>{line}</p>)}
+                        </div>
+                    )}
+                </div>
+            ))}
+
+            {/* ルート鍵やCA鍵をM-of-Nで保管できるよう、秘密鍵をシェアに分割する */}
+            {result.privateKey && spkiFingerprint && (
+                <SecretSharing
+                    privateKey={result.privateKey}
+                    passphrase={params.passphrase}
+                    fingerprint={spkiFingerprint.value}
+                    language={language}
+                />
+            )}
+
+            <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+                <h3 className="font-bold text-lg">{texts.bundle}</h3>
+                <p className="text-sm text-gray-600">{texts.bundleHint}</p>
+                <label className="block">
+                    <span className="text-sm font-medium text-gray-700">{texts.zipPassword}</span>
+                    <input
+                        type="password"
+                        value={zipPassword}
+                        onChange={(e) => setZipPassword(e.target.value)}
+                        autoComplete="new-password"
+                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                    />
+                </label>
+                {zipPassword && <p className="text-xs text-gray-500">{texts.zipPasswordHint}</p>}
+                <button
+                    onClick={handleDownloadZip}
+                    className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                >
+                    {texts.downloadZip}
+                </button>
+            </div>
+
+            <div className="p-4 bg-yellow-50 text-yellow-800 rounded-lg text-sm">
+                {texts.warning}
+            </div>
+
+            <div className="flex justify-end">
+                <button
+                    onClick={onReset}
+                    className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                >
+                    {texts.reset}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,308 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import Result from './Result';
+import { mockKeyPairs } from '../utils/testHelpers';
+
+jest.unmock('../utils/metadata');
+jest.unmock('node-forge');
+
+describe('Resultコンポーネントテスト', () => {
+    const mockOnReset = jest.fn();
+    const defaultProps = {
+        result: mockKeyPairs.rsa,
+        params: {
+            keyType: 'rsa',
+            keySize: '2048',
+            outputFormat: 'pem',
+            passphrase: ''
+        },
+        onReset: mockOnReset,
+        language: 'ja'
+    };
+
+    beforeEach(() => {
+        mockOnReset.mockClear();
+        URL.createObjectURL.mockClear();
+        Object.assign(navigator, {
+            clipboard: { writeText: jest.fn().mockResolvedValue() }
+        });
+    });
+
+    test('生成された鍵の表示', () => {
+        render(<Result {...defaultProps} />);
+
+        expect(screen.getByText('生成された鍵')).toBeInTheDocument();
+        expect(screen.getByText('公開鍵')).toBeInTheDocument();
+        expect(screen.getByText('秘密鍵')).toBeInTheDocument();
+        expect(screen.getByText(/Mock RSA Public Key/)).toBeInTheDocument();
+        expect(screen.getByText(/Mock RSA Private Key/)).toBeInTheDocument();
+    });
+
+    test('フィンガープリントの表示', () => {
+        render(<Result
+            {...defaultProps}
+            result={{
+                ...mockKeyPairs.rsa,
+                fingerprints: [{ type: 'sshSha256', value: 'SHA256:6NDjG0Hmo+0vQ0Kedf35xhuN2HtkJg1FAdPPW7uHpoo' }],
+                randomart: '+---[RSA 2048]----+',
+                pgpWords: { source: 'spkiSha256', words: ['aardvark', 'adroitness'] }
+            }}
+        />);
+
+        expect(screen.getByText('フィンガープリント')).toBeInTheDocument();
+        expect(screen.getByText('SHA256:6NDjG0Hmo+0vQ0Kedf35xhuN2HtkJg1FAdPPW7uHpoo')).toBeInTheDocument();
+        expect(screen.getByText('+---[RSA 2048]----+')).toBeInTheDocument();
+        expect(screen.getByText('aardvark adroitness')).toBeInTheDocument();
+    });
+
+    test('鍵のコピー機能', async () => {
+        render(<Result {...defaultProps} />);
+
+        fireEvent.click(screen.getByText('公開鍵をコピー'));
+
+        expect(await screen.findByText('コピーしました')).toBeInTheDocument();
+        expect(navigator.clipboard.writeText).toHaveBeenCalledWith(mockKeyPairs.rsa.publicKey);
+    });
+
+    test('コピー失敗時のエラー表示', async () => {
+        navigator.clipboard.writeText.mockRejectedValue(new Error('クリップボードにアクセスできません'));
+        render(<Result {...defaultProps} />);
+
+        fireEvent.click(screen.getByText('秘密鍵をコピー'));
+
+        expect(await screen.findByText('クリップボードにアクセスできません')).toBeInTheDocument();
+    });
+
+    test('鍵のダウンロード機能', () => {
+        const clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        render(<Result {...defaultProps} />);
+
+        fireEvent.click(screen.getByText('秘密鍵をダウンロード'));
+
+        const blob = URL.createObjectURL.mock.calls[0][0];
+        expect(blob.content).toEqual([mockKeyPairs.rsa.privateKey]);
+        expect(clickSpy).toHaveBeenCalled();
+        clickSpy.mockRestore();
+    });
+
+    test('JWK Setの表示とダウンロード', () => {
+        const clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        const jwks = JSON.stringify({ keys: [{ kty: 'OKP', crv: 'Ed25519', x: 'AA', kid: 'key-1' }] }, null, 2);
+        render(<Result
+            {...defaultProps}
+            params={{ ...defaultProps.params, keyType: 'eddsa', keySize: 'Ed25519', outputFormat: 'jwk' }}
+            result={{ publicKey: '{}', privateKey: '{}', jwks }}
+        />);
+
+        expect(screen.getByText('JWK Set（jwks.json）')).toBeInTheDocument();
+        fireEvent.click(screen.getByText('JWKSをダウンロード'));
+
+        const blob = URL.createObjectURL.mock.calls[0][0];
+        expect(blob.content).toEqual([jwks]);
+        expect(blob.options.type).toBe('application/jwk-set+json');
+        expect(clickSpy.mock.instances[0].download).toBe('jwks.json');
+        clickSpy.mockRestore();
+    });
+
+    test('OpenPGPのフィンガープリントの表示', () => {
+        render(<Result
+            {...defaultProps}
+            params={{ ...defaultProps.params, keyType: 'eddsa', keySize: 'Ed25519', outputFormat: 'pgp' }}
+            result={{
+                ...mockKeyPairs.eddsa,
+                fingerprint: '420C6DD9AEDAE9AAFD63666922DD0B0DD0F0C59E',
+                keyId: '22DD0B0DD0F0C59E',
+                expires: null,
+                userIds: ['Taro Yamada <taro@example.com>', 'Taro Yamada <taro@home.example>'],
+                subkeys: [{
+                    type: 'curve25519',
+                    fingerprint: '8D2F1A6B0C3E49F7A15B6C0D9E8F7A6B5C4D3E2F',
+                    keyId: '9E8F7A6B5C4D3E2F',
+                    expires: '2026-01-01T03:04:05.000Z'
+                }]
+            }}
+        />);
+
+        expect(screen.getByText('フィンガープリント')).toBeInTheDocument();
+        expect(screen.getByText('420C 6DD9 AEDA E9AA FD63 6669 22DD 0B0D D0F0 C59E')).toBeInTheDocument();
+        expect(screen.getByText('22DD0B0DD0F0C59E')).toBeInTheDocument();
+        expect(screen.getByText('無期限')).toBeInTheDocument();
+        expect(screen.getByText('Taro Yamada <taro@example.com>')).toBeInTheDocument();
+        expect(screen.getByText('Taro Yamada <taro@home.example>')).toBeInTheDocument();
+
+        // 副鍵のフィンガープリントと有効期限
+        expect(screen.getByText('8D2F 1A6B 0C3E 49F7 A15B 6C0D 9E8F 7A6B 5C4D 3E2F')).toBeInTheDocument();
+        expect(screen.getByText('curve25519 / 有効期限: 2026-01-01')).toBeInTheDocument();
+    });
+
+    test('OpenPGPの失効証明書の表示とダウンロード', () => {
+        const clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        const revocationCertificate = '-----BEGIN PGP PUBLIC KEY BLOCK-----\nComment: This is a revocation certificate\n\nwnYEIBYKAAA=\n-----END PGP PUBLIC KEY BLOCK-----\n';
+        render(<Result
+            {...defaultProps}
+            params={{ ...defaultProps.params, keyType: 'eddsa', keySize: 'Ed25519', outputFormat: 'pgp' }}
+            result={{
+                ...mockKeyPairs.eddsa,
+                fingerprint: '420C6DD9AEDAE9AAFD63666922DD0B0DD0F0C59E',
+                keyId: '22DD0B0DD0F0C59E',
+                expires: null,
+                userIds: ['Taro Yamada <taro@example.com>'],
+                subkeys: [],
+                revocationCertificate
+            }}
+        />);
+
+        expect(screen.getByText('失効証明書')).toBeInTheDocument();
+        expect(screen.getByText(/秘密鍵とは別の場所/)).toBeInTheDocument();
+
+        fireEvent.click(screen.getByText('失効証明書をダウンロード'));
+        const blob = URL.createObjectURL.mock.calls[0][0];
+        expect(blob.content).toEqual([revocationCertificate]);
+        expect(blob.options.type).toBe('application/pgp-keys');
+        expect(clickSpy.mock.instances[0].download).toMatch(/^eddsa_Ed25519_.*_revocation\.rev$/);
+        clickSpy.mockRestore();
+    });
+
+    test('証明書のPEMとDERのダウンロード', () => {
+        const clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        const der = new Uint8Array([0x30, 0x03, 0x02, 0x01, 0x01]);
+        render(<Result
+            {...defaultProps}
+            result={{
+                ...mockKeyPairs.rsa,
+                certificate: '-----BEGIN CERTIFICATE-----\nMAMCAQE=\n-----END CERTIFICATE-----',
+                certificateDer: der
+            }}
+        />);
+
+        expect(screen.getByText('X.509証明書')).toBeInTheDocument();
+
+        fireEvent.click(screen.getByText('PEMをダウンロード'));
+        fireEvent.click(screen.getByText('DERをダウンロード'));
+
+        const [pem, binary] = URL.createObjectURL.mock.calls.map(call => call[0]);
+        expect(pem.content[0]).toMatch(/^-----BEGIN CERTIFICATE-----/);
+        expect(pem.options.type).toBe('application/x-pem-file');
+        expect(binary.content).toEqual([der]);
+        expect(binary.options.type).toBe('application/pkix-cert');
+        expect(clickSpy.mock.instances.map(link => link.download)).toEqual([
+            expect.stringMatching(/^rsa_2048_.*_certificate\.pem$/),
+            expect.stringMatching(/^rsa_2048_.*_certificate\.der$/)
+        ]);
+        clickSpy.mockRestore();
+    });
+
+    test('PKCS#12のダウンロード', () => {
+        const clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        const pkcs12 = new Uint8Array([0x30, 0x03, 0x02, 0x01, 0x03]);
+        render(<Result
+            {...defaultProps}
+            result={{
+                ...mockKeyPairs.rsa,
+                certificate: '-----BEGIN CERTIFICATE-----\nMAMCAQE=\n-----END CERTIFICATE-----',
+                certificateDer: new Uint8Array([0x30, 0x03, 0x02, 0x01, 0x01]),
+                pkcs12
+            }}
+        />);
+
+        fireEvent.click(screen.getByText('PKCS#12をダウンロード'));
+
+        const [file] = URL.createObjectURL.mock.calls.map(call => call[0]);
+        expect(file.content).toEqual([pkcs12]);
+        expect(file.options.type).toBe('application/x-pkcs12');
+        expect(clickSpy.mock.instances[0].download).toMatch(/^rsa_2048_.*\.p12$/);
+        clickSpy.mockRestore();
+    });
+
+    test('CSRの内容を表示してダウンロード', () => {
+        const clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        const certificateRequest = [
+            '-----BEGIN CERTIFICATE REQUEST-----',
+            'MIGMMEACAQAwDTELMAkGA1UEAwwCZWQwKjAFBgMrZXADIQCTOOlNZ8vuqVdeK2Ty',
+            'XDi30Ja9+NJ5Wp3aYuFcv8mD1KAAMAUGAytlcANBAPQ/t6nXbbfOdpKxvf5LgHo4',
+            'YVejFVLB3UorVLcFX5bF6+SIThBIBMpdy0WA1AzHhNS38ZP7iq1Pj5QCUaEYcAc=',
+            '-----END CERTIFICATE REQUEST-----'
+        ].join('\n');
+        render(<Result {...defaultProps} result={{ ...mockKeyPairs.rsa, certificateRequest }} />);
+
+        expect(screen.getByText('証明書署名要求（CSR）')).toBeInTheDocument();
+        expect(screen.getByText('CN=ed')).toBeInTheDocument();
+
+        fireEvent.click(screen.getByText('CSRをダウンロード'));
+        const blob = URL.createObjectURL.mock.calls[0][0];
+        expect(blob.content).toEqual([certificateRequest]);
+        expect(clickSpy.mock.instances[0].download).toMatch(/^rsa_2048_.*_request\.csr$/);
+        clickSpy.mockRestore();
+    });
+
+    test('メタデータの表示とJSONのダウンロード', () => {
+        const clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        render(<Result {...defaultProps} />);
+
+        expect(screen.getByText('鍵の評価')).toBeInTheDocument();
+        expect(screen.getByText('一般的な用途に適しています（～2030年）')).toBeInTheDocument();
+        // RSA-2048は128ビットのセキュリティ強度を満たさない
+        expect(screen.getByText('推奨水準未満')).toBeInTheDocument();
+
+        fireEvent.click(screen.getByText('メタデータ（JSON）をダウンロード'));
+
+        const blob = URL.createObjectURL.mock.calls[0][0];
+        expect(blob.options.type).toBe('application/json');
+        const metadata = JSON.parse(blob.content[0]);
+        expect(metadata).toMatchObject({ type: 'rsa', size: '2048', format: 'pem', hasPassphrase: false });
+        expect(metadata.security.meetsRecommendation).toBe(false);
+        expect(clickSpy.mock.instances[0].download).toMatch(/^rsa_2048_.*_metadata\.json$/);
+        clickSpy.mockRestore();
+    });
+
+    test('ZIPファイルでまとめてダウンロード', () => {
+        const clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        render(<Result {...defaultProps} />);
+
+        fireEvent.click(screen.getByText('ZIPをダウンロード'));
+
+        const blob = URL.createObjectURL.mock.calls[0][0];
+        expect(blob.options.type).toBe('application/zip');
+        expect(blob.content[0][0]).toBe(0x50);
+        expect(clickSpy.mock.instances[0].download).toMatch(/^rsa_2048_.*_keys\.zip$/);
+        clickSpy.mockRestore();
+    });
+
+    test('ZIPファイルのパスワードが短い場合はエラー', () => {
+        render(<Result {...defaultProps} />);
+
+        fireEvent.change(screen.getByLabelText('ZIPファイルのパスワード（オプション）'), { target: { value: 'short' } });
+        expect(screen.getByText(/AES-256で暗号化します/)).toBeInTheDocument();
+        fireEvent.click(screen.getByText('ZIPをダウンロード'));
+
+        expect(screen.getByText('ZIPファイルのパスワードは8文字以上必要です。')).toBeInTheDocument();
+        expect(URL.createObjectURL).not.toHaveBeenCalled();
+    });
+
+    test('SPKIのフィンガープリントがある場合は秘密鍵をシェアに分割できる', () => {
+        const { rerender } = render(<Result {...defaultProps} />);
+        expect(screen.queryByText('シェアに分割（Shamirの秘密分散）')).not.toBeInTheDocument();
+
+        rerender(<Result
+            {...defaultProps}
+            result={{ ...mockKeyPairs.rsa, fingerprints: [{ type: 'spkiSha256', value: 'AA:BB' }] }}
+        />);
+        expect(screen.getByText('シェアに分割（Shamirの秘密分散）')).toBeInTheDocument();
+        // パスフレーズを設定していない場合は秘密鍵のみを分割する
+        expect(screen.queryByLabelText('パスフレーズ')).not.toBeInTheDocument();
+    });
+
+    test('最初からやり直す', () => {
+        render(<Result {...defaultProps} />);
+
+        fireEvent.click(screen.getByText('最初からやり直す'));
+        expect(mockOnReset).toHaveBeenCalled();
+    });
+
+    test('英語表示の確認', () => {
+        render(<Result {...defaultProps} language="en" />);
+
+        expect(screen.getByText('Generated Keys')).toBeInTheDocument();
+        expect(screen.getByText('Start Over')).toBeInTheDocument();
+        expect(screen.getByText('Suitable for general use (until 2030)')).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,549 @@
+/**
+ * OpenSSH証明書の発行コンポーネント（CA鍵によるユーザー証明書・ホスト証明書の署名）
+ */
+import { useState } from 'react';
+import KeyInput from './KeyInput';
+import { importKey } from '../utils/keyImport';
+import { generateEdDSAKeyPair, convertToSSH, issueSSHCertificate } from '../utils/crypto';
+import { formatError } from '../utils/errorHandler';
+import { saveFile } from '../utils/download';
+import { parseOpenSSHCertificate, SSH_CERTIFICATE_EXTENSIONS } from '../utils/ssh';
+
+// 証明書の種別
+const certificateTypes = [
+    {
+        value: 'user',
+        label: { ja: 'ユーザー証明書', en: 'User Certificate' },
+        description: {
+            ja: 'sshdのTrustedUserCAKeysで信頼され、ユーザーの認証に使用',
+            en: 'Trusted via sshd TrustedUserCAKeys to authenticate users'
+        }
+    },
+    {
+        value: 'host',
+        label: { ja: 'ホスト証明書', en: 'Host Certificate' },
+        description: {
+            ja: 'known_hostsの@cert-authorityで信頼され、サーバーの認証に使用',
+            en: 'Trusted via @cert-authority in known_hosts to authenticate servers'
+        }
+    }
+];
+
+// 証明書の内容の初期値（拡張はssh-keygen -sと同じくすべて許可）
+const initialOptions = {
+    type: 'user',
+    keyId: '',
+    principals: '',
+    validAfter: '',
+    validBefore: '',
+    serial: '0',
+    forceCommand: '',
+    sourceAddress: '',
+    extensions: SSH_CERTIFICATE_EXTENSIONS
+};
+
+// ssh-keygenの既定のファイル名に合わせた証明書のファイル名（sshが自動的に読み込む）
+const filenamePrefixes = {
+    rsa: 'rsa',
+    ecdsa: 'ecdsa',
+    eddsa: 'ed25519'
+};
+
+/**
+ * 入力された日時（datetime-local）をDateに変換
+ * @param {string} value - 入力値
+ * @returns {Date|null} 日時（未入力の場合は無期限としてnull）
+ */
+function toDate(value) {
+    return value ? new Date(value) : null;
+}
+
+/**
+ * SSHCertificateコンポーネント
+ * @param {Object} props - プロパティ
+ * @param {string} props.language - 表示言語
+ */
+export default function SSHCertificate({ language }) {
+    const [caText, setCaText] = useState('');
+    const [caPassphrase, setCaPassphrase] = useState('');
+    const [caPublicKey, setCaPublicKey] = useState('');
+    const [subjectText, setSubjectText] = useState('');
+    const [options, setOptions] = useState(initialOptions);
+    const [result, setResult] = useState(null);
+    const [copied, setCopied] = useState(false);
+    const [error, setError] = useState('');
+    const [isIssuing, setIsIssuing] = useState(false);
+    const [isGeneratingCA, setIsGeneratingCA] = useState(false);
+
+    // 言語に応じたテキストを取得
+    const texts = {
+        ja: {
+            title: 'SSH証明書の発行',
+            subtitle: 'CA鍵で公開鍵に署名し、ユーザー証明書またはホスト証明書（*-cert.pub）を作成します',
+            caKey: 'CAの秘密鍵',
+            caPassphrase: 'CA鍵のパスフレーズ',
+            caPassphraseHint: '暗号化された秘密鍵の場合のみ入力してください',
+            generateCA: '新しいCA鍵を生成（Ed25519）',
+            generatingCA: 'CA鍵を生成中...',
+            caPublicKey: 'CAの公開鍵',
+            caPublicKeyHint: {
+                user: 'サーバーのsshd_configのTrustedUserCAKeysに登録してください',
+                host: 'クライアントのknown_hostsに「@cert-authority ホスト名 公開鍵」の形式で登録してください'
+            },
+            caWarning: 'CAの秘密鍵は上の入力欄に表示されています。安全な場所に保管してください。',
+            downloadCAPublicKey: 'CA公開鍵をダウンロード',
+            downloadCAPrivateKey: 'CA秘密鍵をダウンロード',
+            subjectKey: '署名する公開鍵',
+            certificateType: '証明書の種別',
+            keyId: '鍵ID',
+            keyIdHint: '認証時にsshdのログに記録される識別子です',
+            principals: 'プリンシパル',
+            principalsHint: {
+                user: 'ログインを許可するユーザー名をカンマ区切りで入力（空欄の場合はすべてのユーザー）',
+                host: 'ホスト名をカンマ区切りで入力（空欄の場合はすべてのホスト）'
+            },
+            validAfter: '有効期間の開始',
+            validBefore: '有効期間の終了',
+            validityHint: '空欄の場合は無期限になります',
+            serial: 'シリアル番号',
+            criticalOptions: 'クリティカルオプション',
+            forceCommand: 'force-command（実行を強制するコマンド）',
+            sourceAddress: 'source-address（接続を許可するアドレス）',
+            sourceAddressPlaceholder: '192.0.2.0/24,2001:db8::/32',
+            extensions: '拡張',
+            issue: '証明書を発行',
+            issuing: '発行中...',
+            certificate: '発行された証明書',
+            summary: {
+                type: '種別',
+                keyId: '鍵ID',
+                serial: 'シリアル番号',
+                principals: 'プリンシパル',
+                validity: '有効期間',
+                signature: '署名方式'
+            },
+            any: 'すべて',
+            forever: '無期限',
+            copy: '証明書をコピー',
+            copied: 'コピーしました',
+            download: '証明書をダウンロード',
+            another: '別の証明書を発行'
+        },
+        en: {
+            title: 'Issue SSH Certificate',
+            subtitle: 'Sign a public key with a CA key to create a user or host certificate (*-cert.pub)',
+            caKey: 'CA Private Key',
+            caPassphrase: 'CA Key Passphrase',
+            caPassphraseHint: 'Only required for encrypted private keys',
+            generateCA: 'Generate New CA Key (Ed25519)',
+            generatingCA: 'Generating CA key...',
+            caPublicKey: 'CA Public Key',
+            caPublicKeyHint: {
+                user: 'Add it to TrustedUserCAKeys in the server sshd_config',
+                host: 'Add it to the client known_hosts as "@cert-authority hostname public-key"'
+            },
+            caWarning: 'The CA private key is shown in the field above. Store it somewhere safe.',
+            downloadCAPublicKey: 'Download CA Public Key',
+            downloadCAPrivateKey: 'Download CA Private Key',
+            subjectKey: 'Public Key to Sign',
+            certificateType: 'Certificate Type',
+            keyId: 'Key ID',
+            keyIdHint: 'Identifier written to the sshd log on authentication',
+            principals: 'Principals',
+            principalsHint: {
+                user: 'Comma-separated user names allowed to log in (empty for any user)',
+                host: 'Comma-separated host names (empty for any host)'
+            },
+            validAfter: 'Valid From',
+            validBefore: 'Valid Until',
+            validityHint: 'Leave empty for no limit',
+            serial: 'Serial Number',
+            criticalOptions: 'Critical Options',
+            forceCommand: 'force-command (command to force)',
+            sourceAddress: 'source-address (allowed addresses)',
+            sourceAddressPlaceholder: '192.0.2.0/24,2001:db8::/32',
+            extensions: 'Extensions',
+            issue: 'Issue Certificate',
+            issuing: 'Issuing...',
+            certificate: 'Issued Certificate',
+            summary: {
+                type: 'Type',
+                keyId: 'Key ID',
+                serial: 'Serial',
+                principals: 'Principals',
+                validity: 'Validity',
+                signature: 'Signature'
+            },
+            any: 'Any',
+            forever: 'Forever',
+            copy: 'Copy Certificate',
+            copied: 'Copied',
+            download: 'Download Certificate',
+            another: 'Issue Another Certificate'
+        }
+    }[language];
+
+    const canIssue = caText.trim() && subjectText.trim() && options.keyId.trim() && !isIssuing;
+
+    const handleChange = (key, value) => {
+        setOptions({ ...options, [key]: value });
+    };
+
+    const handleExtensionToggle = (name) => {
+        handleChange('extensions', options.extensions.includes(name)
+            ? options.extensions.filter(extension => extension !== name)
+            : [...options.extensions, name]);
+    };
+
+    // 新しいCA鍵（Ed25519）を生成して入力欄に設定
+    const handleGenerateCA = async () => {
+        setIsGeneratingCA(true);
+        setError('');
+        try {
+            const keyPair = await generateEdDSAKeyPair('Ed25519');
+            const keys = await convertToSSH(keyPair, '', 'ssh-ca');
+            setCaText(keys.privateKey);
+            setCaPassphrase('');
+            setCaPublicKey(keys.publicKey);
+        } catch (err) {
+            setError(formatError(err));
+        } finally {
+            setIsGeneratingCA(false);
+        }
+    };
+
+    // CA鍵と公開鍵を読み込んで証明書を発行
+    const handleIssue = async () => {
+        setIsIssuing(true);
+        setError('');
+        try {
+            const ca = await importKey(caText, caPassphrase);
+            const subject = await importKey(subjectText);
+            const certificate = await issueSSHCertificate(ca, subject, {
+                type: options.type,
+                keyId: options.keyId.trim(),
+                principals: options.principals.split(/[\s,]+/).filter(Boolean),
+                validAfter: toDate(options.validAfter),
+                validBefore: toDate(options.validBefore),
+                serial: options.serial.trim() || '0',
+                criticalOptions: {
+                    'force-command': options.forceCommand,
+                    'source-address': options.sourceAddress.trim()
+                },
+                extensions: options.extensions
+            });
+            const prefix = filenamePrefixes[subject.keyType] || subject.keyType;
+            setResult({
+                certificate,
+                filename: options.type === 'host' ? `ssh_host_${prefix}_key-cert.pub` : `id_${prefix}-cert.pub`,
+                summary: parseOpenSSHCertificate(certificate)
+            });
+            setCopied(false);
+        } catch (err) {
+            setError(formatError(err));
+        } finally {
+            setIsIssuing(false);
+        }
+    };
+
+    // クリップボードへのコピー
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(result.certificate);
+            setCopied(true);
+        } catch (err) {
+            setError(formatError(err));
+        }
+    };
+
+    // CA鍵はそのままで、別の公開鍵に証明書を発行する
+    const handleAnother = () => {
+        setSubjectText('');
+        setOptions({ ...options, keyId: '', principals: '' });
+        setResult(null);
+        setError('');
+    };
+
+    const formatValidity = (summary) => {
+        const format = (date) => (date ? date.toLocaleString(language) : texts.forever);
+        return summary.validAfter || summary.validBefore
+            ? `${format(summary.validAfter)} - ${format(summary.validBefore)}`
+            : texts.forever;
+    };
+
+    if (result) {
+        const { summary } = result;
+        return (
+            <div className="space-y-6">
+                <div className="text-center">
+                    <h2 className="text-2xl font-bold">{texts.certificate}</h2>
+                    <p className="text-gray-600 mt-2 font-mono">{result.filename}</p>
+                </div>
+
+                {error && (
+                    <div className="p-4 bg-red-50 text-red-700 rounded-lg">
+                        {error}
+                    </div>
+                )}
+
+                <dl className="grid grid-cols-2 gap-2 text-sm bg-gray-50 rounded-lg p-4">
+                    <dt className="text-gray-500">{texts.summary.type}</dt>
+                    <dd className="text-gray-900">
+                        {certificateTypes.find(type => type.value === summary.type).label[language]}
+                    </dd>
+                    <dt className="text-gray-500">{texts.summary.keyId}</dt>
+                    <dd className="text-gray-900 break-all">{summary.keyId}</dd>
+                    <dt className="text-gray-500">{texts.summary.serial}</dt>
+                    <dd className="font-mono text-gray-900">{summary.serial}</dd>
+                    <dt className="text-gray-500">{texts.summary.principals}</dt>
+                    <dd className="text-gray-900 break-all">
+                        {summary.principals.length > 0 ? summary.principals.join(', ') : texts.any}
+                    </dd>
+                    <dt className="text-gray-500">{texts.summary.validity}</dt>
+                    <dd className="text-gray-900">{formatValidity(summary)}</dd>
+                    <dt className="text-gray-500">{texts.summary.signature}</dt>
+                    <dd className="font-mono text-gray-900">{summary.signatureType}</dd>
+                </dl>
+
+                <div>
+                    <div className="flex justify-end space-x-2">
+                        <button
+                            onClick={handleCopy}
+                            className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+                        >
+                            {copied ? texts.copied : texts.copy}
+                        </button>
+                        <button
+                            onClick={() => saveFile(`${result.certificate}\n`, result.filename)}
+                            className="px-3 py-1 text-sm bg-green-600 text-white rounded-md hover:bg-green-700"
+                        >
+                            {texts.download}
+                        </button>
+                    </div>
+                    <pre className="mt-2 p-4 bg-gray-50 rounded-lg overflow-x-auto text-xs">
+                        {result.certificate}
+                    </pre>
+                </div>
+
+                <div className="flex justify-end">
+                    <button
+                        onClick={handleAnother}
+                        className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                    >
+                        {texts.another}
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            <div className="text-center">
+                <h2 className="text-2xl font-bold">{texts.title}</h2>
+                <p className="text-gray-600 mt-2">{texts.subtitle}</p>
+            </div>
+
+            {error && (
+                <div className="p-4 bg-red-50 text-red-700 rounded-lg">
+                    {error}
+                </div>
+            )}
+
+            <div className="space-y-3">
+                <KeyInput
+                    value={caText}
+                    onChange={(value) => {
+                        setCaText(value);
+                        setCaPublicKey('');
+                    }}
+                    onError={setError}
+                    label={texts.caKey}
+                    language={language}
+                />
+                <div className="flex justify-end">
+                    <button
+                        onClick={handleGenerateCA}
+                        disabled={isGeneratingCA}
+                        className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+                    >
+                        {isGeneratingCA ? texts.generatingCA : texts.generateCA}
+                    </button>
+                </div>
+
+                {caPublicKey ? (
+                    <div className="border border-gray-200 rounded-lg p-4 space-y-2">
+                        <h3 className="font-bold">{texts.caPublicKey}</h3>
+                        <pre className="p-3 bg-gray-50 rounded-lg overflow-x-auto text-xs">{caPublicKey}</pre>
+                        <p className="text-xs text-gray-500">{texts.caPublicKeyHint[options.type]}</p>
+                        <div className="p-3 bg-yellow-50 text-yellow-800 rounded-lg text-sm">{texts.caWarning}</div>
+                        <div className="flex justify-end space-x-2">
+                            <button
+                                onClick={() => saveFile(`${caPublicKey}\n`, 'ssh_ca.pub')}
+                                className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+                            >
+                                {texts.downloadCAPublicKey}
+                            </button>
+                            <button
+                                onClick={() => saveFile(caText, 'ssh_ca')}
+                                className="px-3 py-1 text-sm bg-green-600 text-white rounded-md hover:bg-green-700"
+                            >
+                                {texts.downloadCAPrivateKey}
+                            </button>
+                        </div>
+                    </div>
+                ) : (
+                    <div>
+                        <label className="block">
+                            <span className="text-sm font-medium text-gray-700">{texts.caPassphrase}</span>
+                            <input
+                                type="password"
+                                value={caPassphrase}
+                                onChange={(e) => setCaPassphrase(e.target.value)}
+                                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                            />
+                        </label>
+                        <p className="mt-1 text-xs text-gray-500">{texts.caPassphraseHint}</p>
+                    </div>
+                )}
+            </div>
+
+            <KeyInput
+                value={subjectText}
+                onChange={setSubjectText}
+                onError={setError}
+                label={texts.subjectKey}
+                language={language}
+            />
+
+            <div>
+                <div className="text-sm font-medium text-gray-700 mb-2">{texts.certificateType}</div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                    {certificateTypes.map(type => (
+                        <button
+                            key={type.value}
+                            type="button"
+                            onClick={() => handleChange('type', type.value)}
+                            className={`p-3 border rounded-lg text-left hover:bg-blue-50 transition-colors ${
+                                options.type === type.value ? 'border-blue-500 bg-blue-50' : 'border-gray-200'
+                            }`}
+                        >
+                            <div className="font-bold">{type.label[language]}</div>
+                            <div className="text-xs text-gray-600 mt-1">{type.description[language]}</div>
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div>
+                <label className="block">
+                    <span className="text-sm font-medium text-gray-700">{texts.keyId}</span>
+                    <input
+                        type="text"
+                        value={options.keyId}
+                        onChange={(e) => handleChange('keyId', e.target.value)}
+                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                    />
+                </label>
+                <p className="mt-1 text-xs text-gray-500">{texts.keyIdHint}</p>
+            </div>
+
+            <div>
+                <label className="block">
+                    <span className="text-sm font-medium text-gray-700">{texts.principals}</span>
+                    <input
+                        type="text"
+                        value={options.principals}
+                        onChange={(e) => handleChange('principals', e.target.value)}
+                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                    />
+                </label>
+                <p className="mt-1 text-xs text-gray-500">{texts.principalsHint[options.type]}</p>
+            </div>
+
+            <div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {['validAfter', 'validBefore'].map(name => (
+                        <label key={name} className="block">
+                            <span className="text-sm font-medium text-gray-700">{texts[name]}</span>
+                            <input
+                                type="datetime-local"
+                                value={options[name]}
+                                onChange={(e) => handleChange(name, e.target.value)}
+                                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                            />
+                        </label>
+                    ))}
+                </div>
+                <p className="mt-1 text-xs text-gray-500">{texts.validityHint}</p>
+            </div>
+
+            <label className="block">
+                <span className="text-sm font-medium text-gray-700">{texts.serial}</span>
+                <input
+                    type="text"
+                    inputMode="numeric"
+                    value={options.serial}
+                    onChange={(e) => handleChange('serial', e.target.value)}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm font-mono focus:ring-blue-500 focus:border-blue-500"
+                />
+            </label>
+
+            {/* ホスト証明書にはクリティカルオプションと拡張が定義されていない */}
+            {options.type === 'user' && (
+                <>
+                    <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+                        <h3 className="text-lg font-bold">{texts.criticalOptions}</h3>
+                        <label className="block">
+                            <span className="text-sm font-medium text-gray-700">{texts.forceCommand}</span>
+                            <input
+                                type="text"
+                                value={options.forceCommand}
+                                onChange={(e) => handleChange('forceCommand', e.target.value)}
+                                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm font-mono focus:ring-blue-500 focus:border-blue-500"
+                            />
+                        </label>
+                        <label className="block">
+                            <span className="text-sm font-medium text-gray-700">{texts.sourceAddress}</span>
+                            <input
+                                type="text"
+                                value={options.sourceAddress}
+                                onChange={(e) => handleChange('sourceAddress', e.target.value)}
+                                placeholder={texts.sourceAddressPlaceholder}
+                                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm font-mono focus:ring-blue-500 focus:border-blue-500"
+                            />
+                        </label>
+                    </div>
+
+                    <div className="border border-gray-200 rounded-lg p-4 space-y-2">
+                        <h3 className="text-lg font-bold">{texts.extensions}</h3>
+                        {SSH_CERTIFICATE_EXTENSIONS.map(name => (
+                            <label key={name} className="flex items-center space-x-2">
+                                <input
+                                    type="checkbox"
+                                    checked={options.extensions.includes(name)}
+                                    onChange={() => handleExtensionToggle(name)}
+                                />
+                                <span className="font-mono text-sm">{name}</span>
+                            </label>
+                        ))}
+                    </div>
+                </>
+            )}
+
+            <div className="flex justify-end">
+                <button
+                    onClick={handleIssue}
+                    disabled={!canIssue}
+                    className={`px-6 py-2 rounded-lg ${
+                        canIssue
+                            ? 'bg-blue-600 text-white hover:bg-blue-700'
+                            : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                    }`}
+                >
+                    {isIssuing ? texts.issuing : texts.issue}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,123 @@
+/**
+ * SSH形式のオプション設定コンポーネント（コメントとパスフレーズ保護のラウンド数）
+ */
+
+// 選択可能なbcrypt_pbkdfのラウンド数
+const roundOptions = [
+    {
+        value: 16,
+        description: {
+            ja: 'ssh-keygenの既定値',
+            en: 'ssh-keygen default'
+        }
+    },
+    {
+        value: 32,
+        description: {
+            ja: '約2倍の時間',
+            en: 'About 2x slower'
+        }
+    },
+    {
+        value: 64,
+        description: {
+            ja: '約4倍の時間',
+            en: 'About 4x slower'
+        }
+    },
+    {
+        value: 100,
+        description: {
+            ja: '約6倍の時間',
+            en: 'About 6x slower'
+        }
+    }
+];
+
+/**
+ * SSHOptionsコンポーネント
+ * @param {Object} props - プロパティ
+ * @param {Object} props.options - 現在のSSHオプション（comment, rounds）
+ * @param {function} props.onChange - 変更時のコールバック
+ * @param {boolean} props.hasPassphrase - パスフレーズが設定されている場合はtrue（ラウンド数を表示）
+ * @param {boolean} props.isImported - 読み込んだ鍵の変換の場合はtrue
+ * @param {string} props.language - 表示言語
+ */
+export default function SSHOptions({ options, onChange, hasPassphrase, isImported = false, language }) {
+    // 言語に応じたテキストを取得
+    const texts = {
+        ja: {
+            title: 'SSHオプション',
+            comment: 'コメント',
+            commentPlaceholder: 'user@example.com',
+            commentHint: isImported
+                ? '空欄の場合は読み込んだ鍵のコメントを使用します'
+                : '公開鍵の末尾と秘密鍵に記録されます',
+            rounds: 'bcryptのラウンド数',
+            roundsHint: '多いほど総当たり攻撃に強くなりますが、鍵の読み込みに時間がかかります',
+            cipher: '暗号方式'
+        },
+        en: {
+            title: 'SSH Options',
+            comment: 'Comment',
+            commentPlaceholder: 'user@example.com',
+            commentHint: isImported
+                ? 'Leave empty to keep the comment of the imported key'
+                : 'Stored at the end of the public key and in the private key',
+            rounds: 'bcrypt Rounds',
+            roundsHint: 'More rounds resist brute force better but slow down loading the key',
+            cipher: 'Cipher'
+        }
+    }[language];
+
+    const handleChange = (key, value) => {
+        onChange({ ...options, [key]: value });
+    };
+
+    return (
+        <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+            <h3 className="text-lg font-bold">{texts.title}</h3>
+
+            <div>
+                <label className="block">
+                    <span className="text-sm font-medium text-gray-700">{texts.comment}</span>
+                    <input
+                        type="text"
+                        value={options.comment}
+                        onChange={(e) => handleChange('comment', e.target.value)}
+                        placeholder={texts.commentPlaceholder}
+                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                    />
+                </label>
+                <p className="mt-1 text-xs text-gray-500">{texts.commentHint}</p>
+            </div>
+
+            {hasPassphrase && (
+                <>
+                    <div>
+                        <label className="block">
+                            <span className="text-sm font-medium text-gray-700">{texts.rounds}</span>
+                            <select
+                                value={options.rounds}
+                                onChange={(e) => handleChange('rounds', parseInt(e.target.value))}
+                                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                            >
+                                {roundOptions.map(round => (
+                                    <option key={round.value} value={round.value}>
+                                        {round.value} - {round.description[language]}
+                                    </option>
+                                ))}
+                            </select>
+                        </label>
+                        <p className="mt-1 text-xs text-gray-500">{texts.roundsHint}</p>
+                    </div>
+
+                    <dl className="grid grid-cols-2 gap-2 text-sm bg-gray-50 rounded-lg p-3">
+                        <dt className="text-gray-500">{texts.cipher}</dt>
+                        <dd className="font-mono text-gray-900">aes256-ctr (bcrypt)</dd>
+                    </dl>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,43 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import SSHOptions from './SSHOptions';
+
+describe('SSHOptionsコンポーネントテスト', () => {
+    const mockOnChange = jest.fn();
+    const defaultOptions = {
+        comment: '',
+        rounds: 16
+    };
+
+    beforeEach(() => {
+        mockOnChange.mockClear();
+    });
+
+    test('パスフレーズなしではコメントのみ表示', () => {
+        render(<SSHOptions options={defaultOptions} onChange={mockOnChange} hasPassphrase={false} language="ja" />);
+
+        expect(screen.getByText('SSHオプション')).toBeInTheDocument();
+        expect(screen.getByLabelText('コメント')).toBeInTheDocument();
+        expect(screen.queryByLabelText('bcryptのラウンド数')).not.toBeInTheDocument();
+    });
+
+    test('コメントの入力', () => {
+        render(<SSHOptions options={defaultOptions} onChange={mockOnChange} hasPassphrase={false} language="en" />);
+
+        fireEvent.change(screen.getByLabelText('Comment'), { target: { value: 'user@example.com' } });
+        expect(mockOnChange).toHaveBeenCalledWith({ ...defaultOptions, comment: 'user@example.com' });
+    });
+
+    test('ラウンド数の選択', () => {
+        render(<SSHOptions options={defaultOptions} onChange={mockOnChange} hasPassphrase language="ja" />);
+
+        expect(screen.getByText('aes256-ctr (bcrypt)')).toBeInTheDocument();
+        fireEvent.change(screen.getByLabelText('bcryptのラウンド数'), { target: { value: '64' } });
+        expect(mockOnChange).toHaveBeenCalledWith({ ...defaultOptions, rounds: 64 });
+    });
+
+    test('読み込んだ鍵の変換ではコメントの説明を切り替える', () => {
+        render(<SSHOptions options={defaultOptions} onChange={mockOnChange} hasPassphrase={false} isImported language="ja" />);
+
+        expect(screen.getByText('空欄の場合は読み込んだ鍵のコメントを使用します')).toBeInTheDocument();
+    });
+});
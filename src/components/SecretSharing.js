@@ -0,0 +1,194 @@
+/**
+ * 秘密鍵の分割コンポーネント（生成結果で使用）
+ * M-of-Nで保管できるよう、Shamirの秘密分散で秘密鍵またはパスフレーズをシェアに分割する
+ */
+import { useState } from 'react';
+import { createSecretShares } from '../utils/shamir';
+import { formatError, validateSecretSharingOptions } from '../utils/errorHandler';
+import { saveFile } from '../utils/download';
+
+/**
+ * SecretSharingコンポーネント
+ * @param {Object} props - プロパティ
+ * @param {string} props.privateKey - 秘密鍵
+ * @param {string} props.passphrase - 秘密鍵のパスフレーズ（暗号化していない場合は空）
+ * @param {string} props.fingerprint - 公開鍵のSPKI SHA-256フィンガープリント（復元時の照合に使用）
+ * @param {string} props.language - 表示言語
+ */
+export default function SecretSharing({ privateKey, passphrase, fingerprint, language }) {
+    const [kind, setKind] = useState('privateKey');
+    const [count, setCount] = useState(5);
+    const [threshold, setThreshold] = useState(3);
+    const [shares, setShares] = useState([]);
+    const [copied, setCopied] = useState(null);
+    const [error, setError] = useState('');
+
+    // 言語に応じたテキストを取得
+    const texts = {
+        ja: {
+            title: 'シェアに分割（Shamirの秘密分散）',
+            hint: 'N個のシェアのうちM個を集めると元に戻せるよう分割します。M個未満のシェアからは元の秘密について何もわかりません。復元は「シェアから復元」で行います。',
+            kind: '分割する秘密',
+            kinds: { privateKey: '秘密鍵', passphrase: 'パスフレーズ' },
+            count: 'シェアの数（N）',
+            threshold: '復元に必要なシェアの数（M）',
+            create: 'シェアを作成',
+            share: 'シェア',
+            copy: 'コピー',
+            download: 'ダウンロード',
+            copied: 'コピーしました',
+            warning: 'シェアはそれぞれ別の保管者・保管場所に渡してください。M個のシェアを1か所に保管すると分割した意味がなくなります。'
+        },
+        en: {
+            title: 'Split into Shares (Shamir\'s Secret Sharing)',
+            hint: 'Splits the secret so that any M of the N shares can restore it. Fewer than M shares reveal nothing about the secret. Use "Recover Shares" to restore it.',
+            kind: 'Secret to Split',
+            kinds: { privateKey: 'Private key', passphrase: 'Passphrase' },
+            count: 'Number of Shares (N)',
+            threshold: 'Shares Required to Recover (M)',
+            create: 'Create Shares',
+            share: 'Share',
+            copy: 'Copy',
+            download: 'Download',
+            copied: 'Copied',
+            warning: 'Hand each share to a different custodian or location. Keeping M shares in one place defeats the purpose of splitting.'
+        }
+    }[language];
+
+    // 入力した条件でシェアを作成
+    const handleCreate = () => {
+        const options = { kind, count: Number(count), threshold: Number(threshold) };
+        const validation = validateSecretSharingOptions(options);
+        if (!validation.isValid) {
+            setError(validation.message);
+            setShares([]);
+            return;
+        }
+
+        try {
+            const secret = kind === 'passphrase' ? passphrase : privateKey;
+            setShares(createSecretShares(secret, { ...options, fingerprint }));
+            setCopied(null);
+            setError('');
+        } catch (err) {
+            setError(formatError(err));
+        }
+    };
+
+    // クリップボードへのコピー
+    const handleCopy = async (share) => {
+        try {
+            await navigator.clipboard.writeText(share.text);
+            setError('');
+            setCopied(share.index);
+        } catch (err) {
+            setError(formatError(err));
+        }
+    };
+
+    // シェアごとに保管者へ渡せるよう、Share-IDと番号をファイル名に含める
+    const handleDownload = (share) => {
+        try {
+            saveFile(share.text, `share_${share.id}_${share.index}of${share.count}.txt`);
+            setError('');
+        } catch (err) {
+            setError(formatError(err));
+        }
+    };
+
+    return (
+        <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+            <h3 className="font-bold text-lg">{texts.title}</h3>
+            <p className="text-sm text-gray-600">{texts.hint}</p>
+
+            {/* パスフレーズで暗号化した場合は、秘密鍵の代わりにパスフレーズを分割できる */}
+            {passphrase && (
+                <fieldset>
+                    <legend className="text-sm font-medium text-gray-700">{texts.kind}</legend>
+                    <div className="mt-1 flex gap-4">
+                        {['privateKey', 'passphrase'].map(name => (
+                            <label key={name} className="flex items-center gap-1 text-sm">
+                                <input
+                                    type="radio"
+                                    name="secretKind"
+                                    value={name}
+                                    checked={kind === name}
+                                    onChange={() => setKind(name)}
+                                />
+                                {texts.kinds[name]}
+                            </label>
+                        ))}
+                    </div>
+                </fieldset>
+            )}
+
+            <div className="grid grid-cols-2 gap-4">
+                <label className="block">
+                    <span className="text-sm font-medium text-gray-700">{texts.count}</span>
+                    <input
+                        type="number"
+                        min="2"
+                        value={count}
+                        onChange={(e) => setCount(e.target.value)}
+                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                    />
+                </label>
+                <label className="block">
+                    <span className="text-sm font-medium text-gray-700">{texts.threshold}</span>
+                    <input
+                        type="number"
+                        min="2"
+                        value={threshold}
+                        onChange={(e) => setThreshold(e.target.value)}
+                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                    />
+                </label>
+            </div>
+
+            {error && (
+                <div className="p-4 bg-red-50 text-red-700 rounded-lg">
+                    {error}
+                </div>
+            )}
+
+            <button
+                onClick={handleCreate}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+            >
+                {texts.create}
+            </button>
+
+            {shares.length > 0 && (
+                <div className="space-y-4">
+                    <div className="p-4 bg-yellow-50 text-yellow-800 rounded-lg text-sm">
+                        {texts.warning}
+                    </div>
+                    {shares.map(share => (
+                        <div key={share.index}>
+                            <div className="flex justify-between items-center">
+                                <h4 className="font-medium">{`${texts.share} ${share.index}/${share.count}`}</h4>
+                                <div className="space-x-2">
+                                    <button
+                                        onClick={() => handleCopy(share)}
+                                        className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+                                    >
+                                        {copied === share.index ? texts.copied : texts.copy}
+                                    </button>
+                                    <button
+                                        onClick={() => handleDownload(share)}
+                                        className="px-3 py-1 text-sm bg-green-600 text-white rounded-md hover:bg-green-700"
+                                    >
+                                        {texts.download}
+                                    </button>
+                                </div>
+                            </div>
+                            <pre className="mt-2 p-4 bg-gray-50 rounded-lg overflow-x-auto text-xs">
+                                {share.text}
+                            </pre>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,104 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import SecretSharing from './SecretSharing';
+import { parseSecretShares, recoverSecret } from '../utils/shamir';
+import { mockKeyPairs, mockRandomValues } from '../utils/testHelpers';
+
+jest.unmock('node-forge');
+
+describe('SecretSharingコンポーネントテスト', () => {
+    const defaultProps = {
+        privateKey: mockKeyPairs.rsa.privateKey,
+        passphrase: '',
+        fingerprint: 'AA:BB:CC',
+        language: 'ja'
+    };
+
+    beforeEach(() => {
+        mockRandomValues();
+        URL.createObjectURL.mockClear();
+        Object.assign(navigator, {
+            clipboard: { writeText: jest.fn().mockResolvedValue() }
+        });
+    });
+
+    // 表示されたシェアのテキストを取得
+    const getShareTexts = () => screen.getAllByText(/-----BEGIN KOKAI2 SECRET SHARE-----/).map(element => element.textContent);
+
+    test('秘密鍵をシェアに分割', () => {
+        render(<SecretSharing {...defaultProps} />);
+
+        fireEvent.click(screen.getByText('シェアを作成'));
+
+        expect(screen.getByText('シェア 1/5')).toBeInTheDocument();
+        expect(screen.getByText('シェア 5/5')).toBeInTheDocument();
+        const texts = getShareTexts();
+        expect(texts).toHaveLength(5);
+        expect(texts[0]).toContain('Threshold: 3');
+        expect(texts[0]).toContain('Fingerprint: AA:BB:CC');
+
+        // 任意の3個のシェアから秘密鍵を復元できる
+        const recovered = recoverSecret(parseSecretShares([texts[4], texts[0], texts[2]].join('\n')));
+        expect(recovered).toMatchObject({ kind: 'privateKey', secret: mockKeyPairs.rsa.privateKey });
+    });
+
+    test('シェアの数と復元に必要な数を指定', () => {
+        render(<SecretSharing {...defaultProps} />);
+
+        fireEvent.change(screen.getByLabelText('シェアの数（N）'), { target: { value: '3' } });
+        fireEvent.change(screen.getByLabelText('復元に必要なシェアの数（M）'), { target: { value: '2' } });
+        fireEvent.click(screen.getByText('シェアを作成'));
+
+        const texts = getShareTexts();
+        expect(texts).toHaveLength(3);
+        expect(texts[2]).toContain('Share: 3/3\nThreshold: 2');
+    });
+
+    test('復元に必要な数がシェアの数より多い場合はエラー', () => {
+        render(<SecretSharing {...defaultProps} />);
+
+        fireEvent.change(screen.getByLabelText('復元に必要なシェアの数（M）'), { target: { value: '6' } });
+        fireEvent.click(screen.getByText('シェアを作成'));
+
+        expect(screen.getByText('復元に必要なシェアの数は2以上、シェアの数以下で指定してください。')).toBeInTheDocument();
+        expect(screen.queryByText(/-----BEGIN KOKAI2 SECRET SHARE-----/)).not.toBeInTheDocument();
+    });
+
+    test('パスフレーズを設定した場合はパスフレーズを分割できる', () => {
+        render(<SecretSharing {...defaultProps} passphrase="secret-pass" />);
+
+        fireEvent.click(screen.getByLabelText('パスフレーズ'));
+        fireEvent.click(screen.getByText('シェアを作成'));
+
+        const texts = getShareTexts();
+        expect(texts[0]).toContain('Secret: passphrase');
+        expect(recoverSecret(parseSecretShares(texts.slice(0, 3).join('\n'))).secret).toBe('secret-pass');
+    });
+
+    test('シェアのコピーとダウンロード', async () => {
+        const clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        render(<SecretSharing {...defaultProps} />);
+
+        fireEvent.click(screen.getByText('シェアを作成'));
+        const texts = getShareTexts();
+
+        fireEvent.click(screen.getAllByText('コピー')[1]);
+        expect(await screen.findByText('コピーしました')).toBeInTheDocument();
+        expect(navigator.clipboard.writeText).toHaveBeenCalledWith(texts[1]);
+
+        fireEvent.click(screen.getAllByText('ダウンロード')[1]);
+        const link = clickSpy.mock.instances[0];
+        const [, id] = texts[1].match(/Share-ID: (\w+)/);
+        expect(link.download).toBe(`share_${id}_2of5.txt`);
+        expect(URL.createObjectURL.mock.calls[0][0].content).toEqual([texts[1]]);
+
+        clickSpy.mockRestore();
+    });
+
+    test('英語表示の確認', () => {
+        render(<SecretSharing {...defaultProps} language="en" />);
+
+        expect(screen.getByText('Split into Shares (Shamir\'s Secret Sharing)')).toBeInTheDocument();
+        fireEvent.click(screen.getByText('Create Shares'));
+        expect(screen.getByText('Share 1/5')).toBeInTheDocument();
+    });
+});
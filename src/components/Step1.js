@@ -30,13 +30,14 @@ const keyTypes = [
     {
         value: 'ecdsa',
         label: 'ECDSA',
-        description: 'ECDSA (NIST P-256/P-384)',
+        description: 'ECDSA (NIST P-256/P-384/P-521, secp256k1)',
         details: {
             title: '楕円曲線デジタル署名アルゴリズム',
             description: `
                 RSAより小さい鍵サイズで同等のセキュリティを提供します。
                 署名生成が高速で、モバイルデバイスに適しています。
-                P-256は一般的な用途に、P-384はより高いセキュリティが必要な場合に使用します。
+                P-256は一般的な用途に、P-384/P-521はより高いセキュリティが必要な場合に使用します。
+                secp256k1はBitcoinやEthereumなどのブロックチェーンで使われる曲線です。
             `,
             useCases: [
                 'TLS/SSL証明書',
@@ -44,7 +45,7 @@ const keyTypes = [
                 'IoTデバイス認証',
                 'モバイルアプリケーション'
             ],
-            security: 'P-256で128ビット、P-384で192ビット相当のセキュリティを提供'
+            security: 'P-256/secp256k1で128ビット、P-384で192ビット、P-521で256ビット相当のセキュリティを提供'
         }
     },
     {
@@ -66,6 +67,26 @@ const keyTypes = [
             ],
             security: 'Ed25519で128ビット、Ed448で224ビット相当のセキュリティを提供'
         }
+    },
+    {
+        value: 'ecdh',
+        label: 'ECDH',
+        description: 'ECDH / X25519 / X448',
+        details: {
+            title: '楕円曲線ディフィー・ヘルマン鍵共有',
+            description: `
+                署名ではなく鍵共有（鍵合意）に使用する鍵ペアです。
+                相手の公開鍵と自分の秘密鍵から共通の秘密値を導出します。
+                X25519は一般的な用途に、X448はより高いセキュリティが必要な場合に使用します。
+            `,
+            useCases: [
+                'HPKE（RFC 9180）',
+                'age暗号化',
+                'WireGuard形式のVPN',
+                'エンドツーエンド暗号化'
+            ],
+            security: 'X25519で128ビット、X448で224ビット相当のセキュリティを提供'
+        }
     }
 ];
 
@@ -74,9 +95,10 @@ const keyTypes = [
  * @param {Object} props - プロパティ
  * @param {function} props.onSelect - 選択時のコールバック
  * @param {string} props.selected - 現在選択されている値
+ * @param {function} props.onNext - 次へボタンのコールバック
  * @param {string} props.language - 表示言語
  */
-export default function Step1({ onSelect, selected, language }) {
+export default function Step1({ onSelect, selected, onNext, language }) {
     const [showDetails, setShowDetails] = useState(null);
 
     // 言語に応じたテキストを取得
@@ -87,6 +109,7 @@ export default function Step1({ onSelect, selected, language }) {
             details: '詳細',
             useCases: '主な用途',
             security: 'セキュリティレベル',
+            next: '次へ',
             close: '閉じる'
         },
         en: {
@@ -95,6 +118,7 @@ export default function Step1({ onSelect, selected, language }) {
             details: 'Details',
             useCases: 'Use Cases',
             security: 'Security Level',
+            next: 'Next',
             close: 'Close'
         }
     }[language];
@@ -106,7 +130,7 @@ export default function Step1({ onSelect, selected, language }) {
                 <p className="text-gray-600 mt-2">{texts.subtitle}</p>
             </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 {keyTypes.map(type => (
                     <div key={type.value} className="relative">
                         <button
@@ -131,6 +155,20 @@ export default function Step1({ onSelect, selected, language }) {
                 ))}
             </div>
 
+            <div className="flex justify-end">
+                <button
+                    onClick={onNext}
+                    disabled={!selected}
+                    className={`px-6 py-2 text-white rounded-lg ${
+                        selected
+                            ? 'bg-blue-600 hover:bg-blue-700'
+                            : 'bg-blue-400 cursor-not-allowed'
+                    }`}
+                >
+                    {texts.next}
+                </button>
+            </div>
+
             {/* 詳細モーダル */}
             {showDetails && (
                 <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
@@ -2,6 +2,7 @@
  * 鍵サイズ選択コンポーネント
  */
 import { useState } from 'react';
+import RSAOptions from './RSAOptions';
 
 /**
  * 鍵サイズの選択肢を定義
@@ -64,6 +65,28 @@ const keySizes = {
                 compatibility: 'NSA Suite B準拠',
                 recommendation: '政府システムや高セキュリティ要件に'
             }
+        },
+        {
+            value: 'P-521',
+            label: 'P-521',
+            description: '最高レベルのセキュリティ',
+            details: {
+                security: '256ビット相当の安全性',
+                speed: 'P-384より遅い',
+                compatibility: 'OpenSSH（ecdsa-sha2-nistp521）対応',
+                recommendation: '長期的な署名や高セキュリティ要件に'
+            }
+        },
+        {
+            value: 'secp256k1',
+            label: 'secp256k1',
+            description: 'ブロックチェーンに最適',
+            details: {
+                security: '128ビット相当の安全性',
+                speed: 'P-256と同程度',
+                compatibility: 'SSH形式は非対応',
+                recommendation: 'Bitcoin/Ethereumなどの署名に'
+            }
         }
     ],
     eddsa: [
@@ -89,6 +112,30 @@ const keySizes = {
                 recommendation: '将来的な量子コンピュータ対策に'
             }
         }
+    ],
+    ecdh: [
+        {
+            value: 'X25519',
+            label: 'X25519',
+            description: 'HPKE/age/WireGuardに最適',
+            details: {
+                security: '128ビット相当の安全性',
+                speed: '非常に高速',
+                compatibility: 'TLS 1.3、WireGuard、ageで標準採用',
+                recommendation: '鍵共有や公開鍵暗号化に'
+            }
+        },
+        {
+            value: 'X448',
+            label: 'X448',
+            description: '長期的なセキュリティ',
+            details: {
+                security: '224ビット相当の安全性',
+                speed: 'X25519より約3倍遅い',
+                compatibility: 'OpenSSL 1.1.1+、TLS 1.3でサポート',
+                recommendation: '高いセキュリティが必要な鍵共有に'
+            }
+        }
     ]
 };
 
@@ -99,9 +146,21 @@ const keySizes = {
  * @param {function} props.onSelect - 選択時のコールバック
  * @param {string} props.selected - 現在選択されている値
  * @param {function} props.onBack - 戻るボタンのコールバック
+ * @param {function} props.onNext - 次へボタンのコールバック
+ * @param {Object} props.rsaOptions - RSAオプション（RSAの場合のみ）
+ * @param {function} props.onRSAOptionsChange - RSAオプション変更時のコールバック
  * @param {string} props.language - 表示言語
  */
-export default function Step2({ keyType, onSelect, selected, onBack, language }) {
+export default function Step2({
+    keyType,
+    onSelect,
+    selected,
+    onBack,
+    onNext,
+    rsaOptions,
+    onRSAOptionsChange,
+    language
+}) {
     const [showDetails, setShowDetails] = useState(null);
 
     // 言語に応じたテキストを取得
@@ -115,6 +174,7 @@ export default function Step2({ keyType, onSelect, selected, onBack, language })
             compatibility: '互換性',
             recommendation: '推奨用途',
             back: '戻る',
+            next: '次へ',
             close: '閉じる'
         },
         en: {
@@ -126,6 +186,7 @@ export default function Step2({ keyType, onSelect, selected, onBack, language })
             compatibility: 'Compatibility',
             recommendation: 'Recommended Use',
             back: 'Back',
+            next: 'Next',
             close: 'Close'
         }
     }[language];
@@ -165,13 +226,32 @@ export default function Step2({ keyType, onSelect, selected, onBack, language })
                 ))}
             </div>
 
-            <div className="flex justify-start">
+            {keyType === 'rsa' && rsaOptions && (
+                <RSAOptions
+                    options={rsaOptions}
+                    onChange={onRSAOptionsChange}
+                    language={language}
+                />
+            )}
+
+            <div className="flex justify-between">
                 <button
                     onClick={onBack}
                     className="px-4 py-2 text-blue-600 hover:text-blue-800"
                 >
                     {texts.back}
                 </button>
+                <button
+                    onClick={onNext}
+                    disabled={!selected}
+                    className={`px-6 py-2 text-white rounded-lg ${
+                        selected
+                            ? 'bg-blue-600 hover:bg-blue-700'
+                            : 'bg-blue-400 cursor-not-allowed'
+                    }`}
+                >
+                    {texts.next}
+                </button>
             </div>
 
             {/* 詳細モーダル */}
@@ -197,4 +197,48 @@ describe('Step2コンポーネントテスト', () => {
         // ARIAラベルの確認
         expect(screen.getByRole('button', { name: '2048ビット' })).toBeInTheDocument();
     });
-}); 
\ No newline at end of file
+
+    describe('RSAオプション', () => {
+        const rsaOptions = {
+            algorithm: 'RSASSA-PKCS1-v1_5',
+            hash: 'SHA-256',
+            publicExponent: 65537
+        };
+
+        test('RSAの場合はオプションを表示', () => {
+            const mockOnRSAOptionsChange = jest.fn();
+            render(
+                <Step2
+                    keyType="rsa"
+                    selected="2048"
+                    onSelect={mockOnKeySizeChange}
+                    onNext={mockOnNext}
+                    onBack={mockOnPrev}
+                    rsaOptions={rsaOptions}
+                    onRSAOptionsChange={mockOnRSAOptionsChange}
+                    language="ja"
+                />
+            );
+
+            expect(screen.getByText('RSAオプション')).toBeInTheDocument();
+            fireEvent.click(screen.getByText('RSA-OAEP'));
+            expect(mockOnRSAOptionsChange).toHaveBeenCalledWith({ ...rsaOptions, algorithm: 'RSA-OAEP' });
+        });
+
+        test('RSA以外ではオプションを表示しない', () => {
+            render(
+                <Step2
+                    keyType="ecdsa"
+                    selected="P-256"
+                    onSelect={mockOnKeySizeChange}
+                    onNext={mockOnNext}
+                    onBack={mockOnPrev}
+                    rsaOptions={rsaOptions}
+                    language="ja"
+                />
+            );
+
+            expect(screen.queryByText('RSAオプション')).not.toBeInTheDocument();
+        });
+    });
+});
@@ -118,9 +118,10 @@ const outputFormats = [
  * @param {function} props.onSelect - 選択時のコールバック
  * @param {string} props.selected - 現在選択されている値
  * @param {function} props.onBack - 戻るボタンのコールバック
+ * @param {function} props.onNext - 次へボタンのコールバック
  * @param {string} props.language - 表示言語
  */
-export default function Step3({ keyType, keySize, onSelect, selected, onBack, language }) {
+export default function Step3({ keyType, keySize, onSelect, selected, onBack, onNext, language }) {
     const [showDetails, setShowDetails] = useState(null);
     const [error, setError] = useState('');
 
@@ -133,6 +134,7 @@ export default function Step3({ keyType, keySize, onSelect, selected, onBack, la
             features: '主な特徴',
             useCases: '使用例',
             back: '戻る',
+            next: '次へ',
             close: '閉じる',
             error: 'この形式は選択された暗号方式では使用できません'
         },
@@ -143,6 +145,7 @@ export default function Step3({ keyType, keySize, onSelect, selected, onBack, la
             features: 'Features',
             useCases: 'Use Cases',
             back: 'Back',
+            next: 'Next',
             close: 'Close',
             error: 'This format is not available for the selected cryptography type'
         }
@@ -216,13 +219,24 @@ export default function Step3({ keyType, keySize, onSelect, selected, onBack, la
                 })}
             </div>
 
-            <div className="flex justify-start">
+            <div className="flex justify-between">
                 <button
                     onClick={onBack}
                     className="px-4 py-2 text-blue-600 hover:text-blue-800"
                 >
                     {texts.back}
                 </button>
+                <button
+                    onClick={onNext}
+                    disabled={!selected}
+                    className={`px-6 py-2 text-white rounded-lg ${
+                        selected
+                            ? 'bg-blue-600 hover:bg-blue-700'
+                            : 'bg-blue-400 cursor-not-allowed'
+                    }`}
+                >
+                    {texts.next}
+                </button>
             </div>
 
             {/* 詳細モーダル */}
@@ -2,22 +2,44 @@
  * パスフレーズ設定コンポーネント
  */
 import { useState } from 'react';
-import { validatePassphrase } from '../utils/errorHandler';
+import PemEncryptionOptions from './PemEncryptionOptions';
+import SSHOptions from './SSHOptions';
+import JWKOptions from './JWKOptions';
+import X509Options from './X509Options';
+import { validatePassphrase, validateSSHOptions, validateX509Options, validateCSROptions, validatePkcs12Options } from '../utils/errorHandler';
 
 /**
  * Step4コンポーネント
  * @param {Object} props - プロパティ
+ * @param {string} props.keyType - 選択された暗号方式
  * @param {string} props.outputFormat - 選択された出力形式
  * @param {function} props.onSelect - 選択時のコールバック
  * @param {string} props.passphrase - 現在のパスフレーズ
+ * @param {Object} props.pemEncryption - PEM形式の暗号化オプション（PEMの場合のみ）
+ * @param {function} props.onPemEncryptionChange - 暗号化オプション変更時のコールバック
+ * @param {Object} props.sshOptions - SSH形式のオプション（SSHの場合のみ）
+ * @param {function} props.onSSHOptionsChange - SSHオプション変更時のコールバック
+ * @param {Object} props.jwkOptions - JWK形式のオプション（JWKの場合のみ）
+ * @param {function} props.onJWKOptionsChange - JWKオプション変更時のコールバック
+ * @param {Object} props.x509Options - 自己署名X.509証明書とCSRのオプション（ECDHとOpenPGP以外の場合のみ）
+ * @param {function} props.onX509OptionsChange - 証明書オプション変更時のコールバック
  * @param {function} props.onBack - 戻るボタンのコールバック
  * @param {function} props.onNext - 次へボタンのコールバック
  * @param {string} props.language - 表示言語
  */
 export default function Step4({
+    keyType,
     outputFormat,
     onSelect,
     passphrase,
+    pemEncryption,
+    onPemEncryptionChange,
+    sshOptions,
+    onSSHOptionsChange,
+    jwkOptions,
+    onJWKOptionsChange,
+    x509Options,
+    onX509OptionsChange,
     onBack,
     onNext,
     language
@@ -90,8 +112,37 @@ export default function Step4({
         }
     }[language];
 
+    // 証明書とCSRは署名できる鍵でOpenPGP以外の出力形式の場合のみ作成できる
+    const canCreateCertificate = keyType !== 'ecdh' && outputFormat !== 'pgp';
+
     // パスフレーズの検証
     const validateInput = () => {
+        // SSHのコメントはパスフレーズの有無にかかわらず検証
+        if (outputFormat === 'ssh') {
+            const sshCheck = validateSSHOptions(sshOptions);
+            if (!sshCheck.isValid) {
+                setError(sshCheck.message);
+                return;
+            }
+        }
+
+        // 証明書とCSRの設定もパスフレーズの有無にかかわらず検証
+        if (canCreateCertificate && x509Options) {
+            const checks = [
+                x509Options.enabled && validateX509Options({ keyType, outputFormat, x509Options }),
+                x509Options.csr && validateCSROptions({ keyType, outputFormat, csrOptions: x509Options }),
+                x509Options.enabled && x509Options.pkcs12 && validatePkcs12Options({
+                    x509Options,
+                    pkcs12Options: { password: x509Options.pkcs12Password, encryption: x509Options.pkcs12Encryption, friendlyName: x509Options.friendlyName }
+                })
+            ];
+            const failed = checks.find(check => check && !check.isValid);
+            if (failed) {
+                setError(failed.message);
+                return;
+            }
+        }
+
         if (!passphrase) {
             // パスフレーズが空の場合は次のステップへ
             onNext();
@@ -103,7 +154,7 @@ export default function Step4({
             return;
         }
 
-        const validation = validatePassphrase({ outputFormat, passphrase });
+        const validation = validatePassphrase({ outputFormat, passphrase, pemEncryption });
         if (!validation.isValid) {
             setError(validation.message);
             return;
@@ -165,6 +216,39 @@ export default function Step4({
                 )}
             </div>
 
+            {outputFormat === 'pem' && passphrase && pemEncryption && (
+                <PemEncryptionOptions
+                    options={pemEncryption}
+                    onChange={onPemEncryptionChange}
+                    language={language}
+                />
+            )}
+
+            {outputFormat === 'ssh' && sshOptions && (
+                <SSHOptions
+                    options={sshOptions}
+                    onChange={onSSHOptionsChange}
+                    hasPassphrase={!!passphrase}
+                    language={language}
+                />
+            )}
+
+            {outputFormat === 'jwk' && jwkOptions && (
+                <JWKOptions
+                    options={jwkOptions}
+                    onChange={onJWKOptionsChange}
+                    language={language}
+                />
+            )}
+
+            {canCreateCertificate && x509Options && (
+                <X509Options
+                    options={x509Options}
+                    onChange={onX509OptionsChange}
+                    language={language}
+                />
+            )}
+
             {/* パスフレーズの説明 */}
             <div className="bg-gray-50 p-4 rounded-lg">
                 <h3 className="font-bold text-lg">{texts.info.title}</h3>
@@ -125,4 +125,200 @@ describe('Step4コンポーネントテスト', () => {
         expect(passphraseInput).toHaveAccessibleName('パスフレーズ （オプション）');
         expect(confirmInput).toHaveAccessibleName('パスフレーズの確認');
     });
-}); 
\ No newline at end of file
+
+    test('PEM形式の暗号化オプションの表示', () => {
+        const mockOnPemEncryptionChange = jest.fn();
+        const pemEncryption = { kdf: 'pbkdf2', iterations: 600000, cost: 16384 };
+        const { rerender } = render(
+            <Step4
+                outputFormat="pem"
+                passphrase="strongPassword123!"
+                pemEncryption={pemEncryption}
+                onPemEncryptionChange={mockOnPemEncryptionChange}
+                onSelect={mockOnSelect}
+                onBack={mockOnBack}
+                onNext={mockOnNext}
+                language="ja"
+            />
+        );
+
+        expect(screen.getByText('PEM形式の暗号化')).toBeInTheDocument();
+        fireEvent.change(screen.getByLabelText('反復回数'), { target: { value: '1000000' } });
+        expect(mockOnPemEncryptionChange).toHaveBeenCalledWith({ ...pemEncryption, iterations: 1000000 });
+
+        // PEM以外の形式では表示しない
+        rerender(
+            <Step4
+                outputFormat="ssh"
+                passphrase="strongPassword123!"
+                pemEncryption={pemEncryption}
+                onPemEncryptionChange={mockOnPemEncryptionChange}
+                onSelect={mockOnSelect}
+                onBack={mockOnBack}
+                onNext={mockOnNext}
+                language="ja"
+            />
+        );
+        expect(screen.queryByText('PEM形式の暗号化')).not.toBeInTheDocument();
+    });
+
+    test('無効な反復回数でエラー', () => {
+        render(
+            <Step4
+                outputFormat="pem"
+                passphrase="strongPassword123!"
+                pemEncryption={{ kdf: 'pbkdf2', iterations: 10, cost: 16384 }}
+                onPemEncryptionChange={jest.fn()}
+                onSelect={mockOnSelect}
+                onBack={mockOnBack}
+                onNext={mockOnNext}
+                language="ja"
+            />
+        );
+
+        fireEvent.change(screen.getByPlaceholderText('パスフレーズを再入力'), { target: { value: 'strongPassword123!' } });
+        fireEvent.click(screen.getByText('次へ'));
+
+        expect(screen.getByText('PBKDF2の反復回数は1,000〜5,000,000の整数で指定してください。')).toBeInTheDocument();
+        expect(mockOnNext).not.toHaveBeenCalled();
+    });
+
+    test('SSHオプションの表示', () => {
+        const mockOnSSHOptionsChange = jest.fn();
+        const sshOptions = { comment: '', rounds: 16 };
+        render(
+            <Step4
+                outputFormat="ssh"
+                passphrase=""
+                sshOptions={sshOptions}
+                onSSHOptionsChange={mockOnSSHOptionsChange}
+                onSelect={mockOnSelect}
+                onBack={mockOnBack}
+                onNext={mockOnNext}
+                language="ja"
+            />
+        );
+
+        // パスフレーズがない場合はコメントのみ
+        expect(screen.getByText('SSHオプション')).toBeInTheDocument();
+        expect(screen.queryByLabelText('bcryptのラウンド数')).not.toBeInTheDocument();
+
+        fireEvent.change(screen.getByLabelText('コメント'), { target: { value: 'user@example.com' } });
+        expect(mockOnSSHOptionsChange).toHaveBeenCalledWith({ comment: 'user@example.com', rounds: 16 });
+    });
+
+    test('JWKオプションの表示', () => {
+        const mockOnJWKOptionsChange = jest.fn();
+        render(
+            <Step4
+                outputFormat="jwk"
+                passphrase=""
+                jwkOptions={{ kid: '' }}
+                onJWKOptionsChange={mockOnJWKOptionsChange}
+                onSelect={mockOnSelect}
+                onBack={mockOnBack}
+                onNext={mockOnNext}
+                language="ja"
+            />
+        );
+
+        fireEvent.change(screen.getByLabelText('鍵ID（kid）'), { target: { value: 'key-1' } });
+        expect(mockOnJWKOptionsChange).toHaveBeenCalledWith({ kid: 'key-1' });
+    });
+
+    test('改行を含むコメントでエラー', () => {
+        render(
+            <Step4
+                outputFormat="ssh"
+                passphrase=""
+                sshOptions={{ comment: 'user\nexample', rounds: 16 }}
+                onSSHOptionsChange={jest.fn()}
+                onSelect={mockOnSelect}
+                onBack={mockOnBack}
+                onNext={mockOnNext}
+                language="ja"
+            />
+        );
+
+        fireEvent.click(screen.getByText('次へ'));
+
+        expect(screen.getByText('SSH鍵のコメントに改行は使用できません。')).toBeInTheDocument();
+        expect(mockOnNext).not.toHaveBeenCalled();
+    });
+
+    test('X.509証明書とCSRの設定の表示と検証', () => {
+        const x509Options = {
+            enabled: true,
+            csr: false,
+            profile: 'tls-server',
+            subject: { commonName: '', organization: '', organizationalUnit: '', locality: '', state: '', country: '' },
+            dnsNames: [],
+            ipAddresses: [],
+            emailAddresses: [],
+            validDays: 365,
+            serial: '',
+            challengePassword: ''
+        };
+        const { rerender } = render(
+            <Step4
+                keyType="ecdsa"
+                outputFormat="pem"
+                passphrase=""
+                x509Options={x509Options}
+                onX509OptionsChange={jest.fn()}
+                onSelect={mockOnSelect}
+                onBack={mockOnBack}
+                onNext={mockOnNext}
+                language="ja"
+            />
+        );
+
+        expect(screen.getByText('X.509証明書とCSR')).toBeInTheDocument();
+
+        // CNもサブジェクト代替名もない場合はエラー
+        fireEvent.click(screen.getByText('次へ'));
+        expect(screen.getByText('証明書のコモンネーム（CN）またはサブジェクト代替名を入力してください。')).toBeInTheDocument();
+        expect(mockOnNext).not.toHaveBeenCalled();
+
+        // CSRのみの場合はチャレンジパスワードを検証
+        rerender(
+            <Step4
+                keyType="ecdsa"
+                outputFormat="pem"
+                passphrase=""
+                x509Options={{
+                    ...x509Options,
+                    enabled: false,
+                    csr: true,
+                    subject: { ...x509Options.subject, commonName: 'www.example.com' },
+                    challengePassword: 'x'.repeat(256)
+                }}
+                onX509OptionsChange={jest.fn()}
+                onSelect={mockOnSelect}
+                onBack={mockOnBack}
+                onNext={mockOnNext}
+                language="ja"
+            />
+        );
+        fireEvent.click(screen.getByText('次へ'));
+        expect(screen.getByText('チャレンジパスワードは255文字以内で指定してください。')).toBeInTheDocument();
+        expect(mockOnNext).not.toHaveBeenCalled();
+    });
+
+    test('ECDH鍵とOpenPGP形式では証明書の設定を表示しない', () => {
+        const props = {
+            passphrase: '',
+            x509Options: { enabled: false },
+            onX509OptionsChange: jest.fn(),
+            onSelect: mockOnSelect,
+            onBack: mockOnBack,
+            onNext: mockOnNext,
+            language: 'ja'
+        };
+        const { rerender } = render(<Step4 {...props} keyType="ecdh" outputFormat="pem" />);
+        expect(screen.queryByText('X.509証明書とCSR')).not.toBeInTheDocument();
+
+        rerender(<Step4 {...props} keyType="rsa" outputFormat="pgp" />);
+        expect(screen.queryByText('X.509証明書とCSR')).not.toBeInTheDocument();
+    });
+});
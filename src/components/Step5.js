@@ -3,17 +3,30 @@
  */
 import { useState } from 'react';
 import { validateAll } from '../utils/errorHandler';
+import { formatUserId } from '../utils/pgp';
+import { createMetadata } from '../utils/metadata';
+import MetadataPanel from './MetadataPanel';
 
 /**
  * Step5コンポーネント
  * @param {Object} props - プロパティ
  * @param {Object} props.params - 選択されたパラメータ
  * @param {function} props.onGenerate - 生成時のコールバック
+ * @param {function} props.onCancel - 生成キャンセル時のコールバック
  * @param {function} props.onBack - 戻るボタンのコールバック
  * @param {boolean} props.isGenerating - 生成中フラグ
+ * @param {Object} props.progress - 生成の進捗（stage, elapsed）
  * @param {string} props.language - 表示言語
  */
-export default function Step5({ params, onGenerate, onBack, isGenerating, language }) {
+export default function Step5({
+    params,
+    onGenerate,
+    onCancel,
+    onBack,
+    isGenerating,
+    progress,
+    language
+}) {
     const [error, setError] = useState('');
 
     // 言語に応じたテキストを取得
@@ -25,15 +38,68 @@ export default function Step5({ params, onGenerate, onBack, isGenerating, langua
             keySize: '鍵サイズ',
             outputFormat: '出力形式',
             passphrase: 'パスフレーズ',
+            rsaOptions: 'RSAオプション',
+            pemEncryption: 'PEM形式の暗号化',
+            sshOptions: 'SSHオプション',
+            jwkOptions: 'JWKオプション',
+            kid: '鍵ID（kid）',
+            thumbprint: 'JWKサムプリント（RFC 7638）',
+            pgpOptions: 'OpenPGPオプション',
+            userId: 'ユーザーID',
+            pgpPrimaryKey: '主鍵（認証・署名）',
+            pgpSubkey: '暗号化用副鍵',
+            pgpSubkeys: {
+                curve25519: 'Curve25519',
+                nistP256: 'NIST P-256',
+                rsa3072: 'RSA 3072ビット',
+                x448: 'X448',
+                none: 'なし'
+            },
+            pgpRevocation: '失効証明書の失効理由',
+            pgpRevocationReasons: {
+                noReason: '指定なし',
+                keyCompromised: '鍵の漏洩',
+                keySuperseded: '新しい鍵への置き換え',
+                keyRetired: '使用の終了'
+            },
+            noExpiration: '無期限',
+            expirationDays: '日間有効',
+            certificate: 'X.509証明書',
+            certificateValidity: '日間有効',
+            certificateRequest: '証明書署名要求（CSR）',
+            pkcs12: 'PKCS#12',
+            pkcs12Encryptions: {
+                modern: '標準（AES-256、SHA-256のMAC）',
+                legacy: '互換（3DES・RC2、SHA-1のMAC）'
+            },
+            comment: 'コメント',
+            rounds: 'ラウンド',
+            iterations: '回',
             set: '設定済み',
             notSet: '未設定',
             back: '戻る',
             generate: '生成',
             generating: '生成中...',
+            cancel: 'キャンセル',
+            elapsed: '経過時間',
+            seconds: '秒',
+            stages: {
+                starting: '準備中',
+                generating: '鍵を生成中',
+                converting: '出力形式に変換中',
+                certifying: '証明書に署名中'
+            },
+            profiles: {
+                'tls-server': 'TLSサーバー',
+                'tls-client': 'TLSクライアント',
+                smime: 'S/MIME',
+                'code-signing': 'コード署名'
+            },
             keyTypes: {
                 rsa: 'RSA',
                 ecdsa: 'ECDSA',
-                eddsa: 'EdDSA'
+                eddsa: 'EdDSA',
+                ecdh: 'ECDH'
             },
             outputFormats: {
                 pem: 'PEM (PKCS#8/SPKI)',
@@ -58,15 +124,68 @@ export default function Step5({ params, onGenerate, onBack, isGenerating, langua
             keySize: 'Key Size',
             outputFormat: 'Output Format',
             passphrase: 'Passphrase',
+            rsaOptions: 'RSA Options',
+            pemEncryption: 'PEM Encryption',
+            sshOptions: 'SSH Options',
+            jwkOptions: 'JWK Options',
+            kid: 'Key ID (kid)',
+            thumbprint: 'JWK thumbprint (RFC 7638)',
+            pgpOptions: 'OpenPGP Options',
+            userId: 'User ID',
+            pgpPrimaryKey: 'Primary key (certify, sign)',
+            pgpSubkey: 'Encryption subkey',
+            pgpSubkeys: {
+                curve25519: 'Curve25519',
+                nistP256: 'NIST P-256',
+                rsa3072: 'RSA 3072-bit',
+                x448: 'X448',
+                none: 'None'
+            },
+            pgpRevocation: 'Revocation certificate reason',
+            pgpRevocationReasons: {
+                noReason: 'Not specified',
+                keyCompromised: 'Key compromised',
+                keySuperseded: 'Key superseded',
+                keyRetired: 'Key retired'
+            },
+            noExpiration: 'no expiration',
+            expirationDays: ' days',
+            certificate: 'X.509 Certificate',
+            certificateValidity: ' days',
+            certificateRequest: 'Certificate Signing Request (CSR)',
+            pkcs12: 'PKCS#12',
+            pkcs12Encryptions: {
+                modern: 'Modern (AES-256, SHA-256 MAC)',
+                legacy: 'Legacy (3DES/RC2, SHA-1 MAC)'
+            },
+            comment: 'Comment',
+            rounds: 'rounds',
+            iterations: ' iterations',
             set: 'Set',
             notSet: 'Not Set',
             back: 'Back',
             generate: 'Generate',
             generating: 'Generating...',
+            cancel: 'Cancel',
+            elapsed: 'Elapsed',
+            seconds: 's',
+            stages: {
+                starting: 'Preparing',
+                generating: 'Generating key',
+                converting: 'Converting to output format',
+                certifying: 'Signing certificate'
+            },
+            profiles: {
+                'tls-server': 'TLS Server',
+                'tls-client': 'TLS Client',
+                smime: 'S/MIME',
+                'code-signing': 'Code Signing'
+            },
             keyTypes: {
                 rsa: 'RSA',
                 ecdsa: 'ECDSA',
-                eddsa: 'EdDSA'
+                eddsa: 'EdDSA',
+                ecdh: 'ECDH'
             },
             outputFormats: {
                 pem: 'PEM (PKCS#8/SPKI)',
@@ -86,6 +205,12 @@ export default function Step5({ params, onGenerate, onBack, isGenerating, langua
         }
     }[language];
 
+    // 選択内容のセキュリティ・用途・互換性の情報（鍵は未生成のためパラメータのみから作成）
+    const metadata = createMetadata(params, {}, language);
+
+    // OpenPGPの鍵の有効期限（0は無期限）
+    const formatExpiration = (days) => (days ? `${days}${texts.expirationDays}` : texts.noExpiration);
+
     // 生成ボタンクリック時の処理
     const handleGenerate = () => {
         const validation = validateAll(params);
@@ -146,10 +271,110 @@ export default function Step5({ params, onGenerate, onBack, isGenerating, langua
                                 {params.passphrase ? texts.set : texts.notSet}
                             </dd>
                         </div>
+                        {params.rsaOptions && (
+                            <div className="sm:col-span-2">
+                                <dt className="text-sm font-medium text-gray-500">
+                                    {texts.rsaOptions}
+                                </dt>
+                                <dd className="mt-1 text-sm text-gray-900">
+                                    {params.rsaOptions.algorithm} / {params.rsaOptions.hash} / e={params.rsaOptions.publicExponent}
+                                </dd>
+                            </div>
+                        )}
+                        {params.pemEncryption && (
+                            <div className="sm:col-span-2">
+                                <dt className="text-sm font-medium text-gray-500">
+                                    {texts.pemEncryption}
+                                </dt>
+                                <dd className="mt-1 text-sm text-gray-900">
+                                    {params.pemEncryption.kdf === 'scrypt'
+                                        ? `scrypt (N=${params.pemEncryption.cost})`
+                                        : `PBKDF2-HMAC-SHA256 (${params.pemEncryption.iterations.toLocaleString()}${texts.iterations})`} / AES-256-CBC
+                                </dd>
+                            </div>
+                        )}
+                        {params.sshOptions && (
+                            <div className="sm:col-span-2">
+                                <dt className="text-sm font-medium text-gray-500">
+                                    {texts.sshOptions}
+                                </dt>
+                                <dd className="mt-1 text-sm text-gray-900">
+                                    {texts.comment}: {params.sshOptions.comment || texts.notSet}
+                                    {params.passphrase && ` / aes256-ctr (bcrypt, ${params.sshOptions.rounds} ${texts.rounds})`}
+                                </dd>
+                            </div>
+                        )}
+                        {params.jwkOptions && (
+                            <div className="sm:col-span-2">
+                                <dt className="text-sm font-medium text-gray-500">
+                                    {texts.jwkOptions}
+                                </dt>
+                                <dd className="mt-1 text-sm text-gray-900">
+                                    {texts.kid}: {params.jwkOptions.kid.trim() || texts.thumbprint}
+                                </dd>
+                            </div>
+                        )}
+                        {params.pgpOptions && (
+                            <div className="sm:col-span-2">
+                                <dt className="text-sm font-medium text-gray-500">
+                                    {texts.pgpOptions}
+                                </dt>
+                                <dd className="mt-1 text-sm text-gray-900 space-y-1">
+                                    {params.pgpOptions.userIds.map((userId, index) => (
+                                        <p key={index}>{texts.userId}: {formatUserId(userId) || texts.notSet}</p>
+                                    ))}
+                                    <p>{texts.pgpPrimaryKey}: {params.keySize} / {formatExpiration(params.pgpOptions.keyExpirationDays)}</p>
+                                    <p>
+                                        {texts.pgpSubkey}: {texts.pgpSubkeys[params.pgpOptions.subkey]}
+                                        {params.pgpOptions.subkey !== 'none' && ` / ${formatExpiration(params.pgpOptions.subkeyExpirationDays)}`}
+                                    </p>
+                                    <p>
+                                        {texts.pgpRevocation}: {texts.pgpRevocationReasons[params.pgpOptions.revocationReason]}
+                                        {params.pgpOptions.revocationComment.trim() && ` / ${params.pgpOptions.revocationComment.trim()}`}
+                                    </p>
+                                </dd>
+                            </div>
+                        )}
+                        {params.x509Options && (
+                            <div className="sm:col-span-2">
+                                <dt className="text-sm font-medium text-gray-500">
+                                    {texts.certificate}
+                                </dt>
+                                <dd className="mt-1 text-sm text-gray-900">
+                                    {texts.profiles[params.x509Options.profile]}
+                                    {params.x509Options.subject.commonName && ` / CN=${params.x509Options.subject.commonName}`}
+                                    {` / ${params.x509Options.validDays}${texts.certificateValidity}`}
+                                </dd>
+                            </div>
+                        )}
+                        {params.pkcs12Options && (
+                            <div className="sm:col-span-2">
+                                <dt className="text-sm font-medium text-gray-500">
+                                    {texts.pkcs12}
+                                </dt>
+                                <dd className="mt-1 text-sm text-gray-900">
+                                    {texts.pkcs12Encryptions[params.pkcs12Options.encryption]}
+                                    {params.pkcs12Options.friendlyName && ` / ${params.pkcs12Options.friendlyName}`}
+                                </dd>
+                            </div>
+                        )}
+                        {params.csrOptions && (
+                            <div className="sm:col-span-2">
+                                <dt className="text-sm font-medium text-gray-500">
+                                    {texts.certificateRequest}
+                                </dt>
+                                <dd className="mt-1 text-sm text-gray-900">
+                                    {texts.profiles[params.csrOptions.profile]}
+                                    {params.csrOptions.subject.commonName && ` / CN=${params.csrOptions.subject.commonName}`}
+                                </dd>
+                            </div>
+                        )}
                     </dl>
                 </div>
             </div>
 
+            <MetadataPanel metadata={metadata} language={language} />
+
             {/* 注意事項 */}
             <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4">
                 <div className="flex">
@@ -173,12 +398,22 @@ export default function Step5({ params, onGenerate, onBack, isGenerating, langua
                 </div>
             </div>
 
+            {/* 生成の進捗 */}
+            {isGenerating && progress && (
+                <div className="flex items-center justify-between p-4 bg-blue-50 text-blue-800 rounded-lg" role="status">
+                    <span>{texts.stages[progress.stage]}</span>
+                    <span>
+                        {texts.elapsed}: {(progress.elapsed / 1000).toFixed(1)}{texts.seconds}
+                    </span>
+                </div>
+            )}
+
             <div className="flex justify-between">
                 <button
-                    onClick={onBack}
+                    onClick={isGenerating ? onCancel : onBack}
                     className="px-4 py-2 text-blue-600 hover:text-blue-800"
                 >
-                    {texts.back}
+                    {isGenerating ? texts.cancel : texts.back}
                 </button>
                 <button
                     onClick={handleGenerate}
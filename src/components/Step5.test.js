@@ -1,6 +1,8 @@
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import Step5 from './Step5';
 
+jest.unmock('../utils/metadata');
+
 describe('Step5コンポーネントテスト', () => {
     const mockOnPrev = jest.fn();
     const mockOnComplete = jest.fn();
@@ -156,4 +158,76 @@ describe('Step5コンポーネントテスト', () => {
         expect(screen.getByText(/パスフレーズが設定されていません/)).toBeInTheDocument();
         expect(screen.getByText(/セキュリティ上のリスク/)).toBeInTheDocument();
     });
-}); 
\ No newline at end of file
+
+    describe('生成中の進捗表示', () => {
+        const params = {
+            keyType: 'rsa',
+            keySize: '4096',
+            outputFormat: 'pem',
+            passphrase: ''
+        };
+
+        test('進捗と経過時間の表示', () => {
+            render(
+                <Step5
+                    params={params}
+                    isGenerating={true}
+                    progress={{ stage: 'generating', elapsed: 2345 }}
+                    language="ja"
+                />
+            );
+
+            expect(screen.getByRole('status')).toHaveTextContent('鍵を生成中');
+            expect(screen.getByRole('status')).toHaveTextContent('経過時間: 2.3秒');
+            expect(screen.getByText('生成中...')).toBeDisabled();
+        });
+
+        test('生成中はキャンセルボタンを表示', () => {
+            const mockOnCancel = jest.fn();
+            const mockOnBack = jest.fn();
+            render(
+                <Step5
+                    params={params}
+                    onCancel={mockOnCancel}
+                    onBack={mockOnBack}
+                    isGenerating={true}
+                    progress={{ stage: 'starting', elapsed: 0 }}
+                    language="en"
+                />
+            );
+
+            fireEvent.click(screen.getByText('Cancel'));
+            expect(mockOnCancel).toHaveBeenCalled();
+            expect(mockOnBack).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('メタデータの表示', () => {
+        test('選択内容の評価と推奨を下回る場合の警告', () => {
+            render(
+                <Step5
+                    params={{ keyType: 'rsa', keySize: '2048', outputFormat: 'pem', passphrase: '' }}
+                    isGenerating={false}
+                    language="ja"
+                />
+            );
+
+            expect(screen.getByText('鍵の評価')).toBeInTheDocument();
+            expect(screen.getByText('推奨水準未満')).toBeInTheDocument();
+            expect(screen.getByText('PKCS#1, FIPS 186-4')).toBeInTheDocument();
+        });
+
+        test('英語表示では推奨を英語で表示', () => {
+            render(
+                <Step5
+                    params={{ keyType: 'eddsa', keySize: 'Ed25519', outputFormat: 'ssh', passphrase: '' }}
+                    isGenerating={false}
+                    language="en"
+                />
+            );
+
+            expect(screen.getByText('Ideal for SSH and blockchains')).toBeInTheDocument();
+            expect(screen.queryByText('Below recommendations')).not.toBeInTheDocument();
+        });
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * OpenPGP鍵の設定コンポーネント（出力形式でOpenPGPを選択した場合のみ表示）
+ */
+import { useState, useEffect } from 'react';
+import PGPOptions from './PGPOptions';
+import { validateOutputFormat } from '../utils/errorHandler';
+import { getPGPSubkeyTypes, getDefaultPGPSubkey } from '../utils/pgp';
+
+/**
+ * StepPGPコンポーネント
+ * @param {Object} props - プロパティ
+ * @param {string} props.keyType - 主鍵の暗号方式
+ * @param {string} props.keySize - 主鍵の鍵サイズ/曲線
+ * @param {Object} props.options - OpenPGPオプション（userIds, keyExpirationDays, subkey, subkeyExpirationDays）
+ * @param {function} props.onChange - 変更時のコールバック
+ * @param {function} props.onBack - 戻るボタンのコールバック
+ * @param {function} props.onNext - 次へボタンのコールバック
+ * @param {string} props.language - 表示言語
+ */
+export default function StepPGP({ keyType, keySize, options, onChange, onBack, onNext, language }) {
+    const [error, setError] = useState('');
+
+    // 主鍵を変更して選択中の副鍵を追加できなくなった場合（Ed448のv6鍵とv4の副鍵など）は、主鍵に合った副鍵の初期値にする
+    useEffect(() => {
+        if (options.subkey !== 'none' && !getPGPSubkeyTypes(keySize).includes(options.subkey)) {
+            onChange({ ...options, subkey: getDefaultPGPSubkey(keySize) });
+        }
+    }, [keySize, options, onChange]);
+
+    // 言語に応じたテキストを取得
+    const texts = {
+        ja: {
+            title: 'OpenPGP鍵の設定',
+            subtitle: `${keySize}の鍵を主鍵として、ユーザーIDと暗号化用の副鍵を設定してください`,
+            back: '戻る',
+            next: '次へ'
+        },
+        en: {
+            title: 'OpenPGP Key Settings',
+            subtitle: `Set the user IDs and encryption subkey for the ${keySize} primary key`,
+            back: 'Back',
+            next: 'Next'
+        }
+    }[language];
+
+    // 主鍵の種類とユーザーID・副鍵・有効期限の検証
+    const validateInput = () => {
+        const validation = validateOutputFormat({ keyType, keySize, outputFormat: 'pgp', pgpOptions: options });
+        if (!validation.isValid) {
+            setError(validation.message);
+            return;
+        }
+
+        setError('');
+        onNext();
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="text-center">
+                <h2 className="text-2xl font-bold">{texts.title}</h2>
+                <p className="text-gray-600 mt-2">{texts.subtitle}</p>
+            </div>
+
+            {error && (
+                <div className="p-4 bg-red-50 text-red-700 rounded-lg">
+                    {error}
+                </div>
+            )}
+
+            <PGPOptions
+                keySize={keySize}
+                options={options}
+                onChange={onChange}
+                language={language}
+            />
+
+            <div className="flex justify-between">
+                <button
+                    onClick={onBack}
+                    className="px-4 py-2 text-blue-600 hover:text-blue-800"
+                >
+                    {texts.back}
+                </button>
+                <button
+                    onClick={validateInput}
+                    className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                >
+                    {texts.next}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,73 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import StepPGP from './StepPGP';
+import { DEFAULT_PGP_OPTIONS } from '../utils/pgp';
+
+describe('StepPGPコンポーネントテスト', () => {
+    const mockOnChange = jest.fn();
+    const mockOnBack = jest.fn();
+    const mockOnNext = jest.fn();
+    const props = {
+        keyType: 'eddsa',
+        keySize: 'Ed25519',
+        onChange: mockOnChange,
+        onBack: mockOnBack,
+        onNext: mockOnNext
+    };
+
+    beforeEach(() => {
+        mockOnChange.mockClear();
+        mockOnBack.mockClear();
+        mockOnNext.mockClear();
+    });
+
+    test('コンポーネントの初期表示', () => {
+        render(<StepPGP {...props} options={DEFAULT_PGP_OPTIONS} language="ja" />);
+
+        expect(screen.getByText('OpenPGP鍵の設定')).toBeInTheDocument();
+        expect(screen.getByText('Ed25519の鍵を主鍵として、ユーザーIDと暗号化用の副鍵を設定してください')).toBeInTheDocument();
+        expect(screen.getByLabelText('暗号化用副鍵')).toHaveValue('curve25519');
+
+        fireEvent.change(screen.getByLabelText('名前'), { target: { value: 'Taro Yamada' } });
+        expect(mockOnChange).toHaveBeenCalledWith({
+            ...DEFAULT_PGP_OPTIONS,
+            userIds: [{ name: 'Taro Yamada', email: '', comment: '' }]
+        });
+
+        fireEvent.click(screen.getByText('戻る'));
+        expect(mockOnBack).toHaveBeenCalled();
+    });
+
+    test('ユーザーIDの検証', () => {
+        const { rerender } = render(<StepPGP {...props} options={DEFAULT_PGP_OPTIONS} language="ja" />);
+
+        // ユーザーIDが空の場合は次へ進めない
+        fireEvent.click(screen.getByText('次へ'));
+        expect(screen.getByText('OpenPGPのユーザーIDには名前かメールアドレスを入力してください。')).toBeInTheDocument();
+        expect(mockOnNext).not.toHaveBeenCalled();
+
+        const userId = { name: 'Taro Yamada', email: 'taro@example.com', comment: '' };
+        rerender(<StepPGP {...props} options={{ ...DEFAULT_PGP_OPTIONS, userIds: [userId, userId] }} language="ja" />);
+        fireEvent.click(screen.getByText('次へ'));
+        expect(screen.getByText('OpenPGPのユーザーIDが重複しています: Taro Yamada <taro@example.com>')).toBeInTheDocument();
+        expect(mockOnNext).not.toHaveBeenCalled();
+
+        rerender(<StepPGP {...props} options={{ ...DEFAULT_PGP_OPTIONS, userIds: [userId] }} language="ja" />);
+        fireEvent.click(screen.getByText('次へ'));
+        expect(screen.queryByText(/OpenPGPのユーザーID/)).not.toBeInTheDocument();
+        expect(mockOnNext).toHaveBeenCalled();
+    });
+
+    test('Ed448の主鍵はX448の副鍵で次へ進める', () => {
+        const userId = { name: 'Taro Yamada', email: 'taro@example.com', comment: '' };
+        const options = { ...DEFAULT_PGP_OPTIONS, userIds: [userId] };
+        const { rerender } = render(<StepPGP {...props} keySize="Ed448" options={options} language="ja" />);
+
+        // v6の主鍵に追加できないv4の副鍵（Curve25519）はX448に切り替える
+        expect(mockOnChange).toHaveBeenCalledWith({ ...options, subkey: 'x448' });
+
+        rerender(<StepPGP {...props} keySize="Ed448" options={{ ...options, subkey: 'x448' }} language="ja" />);
+        expect(screen.getByLabelText('暗号化用副鍵')).toHaveValue('x448');
+        fireEvent.click(screen.getByText('次へ'));
+        expect(mockOnNext).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,392 @@
+/**
+ * 自己署名X.509証明書と証明書署名要求（CSR）の設定コンポーネント
+ */
+import { useState } from 'react';
+
+// 選択可能な証明書の用途
+const profiles = [
+    {
+        value: 'tls-server',
+        label: {
+            ja: 'TLSサーバー',
+            en: 'TLS Server'
+        },
+        description: {
+            ja: 'HTTPSなどのサーバー認証（serverAuth）',
+            en: 'Server authentication for HTTPS (serverAuth)'
+        }
+    },
+    {
+        value: 'tls-client',
+        label: {
+            ja: 'TLSクライアント',
+            en: 'TLS Client'
+        },
+        description: {
+            ja: '相互TLSのクライアント認証（clientAuth）',
+            en: 'Client authentication for mutual TLS (clientAuth)'
+        }
+    },
+    {
+        value: 'smime',
+        label: {
+            ja: 'S/MIME',
+            en: 'S/MIME'
+        },
+        description: {
+            ja: '電子メールの署名（emailProtection）',
+            en: 'Email signing (emailProtection)'
+        }
+    },
+    {
+        value: 'code-signing',
+        label: {
+            ja: 'コード署名',
+            en: 'Code Signing'
+        },
+        description: {
+            ja: 'プログラムへの署名（codeSigning）',
+            en: 'Signing programs (codeSigning)'
+        }
+    }
+];
+
+// 選択可能なPKCS#12の暗号化方式
+const pkcs12Encryptions = [
+    {
+        value: 'modern',
+        label: {
+            ja: '標準（AES-256）',
+            en: 'Modern (AES-256)'
+        },
+        description: {
+            ja: 'PBES2・PBKDF2-SHA256とSHA-256のMAC（OpenSSL 3、Java 11以降）',
+            en: 'PBES2, PBKDF2-SHA256 and SHA-256 MAC (OpenSSL 3, Java 11+)'
+        }
+    },
+    {
+        value: 'legacy',
+        label: {
+            ja: '互換（3DES・RC2）',
+            en: 'Legacy (3DES/RC2)'
+        },
+        description: {
+            ja: 'SHA-1のMAC。古いWindowsやmacOSのキーチェーン向け',
+            en: 'SHA-1 MAC, for older Windows and macOS Keychain'
+        }
+    }
+];
+
+// サブジェクトの識別名の入力項目
+const subjectFields = ['commonName', 'organization', 'organizationalUnit', 'locality', 'state', 'country'];
+
+// サブジェクト代替名の入力項目
+const altNameFields = ['dnsNames', 'ipAddresses', 'emailAddresses'];
+
+/**
+ * カンマまたは空白区切りの文字列を配列に変換
+ * @param {string} value - 入力文字列
+ * @returns {Array<string>} 空要素を除いた配列
+ */
+function splitList(value) {
+    return value.split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * X509Optionsコンポーネント
+ * @param {Object} props - プロパティ
+ * @param {Object} props.options - 現在の証明書オプション（enabled, csr, profile, subject, dnsNames, ipAddresses, emailAddresses, validDays, serial, challengePassword, pkcs12, pkcs12Password, pkcs12Encryption, friendlyName）
+ * @param {function} props.onChange - 変更時のコールバック
+ * @param {string} props.language - 表示言語
+ */
+export default function X509Options({ options, onChange, language }) {
+    // サブジェクト代替名は入力中の文字列を保持し、配列に変換して通知する
+    const [altNames, setAltNames] = useState(() => Object.fromEntries(
+        altNameFields.map(field => [field, options[field].join(', ')])
+    ));
+
+    // 言語に応じたテキストを取得
+    const texts = {
+        ja: {
+            title: 'X.509証明書とCSR',
+            enable: '生成した鍵で自己署名証明書を作成する',
+            enableHint: 'PEM形式とDER形式の証明書を鍵と一緒に出力します',
+            csr: '証明書署名要求（CSR）を作成する',
+            csrHint: '認証局（CA）に提出して証明書を発行してもらうためのPKCS#10形式のファイルです',
+            profile: '証明書の用途',
+            subject: 'サブジェクト',
+            commonName: 'コモンネーム（CN）',
+            organization: '組織（O）',
+            organizationalUnit: '部署（OU）',
+            locality: '市区町村（L）',
+            state: '都道府県（ST）',
+            country: '国（C）',
+            altNames: 'サブジェクト代替名',
+            altNamesHint: '複数指定する場合はカンマで区切ります',
+            dnsNames: 'DNS名',
+            ipAddresses: 'IPアドレス',
+            emailAddresses: 'メールアドレス',
+            validDays: '有効日数',
+            serial: 'シリアル番号（16進数）',
+            serialHint: '空欄の場合は128ビットの乱数を使用します',
+            challengePassword: 'チャレンジパスワード（オプション）',
+            challengePasswordHint: '証明書の失効手続きなどで認証局が求める場合に設定します。CSRには平文で記録されます',
+            pkcs12: 'PKCS#12（.p12）も出力する',
+            pkcs12Hint: '秘密鍵と証明書を1つのファイルにまとめます。WindowsやJavaのkeytoolに読み込めます',
+            pkcs12Password: 'PKCS#12のパスワード',
+            pkcs12Encryption: 'PKCS#12の暗号化方式',
+            friendlyName: '表示名（オプション）',
+            friendlyNameHint: 'keytoolの別名やキーチェーンでの表示名になります'
+        },
+        en: {
+            title: 'X.509 Certificate and CSR',
+            enable: 'Create a self-signed certificate with the generated key',
+            enableHint: 'The certificate is exported in PEM and DER formats together with the keys',
+            csr: 'Create a certificate signing request (CSR)',
+            csrHint: 'A PKCS#10 file you submit to a certificate authority (CA) to get a certificate issued',
+            profile: 'Certificate Usage',
+            subject: 'Subject',
+            commonName: 'Common Name (CN)',
+            organization: 'Organization (O)',
+            organizationalUnit: 'Organizational Unit (OU)',
+            locality: 'Locality (L)',
+            state: 'State or Province (ST)',
+            country: 'Country (C)',
+            altNames: 'Subject Alternative Names',
+            altNamesHint: 'Separate multiple values with commas',
+            dnsNames: 'DNS Names',
+            ipAddresses: 'IP Addresses',
+            emailAddresses: 'Email Addresses',
+            validDays: 'Validity (days)',
+            serial: 'Serial Number (hex)',
+            serialHint: 'Leave empty to use a 128-bit random number',
+            challengePassword: 'Challenge Password (Optional)',
+            challengePasswordHint: 'Set it if your CA asks for one, e.g. for revocation. It is stored in the CSR in plain text',
+            pkcs12: 'Also export PKCS#12 (.p12)',
+            pkcs12Hint: 'Bundles the private key and certificate in one file that Windows and Java keytool can import',
+            pkcs12Password: 'PKCS#12 Password',
+            pkcs12Encryption: 'PKCS#12 Encryption',
+            friendlyName: 'Friendly Name (Optional)',
+            friendlyNameHint: 'Used as the keytool alias and the name shown in key stores'
+        }
+    }[language];
+
+    const placeholders = {
+        commonName: 'www.example.com',
+        organization: 'Example Inc.',
+        country: 'JP',
+        dnsNames: 'example.com, *.example.com',
+        ipAddresses: '192.0.2.1, 2001:db8::1',
+        emailAddresses: 'user@example.com'
+    };
+
+    const handleChange = (key, value) => {
+        onChange({ ...options, [key]: value });
+    };
+
+    const handleSubjectChange = (key, value) => {
+        handleChange('subject', { ...options.subject, [key]: value });
+    };
+
+    const handleAltNameChange = (key, value) => {
+        setAltNames({ ...altNames, [key]: value });
+        handleChange(key, splitList(value));
+    };
+
+    return (
+        <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+            <h3 className="text-lg font-bold">{texts.title}</h3>
+
+            <div>
+                <label className="flex items-center space-x-2">
+                    <input
+                        type="checkbox"
+                        checked={options.enabled}
+                        onChange={(e) => handleChange('enabled', e.target.checked)}
+                    />
+                    <span className="text-sm font-medium text-gray-700">{texts.enable}</span>
+                </label>
+                <p className="mt-1 text-xs text-gray-500">{texts.enableHint}</p>
+            </div>
+
+            <div>
+                <label className="flex items-center space-x-2">
+                    <input
+                        type="checkbox"
+                        checked={options.csr}
+                        onChange={(e) => handleChange('csr', e.target.checked)}
+                    />
+                    <span className="text-sm font-medium text-gray-700">{texts.csr}</span>
+                </label>
+                <p className="mt-1 text-xs text-gray-500">{texts.csrHint}</p>
+            </div>
+
+            {(options.enabled || options.csr) && (
+                <>
+                    <div>
+                        <div className="text-sm font-medium text-gray-700 mb-2">{texts.profile}</div>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                            {profiles.map(profile => (
+                                <button
+                                    key={profile.value}
+                                    onClick={() => handleChange('profile', profile.value)}
+                                    className={`p-3 border rounded-lg text-left hover:bg-blue-50 transition-colors ${
+                                        options.profile === profile.value ? 'border-blue-500 bg-blue-50' : 'border-gray-200'
+                                    }`}
+                                >
+                                    <div className="font-bold">{profile.label[language]}</div>
+                                    <div className="text-xs text-gray-600 mt-1">{profile.description[language]}</div>
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div>
+                        <div className="text-sm font-medium text-gray-700 mb-2">{texts.subject}</div>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            {subjectFields.map(field => (
+                                <label key={field} className="block">
+                                    <span className="text-sm text-gray-700">{texts[field]}</span>
+                                    <input
+                                        type="text"
+                                        value={options.subject[field]}
+                                        onChange={(e) => handleSubjectChange(field, e.target.value)}
+                                        placeholder={placeholders[field]}
+                                        maxLength={field === 'country' ? 2 : undefined}
+                                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                    />
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div>
+                        <div className="text-sm font-medium text-gray-700 mb-2">{texts.altNames}</div>
+                        <div className="space-y-2">
+                            {altNameFields.map(field => (
+                                <label key={field} className="block">
+                                    <span className="text-sm text-gray-700">{texts[field]}</span>
+                                    <input
+                                        type="text"
+                                        value={altNames[field]}
+                                        onChange={(e) => handleAltNameChange(field, e.target.value)}
+                                        placeholder={placeholders[field]}
+                                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm font-mono focus:ring-blue-500 focus:border-blue-500"
+                                    />
+                                </label>
+                            ))}
+                        </div>
+                        <p className="mt-1 text-xs text-gray-500">{texts.altNamesHint}</p>
+                    </div>
+
+                    {options.enabled && (
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <label className="block">
+                                <span className="text-sm font-medium text-gray-700">{texts.validDays}</span>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    max="3650"
+                                    value={options.validDays}
+                                    onChange={(e) => handleChange('validDays', parseInt(e.target.value))}
+                                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                />
+                            </label>
+
+                            <div>
+                                <label className="block">
+                                    <span className="text-sm font-medium text-gray-700">{texts.serial}</span>
+                                    <input
+                                        type="text"
+                                        value={options.serial}
+                                        onChange={(e) => handleChange('serial', e.target.value.trim())}
+                                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm font-mono focus:ring-blue-500 focus:border-blue-500"
+                                    />
+                                </label>
+                                <p className="mt-1 text-xs text-gray-500">{texts.serialHint}</p>
+                            </div>
+                        </div>
+                    )}
+
+                    {options.enabled && (
+                        <div className="space-y-4">
+                            <div>
+                                <label className="flex items-center space-x-2">
+                                    <input
+                                        type="checkbox"
+                                        checked={options.pkcs12}
+                                        onChange={(e) => handleChange('pkcs12', e.target.checked)}
+                                    />
+                                    <span className="text-sm font-medium text-gray-700">{texts.pkcs12}</span>
+                                </label>
+                                <p className="mt-1 text-xs text-gray-500">{texts.pkcs12Hint}</p>
+                            </div>
+
+                            {options.pkcs12 && (
+                                <>
+                                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                        <label className="block">
+                                            <span className="text-sm font-medium text-gray-700">{texts.pkcs12Password}</span>
+                                            <input
+                                                type="password"
+                                                value={options.pkcs12Password}
+                                                onChange={(e) => handleChange('pkcs12Password', e.target.value)}
+                                                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                            />
+                                        </label>
+
+                                        <div>
+                                            <label className="block">
+                                                <span className="text-sm font-medium text-gray-700">{texts.friendlyName}</span>
+                                                <input
+                                                    type="text"
+                                                    value={options.friendlyName}
+                                                    onChange={(e) => handleChange('friendlyName', e.target.value)}
+                                                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                                />
+                                            </label>
+                                            <p className="mt-1 text-xs text-gray-500">{texts.friendlyNameHint}</p>
+                                        </div>
+                                    </div>
+
+                                    <div>
+                                        <div className="text-sm font-medium text-gray-700 mb-2">{texts.pkcs12Encryption}</div>
+                                        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                                            {pkcs12Encryptions.map(encryption => (
+                                                <button
+                                                    key={encryption.value}
+                                                    onClick={() => handleChange('pkcs12Encryption', encryption.value)}
+                                                    className={`p-3 border rounded-lg text-left hover:bg-blue-50 transition-colors ${
+                                                        options.pkcs12Encryption === encryption.value ? 'border-blue-500 bg-blue-50' : 'border-gray-200'
+                                                    }`}
+                                                >
+                                                    <div className="font-bold">{encryption.label[language]}</div>
+                                                    <div className="text-xs text-gray-600 mt-1">{encryption.description[language]}</div>
+                                                </button>
+                                            ))}
+                                        </div>
+                                    </div>
+                                </>
+                            )}
+                        </div>
+                    )}
+
+                    {options.csr && (
+                        <div>
+                            <label className="block">
+                                <span className="text-sm font-medium text-gray-700">{texts.challengePassword}</span>
+                                <input
+                                    type="text"
+                                    value={options.challengePassword}
+                                    onChange={(e) => handleChange('challengePassword', e.target.value)}
+                                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                />
+                            </label>
+                            <p className="mt-1 text-xs text-gray-500">{texts.challengePasswordHint}</p>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,108 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import X509Options from './X509Options';
+
+describe('X509Optionsコンポーネントテスト', () => {
+    const mockOnChange = jest.fn();
+    const defaultOptions = {
+        enabled: true,
+        csr: false,
+        profile: 'tls-server',
+        subject: {
+            commonName: '',
+            organization: '',
+            organizationalUnit: '',
+            locality: '',
+            state: '',
+            country: ''
+        },
+        dnsNames: [],
+        ipAddresses: [],
+        emailAddresses: [],
+        validDays: 365,
+        serial: '',
+        challengePassword: '',
+        pkcs12: false,
+        pkcs12Password: '',
+        pkcs12Encryption: 'modern',
+        friendlyName: ''
+    };
+
+    beforeEach(() => {
+        mockOnChange.mockClear();
+    });
+
+    test('無効の場合は作成の選択のみ表示', () => {
+        render(<X509Options options={{ ...defaultOptions, enabled: false }} onChange={mockOnChange} language="ja" />);
+
+        expect(screen.getByText('X.509証明書とCSR')).toBeInTheDocument();
+        expect(screen.queryByText('証明書の用途')).not.toBeInTheDocument();
+
+        fireEvent.click(screen.getByLabelText('生成した鍵で自己署名証明書を作成する'));
+        expect(mockOnChange).toHaveBeenCalledWith(defaultOptions);
+    });
+
+    test('用途とサブジェクトの入力', () => {
+        render(<X509Options options={defaultOptions} onChange={mockOnChange} language="ja" />);
+
+        fireEvent.click(screen.getByText('S/MIME'));
+        expect(mockOnChange).toHaveBeenLastCalledWith({ ...defaultOptions, profile: 'smime' });
+
+        fireEvent.change(screen.getByLabelText('コモンネーム（CN）'), { target: { value: 'www.example.com' } });
+        expect(mockOnChange).toHaveBeenLastCalledWith({
+            ...defaultOptions,
+            subject: { ...defaultOptions.subject, commonName: 'www.example.com' }
+        });
+
+        fireEvent.change(screen.getByLabelText('有効日数'), { target: { value: '90' } });
+        expect(mockOnChange).toHaveBeenLastCalledWith({ ...defaultOptions, validDays: 90 });
+    });
+
+    test('サブジェクト代替名はカンマ区切りで配列に変換', () => {
+        render(<X509Options options={defaultOptions} onChange={mockOnChange} language="ja" />);
+
+        const input = screen.getByLabelText('DNS名');
+        fireEvent.change(input, { target: { value: 'example.com, *.example.com,' } });
+
+        // 入力中の文字列はそのまま保持する
+        expect(input.value).toBe('example.com, *.example.com,');
+        expect(mockOnChange).toHaveBeenLastCalledWith({ ...defaultOptions, dnsNames: ['example.com', '*.example.com'] });
+    });
+
+    test('PKCS#12のパスワードと暗号化方式の入力', () => {
+        const { rerender } = render(<X509Options options={defaultOptions} onChange={mockOnChange} language="ja" />);
+        expect(screen.queryByLabelText('PKCS#12のパスワード')).not.toBeInTheDocument();
+
+        fireEvent.click(screen.getByLabelText('PKCS#12（.p12）も出力する'));
+        expect(mockOnChange).toHaveBeenLastCalledWith({ ...defaultOptions, pkcs12: true });
+
+        const options = { ...defaultOptions, pkcs12: true };
+        rerender(<X509Options options={options} onChange={mockOnChange} language="ja" />);
+
+        fireEvent.change(screen.getByLabelText('PKCS#12のパスワード'), { target: { value: 'secret' } });
+        expect(mockOnChange).toHaveBeenLastCalledWith({ ...options, pkcs12Password: 'secret' });
+
+        fireEvent.change(screen.getByLabelText('表示名（オプション）'), { target: { value: 'server' } });
+        expect(mockOnChange).toHaveBeenLastCalledWith({ ...options, friendlyName: 'server' });
+
+        fireEvent.click(screen.getByText('互換（3DES・RC2）'));
+        expect(mockOnChange).toHaveBeenLastCalledWith({ ...options, pkcs12Encryption: 'legacy' });
+    });
+
+    test('CSRのみ作成する場合はチャレンジパスワードを表示', () => {
+        render(<X509Options options={{ ...defaultOptions, enabled: false, csr: true }} onChange={mockOnChange} language="ja" />);
+
+        expect(screen.getByText('証明書の用途')).toBeInTheDocument();
+        expect(screen.queryByLabelText('有効日数')).not.toBeInTheDocument();
+
+        fireEvent.change(screen.getByLabelText('チャレンジパスワード（オプション）'), { target: { value: 'secret' } });
+        expect(mockOnChange).toHaveBeenLastCalledWith({ ...defaultOptions, enabled: false, csr: true, challengePassword: 'secret' });
+    });
+
+    test('英語表示の確認', () => {
+        render(<X509Options options={{ ...defaultOptions, ipAddresses: ['192.0.2.1'] }} onChange={mockOnChange} language="en" />);
+
+        expect(screen.getByText('X.509 Certificate and CSR')).toBeInTheDocument();
+        expect(screen.getByText('Code Signing')).toBeInTheDocument();
+        expect(screen.getByLabelText('IP Addresses').value).toBe('192.0.2.1');
+    });
+});
@@ -1,6 +1,11 @@
 import '@testing-library/jest-dom';
+import { TextEncoder, TextDecoder } from 'util';
 import { mockKeyPairs, mockMetadata, mockErrorMessages } from './utils/testHelpers';
 
+// jsdomに存在しないTextEncoder/TextDecoderを補完
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
 // CryptoKeyのモック
 class CryptoKey {
     constructor(type = 'public', algorithm = { name: 'RSA-OAEP' }) {
@@ -122,6 +127,16 @@ jest.mock('openpgp', () => ({
         getPublicKey: () => ({ armor: () => mockKeyPairs.eddsa.publicKey }),
         getPrivateKey: () => ({ armor: () => mockKeyPairs.eddsa.privateKey })
     }),
+    readPrivateKey: jest.fn(),
+    reformatKey: jest.fn(),
+    encryptKey: jest.fn(),
+    revokeKey: jest.fn(),
+    PacketList: jest.fn(),
+    armor: jest.fn(),
+    enums: {
+        armor: { publicKey: 4 },
+        reasonForRevocation: { noReason: 0, keySuperseded: 1, keyCompromised: 2, keyRetired: 3 }
+    },
     createMessage: jest.fn(),
     encrypt: jest.fn(),
     decrypt: jest.fn()
@@ -133,4 +148,8 @@ jest.mock('./utils/metadata', () => ({
     getSecurityInfo: jest.fn().mockReturnValue(mockMetadata.security),
     getCompatibilityInfo: jest.fn().mockReturnValue(mockMetadata.compatibility),
     getUsageInfo: jest.fn().mockReturnValue(mockMetadata.usage)
-})); 
\ No newline at end of file
+})); 
+// 鍵生成用Web Workerのモック（import.metaはJestで読み込めないため。既定ではnullを返しメインスレッドで生成）
+jest.mock('./workers/createKeygenWorker', () => ({
+    createKeygenWorker: jest.fn(() => null)
+}));
@@ -0,0 +1,171 @@
+/**
+ * 複数の鍵の一括生成に関するユーティリティ関数群
+ * 鍵の数またはCSV（名前・メールアドレス・コメント）から、鍵ごとのファイル名と鍵生成パラメータを作成する
+ */
+import { DEFAULT_PGP_OPTIONS, getDefaultPGPSubkey } from './pgp';
+import { DEFAULT_BCRYPT_ROUNDS } from './ssh';
+
+/**
+ * 一度に生成できる鍵の数の上限
+ */
+export const BATCH_MAX_COUNT = 100;
+
+/**
+ * ファイル名のテンプレートの既定値
+ */
+export const DEFAULT_FILENAME_TEMPLATE = 'key-{n}';
+
+/**
+ * CSVの列（この順に読み込む）
+ */
+const CSV_COLUMNS = ['name', 'email', 'comment'];
+
+/**
+ * ファイル名に使用できない文字（Windowsの禁止文字と、CSVの引用符で囲んだ列に含まれうる改行・タブ）
+ */
+const INVALID_FILENAME_CHARS = /[\\/:*?"<>|\r\n\t]/g;
+
+/**
+ * CSVを行と列に分割（RFC 4180。引用符で囲んだ列の中の区切り文字と改行、「""」のエスケープに対応）
+ * @param {string} text - CSV
+ * @returns {Array<Array<string>>} 行ごとの列の値
+ * @throws {Error} 引用符が閉じられていない場合
+ */
+function splitCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            // CRLFは1つの改行として扱う
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('CSVの引用符が閉じられていません。');
+    }
+    row.push(field);
+    rows.push(row);
+    return rows;
+}
+
+/**
+ * 一括生成する鍵の一覧をCSVから作成
+ * 列は名前・メールアドレス・コメントの順で、1行目が「name」で始まる場合は見出しとして読み飛ばす
+ * @param {string} text - CSV
+ * @returns {Array<Object>} 鍵ごとの名前（name）、メールアドレス（email）、コメント（comment）
+ * @throws {Error} 引用符が閉じられていない場合
+ */
+export function parseBatchCSV(text) {
+    const rows = splitCSV(text.replace(/^\uFEFF/, ''))
+        .map(row => row.map(value => value.trim()))
+        .filter(row => row.some(Boolean));
+
+    if (rows.length > 0 && rows[0][0].toLowerCase() === 'name') {
+        rows.shift();
+    }
+
+    return rows.map(row => Object.fromEntries(CSV_COLUMNS.map((column, index) => [column, row[index] || ''])));
+}
+
+/**
+ * 名前などを指定せずに一括生成する鍵の一覧を作成
+ * @param {number} count - 鍵の数
+ * @returns {Array<Object>} 鍵ごとの名前、メールアドレス、コメント（いずれも空）
+ */
+export function createBatchEntries(count) {
+    return Array.from({ length: count }, () => ({ name: '', email: '', comment: '' }));
+}
+
+/**
+ * テンプレートからファイル名（拡張子を除く）を作成
+ * {n}は1から始まる連番（鍵の数の桁数に0埋め）、{name}・{email}・{comment}はCSVの値に置き換える
+ * @param {string} template - ファイル名のテンプレート
+ * @param {Object} entry - 鍵の名前、メールアドレス、コメント
+ * @param {number} index - 鍵の番号（0から）
+ * @param {number} total - 鍵の数
+ * @returns {string} ファイル名
+ */
+export function formatBatchFilename(template, entry, index, total) {
+    const values = {
+        n: String(index + 1).padStart(String(total).length, '0'),
+        name: entry.name,
+        email: entry.email,
+        comment: entry.comment
+    };
+
+    return template
+        .replace(/\{(n|name|email|comment)\}/g, (_, key) => values[key])
+        .replace(INVALID_FILENAME_CHARS, '_')
+        .trim();
+}
+
+/**
+ * 鍵ごとの鍵生成パラメータを作成
+ * SSHのコメントはコメントまたはメールアドレス、OpenPGPのユーザーIDは名前・メールアドレス・コメントから作成する
+ * （名前とメールアドレスがどちらもない場合はファイル名を名前とする）
+ * @param {Object} params - 共通の鍵生成パラメータ（keyType, keySize, outputFormat）
+ * @param {Object} entry - 鍵の名前、メールアドレス、コメント
+ * @param {string} filename - 鍵のファイル名
+ * @returns {Object} 鍵生成パラメータ
+ */
+export function getBatchKeyParams(params, entry, filename) {
+    const { keyType, keySize, outputFormat } = params;
+    const { name, email, comment } = entry;
+
+    return {
+        keyType,
+        keySize,
+        outputFormat,
+        passphrase: '',
+        ...(outputFormat === 'ssh' && { sshOptions: { comment: comment || email, rounds: DEFAULT_BCRYPT_ROUNDS } }),
+        ...(outputFormat === 'jwk' && { jwkOptions: { kid: '' } }),
+        ...(outputFormat === 'pgp' && {
+            pgpOptions: {
+                ...DEFAULT_PGP_OPTIONS,
+                subkey: getDefaultPGPSubkey(keySize),
+                userIds: [{ name: (name || email) ? name : filename, email, comment }]
+            }
+        })
+    };
+}
+
+/**
+ * 一括生成する鍵ごとのファイル名と鍵生成パラメータを作成
+ * @param {Object} params - 共通の鍵生成パラメータ（keyType, keySize, outputFormat）
+ * @param {Array<Object>} entries - 鍵ごとの名前、メールアドレス、コメント
+ * @param {string} template - ファイル名のテンプレート
+ * @returns {Array<Object>} 鍵ごとのファイル名（filename）、名前など（entry）、鍵生成パラメータ（params）
+ */
+export function createBatchJobs(params, entries, template) {
+    return entries.map((entry, index) => {
+        const filename = formatBatchFilename(template, entry, index, entries.length);
+        return { filename, entry, params: getBatchKeyParams(params, entry, filename) };
+    });
+}
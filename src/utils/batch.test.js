@@ -0,0 +1,93 @@
+import {
+    parseBatchCSV,
+    createBatchEntries,
+    formatBatchFilename,
+    getBatchKeyParams,
+    createBatchJobs
+} from './batch';
+
+describe('一括生成テスト', () => {
+    describe('CSVの読み込み', () => {
+        test('見出し行を読み飛ばし、名前・メールアドレス・コメントを読み込む', () => {
+            const entries = parseBatchCSV('name,email,comment\r\nTaro,taro@example.com,laptop\r\nHanako,hanako@example.com\r\n');
+
+            expect(entries).toEqual([
+                { name: 'Taro', email: 'taro@example.com', comment: 'laptop' },
+                { name: 'Hanako', email: 'hanako@example.com', comment: '' }
+            ]);
+        });
+
+        test('引用符で囲んだ列と空行', () => {
+            const entries = parseBatchCSV('\uFEFF"Yamada, Taro",taro@example.com,"say ""hi"""\n\n  Jiro  \n');
+
+            expect(entries).toEqual([
+                { name: 'Yamada, Taro', email: 'taro@example.com', comment: 'say "hi"' },
+                { name: 'Jiro', email: '', comment: '' }
+            ]);
+        });
+
+        test('引用符が閉じられていない場合はエラー', () => {
+            expect(() => parseBatchCSV('"Taro,taro@example.com')).toThrow('CSVの引用符が閉じられていません。');
+        });
+    });
+
+    test('鍵の数から一覧を作成', () => {
+        expect(createBatchEntries(2)).toEqual([
+            { name: '', email: '', comment: '' },
+            { name: '', email: '', comment: '' }
+        ]);
+    });
+
+    test('テンプレートからファイル名を作成', () => {
+        const entry = { name: 'Taro', email: 'taro@example.com', comment: 'a/b' };
+
+        expect(formatBatchFilename('key-{n}', entry, 0, 9)).toBe('key-1');
+        expect(formatBatchFilename('key-{n}', entry, 4, 100)).toBe('key-005');
+        expect(formatBatchFilename('{name}_{email}', entry, 0, 1)).toBe('Taro_taro@example.com');
+        // パスの区切り文字などは「_」に置き換える
+        expect(formatBatchFilename('{comment}', entry, 0, 1)).toBe('a_b');
+    });
+
+    describe('鍵ごとの鍵生成パラメータ', () => {
+        const entry = { name: '', email: 'taro@example.com', comment: '' };
+
+        test('SSHのコメント', () => {
+            const params = getBatchKeyParams({ keyType: 'eddsa', keySize: 'Ed25519', outputFormat: 'ssh' }, entry, 'key-1');
+            expect(params.sshOptions.comment).toBe('taro@example.com');
+            expect(params.passphrase).toBe('');
+        });
+
+        test('OpenPGPのユーザーID', () => {
+            const base = { keyType: 'eddsa', keySize: 'Ed25519', outputFormat: 'pgp' };
+
+            expect(getBatchKeyParams(base, entry, 'key-1').pgpOptions.userIds)
+                .toEqual([{ name: '', email: 'taro@example.com', comment: '' }]);
+            // 名前とメールアドレスがない場合はファイル名を名前とする
+            expect(getBatchKeyParams(base, { name: '', email: '', comment: '' }, 'key-1').pgpOptions.userIds)
+                .toEqual([{ name: 'key-1', email: '', comment: '' }]);
+            // Ed448の主鍵はv6の鍵になるため、副鍵はX448にする
+            expect(getBatchKeyParams(base, entry, 'key-1').pgpOptions.subkey).toBe('curve25519');
+            expect(getBatchKeyParams({ ...base, keySize: 'Ed448' }, entry, 'key-1').pgpOptions.subkey).toBe('x448');
+        });
+
+        test('JWKとPEMのパラメータ', () => {
+            expect(getBatchKeyParams({ keyType: 'ecdsa', keySize: 'P-256', outputFormat: 'jwk' }, entry, 'key-1').jwkOptions)
+                .toEqual({ kid: '' });
+            expect(getBatchKeyParams({ keyType: 'rsa', keySize: '2048', outputFormat: 'pem' }, entry, 'key-1'))
+                .toEqual({ keyType: 'rsa', keySize: '2048', outputFormat: 'pem', passphrase: '' });
+        });
+    });
+
+    test('鍵ごとのファイル名と鍵生成パラメータを作成', () => {
+        const jobs = createBatchJobs(
+            { keyType: 'ecdh', keySize: 'X25519', outputFormat: 'pem' },
+            createBatchEntries(12),
+            'device-{n}'
+        );
+
+        expect(jobs).toHaveLength(12);
+        expect(jobs[0].filename).toBe('device-01');
+        expect(jobs[11].filename).toBe('device-12');
+        expect(jobs[11].params.keySize).toBe('X25519');
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * 生成結果をまとめたZIPファイル（鍵・証明書・メタデータ・README）の作成に関するユーティリティ関数群
+ */
+import { createMetadata, generateFilenames, getFileExtension } from './metadata';
+import { createZip } from './zip';
+
+/**
+ * ZIPファイルに含める生成結果の項目と、generateFilenamesのファイル名のキー
+ */
+const BUNDLE_ENTRIES = [
+    ['publicKey', 'public'],
+    ['privateKey', 'private'],
+    ['revocationCertificate', 'revocationCertificate'],
+    ['jwks', 'jwks'],
+    ['certificate', 'certificate'],
+    ['certificateDer', 'certificateDer'],
+    ['pkcs12', 'pkcs12'],
+    ['certificateRequest', 'certificateRequest']
+];
+
+/**
+ * READMEのファイル名
+ */
+const README_FILENAME = 'README.txt';
+
+/**
+ * 一括生成した鍵の一覧（マニフェスト）のファイル名
+ */
+const MANIFEST_FILENAME = 'manifest.json';
+
+/**
+ * READMEに記載する各ファイルの説明
+ */
+const README_TEXTS = {
+    ja: {
+        title: 'Kokai2で生成した鍵',
+        generated: '生成日時',
+        key: '暗号方式',
+        files: 'ファイル',
+        descriptions: {
+            publicKey: '公開鍵。相手に渡したりサーバーに登録したりします',
+            privateKey: '秘密鍵。第三者に渡さず、安全な場所に保管してください',
+            revocationCertificate: 'OpenPGPの失効証明書。秘密鍵を紛失・漏洩した場合に取り込んで鍵を失効させます。秘密鍵とは別の場所に保管してください',
+            jwks: 'JWK Set。公開鍵の配布用にそのままサーバーに配置できます',
+            certificate: 'X.509証明書（PEM形式）',
+            certificateDer: 'X.509証明書（DER形式）',
+            pkcs12: 'PKCS#12（秘密鍵と証明書）。作成時のパスワードで保護されています',
+            certificateRequest: '証明書署名要求（CSR）。認証局に提出します',
+            metadata: '鍵のメタデータ（セキュリティ・用途・互換性の情報とフィンガープリント）',
+            readme: 'このファイル'
+        }
+    },
+    en: {
+        title: 'Keys generated with Kokai2',
+        generated: 'Generated',
+        key: 'Algorithm',
+        files: 'Files',
+        descriptions: {
+            publicKey: 'Public key. Share it or register it on servers',
+            privateKey: 'Private key. Never share it and store it securely',
+            revocationCertificate: 'OpenPGP revocation certificate. Import it to revoke the key if the private key is lost or compromised. Store it apart from the private key',
+            jwks: 'JWK Set. Can be served as-is to publish the public key',
+            certificate: 'X.509 certificate (PEM)',
+            certificateDer: 'X.509 certificate (DER)',
+            pkcs12: 'PKCS#12 (private key and certificate), protected with the password set when it was created',
+            certificateRequest: 'Certificate signing request (CSR) to submit to a certificate authority',
+            metadata: 'Key metadata (security, usage, compatibility and fingerprints)',
+            readme: 'This file'
+        }
+    }
+};
+
+/**
+ * ZIPファイルに含めるREADMEを作成
+ * @param {Array<Object>} files - READMEに記載するファイル（name, description）
+ * @param {Object} metadata - 鍵のメタデータ
+ * @param {string} language - 記載する言語（'ja'/'en'）
+ * @returns {string} README
+ */
+function createReadme(files, metadata, language) {
+    const texts = README_TEXTS[language];
+    return [
+        texts.title,
+        '',
+        `${texts.generated}: ${metadata.generated}`,
+        `${texts.key}: ${metadata.type} ${metadata.size} (${metadata.format})`,
+        '',
+        `${texts.files}:`,
+        ...files.map(({ name, description }) => `  ${name}\n    ${description}`),
+        ''
+    ].join('\n');
+}
+
+/**
+ * 生成結果をZIPファイルにまとめる
+ * 鍵と証明書のファイル、createMetadataのJSON、各ファイルを説明するREADMEを含める
+ * @param {Object} result - 生成結果（publicKey, privateKeyと、作成した場合はrevocationCertificate, jwks, certificate, certificateDer, pkcs12, certificateRequest）
+ * @param {Object} params - 鍵生成パラメータ
+ * @param {Object} options - オプション
+ * @param {string} options.password - ZIPファイルのパスワード（オプション。指定した場合はAES-256で暗号化）
+ * @param {string} options.language - READMEとメタデータの言語（オプション。既定は'ja'）
+ * @returns {Object} ZIPファイル（zip）とファイル名（filename）
+ */
+export function createKeyBundle(result, params, { password = '', language = 'ja' } = {}) {
+    const filenames = generateFilenames(params);
+    const metadata = createMetadata(params, result, language);
+    const descriptions = README_TEXTS[language].descriptions;
+
+    // 公開鍵のみを変換した場合など、空の項目は含めない
+    const files = BUNDLE_ENTRIES
+        .filter(([name]) => result[name])
+        .map(([name, filename]) => ({ name: filenames[filename], content: result[name], description: descriptions[name] }));
+    files.push({ name: filenames.metadata, content: JSON.stringify(metadata, null, 2), description: descriptions.metadata });
+
+    const readme = createReadme([...files, { name: README_FILENAME, description: descriptions.readme }], metadata, language);
+    files.push({ name: README_FILENAME, content: readme });
+
+    return {
+        zip: createZip(files, { password }),
+        filename: filenames.zip
+    };
+}
+
+/**
+ * 一括生成した鍵をZIPファイルにまとめる
+ * 鍵ごとの公開鍵・秘密鍵（OpenPGP形式の場合は失効証明書も）と、すべての鍵のメタデータをまとめたマニフェストを含める
+ * @param {Array<Object>} jobs - createBatchJobsで作成した鍵ごとのファイル名（filename）、名前など（entry）、鍵生成パラメータ（params）
+ * @param {Array<Object>} results - 鍵ごとの生成結果（jobsと同じ順）
+ * @param {Object} params - 共通の鍵生成パラメータ（keyType, keySize, outputFormat）
+ * @param {Object} options - オプション
+ * @param {string} options.password - ZIPファイルのパスワード（オプション。指定した場合はAES-256で暗号化）
+ * @param {string} options.language - マニフェストの言語（オプション。既定は'ja'）
+ * @returns {Object} ZIPファイル（zip）とファイル名（filename）
+ */
+export function createBatchBundle(jobs, results, params, { password = '', language = 'ja' } = {}) {
+    const extension = getFileExtension(params.outputFormat);
+    const files = [];
+
+    const keys = jobs.map((job, index) => {
+        const result = results[index];
+        const names = {
+            publicKey: `${job.filename}_public.${extension}`,
+            privateKey: `${job.filename}_private.${extension}`,
+            revocationCertificate: `${job.filename}_revocation.rev`
+        };
+        const keyFiles = Object.keys(names).filter(name => result[name]);
+        files.push(...keyFiles.map(name => ({ name: names[name], content: result[name] })));
+
+        // 鍵ごとに異なるOpenPGPの識別情報とフィンガープリントのみ記録する
+        const { openpgp, fingerprints } = createMetadata(job.params, result, language);
+        return {
+            ...job.entry,
+            files: Object.fromEntries(keyFiles.map(name => [name, names[name]])),
+            ...(openpgp && { openpgp }),
+            ...(fingerprints && { fingerprints })
+        };
+    });
+
+    const manifest = {
+        ...createMetadata(params, {}, language),
+        count: keys.length,
+        keys
+    };
+    files.push({ name: MANIFEST_FILENAME, content: JSON.stringify(manifest, null, 2) });
+
+    return {
+        zip: createZip(files, { password }),
+        filename: generateFilenames(params).batch
+    };
+}
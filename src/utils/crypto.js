@@ -1,31 +1,165 @@
 /**
  * 暗号鍵生成に関するユーティリティ関数群
- * Web Crypto API、node-forge、openpgp.jsを使用
+ * Web Crypto API、openpgp.js、@noble/curvesを使用
  */
-import * as openpgp from 'openpgp';
-import * as forge from 'node-forge';
+import { ed25519, x25519 } from '@noble/curves/ed25519';
+import { ed448, x448 } from '@noble/curves/ed448';
+import { secp256k1 } from '@noble/curves/secp256k1';
+import {
+    base64UrlEncode,
+    jwkToSpki,
+    jwkToPkcs8,
+    derToPem
+} from './keyEncoding';
+import {
+    jwkToOpenSSHPublicKey,
+    jwkToOpenSSHPrivateKey,
+    jwkToOpenSSHCertificate,
+    DEFAULT_BCRYPT_ROUNDS
+} from './ssh';
+import { encryptPrivateKeyInfo, DEFAULT_PEM_ENCRYPTION } from './pbes2';
+import { createPkcs12 } from './pkcs12';
+import { createJwks } from './jwk';
+import { jwkToOpenPGPKey } from './pgp';
+import { getFingerprintDetails } from './fingerprint';
+import {
+    createSelfSignedCertificate,
+    certificateToPem,
+    createCertificationRequest,
+    certificationRequestToPem,
+    parseCertificationRequest,
+    issueCertificate,
+    createCertificateRevocationList,
+    crlToPem
+} from './x509';
+import {
+    validateOutputFormat,
+    validatePassphrase,
+    validateSSHCertificateOptions,
+    validateCAOptions,
+    validateLeafCertificateOptions
+} from './errorHandler';
+
+/**
+ * JWKから鍵ペアオブジェクトを作成
+ * Web Crypto APIが対応していない曲線の鍵をCryptoKeyと同じ形で扱うために使用
+ * @param {Object} algorithm - アルゴリズム情報（CryptoKey.algorithm相当）
+ * @param {Object} privateJwk - 秘密鍵のJWK
+ * @param {Array<string>} usages - 秘密鍵の用途
+ * @param {Array<string>} publicUsages - 公開鍵の用途
+ * @returns {Object} 鍵ペア（publicKey, privateKey）
+ */
+function createSoftwareKeyPair(algorithm, privateJwk, usages, publicUsages) {
+    const { d, p, q, dp, dq, qi, oth, ...publicJwk } = privateJwk;
+
+    return {
+        publicKey: {
+            type: 'public',
+            algorithm,
+            extractable: true,
+            usages: publicUsages,
+            jwk: publicJwk
+        },
+        privateKey: {
+            type: 'private',
+            algorithm,
+            extractable: true,
+            usages,
+            jwk: privateJwk
+        }
+    };
+}
+
+/**
+ * 鍵をエクスポート
+ * CryptoKeyはWeb Crypto APIで、JWKで保持している鍵は自前でエンコードする
+ * @param {string} format - エクスポート形式（'spki'/'pkcs8'/'jwk'）
+ * @param {CryptoKey|Object} key - エクスポートする鍵
+ * @returns {Promise<ArrayBuffer|Uint8Array|Object>} エクスポートされた鍵
+ */
+async function exportKey(format, key) {
+    if (!key.jwk) {
+        return crypto.subtle.exportKey(format, key);
+    }
+
+    switch (format) {
+        case 'spki':
+            return jwkToSpki(key.jwk);
+        case 'pkcs8':
+            return jwkToPkcs8(key.jwk);
+        case 'jwk':
+            return { ...key.jwk, key_ops: key.usages, ext: true };
+        default:
+            throw new Error(`未対応のエクスポート形式です: ${format}`);
+    }
+}
+
+/**
+ * RSAのアルゴリズムと鍵用途の対応
+ */
+const RSA_KEY_USAGES = {
+    'RSASSA-PKCS1-v1_5': ['sign', 'verify'],
+    'RSA-PSS': ['sign', 'verify'],
+    'RSA-OAEP': ['encrypt', 'decrypt']
+};
+
+/**
+ * 公開指数をビッグエンディアンのバイト列に変換
+ * @param {number} exponent - 公開指数
+ * @returns {Uint8Array} バイト列
+ */
+function exponentToBytes(exponent) {
+    const bytes = [];
+    for (let value = exponent; value > 0; value = Math.floor(value / 256)) {
+        bytes.unshift(value % 256);
+    }
+    return new Uint8Array(bytes);
+}
 
 /**
  * RSA鍵ペアを生成
  * @param {number} size - 鍵サイズ（2048/3072/4096）
+ * @param {Object} options - RSAオプション
+ * @param {string} options.algorithm - アルゴリズム（'RSASSA-PKCS1-v1_5'/'RSA-PSS'/'RSA-OAEP'）
+ * @param {string} options.hash - ハッシュ関数（'SHA-256'/'SHA-384'/'SHA-512'）
+ * @param {number} options.publicExponent - 公開指数（65537/3）
  * @returns {Promise<CryptoKeyPair>} 生成された鍵ペア
  */
-export async function generateRSAKeyPair(size) {
+export async function generateRSAKeyPair(size, options = {}) {
+    const {
+        algorithm = 'RSA-OAEP',
+        hash = 'SHA-256',
+        publicExponent = 65537
+    } = options;
+
     try {
         // 鍵サイズの検証
         if (![2048, 3072, 4096].includes(size)) {
             throw new Error('RSAの鍵サイズは2048/3072/4096ビットのみ対応しています');
         }
 
-        return await window.crypto.subtle.generateKey(
+        // アルゴリズムとハッシュ関数の検証
+        if (!RSA_KEY_USAGES[algorithm]) {
+            throw new Error('RSAのアルゴリズムはRSASSA-PKCS1-v1_5/RSA-PSS/RSA-OAEPのみ対応しています');
+        }
+        if (!['SHA-256', 'SHA-384', 'SHA-512'].includes(hash)) {
+            throw new Error('RSAのハッシュ関数はSHA-256/SHA-384/SHA-512のみ対応しています');
+        }
+
+        // 公開指数の検証（ブラウザ間で共通して使える値のみ）
+        if (![65537, 3].includes(publicExponent)) {
+            throw new Error('RSAの公開指数は65537/3のみ対応しています');
+        }
+
+        return await crypto.subtle.generateKey(
             {
-                name: 'RSA-OAEP',
+                name: algorithm,
                 modulusLength: size,
-                publicExponent: new Uint8Array([1, 0, 1]),
-                hash: 'SHA-256',
+                publicExponent: exponentToBytes(publicExponent),
+                hash,
             },
             true,
-            ['encrypt', 'decrypt']
+            RSA_KEY_USAGES[algorithm]
         );
     } catch (error) {
         console.error('RSA鍵生成エラー:', error);
@@ -33,19 +167,48 @@ export async function generateRSAKeyPair(size) {
     }
 }
 
+/**
+ * secp256k1鍵ペアを生成
+ * Web Crypto APIは未対応のため@noble/curvesで生成する
+ * @returns {Object} 生成された鍵ペア
+ */
+function generateSecp256k1KeyPair() {
+    const privateKey = secp256k1.utils.randomPrivateKey();
+    // 非圧縮形式の公開鍵（0x04 || x || y）
+    const publicKey = secp256k1.getPublicKey(privateKey, false);
+    const privateJwk = {
+        kty: 'EC',
+        crv: 'secp256k1',
+        x: base64UrlEncode(publicKey.slice(1, 33)),
+        y: base64UrlEncode(publicKey.slice(33)),
+        d: base64UrlEncode(privateKey)
+    };
+
+    return createSoftwareKeyPair(
+        { name: 'ECDSA', namedCurve: 'secp256k1' },
+        privateJwk,
+        ['sign'],
+        ['verify']
+    );
+}
+
 /**
  * ECDSA鍵ペアを生成
- * @param {string} curve - 楕円曲線（'P-256'/'P-384'）
- * @returns {Promise<CryptoKeyPair>} 生成された鍵ペア
+ * @param {string} curve - 楕円曲線（'P-256'/'P-384'/'P-521'/'secp256k1'）
+ * @returns {Promise<CryptoKeyPair|Object>} 生成された鍵ペア
  */
 export async function generateECDSAKeyPair(curve) {
     try {
         // 曲線の検証
-        if (!['P-256', 'P-384'].includes(curve)) {
-            throw new Error('ECDSAはP-256/P-384のみ対応しています');
+        if (!['P-256', 'P-384', 'P-521', 'secp256k1'].includes(curve)) {
+            throw new Error('ECDSAはP-256/P-384/P-521/secp256k1のみ対応しています');
         }
 
-        return await window.crypto.subtle.generateKey(
+        if (curve === 'secp256k1') {
+            return generateSecp256k1KeyPair();
+        }
+
+        return await crypto.subtle.generateKey(
             {
                 name: 'ECDSA',
                 namedCurve: curve,
@@ -59,58 +222,131 @@ export async function generateECDSAKeyPair(curve) {
     }
 }
 
+/**
+ * Ed25519鍵ペアを生成
+ * Web Crypto APIが対応していればそれを使い、未対応のブラウザでは@noble/curvesで生成する
+ * @returns {Promise<CryptoKeyPair|Object>} 生成された鍵ペア
+ */
+async function generateEd25519KeyPair() {
+    try {
+        return await crypto.subtle.generateKey(
+            { name: 'Ed25519' },
+            true,
+            ['sign', 'verify']
+        );
+    } catch (error) {
+        // Ed25519未対応のブラウザ（NotSupportedErrorなど）は純JS実装にフォールバック
+    }
+
+    const seed = ed25519.utils.randomPrivateKey();
+    const privateJwk = {
+        kty: 'OKP',
+        crv: 'Ed25519',
+        x: base64UrlEncode(ed25519.getPublicKey(seed)),
+        d: base64UrlEncode(seed)
+    };
+
+    return createSoftwareKeyPair({ name: 'Ed25519' }, privateJwk, ['sign'], ['verify']);
+}
+
+/**
+ * Ed448鍵ペアを生成
+ * Web Crypto APIは未対応のため@noble/curvesで生成する
+ * @returns {Object} 生成された鍵ペア
+ */
+function generateEd448KeyPair() {
+    const seed = ed448.utils.randomPrivateKey();
+    const privateJwk = {
+        kty: 'OKP',
+        crv: 'Ed448',
+        x: base64UrlEncode(ed448.getPublicKey(seed)),
+        d: base64UrlEncode(seed)
+    };
+
+    return createSoftwareKeyPair({ name: 'Ed448' }, privateJwk, ['sign'], ['verify']);
+}
+
 /**
  * EdDSA鍵ペアを生成
- * @param {string} curve - 楕円曲線（'Ed25519'）
+ * @param {string} curve - 楕円曲線（'Ed25519'/'Ed448'）
  * @returns {Promise<Object>} 生成された鍵ペア
  */
 export async function generateEdDSAKeyPair(curve) {
     try {
         // 曲線の検証
-        if (curve !== 'Ed25519') {
-            throw new Error('EdDSAはEd25519のみ対応しています');
+        if (!['Ed25519', 'Ed448'].includes(curve)) {
+            throw new Error('EdDSAはEd25519/Ed448のみ対応しています');
         }
 
-        return await openpgp.generateKey({
-            type: curve.toLowerCase(),
-            format: 'object'
-        });
+        if (curve === 'Ed448') {
+            return generateEd448KeyPair();
+        }
+
+        return await generateEd25519KeyPair();
     } catch (error) {
         console.error('EdDSA鍵生成エラー:', error);
         throw error;
     }
 }
 
+/**
+ * ECDH（X25519/X448）鍵ペアを生成
+ * X25519はWeb Crypto APIが対応していればそれを使い、それ以外は@noble/curvesで生成する
+ * @param {string} curve - 曲線（'X25519'/'X448'）
+ * @returns {Promise<CryptoKeyPair|Object>} 生成された鍵ペア
+ */
+export async function generateECDHKeyPair(curve) {
+    try {
+        // 曲線の検証
+        if (!['X25519', 'X448'].includes(curve)) {
+            throw new Error('ECDHはX25519/X448のみ対応しています');
+        }
+
+        if (curve === 'X25519') {
+            try {
+                return await crypto.subtle.generateKey(
+                    { name: 'X25519' },
+                    true,
+                    ['deriveKey', 'deriveBits']
+                );
+            } catch (error) {
+                // X25519未対応のブラウザは純JS実装にフォールバック
+            }
+        }
+
+        const implementation = curve === 'X25519' ? x25519 : x448;
+        const privateKey = implementation.utils.randomPrivateKey();
+        const privateJwk = {
+            kty: 'OKP',
+            crv: curve,
+            x: base64UrlEncode(implementation.getPublicKey(privateKey)),
+            d: base64UrlEncode(privateKey)
+        };
+
+        return createSoftwareKeyPair({ name: curve }, privateJwk, ['deriveKey', 'deriveBits'], []);
+    } catch (error) {
+        console.error('ECDH鍵生成エラー:', error);
+        throw error;
+    }
+}
+
 /**
  * 鍵をPEM形式に変換
- * @param {CryptoKeyPair} keyPair - 変換する鍵ペア
+ * パスフレーズが指定された場合、秘密鍵はPKCS#8のPBES2で暗号化する（全アルゴリズム共通）
+ * @param {CryptoKeyPair|Object} keyPair - 変換する鍵ペア
  * @param {string} passphrase - 秘密鍵暗号化用パスフレーズ（オプション）
+ * @param {Object} encryption - 暗号化オプション（kdf, iterations, cost）
  * @returns {Promise<Object>} PEM形式の公開鍵と秘密鍵
  */
-export async function convertToPEM(keyPair, passphrase = '') {
+export async function convertToPEM(keyPair, passphrase = '', encryption = DEFAULT_PEM_ENCRYPTION) {
     try {
-        const spki = await window.crypto.subtle.exportKey('spki', keyPair.publicKey);
-        const pkcs8 = await window.crypto.subtle.exportKey('pkcs8', keyPair.privateKey);
+        const spki = await exportKey('spki', keyPair.publicKey);
+        const pkcs8 = new Uint8Array(await exportKey('pkcs8', keyPair.privateKey));
 
-        const publicPem = forge.pki.publicKeyToPem(
-            forge.pki.publicKeyFromAsn1(
-                forge.asn1.fromDer(forge.util.createBuffer(new Uint8Array(spki)))
-            )
-        );
-
-        let privatePem = forge.pki.privateKeyToPem(
-            forge.pki.privateKeyFromAsn1(
-                forge.asn1.fromDer(forge.util.createBuffer(new Uint8Array(pkcs8)))
-            )
-        );
-
-        if (passphrase) {
-            privatePem = forge.pki.encryptRsaPrivateKey(
-                forge.pki.privateKeyFromPem(privatePem),
-                passphrase,
-                { algorithm: 'aes256' }
-            );
-        }
+        const publicPem = derToPem(new Uint8Array(spki), 'PUBLIC KEY');
+        const privatePem = passphrase
+            ? derToPem(encryptPrivateKeyInfo(pkcs8, passphrase, encryption), 'ENCRYPTED PRIVATE KEY')
+            : derToPem(pkcs8, 'PRIVATE KEY');
 
         return { publicKey: publicPem, privateKey: privatePem };
     } catch (error) {
@@ -121,17 +357,23 @@ export async function convertToPEM(keyPair, passphrase = '') {
 
 /**
  * 鍵をJWK形式に変換
- * @param {CryptoKeyPair} keyPair - 変換する鍵ペア
- * @returns {Promise<Object>} JWK形式の公開鍵と秘密鍵
+ * 鍵のアルゴリズムに合わせてuse・key_ops・algを設定し、公開鍵のみのJWK Set（jwks.json）も作成する
+ * @param {CryptoKeyPair|Object} keyPair - 変換する鍵ペア
+ * @param {Object} jwkOptions - JWKオプション（kid。空の場合はRFC 7638のサムプリント）
+ * @returns {Promise<Object>} JWK形式の公開鍵と秘密鍵、JWK Set（jwks）
  */
-export async function convertToJWK(keyPair) {
+export async function convertToJWK(keyPair, jwkOptions = {}) {
     try {
-        const publicJwk = await window.crypto.subtle.exportKey('jwk', keyPair.publicKey);
-        const privateJwk = await window.crypto.subtle.exportKey('jwk', keyPair.privateKey);
+        const { publicJwk, privateJwk, jwks } = createJwks(
+            await exportKey('jwk', keyPair.privateKey),
+            keyPair.privateKey.algorithm,
+            jwkOptions
+        );
 
         return {
             publicKey: JSON.stringify(publicJwk, null, 2),
-            privateKey: JSON.stringify(privateJwk, null, 2)
+            privateKey: JSON.stringify(privateJwk, null, 2),
+            jwks: JSON.stringify(jwks, null, 2)
         };
     } catch (error) {
         console.error('JWK変換エラー:', error);
@@ -141,45 +383,423 @@ export async function convertToJWK(keyPair) {
 
 /**
  * 鍵をSSH形式に変換
- * @param {CryptoKeyPair} keyPair - 変換する鍵ペア
+ * 秘密鍵はssh-keygenと同じopenssh-key-v1形式で出力する（RSA、ECDSA、Ed25519）
+ * @param {CryptoKeyPair|Object} keyPair - 変換する鍵ペア
  * @param {string} passphrase - 秘密鍵暗号化用パスフレーズ（オプション）
+ * @param {string} comment - 鍵のコメント（オプション）
+ * @param {number} rounds - パスフレーズ保護に使うbcrypt_pbkdfのラウンド数（オプション）
  * @returns {Promise<Object>} SSH形式の公開鍵と秘密鍵
  */
-export async function convertToSSH(keyPair, passphrase = '') {
+export async function convertToSSH(keyPair, passphrase = '', comment = '', rounds = DEFAULT_BCRYPT_ROUNDS) {
     try {
-        const publicKey = forge.ssh.publicKeyToOpenSSH(keyPair.publicKey);
-        const privateKey = passphrase
-            ? forge.ssh.privateKeyToOpenSSH(keyPair.privateKey, passphrase)
-            : forge.ssh.privateKeyToPem(keyPair.privateKey);
-
-        return { publicKey, privateKey };
+        const privateJwk = await exportKey('jwk', keyPair.privateKey);
+        return {
+            publicKey: jwkToOpenSSHPublicKey(privateJwk, comment),
+            privateKey: jwkToOpenSSHPrivateKey(privateJwk, comment, passphrase, rounds)
+        };
     } catch (error) {
         console.error('SSH変換エラー:', error);
         throw error;
     }
 }
 
+/**
+ * 鍵ペアの秘密鍵で自己署名したX.509証明書を作成
+ * @param {CryptoKeyPair|Object} keyPair - 証明書に署名する鍵ペア
+ * @param {Object} x509Options - 証明書オプション（profile, subject, dnsNames, ipAddresses, emailAddresses, validDays, serial, rsaOptions）
+ * @returns {Promise<Object>} PEM形式（certificate）とDER形式（certificateDer）の証明書
+ */
+export async function createX509Certificate(keyPair, x509Options) {
+    try {
+        const privateJwk = await exportKey('jwk', keyPair.privateKey);
+        const der = createSelfSignedCertificate(privateJwk, x509Options);
+        return { certificate: certificateToPem(der), certificateDer: der };
+    } catch (error) {
+        console.error('X.509証明書作成エラー:', error);
+        throw error;
+    }
+}
+
+/**
+ * 鍵ペアの秘密鍵で署名した証明書署名要求（CSR）を作成
+ * @param {CryptoKeyPair|Object} keyPair - CSRに署名する鍵ペア
+ * @param {Object} csrOptions - CSRオプション（profile, subject, dnsNames, ipAddresses, emailAddresses, challengePassword, rsaOptions）
+ * @returns {Promise<Object>} PEM形式のCSR（certificateRequest）
+ */
+export async function createCertificateRequest(keyPair, csrOptions) {
+    try {
+        const privateJwk = await exportKey('jwk', keyPair.privateKey);
+        return { certificateRequest: certificationRequestToPem(createCertificationRequest(privateJwk, csrOptions)) };
+    } catch (error) {
+        console.error('CSR作成エラー:', error);
+        throw error;
+    }
+}
+
+/**
+ * 秘密鍵と証明書（と証明書チェーン）をパスワードで保護したPKCS#12にまとめる
+ * @param {Object} privateJwk - 秘密鍵のJWK
+ * @param {Array<Uint8Array>} certificates - 証明書のDERバイト列（先頭が秘密鍵の証明書、以降はチェーン）
+ * @param {Object} pkcs12Options - PKCS#12オプション（password, encryption, friendlyName）
+ * @returns {Promise<Object>} PKCS#12のDERバイト列（pkcs12）
+ */
+export async function createPkcs12Bundle(privateJwk, certificates, pkcs12Options) {
+    try {
+        const { password, ...options } = pkcs12Options;
+        return { pkcs12: createPkcs12(privateJwk, certificates, password, options) };
+    } catch (error) {
+        console.error('PKCS#12作成エラー:', error);
+        throw error;
+    }
+}
+
 /**
  * 鍵をOpenPGP形式に変換
- * @param {Object} options - OpenPGP鍵生成オプション
- * @returns {Promise<Object>} OpenPGP形式の公開鍵と秘密鍵
+ * 鍵ペアの鍵データをそのまま主鍵とし、ユーザーIDと自己署名、暗号化用の副鍵を付ける
+ * @param {CryptoKeyPair|Object} keyPair - 変換する鍵ペア
+ * @param {Object} pgpOptions - OpenPGPオプション（userIds, keyExpirationDays, subkey, subkeyExpirationDays, revocationReason, revocationComment, passphrase）
+ * @returns {Promise<Object>} OpenPGP形式の公開鍵と秘密鍵と失効証明書（revocationCertificate）、フィンガープリント（fingerprint）、鍵ID（keyId）、有効期限（expires）、ユーザーID（userIds）、副鍵（subkeys）
  */
-export async function convertToOpenPGP(options) {
+export async function convertToOpenPGP(keyPair, pgpOptions = {}) {
     try {
-        const { publicKey, privateKey } = await openpgp.generateKey({
-            userIds: [{ name: options.name, email: options.email }],
-            type: options.type,
-            passphrase: options.passphrase,
-            format: 'armored'
+        return await jwkToOpenPGPKey(await exportKey('jwk', keyPair.privateKey), pgpOptions);
+    } catch (error) {
+        console.error('OpenPGP変換エラー:', error);
+        throw error;
+    }
+}
+
+/**
+ * 読み込んだ鍵のアルゴリズム情報と鍵用途を取得
+ * @param {Object} imported - 読み込んだ鍵（keyType, keySize, rsaOptions）
+ * @returns {Object} アルゴリズム情報（algorithm）と秘密鍵・公開鍵の用途（usages, publicUsages）
+ */
+function getImportedKeyAlgorithm(imported) {
+    const { keyType, keySize, rsaOptions = {} } = imported;
+
+    switch (keyType) {
+        case 'rsa': {
+            const { algorithm = 'RSASSA-PKCS1-v1_5', hash = 'SHA-256' } = rsaOptions;
+            const isEncryption = algorithm === 'RSA-OAEP';
+            return {
+                algorithm: { name: algorithm, modulusLength: parseInt(keySize), hash: { name: hash } },
+                usages: isEncryption ? ['decrypt'] : ['sign'],
+                publicUsages: isEncryption ? ['encrypt'] : ['verify']
+            };
+        }
+        case 'ecdsa':
+            return { algorithm: { name: 'ECDSA', namedCurve: keySize }, usages: ['sign'], publicUsages: ['verify'] };
+        case 'eddsa':
+            return { algorithm: { name: keySize }, usages: ['sign'], publicUsages: ['verify'] };
+        case 'ecdh':
+            return { algorithm: { name: keySize }, usages: ['deriveKey', 'deriveBits'], publicUsages: [] };
+        default:
+            throw new Error('不正な暗号方式が選択されました。');
+    }
+}
+
+/**
+ * 公開鍵のみを出力形式に変換
+ * @param {Object} imported - keyImport.importKeyで読み込んだ公開鍵
+ * @param {string} outputFormat - 出力形式（'pem'/'jwk'/'ssh'）
+ * @param {string} comment - 鍵のコメント（SSH形式のみ）
+ * @param {Object} jwkOptions - JWKオプション（JWK形式のみ）
+ * @returns {Object} 出力形式の公開鍵（秘密鍵は空文字列）
+ */
+function convertPublicKey(imported, outputFormat, comment, jwkOptions) {
+    const { publicJwk } = imported;
+    switch (outputFormat) {
+        case 'pem':
+            return { publicKey: derToPem(jwkToSpki(publicJwk), 'PUBLIC KEY'), privateKey: '' };
+        case 'jwk': {
+            const { publicJwk: jwk, jwks } = createJwks(publicJwk, getImportedKeyAlgorithm(imported).algorithm, jwkOptions);
+            return { publicKey: JSON.stringify(jwk, null, 2), privateKey: '', jwks: JSON.stringify(jwks, null, 2) };
+        }
+        case 'ssh':
+            return { publicKey: jwkToOpenSSHPublicKey(publicJwk, comment), privateKey: '' };
+        case 'pgp':
+            // ユーザーIDへの自己署名に秘密鍵が必要
+            throw new Error('OpenPGP形式への変換には秘密鍵が必要です。');
+        default:
+            throw new Error('不正な出力形式が選択されました。');
+    }
+}
+
+/**
+ * 読み込んだ既存の鍵を別の出力形式に変換
+ * @param {Object} imported - keyImport.importKeyで読み込んだ鍵
+ * @param {string} outputFormat - 出力形式（'pem'/'jwk'/'ssh'/'pgp'）
+ * @param {string} passphrase - 秘密鍵暗号化用パスフレーズ（オプション）
+ * @param {Object} options - 出力オプション（オプション）
+ * @param {Object} options.pemEncryption - PEM形式の秘密鍵暗号化オプション
+ * @param {Object} options.sshOptions - SSH形式のオプション（comment, rounds）。コメントが空の場合は読み込んだ鍵のコメントを使用
+ * @param {Object} options.jwkOptions - JWK形式のオプション（kid）
+ * @param {Object} options.pgpOptions - OpenPGP形式のオプション（userIds, keyExpirationDays, subkey, subkeyExpirationDays, revocationReason, revocationComment）
+ * @returns {Promise<Object>} 出力形式の公開鍵と秘密鍵（公開鍵のみの場合、秘密鍵は空文字列）
+ */
+export async function convertImportedKey(imported, outputFormat, passphrase = '', options = {}) {
+    try {
+        const { pemEncryption = DEFAULT_PEM_ENCRYPTION, sshOptions = {}, jwkOptions = {}, pgpOptions } = options;
+        const comment = sshOptions.comment || imported.comment;
+        const params = {
+            keyType: imported.keyType,
+            keySize: imported.keySize,
+            outputFormat,
+            passphrase,
+            pemEncryption,
+            sshOptions,
+            pgpOptions
+        };
+        for (const validation of [validateOutputFormat(params), validatePassphrase(params)]) {
+            if (!validation.isValid) {
+                throw new Error(validation.message);
+            }
+        }
+
+        if (!imported.privateJwk) {
+            return convertPublicKey(imported, outputFormat, comment, jwkOptions);
+        }
+
+        const { algorithm, usages, publicUsages } = getImportedKeyAlgorithm(imported);
+        const keyPair = createSoftwareKeyPair(algorithm, imported.privateJwk, usages, publicUsages);
+
+        switch (outputFormat) {
+            case 'pem':
+                return await convertToPEM(keyPair, passphrase, pemEncryption);
+            case 'jwk':
+                return await convertToJWK(keyPair, jwkOptions);
+            case 'ssh':
+                return await convertToSSH(keyPair, passphrase, comment, sshOptions.rounds);
+            case 'pgp':
+                return await convertToOpenPGP(keyPair, { ...pgpOptions, passphrase });
+            default:
+                throw new Error('不正な出力形式が選択されました。');
+        }
+    } catch (error) {
+        console.error('鍵変換エラー:', error);
+        throw error;
+    }
+}
+
+/**
+ * 読み込んだCA鍵で公開鍵に署名し、OpenSSH証明書（*-cert.pub）を発行
+ * @param {Object} ca - keyImport.importKeyで読み込んだCA鍵（秘密鍵が必要）
+ * @param {Object} subject - keyImport.importKeyで読み込んだ証明書を発行する鍵
+ * @param {Object} certificateOptions - 証明書の内容（type, keyId, principals, validAfter, validBefore, serial, criticalOptions, extensions, comment）。コメントが空の場合は読み込んだ鍵のコメントを使用
+ * @returns {Promise<string>} OpenSSH証明書
+ */
+export async function issueSSHCertificate(ca, subject, certificateOptions) {
+    try {
+        if (!ca.privateJwk) {
+            throw new Error('CA鍵には秘密鍵を指定してください');
+        }
+        const validation = validateSSHCertificateOptions(certificateOptions);
+        if (!validation.isValid) {
+            throw new Error(validation.message);
+        }
+
+        return jwkToOpenSSHCertificate(ca.privateJwk, subject.publicJwk, {
+            ...certificateOptions,
+            comment: certificateOptions.comment || subject.comment
         });
+    } catch (error) {
+        console.error('SSH証明書発行エラー:', error);
+        throw error;
+    }
+}
+
+/**
+ * ローカル認証局（CA）の鍵を生成し、CA証明書を作成
+ * 親CAを指定しない場合は自己署名のルートCA、指定した場合は親CAが署名した中間CAとなる
+ * @param {Object} caOptions - CAオプション（keyType: 'rsa'/'ecdsa', keySize, subject, validDays, pathLength, permittedDnsNames, excludedDnsNames）
+ * @param {Object} parent - 親CA（privateJwk, certificateDer）。省略時はルートCA
+ * @returns {Promise<Object>} CAの秘密鍵のJWK（privateJwk）、PEM形式の秘密鍵（privateKey）、PEM形式とDERのCA証明書（certificate, certificateDer）
+ */
+export async function createCertificateAuthority(caOptions, parent = null) {
+    try {
+        const validation = validateCAOptions(caOptions);
+        if (!validation.isValid) {
+            throw new Error(validation.message);
+        }
 
-        return { publicKey, privateKey };
+        const { keyType, keySize, ...options } = caOptions;
+        const keyPair = await generateKeyPair(keyType, keySize, { algorithm: 'RSASSA-PKCS1-v1_5' });
+        const privateJwk = await exportKey('jwk', keyPair.privateKey);
+        const issuer = parent
+            ? { privateJwk: parent.privateJwk, certificate: parent.certificateDer }
+            : { privateJwk };
+        const der = issueCertificate(issuer, privateJwk, { ...options, ca: true });
+        const { privateKey } = await convertToPEM(keyPair);
+
+        return { privateJwk, privateKey, certificate: certificateToPem(der), certificateDer: der };
     } catch (error) {
-        console.error('OpenPGP変換エラー:', error);
+        console.error('CA作成エラー:', error);
+        throw error;
+    }
+}
+
+/**
+ * ローカル認証局（CA）の秘密鍵で署名した証明書を発行
+ * CSRを指定した場合はCSRの公開鍵・サブジェクト・サブジェクト代替名・用途を使い、
+ * 鍵の種類を指定した場合は新しい鍵ペアを生成してその公開鍵に署名する
+ * @param {Object} ca - 発行するCA（privateJwk, certificateDer）
+ * @param {Object} source - 証明書の公開鍵（csr: PEM形式のCSR、またはkeyType, keySize）
+ * @param {Object} certificateOptions - 証明書オプション（profile, subject, dnsNames, ipAddresses, emailAddresses, validDays, serial）。CSRを指定した場合はvalidDaysとserialのみ使用
+ * @returns {Promise<Object>} PEM形式とDERの証明書（certificate, certificateDer）。鍵を生成した場合はPEM形式の公開鍵と秘密鍵（publicKey, privateKey）と秘密鍵のJWK（privateJwk）を含む
+ */
+export async function issueLeafCertificate(ca, source, certificateOptions) {
+    try {
+        let subjectJwk;
+        let options = certificateOptions;
+        let keys = {};
+        if (source.csr) {
+            const request = parseCertificationRequest(source.csr);
+            if (!request.signatureValid) {
+                throw new Error('CSRの署名が正しくありません');
+            }
+            subjectJwk = request.publicJwk;
+            options = {
+                ...certificateOptions,
+                profile: request.profile || certificateOptions.profile,
+                subject: request.subject,
+                dnsNames: request.dnsNames,
+                ipAddresses: request.ipAddresses,
+                emailAddresses: request.emailAddresses
+            };
+        }
+
+        const validation = validateLeafCertificateOptions(options);
+        if (!validation.isValid) {
+            throw new Error(validation.message);
+        }
+
+        if (!source.csr) {
+            const keyPair = await generateKeyPair(source.keyType, source.keySize, { algorithm: 'RSASSA-PKCS1-v1_5' });
+            subjectJwk = await exportKey('jwk', keyPair.privateKey);
+            keys = { ...await convertToPEM(keyPair), privateJwk: subjectJwk };
+        }
+
+        const der = issueCertificate({ privateJwk: ca.privateJwk, certificate: ca.certificateDer }, subjectJwk, options);
+        return { ...keys, certificate: certificateToPem(der), certificateDer: der };
+    } catch (error) {
+        console.error('証明書発行エラー:', error);
         throw error;
     }
 }
 
+/**
+ * ローカル認証局（CA）の秘密鍵で署名した証明書失効リスト（CRL）を作成
+ * @param {Object} ca - 発行するCA（privateJwk, certificateDer）
+ * @param {Array<Object>} revoked - 失効した証明書（serial, date, reason）
+ * @param {Object} crlOptions - CRLオプション（crlNumber, nextUpdateDays）
+ * @returns {Promise<Object>} PEM形式のCRL（crl）
+ */
+export async function createRevocationList(ca, revoked, crlOptions) {
+    try {
+        const der = createCertificateRevocationList(
+            { privateJwk: ca.privateJwk, certificate: ca.certificateDer },
+            revoked,
+            crlOptions
+        );
+        return { crl: crlToPem(der) };
+    } catch (error) {
+        console.error('CRL作成エラー:', error);
+        throw error;
+    }
+}
+
+/**
+ * 暗号方式と鍵サイズに対応する鍵ペアを生成
+ * @param {string} keyType - 暗号方式（'rsa'/'ecdsa'/'eddsa'/'ecdh'）
+ * @param {string} keySize - 鍵サイズまたは曲線名
+ * @param {Object} rsaOptions - RSAオプション（RSAの場合のみ）
+ * @returns {Promise<CryptoKeyPair|Object>} 生成された鍵ペア
+ */
+export async function generateKeyPair(keyType, keySize, rsaOptions) {
+    switch (keyType) {
+        case 'rsa':
+            return generateRSAKeyPair(parseInt(keySize), rsaOptions);
+        case 'ecdsa':
+            return generateECDSAKeyPair(keySize);
+        case 'eddsa':
+            return generateEdDSAKeyPair(keySize);
+        case 'ecdh':
+            return generateECDHKeyPair(keySize);
+        default:
+            throw new Error('不正な暗号方式が選択されました。');
+    }
+}
+
+/**
+ * 鍵ペアを生成して選択された出力形式に変換
+ * メインスレッドとWeb Workerの両方から呼び出される
+ * @param {Object} params - 鍵生成パラメータ
+ * @param {string} params.keyType - 暗号方式
+ * @param {string} params.keySize - 鍵サイズまたは曲線名
+ * @param {string} params.outputFormat - 出力形式（'pem'/'jwk'/'ssh'/'pgp'）
+ * @param {string} params.passphrase - 秘密鍵暗号化用パスフレーズ（オプション）
+ * @param {Object} params.rsaOptions - RSAオプション（RSAの場合のみ）
+ * @param {Object} params.pemEncryption - PEM形式の秘密鍵暗号化オプション（PEMの場合のみ）
+ * @param {Object} params.sshOptions - SSH形式のオプション（comment, rounds）（SSHの場合のみ）
+ * @param {Object} params.jwkOptions - JWK形式のオプション（kid）（JWKの場合のみ）
+ * @param {Object} params.pgpOptions - OpenPGP形式のオプション（userIds, keyExpirationDays, subkey, subkeyExpirationDays, revocationReason, revocationComment）（OpenPGPの場合のみ）
+ * @param {Object} params.x509Options - 自己署名X.509証明書のオプション（証明書を作成する場合のみ）
+ * @param {Object} params.csrOptions - 証明書署名要求のオプション（CSRを作成する場合のみ）
+ * @param {function} onProgress - 進捗通知のコールバック（'generating'/'converting'/'certifying'）
+ * @returns {Promise<Object>} 出力形式の公開鍵と秘密鍵、フィンガープリント（fingerprints, randomart, pgpWords）（OpenPGPの場合はfingerprint, keyId, expires, publicKeyPacket, userIds, subkeys, revocationCertificate、証明書を作成した場合はcertificate, certificateDer、CSRを作成した場合はcertificateRequestも含む）
+ */
+export async function generateKeys(params, onProgress = () => {}) {
+    const { keyType, keySize, outputFormat, passphrase } = params;
+
+    onProgress('generating');
+
+    const keyPair = await generateKeyPair(keyType, keySize, params.rsaOptions);
+
+    onProgress('converting');
+
+    let keys;
+    switch (outputFormat) {
+        case 'pem':
+            keys = await convertToPEM(keyPair, passphrase, params.pemEncryption);
+            break;
+        case 'jwk':
+            keys = await convertToJWK(keyPair, params.jwkOptions);
+            break;
+        case 'ssh': {
+            const { comment, rounds } = params.sshOptions || {};
+            keys = await convertToSSH(keyPair, passphrase, comment, rounds);
+            break;
+        }
+        case 'pgp':
+            keys = await convertToOpenPGP(keyPair, { ...params.pgpOptions, passphrase });
+            break;
+        default:
+            throw new Error('不正な出力形式が選択されました。');
+    }
+
+    // 結果画面で相手と照合するためのフィンガープリント
+    keys = { ...keys, ...getFingerprintDetails(await exportKey('jwk', keyPair.publicKey), keys.publicKeyPacket) };
+
+    if (!params.x509Options && !params.csrOptions) {
+        return keys;
+    }
+
+    onProgress('certifying');
+    // RSAの場合は鍵のアルゴリズムとハッシュ関数で証明書とCSRに署名する
+    const { rsaOptions } = params;
+    const certificate = params.x509Options && await createX509Certificate(keyPair, { ...params.x509Options, rsaOptions });
+    return {
+        ...keys,
+        ...certificate,
+        ...(params.csrOptions && await createCertificateRequest(keyPair, { ...params.csrOptions, rsaOptions })),
+        ...(certificate && params.pkcs12Options && await createPkcs12Bundle(
+            await exportKey('jwk', keyPair.privateKey),
+            [certificate.certificateDer],
+            params.pkcs12Options
+        ))
+    };
+}
+
 /**
  * メタデータを生成
  * @param {Object} params - 鍵生成パラメータ
@@ -0,0 +1,23 @@
+/**
+ * ファイルのダウンロードに関するユーティリティ関数群
+ */
+
+/**
+ * 文字列またはバイナリをファイルとして保存
+ * @param {string|Uint8Array|Blob} content - 保存する内容
+ * @param {string} filename - 保存するファイル名
+ * @param {string} type - MIMEタイプ
+ */
+export function saveFile(content, filename, type = 'text/plain;charset=utf-8') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,35 @@
+import { saveFile } from './download';
+
+describe('ファイル保存テスト', () => {
+    let clickSpy;
+
+    beforeEach(() => {
+        URL.createObjectURL.mockClear();
+        URL.revokeObjectURL.mockClear();
+        clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        clickSpy.mockRestore();
+    });
+
+    test('テキストの保存', () => {
+        saveFile('public key', 'rsa_2048_public.pem');
+
+        // Blobの内容とMIMEタイプを検証
+        const blob = URL.createObjectURL.mock.calls[0][0];
+        expect(blob.content).toEqual(['public key']);
+        expect(blob.options).toEqual({ type: 'text/plain;charset=utf-8' });
+
+        // ダウンロードリンクのクリックとURLの解放を検証
+        expect(clickSpy).toHaveBeenCalledTimes(1);
+        expect(URL.revokeObjectURL).toHaveBeenCalledTimes(1);
+    });
+
+    test('MIMEタイプの指定', () => {
+        saveFile('{}', 'metadata.json', 'application/json');
+
+        const blob = URL.createObjectURL.mock.calls[0][0];
+        expect(blob.options).toEqual({ type: 'application/json' });
+    });
+});
@@ -1,6 +1,12 @@
 /**
  * エラー処理に関するユーティリティ関数群
  */
+import { SSH_CERTIFICATE_CRITICAL_OPTIONS, SSH_CERTIFICATE_EXTENSIONS } from './ssh';
+import { X509_PROFILES } from './x509';
+import { PKCS12_ENCRYPTIONS } from './pkcs12';
+import { PGP_SUBKEY_TYPES, PGP_REVOCATION_REASONS, formatUserId, getPGPSubkeyTypes } from './pgp';
+import { BATCH_MAX_COUNT } from './batch';
+import { SECRET_KINDS, MAX_SHARE_COUNT } from './shamir';
 
 /**
  * 無効な暗号方式の組み合わせをチェック
@@ -32,13 +38,326 @@ export function validateCryptoParams(params) {
                 message: 'RSAの鍵サイズは2048/3072/4096ビットのみサポートしています。'
             };
         }
+
+        const rsaCheck = validateRSAOptions(params.rsaOptions);
+        if (!rsaCheck.isValid) return rsaCheck;
     }
 
     // ECDSAの曲線制約
-    if (keyType === 'ecdsa' && !['P-256', 'P-384'].includes(keySize)) {
+    if (keyType === 'ecdsa' && !['P-256', 'P-384', 'P-521', 'secp256k1'].includes(keySize)) {
+        return {
+            isValid: false,
+            message: 'ECDSAはP-256/P-384/P-521/secp256k1のみサポートしています。'
+        };
+    }
+
+    // ECDHの曲線制約
+    if (keyType === 'ecdh' && !['X25519', 'X448'].includes(keySize)) {
+        return {
+            isValid: false,
+            message: 'ECDHはX25519/X448のみサポートしています。'
+        };
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * RSAオプション（アルゴリズム、ハッシュ関数、公開指数）をチェック
+ * @param {Object} rsaOptions - RSAオプション（未指定の場合は既定値を使用）
+ * @returns {Object} エラー情報（isValid: boolean, message: string）
+ */
+export function validateRSAOptions(rsaOptions) {
+    if (!rsaOptions) {
+        return { isValid: true };
+    }
+
+    const { algorithm, hash, publicExponent } = rsaOptions;
+
+    if (!['RSASSA-PKCS1-v1_5', 'RSA-PSS', 'RSA-OAEP'].includes(algorithm)) {
+        return {
+            isValid: false,
+            message: 'RSAのアルゴリズムはRSASSA-PKCS1-v1_5/RSA-PSS/RSA-OAEPのみサポートしています。'
+        };
+    }
+
+    if (!['SHA-256', 'SHA-384', 'SHA-512'].includes(hash)) {
+        return {
+            isValid: false,
+            message: 'RSAのハッシュ関数はSHA-256/SHA-384/SHA-512のみサポートしています。'
+        };
+    }
+
+    if (![65537, 3].includes(publicExponent)) {
+        return {
+            isValid: false,
+            message: 'RSAの公開指数は65537/3のみサポートしています。'
+        };
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * PEM形式の秘密鍵暗号化オプション（鍵導出関数と反復回数・コストパラメータ）をチェック
+ * @param {Object} pemEncryption - 暗号化オプション（未指定の場合は既定値を使用）
+ * @returns {Object} エラー情報（isValid: boolean, message: string）
+ */
+export function validatePemEncryption(pemEncryption) {
+    if (!pemEncryption) {
+        return { isValid: true };
+    }
+
+    const { kdf, iterations, cost } = pemEncryption;
+
+    if (!['pbkdf2', 'scrypt'].includes(kdf)) {
+        return {
+            isValid: false,
+            message: '鍵導出関数はPBKDF2/scryptのみサポートしています。'
+        };
+    }
+
+    if (kdf === 'pbkdf2' && !(Number.isInteger(iterations) && iterations >= 1000 && iterations <= 5000000)) {
+        return {
+            isValid: false,
+            message: 'PBKDF2の反復回数は1,000〜5,000,000の整数で指定してください。'
+        };
+    }
+
+    // メモリ使用量は約128 × r × Nバイト（r=8、N=262144で256MB）
+    if (kdf === 'scrypt' && ![16384, 32768, 65536, 131072, 262144].includes(cost)) {
+        return {
+            isValid: false,
+            message: 'scryptのコストパラメータは16384/32768/65536/131072/262144のみサポートしています。'
+        };
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * SSH形式のオプション（コメントとbcrypt_pbkdfのラウンド数）をチェック
+ * @param {Object} sshOptions - SSHオプション（未指定の場合は既定値を使用）
+ * @returns {Object} エラー情報（isValid: boolean, message: string）
+ */
+export function validateSSHOptions(sshOptions) {
+    if (!sshOptions) {
+        return { isValid: true };
+    }
+
+    const { comment = '', rounds } = sshOptions;
+
+    // 改行を含むとauthorized_keysの1行に収まらない
+    if (/[\r\n]/.test(comment)) {
+        return {
+            isValid: false,
+            message: 'SSH鍵のコメントに改行は使用できません。'
+        };
+    }
+
+    if (rounds !== undefined && !(Number.isInteger(rounds) && rounds >= 1 && rounds <= 500)) {
+        return {
+            isValid: false,
+            message: 'bcryptのラウンド数は1〜500の整数で指定してください。'
+        };
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * OpenPGP形式のユーザーID（名前・メールアドレス・コメント）をチェック
+ * @param {Object} userId - ユーザーID（name, email, comment）
+ * @returns {Object} エラー情報（isValid: boolean, message: string）
+ */
+function validatePGPUserId(userId) {
+    const name = (userId.name || '').trim();
+    const email = (userId.email || '').trim();
+    const comment = (userId.comment || '').trim();
+
+    if (!name && !email) {
+        return {
+            isValid: false,
+            message: 'OpenPGPのユーザーIDには名前かメールアドレスを入力してください。'
+        };
+    }
+
+    if (email && !/^[^\s@<>]+@[^\s@<>]+$/.test(email)) {
+        return {
+            isValid: false,
+            message: `OpenPGPのメールアドレスの形式が正しくありません: ${email}`
+        };
+    }
+
+    // 「名前 (コメント) <メールアドレス>」の区切りと紛らわしい文字は使わない
+    if ([name, comment].some(value => /[\r\n<>()]/.test(value))) {
+        return {
+            isValid: false,
+            message: 'OpenPGPの名前とコメントに改行や < > ( ) は使用できません。'
+        };
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * OpenPGP形式のオプション（ユーザーID、暗号化用の副鍵、有効期限、失効理由）をチェック
+ * @param {Object} pgpOptions - OpenPGPオプション（userIds, keyExpirationDays, subkey, subkeyExpirationDays, revocationReason, revocationComment。未指定の場合はチェックしない）
+ * @returns {Object} エラー情報（isValid: boolean, message: string）
+ */
+export function validatePGPOptions(pgpOptions) {
+    if (!pgpOptions) {
+        return { isValid: true };
+    }
+
+    const {
+        userIds = [],
+        keyExpirationDays = 0,
+        subkey = 'none',
+        subkeyExpirationDays = 0,
+        revocationReason = 'noReason',
+        revocationComment = ''
+    } = pgpOptions;
+
+    if (userIds.length === 0) {
         return {
             isValid: false,
-            message: 'ECDSAはP-256/P-384のみサポートしています。'
+            message: 'OpenPGPのユーザーIDを1つ以上入力してください。'
+        };
+    }
+
+    for (const userId of userIds) {
+        const userIdCheck = validatePGPUserId(userId);
+        if (!userIdCheck.isValid) return userIdCheck;
+    }
+
+    const formatted = userIds.map(formatUserId);
+    const duplicate = formatted.find((userId, index) => formatted.indexOf(userId) !== index);
+    if (duplicate) {
+        return {
+            isValid: false,
+            message: `OpenPGPのユーザーIDが重複しています: ${duplicate}`
+        };
+    }
+
+    if (subkey !== 'none' && !PGP_SUBKEY_TYPES[subkey]) {
+        return {
+            isValid: false,
+            message: `OpenPGPの暗号化用副鍵は${Object.keys(PGP_SUBKEY_TYPES).join('/')}のみサポートしています。`
+        };
+    }
+
+    // 0は無期限。100年を上限とする
+    if (![keyExpirationDays, subkeyExpirationDays].every(days => Number.isInteger(days) && days >= 0 && days <= 36500)) {
+        return {
+            isValid: false,
+            message: 'OpenPGPの有効期限は0〜36500日の整数で指定してください。'
+        };
+    }
+
+    if (!PGP_REVOCATION_REASONS.includes(revocationReason)) {
+        return {
+            isValid: false,
+            message: `OpenPGPの失効理由は${PGP_REVOCATION_REASONS.join('/')}のみサポートしています。`
+        };
+    }
+
+    // 失効理由の説明は1行のみとする
+    if (/[\r\n]/.test(revocationComment)) {
+        return {
+            isValid: false,
+            message: 'OpenPGPの失効理由の説明に改行は使用できません。'
+        };
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * OpenSSH証明書のオプションをチェック
+ * @param {Object} certificateOptions - 証明書の内容（type, keyId, principals, validAfter, validBefore, serial, criticalOptions, extensions）
+ * @returns {Object} エラー情報（isValid: boolean, message: string）
+ */
+export function validateSSHCertificateOptions(certificateOptions) {
+    const {
+        type,
+        keyId = '',
+        principals = [],
+        validAfter = null,
+        validBefore = null,
+        serial = '0',
+        criticalOptions = {},
+        extensions = []
+    } = certificateOptions;
+
+    if (!['user', 'host'].includes(type)) {
+        return {
+            isValid: false,
+            message: '証明書の種別はユーザーまたはホストを選択してください。'
+        };
+    }
+
+    // 鍵IDはsshdのログに記録されるため必須とする（ssh-keygen -Iと同じ）
+    if (!keyId.trim()) {
+        return {
+            isValid: false,
+            message: '鍵IDを入力してください。'
+        };
+    }
+
+    if (principals.some(principal => !principal || /[\s,]/.test(principal))) {
+        return {
+            isValid: false,
+            message: 'プリンシパルに空白やカンマは使用できません。'
+        };
+    }
+
+    if ([validAfter, validBefore].some(date => date && Number.isNaN(date.getTime()))) {
+        return {
+            isValid: false,
+            message: '有効期間の日時が正しくありません。'
+        };
+    }
+
+    if (validAfter && validBefore && validAfter >= validBefore) {
+        return {
+            isValid: false,
+            message: '有効期間の終了は開始より後の日時を指定してください。'
+        };
+    }
+
+    // シリアル番号はuint64（先頭の0を除いた桁数と辞書順で上限と比較する）
+    const digits = String(serial).replace(/^0+(?=\d)/, '');
+    const maxSerial = '18446744073709551615';
+    if (!/^\d+$/.test(digits) || digits.length > maxSerial.length
+        || (digits.length === maxSerial.length && digits > maxSerial)) {
+        return {
+            isValid: false,
+            message: 'シリアル番号は0〜18446744073709551615の整数で指定してください。'
+        };
+    }
+
+    const unknownOption = Object.keys(criticalOptions).find(name => !SSH_CERTIFICATE_CRITICAL_OPTIONS.includes(name));
+    if (unknownOption) {
+        return {
+            isValid: false,
+            message: `未対応のクリティカルオプションです: ${unknownOption}`
+        };
+    }
+
+    const sourceAddress = criticalOptions['source-address'];
+    if (sourceAddress && !/^[0-9a-fA-F.:/]+(,[0-9a-fA-F.:/]+)*$/.test(sourceAddress)) {
+        return {
+            isValid: false,
+            message: 'source-addressはカンマ区切りのアドレス（CIDR表記）で指定してください。'
+        };
+    }
+
+    const unknownExtension = extensions.find(name => !SSH_CERTIFICATE_EXTENSIONS.includes(name));
+    if (unknownExtension) {
+        return {
+            isValid: false,
+            message: `未対応の拡張です: ${unknownExtension}`
         };
     }
 
@@ -62,6 +381,38 @@ export function validateOutputFormat(params) {
                 message: 'SSH形式はRSA、ECDSA、Ed25519のみサポートしています。'
             };
         }
+        // OpenSSHのECDSAはNIST曲線のみ（RFC 5656）
+        if (keyType === 'ecdsa' && keySize === 'secp256k1') {
+            return {
+                isValid: false,
+                message: 'SSH形式はsecp256k1をサポートしていません。'
+            };
+        }
+        const sshCheck = validateSSHOptions(params.sshOptions);
+        if (!sshCheck.isValid) return sshCheck;
+    }
+
+    // 鍵共有用の鍵はPEMとJWKのみ
+    if (keyType === 'ecdh' && !['pem', 'jwk'].includes(outputFormat)) {
+        return {
+            isValid: false,
+            message: 'ECDH鍵はPEM形式とJWK形式のみサポートしています。'
+        };
+    }
+
+    if (outputFormat === 'pgp') {
+        const pgpCheck = validatePGPOptions(params.pgpOptions);
+        if (!pgpCheck.isValid) return pgpCheck;
+        // Ed448の主鍵はv6の鍵（RFC 9580）になるため、副鍵もv6で定義されているX448に限られる
+        const subkey = params.pgpOptions?.subkey ?? 'none';
+        if (subkey !== 'none' && !getPGPSubkeyTypes(keySize).includes(subkey)) {
+            return {
+                isValid: false,
+                message: keySize === 'Ed448'
+                    ? 'Ed448の主鍵にはX448の副鍵のみ追加できます。'
+                    : 'X448の副鍵はEd448の主鍵にのみ追加できます。'
+            };
+        }
     }
 
     return { isValid: true };
@@ -76,7 +427,7 @@ export function validatePassphrase(params) {
     const { outputFormat, passphrase } = params;
 
     // パスフレーズが必要な形式
-    if (['pem', 'pgp'].includes(outputFormat) && passphrase) {
+    if (['pem', 'ssh', 'pgp'].includes(outputFormat) && passphrase) {
         if (passphrase.length < 8) {
             return {
                 isValid: false,
@@ -85,6 +436,399 @@ export function validatePassphrase(params) {
         }
     }
 
+    if (outputFormat === 'pem' && passphrase) {
+        return validatePemEncryption(params.pemEncryption);
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * IPアドレス（IPv4またはIPv6）の形式かを判定
+ * @param {string} value - 文字列
+ * @returns {boolean} IPアドレスの場合はtrue
+ */
+function isIpAddress(value) {
+    const ipv4 = value.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+    if (ipv4) {
+        return ipv4.slice(1).every(part => Number(part) <= 255);
+    }
+    // IPv6は省略記法（::）を1回まで許可
+    const groups = value.split(':');
+    return /^[0-9a-fA-F:]+$/.test(value)
+        && (value.match(/::/g) || []).length <= 1
+        && groups.length >= 3 && groups.length <= 8
+        && groups.every(group => group.length <= 4);
+}
+
+/**
+ * 証明書を作成する鍵と出力形式の組み合わせをチェック
+ * @param {Object} params - 選択されたパラメータ（keyType, outputFormat）
+ * @param {string} target - エラーメッセージに使う作成物の名前
+ * @returns {Object} エラー情報（isValid: boolean, message: string）
+ */
+function validateCertificateKey({ keyType, outputFormat }, target) {
+    // 鍵共有用の鍵は署名できない
+    if (keyType === 'ecdh') {
+        return {
+            isValid: false,
+            message: `ECDH鍵では${target}に署名できません。`
+        };
+    }
+
+    // OpenPGPの鍵は自己署名とユーザーIDで公開鍵を証明するため、X.509の証明書とは組み合わせない
+    if (outputFormat === 'pgp') {
+        return {
+            isValid: false,
+            message: `${target}はOpenPGP形式では作成できません。`
+        };
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * 証明書の用途・サブジェクト・サブジェクト代替名をチェック（証明書とCSRで共通）
+ * @param {Object} options - 証明書オプション（profile, subject, dnsNames, ipAddresses, emailAddresses）
+ * @returns {Object} エラー情報（isValid: boolean, message: string）
+ */
+function validateCertificateSubject(options) {
+    const {
+        profile,
+        subject = {},
+        dnsNames = [],
+        ipAddresses = [],
+        emailAddresses = []
+    } = options;
+
+    if (!X509_PROFILES[profile]) {
+        return {
+            isValid: false,
+            message: '証明書の用途はTLSサーバー/TLSクライアント/S/MIME/コード署名のみサポートしています。'
+        };
+    }
+
+    // サブジェクトが空の証明書はサブジェクト代替名で識別する
+    if (!(subject.commonName || '').trim() && dnsNames.length + ipAddresses.length + emailAddresses.length === 0) {
+        return {
+            isValid: false,
+            message: '証明書のコモンネーム（CN）またはサブジェクト代替名を入力してください。'
+        };
+    }
+
+    if (subject.country && !/^[A-Za-z]{2}$/.test(subject.country)) {
+        return {
+            isValid: false,
+            message: '国（C）は2文字の国コードで指定してください。'
+        };
+    }
+
+    const invalidDnsName = dnsNames.find(name => !/^(\*\.)?([A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?\.)*[A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?$/.test(name));
+    if (invalidDnsName !== undefined) {
+        return {
+            isValid: false,
+            message: `DNS名の形式が正しくありません: ${invalidDnsName}`
+        };
+    }
+
+    const invalidIpAddress = ipAddresses.find(address => !isIpAddress(address));
+    if (invalidIpAddress !== undefined) {
+        return {
+            isValid: false,
+            message: `IPアドレスの形式が正しくありません: ${invalidIpAddress}`
+        };
+    }
+
+    const invalidEmail = emailAddresses.find(email => !/^[^\s@]+@[^\s@]+$/.test(email));
+    if (invalidEmail !== undefined) {
+        return {
+            isValid: false,
+            message: `メールアドレスの形式が正しくありません: ${invalidEmail}`
+        };
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * 自己署名X.509証明書のオプションをチェック
+ * @param {Object} params - 選択されたパラメータ（keyType, outputFormat, x509Options）
+ * @returns {Object} エラー情報（isValid: boolean, message: string）
+ */
+export function validateX509Options(params) {
+    const { x509Options } = params;
+    if (!x509Options) {
+        return { isValid: true };
+    }
+
+    for (const check of [
+        validateCertificateKey(params, 'X.509証明書'),
+        validateCertificateSubject(x509Options),
+        validateCertificateValidity(x509Options)
+    ]) {
+        if (!check.isValid) return check;
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * 証明書の有効日数とシリアル番号をチェック
+ * @param {Object} options - 証明書オプション（validDays, serial）
+ * @returns {Object} エラー情報（isValid: boolean, message: string）
+ */
+function validateCertificateValidity(options) {
+    const { validDays, serial = '' } = options;
+
+    if (!(Number.isInteger(validDays) && validDays >= 1 && validDays <= 3650)) {
+        return {
+            isValid: false,
+            message: '証明書の有効日数は1〜3650日の整数で指定してください。'
+        };
+    }
+
+    // RFC 5280: シリアル番号は20バイト以内の正の整数（最上位ビットが立つと符号用の0x00が加わる）
+    const serialDigits = serial.replace(/^0+/, '');
+    if (serial && (!/^[0-9a-fA-F]{1,40}$/.test(serialDigits) || /^[89a-fA-F].{39}$/.test(serialDigits))) {
+        return {
+            isValid: false,
+            message: 'シリアル番号は40桁以内の16進数（0以外）で指定してください。'
+        };
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * 証明書署名要求（CSR）のオプションをチェック
+ * @param {Object} params - 選択されたパラメータ（keyType, outputFormat, csrOptions）
+ * @returns {Object} エラー情報（isValid: boolean, message: string）
+ */
+export function validateCSROptions(params) {
+    const { csrOptions } = params;
+    if (!csrOptions) {
+        return { isValid: true };
+    }
+
+    for (const check of [validateCertificateKey(params, 'CSR'), validateCertificateSubject(csrOptions)]) {
+        if (!check.isValid) return check;
+    }
+
+    // RFC 2985: challengePasswordは255文字まで
+    const { challengePassword = '' } = csrOptions;
+    if (challengePassword.length > 255) {
+        return {
+            isValid: false,
+            message: 'チャレンジパスワードは255文字以内で指定してください。'
+        };
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * PKCS#12のオプションをチェック
+ * @param {Object} params - 選択されたパラメータ（x509Options, pkcs12Options）
+ * @returns {Object} エラー情報（isValid: boolean, message: string）
+ */
+export function validatePkcs12Options(params) {
+    const { pkcs12Options } = params;
+    if (!pkcs12Options) {
+        return { isValid: true };
+    }
+
+    if (!params.x509Options) {
+        return {
+            isValid: false,
+            message: 'PKCS#12を作成するには自己署名証明書も作成してください。'
+        };
+    }
+
+    const { password = '', encryption, friendlyName = '' } = pkcs12Options;
+
+    if (!password) {
+        return {
+            isValid: false,
+            message: 'PKCS#12のパスワードを入力してください。'
+        };
+    }
+
+    if (!PKCS12_ENCRYPTIONS[encryption]) {
+        return {
+            isValid: false,
+            message: 'PKCS#12の暗号化方式はmodern/legacyのみサポートしています。'
+        };
+    }
+
+    // keytoolの別名やWindowsの表示名として扱える長さに制限する
+    if (friendlyName.length > 64) {
+        return {
+            isValid: false,
+            message: 'PKCS#12の表示名は64文字以内で指定してください。'
+        };
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * まとめてダウンロードするZIPファイルのパスワードをチェック
+ * @param {string} password - パスワード（空の場合は暗号化しない）
+ * @returns {Object} エラー情報（isValid: boolean, message: string）
+ */
+export function validateZipPassword(password) {
+    // 鍵のパスフレーズと同じく8文字以上とする
+    if (password && password.length < 8) {
+        return {
+            isValid: false,
+            message: 'ZIPファイルのパスワードは8文字以上必要です。'
+        };
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * 一括生成する鍵（ファイル名と鍵生成パラメータ）をチェック
+ * @param {Array<Object>} jobs - createBatchJobsで作成した鍵ごとのファイル名（filename）と鍵生成パラメータ（params）
+ * @returns {Object} エラー情報（isValid: boolean, message: string）
+ */
+export function validateBatchJobs(jobs) {
+    if (jobs.length < 1 || jobs.length > BATCH_MAX_COUNT) {
+        return {
+            isValid: false,
+            message: `一括生成する鍵の数は1〜${BATCH_MAX_COUNT}で指定してください。`
+        };
+    }
+
+    const filenames = jobs.map(job => job.filename);
+    if (filenames.some(filename => !filename)) {
+        return {
+            isValid: false,
+            message: 'ファイル名のテンプレートから空のファイル名が作成されました。'
+        };
+    }
+
+    // ZIPファイルの中で上書きされないよう、{n}などでファイル名を区別する
+    const duplicate = filenames.find((filename, index) => filenames.indexOf(filename) !== index);
+    if (duplicate) {
+        return {
+            isValid: false,
+            message: `ファイル名が重複しています: ${duplicate}`
+        };
+    }
+
+    for (const [index, job] of jobs.entries()) {
+        const check = validateAll(job.params);
+        if (!check.isValid) {
+            return { isValid: false, message: `${index + 1}件目: ${check.message}` };
+        }
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * Shamirの秘密分散のオプションをチェック
+ * @param {Object} options - 分割のオプション（kind, threshold, count）
+ * @returns {Object} エラー情報（isValid: boolean, message: string）
+ */
+export function validateSecretSharingOptions(options) {
+    const { kind, threshold, count } = options;
+
+    if (!SECRET_KINDS.includes(kind)) {
+        return {
+            isValid: false,
+            message: '分割する秘密は秘密鍵またはパスフレーズを選択してください。'
+        };
+    }
+
+    if (!Number.isInteger(count) || count < 2 || count > MAX_SHARE_COUNT) {
+        return {
+            isValid: false,
+            message: `シェアの数は2〜${MAX_SHARE_COUNT}で指定してください。`
+        };
+    }
+
+    // しきい値が1の場合は各シェアが秘密そのものになるため、2以上とする
+    if (!Number.isInteger(threshold) || threshold < 2 || threshold > count) {
+        return {
+            isValid: false,
+            message: '復元に必要なシェアの数は2以上、シェアの数以下で指定してください。'
+        };
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * ローカル認証局（CA）の証明書のオプションをチェック
+ * @param {Object} options - CAオプション（keyType, subject, validDays, pathLength, permittedDnsNames, excludedDnsNames）
+ * @returns {Object} エラー情報（isValid: boolean, message: string）
+ */
+export function validateCAOptions(options) {
+    const {
+        keyType,
+        subject = {},
+        pathLength = null,
+        permittedDnsNames = [],
+        excludedDnsNames = []
+    } = options;
+
+    if (!['rsa', 'ecdsa'].includes(keyType)) {
+        return {
+            isValid: false,
+            message: 'CAの鍵はRSAまたはECDSAのみサポートしています。'
+        };
+    }
+
+    if (!(subject.commonName || '').trim()) {
+        return {
+            isValid: false,
+            message: 'CAのコモンネーム（CN）を入力してください。'
+        };
+    }
+
+    if (subject.country && !/^[A-Za-z]{2}$/.test(subject.country)) {
+        return {
+            isValid: false,
+            message: '国（C）は2文字の国コードで指定してください。'
+        };
+    }
+
+    const validityCheck = validateCertificateValidity({ ...options, serial: '' });
+    if (!validityCheck.isValid) return validityCheck;
+
+    if (pathLength !== null && !(Number.isInteger(pathLength) && pathLength >= 0 && pathLength <= 10)) {
+        return {
+            isValid: false,
+            message: 'パス長制約は0〜10の整数で指定してください。'
+        };
+    }
+
+    // 先頭の「.」はサブドメインのみを表す
+    const invalidConstraint = [...permittedDnsNames, ...excludedDnsNames]
+        .find(name => !/^\.?([A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?\.)*[A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?$/.test(name));
+    if (invalidConstraint !== undefined) {
+        return {
+            isValid: false,
+            message: `名前制約のDNS名の形式が正しくありません: ${invalidConstraint}`
+        };
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * ローカル認証局（CA）が発行する証明書のオプションをチェック
+ * @param {Object} options - 証明書オプション（profile, subject, dnsNames, ipAddresses, emailAddresses, validDays, serial）
+ * @returns {Object} エラー情報（isValid: boolean, message: string）
+ */
+export function validateLeafCertificateOptions(options) {
+    for (const check of [validateCertificateSubject(options), validateCertificateValidity(options)]) {
+        if (!check.isValid) return check;
+    }
+
     return { isValid: true };
 }
 
@@ -103,6 +847,15 @@ export function validateAll(params) {
     const passphraseCheck = validatePassphrase(params);
     if (!passphraseCheck.isValid) return passphraseCheck;
 
+    const x509Check = validateX509Options(params);
+    if (!x509Check.isValid) return x509Check;
+
+    const csrCheck = validateCSROptions(params);
+    if (!csrCheck.isValid) return csrCheck;
+
+    const pkcs12Check = validatePkcs12Options(params);
+    if (!pkcs12Check.isValid) return pkcs12Check;
+
     return { isValid: true };
 }
 
@@ -2,9 +2,23 @@ import {
     validateCryptoParams,
     validateOutputFormat,
     validatePassphrase,
+    validateRSAOptions,
+    validatePemEncryption,
+    validateSSHOptions,
+    validatePGPOptions,
+    validateSSHCertificateOptions,
+    validateX509Options,
+    validateCSROptions,
+    validateCAOptions,
+    validateLeafCertificateOptions,
+    validatePkcs12Options,
+    validateZipPassword,
+    validateBatchJobs,
+    validateSecretSharingOptions,
     validateAll,
     formatError
 } from './errorHandler';
+import { createBatchEntries, createBatchJobs } from './batch';
 
 describe('パラメータバリデーションテスト', () => {
     describe('暗号パラメータの検証', () => {
@@ -37,6 +51,11 @@ describe('パラメータバリデーションテスト', () => {
             expect(validateCryptoParams(params).isValid).toBe(true);
         });
 
+        test('P-521とsecp256k1のECDSAパラメータ', () => {
+            expect(validateCryptoParams({ keyType: 'ecdsa', keySize: 'P-521', outputFormat: 'ssh' }).isValid).toBe(true);
+            expect(validateCryptoParams({ keyType: 'ecdsa', keySize: 'secp256k1', outputFormat: 'jwk' }).isValid).toBe(true);
+        });
+
         test('無効なECDSA曲線', () => {
             const params = {
                 keyType: 'ecdsa',
@@ -45,7 +64,7 @@ describe('パラメータバリデーションテスト', () => {
             };
             const result = validateCryptoParams(params);
             expect(result.isValid).toBe(false);
-            expect(result.message).toMatch(/ECDSAはP-256\/P-384のみ/);
+            expect(result.message).toMatch(/ECDSAはP-256\/P-384\/P-521\/secp256k1のみ/);
         });
 
         test('EdDSAとSSH形式の制約', () => {
@@ -58,6 +77,58 @@ describe('パラメータバリデーションテスト', () => {
             expect(result.isValid).toBe(false);
             expect(result.message).toMatch(/SSHはEd25519のみ/);
         });
+
+        test('有効なECDHパラメータ', () => {
+            const params = {
+                keyType: 'ecdh',
+                keySize: 'X448',
+                outputFormat: 'jwk'
+            };
+            expect(validateCryptoParams(params).isValid).toBe(true);
+        });
+
+        test('無効なECDH曲線', () => {
+            const params = {
+                keyType: 'ecdh',
+                keySize: 'P-256',
+                outputFormat: 'pem'
+            };
+            const result = validateCryptoParams(params);
+            expect(result.isValid).toBe(false);
+            expect(result.message).toMatch(/ECDHはX25519\/X448のみ/);
+        });
+    });
+
+    describe('RSAオプションの検証', () => {
+        const rsaOptions = {
+            algorithm: 'RSA-PSS',
+            hash: 'SHA-512',
+            publicExponent: 65537
+        };
+
+        test('有効なRSAオプション', () => {
+            expect(validateRSAOptions(rsaOptions).isValid).toBe(true);
+            expect(validateRSAOptions(undefined).isValid).toBe(true);
+        });
+
+        test('無効なアルゴリズム・ハッシュ関数・公開指数', () => {
+            expect(validateRSAOptions({ ...rsaOptions, algorithm: 'RSA' }).message)
+                .toMatch(/RSAのアルゴリズムは/);
+            expect(validateRSAOptions({ ...rsaOptions, hash: 'SHA-1' }).message)
+                .toMatch(/RSAのハッシュ関数は/);
+            expect(validateRSAOptions({ ...rsaOptions, publicExponent: 17 }).message)
+                .toMatch(/RSAの公開指数は65537\/3のみ/);
+        });
+
+        test('暗号パラメータの検証にRSAオプションを含める', () => {
+            const result = validateCryptoParams({
+                keyType: 'rsa',
+                keySize: '2048',
+                outputFormat: 'jwk',
+                rsaOptions: { ...rsaOptions, hash: 'MD5' }
+            });
+            expect(result.isValid).toBe(false);
+        });
     });
 
     describe('出力形式の検証', () => {
@@ -80,6 +151,41 @@ describe('パラメータバリデーションテスト', () => {
             expect(result.isValid).toBe(false);
             expect(result.message).toMatch(/SSH形式はRSA、ECDSA、Ed25519のみ/);
         });
+
+        test('secp256k1とSSH形式の制約', () => {
+            const result = validateOutputFormat({ keyType: 'ecdsa', keySize: 'secp256k1', outputFormat: 'ssh' });
+            expect(result.isValid).toBe(false);
+            expect(result.message).toMatch(/SSH形式はsecp256k1をサポートしていません/);
+        });
+
+        test('OpenPGP形式の主鍵と副鍵の組み合わせ', () => {
+            const pgpOptions = { userIds: [{ name: 'Taro Yamada', email: '', comment: '' }], subkey: 'x448' };
+            const params = { keyType: 'eddsa', keySize: 'Ed448', outputFormat: 'pgp', pgpOptions };
+
+            expect(validateOutputFormat(params).isValid).toBe(true);
+            expect(validateOutputFormat({ ...params, pgpOptions: { ...pgpOptions, subkey: 'none' } }).isValid).toBe(true);
+            expect(validateOutputFormat({ ...params, pgpOptions: { ...pgpOptions, subkey: 'curve25519' } }).message)
+                .toBe('Ed448の主鍵にはX448の副鍵のみ追加できます。');
+            expect(validateOutputFormat({ ...params, keySize: 'Ed25519' }).message)
+                .toBe('X448の副鍵はEd448の主鍵にのみ追加できます。');
+        });
+
+        test('ECDH鍵の出力形式の制約', () => {
+            expect(validateOutputFormat({ keyType: 'ecdh', keySize: 'X25519', outputFormat: 'pem' }).isValid).toBe(true);
+            expect(validateOutputFormat({ keyType: 'ecdh', keySize: 'X25519', outputFormat: 'jwk' }).isValid).toBe(true);
+
+            const result = validateOutputFormat({ keyType: 'ecdh', keySize: 'X25519', outputFormat: 'pgp' });
+            expect(result.isValid).toBe(false);
+            expect(result.message).toMatch(/ECDH鍵はPEM形式とJWK形式のみ/);
+        });
+
+        test('OpenPGP形式ではOpenPGPオプションも検証', () => {
+            expect(validateOutputFormat({ keyType: 'eddsa', keySize: 'Ed25519', outputFormat: 'pgp' }).isValid).toBe(true);
+
+            const result = validateOutputFormat({ keyType: 'eddsa', keySize: 'Ed25519', outputFormat: 'pgp', pgpOptions: { userIds: [] } });
+            expect(result.isValid).toBe(false);
+            expect(result.message).toBe('OpenPGPのユーザーIDを1つ以上入力してください。');
+        });
     });
 
     describe('パスフレーズの検証', () => {
@@ -110,6 +216,388 @@ describe('パラメータバリデーションテスト', () => {
         });
     });
 
+    describe('PEM形式の暗号化オプションの検証', () => {
+        test('有効な暗号化オプション', () => {
+            expect(validatePemEncryption({ kdf: 'pbkdf2', iterations: 600000 }).isValid).toBe(true);
+            expect(validatePemEncryption({ kdf: 'scrypt', cost: 65536 }).isValid).toBe(true);
+            expect(validatePemEncryption(undefined).isValid).toBe(true);
+        });
+
+        test('無効な鍵導出関数・反復回数・コストパラメータ', () => {
+            expect(validatePemEncryption({ kdf: 'argon2', iterations: 600000 }).message)
+                .toMatch(/鍵導出関数はPBKDF2\/scryptのみ/);
+            expect(validatePemEncryption({ kdf: 'pbkdf2', iterations: 999 }).message)
+                .toMatch(/PBKDF2の反復回数は/);
+            expect(validatePemEncryption({ kdf: 'pbkdf2', iterations: 1000.5 }).message)
+                .toMatch(/PBKDF2の反復回数は/);
+            expect(validatePemEncryption({ kdf: 'scrypt', cost: 1000 }).message)
+                .toMatch(/scryptのコストパラメータは/);
+        });
+
+        test('パスフレーズの検証に暗号化オプションを含める', () => {
+            const params = {
+                outputFormat: 'pem',
+                passphrase: 'secure-passphrase',
+                pemEncryption: { kdf: 'scrypt', cost: 1 }
+            };
+            expect(validatePassphrase(params).isValid).toBe(false);
+            expect(validatePassphrase({ ...params, passphrase: '' }).isValid).toBe(true);
+        });
+    });
+
+    describe('OpenPGPオプションの検証', () => {
+        const pgpOptions = {
+            userIds: [{ name: 'Taro Yamada', email: 'taro@example.com', comment: 'work' }],
+            keyExpirationDays: 0,
+            subkey: 'curve25519',
+            subkeyExpirationDays: 730
+        };
+
+        test('有効なOpenPGPオプション', () => {
+            expect(validatePGPOptions(pgpOptions).isValid).toBe(true);
+            expect(validatePGPOptions({
+                ...pgpOptions,
+                userIds: [{ name: '', email: 'taro@example.com', comment: '' }, { name: '山田 太郎', email: '', comment: '' }],
+                subkey: 'none'
+            }).isValid).toBe(true);
+            expect(validatePGPOptions(undefined).isValid).toBe(true);
+        });
+
+        test('無効なユーザーID', () => {
+            const withUserId = (userId) => validatePGPOptions({ ...pgpOptions, userIds: [...pgpOptions.userIds, userId] });
+
+            expect(validatePGPOptions({ ...pgpOptions, userIds: [] }).message)
+                .toBe('OpenPGPのユーザーIDを1つ以上入力してください。');
+            expect(withUserId({ name: ' ', email: '', comment: 'work' }).message)
+                .toMatch(/名前かメールアドレスを入力してください/);
+            expect(withUserId({ name: 'Taro', email: 'taro@', comment: '' }).message)
+                .toBe('OpenPGPのメールアドレスの形式が正しくありません: taro@');
+            expect(withUserId({ name: 'Taro <taro@example.com>', email: '', comment: '' }).message)
+                .toMatch(/名前とコメントに改行や < > \( \) は使用できません/);
+            expect(withUserId({ name: 'Taro', email: '', comment: 'a\nb' }).isValid).toBe(false);
+            expect(withUserId({ name: ' Taro Yamada ', email: 'taro@example.com', comment: 'work' }).message)
+                .toBe('OpenPGPのユーザーIDが重複しています: Taro Yamada (work) <taro@example.com>');
+        });
+
+        test('無効な副鍵・有効期限', () => {
+            expect(validatePGPOptions({ ...pgpOptions, subkey: 'x25519' }).message)
+                .toBe('OpenPGPの暗号化用副鍵はcurve25519/nistP256/rsa3072/x448のみサポートしています。');
+            expect(validatePGPOptions({ ...pgpOptions, keyExpirationDays: -1 }).message)
+                .toMatch(/有効期限は0〜36500日の整数/);
+            expect(validatePGPOptions({ ...pgpOptions, subkeyExpirationDays: 1.5 }).isValid).toBe(false);
+        });
+
+        test('失効理由の検証', () => {
+            expect(validatePGPOptions({ ...pgpOptions, revocationReason: 'keySuperseded', revocationComment: '新しい鍵に移行' }).isValid)
+                .toBe(true);
+            expect(validatePGPOptions({ ...pgpOptions, revocationReason: 'userIDInvalid' }).message)
+                .toBe('OpenPGPの失効理由はnoReason/keyCompromised/keySuperseded/keyRetiredのみサポートしています。');
+            expect(validatePGPOptions({ ...pgpOptions, revocationComment: 'a\nb' }).message)
+                .toBe('OpenPGPの失効理由の説明に改行は使用できません。');
+        });
+
+        test('出力形式の検証にOpenPGPオプションを含める', () => {
+            const result = validateAll({
+                keyType: 'eddsa',
+                keySize: 'Ed25519',
+                outputFormat: 'pgp',
+                pgpOptions: { ...pgpOptions, userIds: [{ name: '', email: '', comment: '' }] }
+            });
+            expect(result.isValid).toBe(false);
+            expect(result.message).toMatch(/OpenPGPのユーザーID/);
+        });
+    });
+
+    describe('SSHオプションの検証', () => {
+        test('有効なSSHオプション', () => {
+            expect(validateSSHOptions({ comment: 'user@example.com', rounds: 16 }).isValid).toBe(true);
+            expect(validateSSHOptions({ comment: '' }).isValid).toBe(true);
+            expect(validateSSHOptions(undefined).isValid).toBe(true);
+        });
+
+        test('無効なコメント・ラウンド数', () => {
+            expect(validateSSHOptions({ comment: 'user\nexample', rounds: 16 }).message)
+                .toMatch(/コメントに改行は使用できません/);
+            expect(validateSSHOptions({ comment: '', rounds: 0 }).message)
+                .toMatch(/bcryptのラウンド数は/);
+            expect(validateSSHOptions({ comment: '', rounds: 501 }).message)
+                .toMatch(/bcryptのラウンド数は/);
+        });
+
+        test('出力形式の検証にSSHオプションを含める', () => {
+            const result = validateOutputFormat({
+                keyType: 'eddsa',
+                keySize: 'Ed25519',
+                outputFormat: 'ssh',
+                sshOptions: { comment: 'a\rb', rounds: 16 }
+            });
+            expect(result.isValid).toBe(false);
+        });
+
+        test('SSH形式のパスフレーズも8文字以上', () => {
+            expect(validatePassphrase({ outputFormat: 'ssh', passphrase: 'short' }).isValid).toBe(false);
+        });
+    });
+
+    describe('SSH証明書オプションの検証', () => {
+        const certificateOptions = {
+            type: 'user',
+            keyId: 'alice@example.com',
+            principals: ['alice'],
+            validAfter: new Date('2026-01-01T00:00:00Z'),
+            validBefore: new Date('2026-02-01T00:00:00Z'),
+            serial: '1',
+            criticalOptions: { 'source-address': '192.0.2.0/24,2001:db8::/32' },
+            extensions: ['permit-pty']
+        };
+
+        test('有効な証明書オプション', () => {
+            expect(validateSSHCertificateOptions(certificateOptions).isValid).toBe(true);
+            expect(validateSSHCertificateOptions({ type: 'host', keyId: 'web01' }).isValid).toBe(true);
+            expect(validateSSHCertificateOptions({ ...certificateOptions, serial: '18446744073709551615' }).isValid).toBe(true);
+        });
+
+        test('無効な種別・鍵ID・プリンシパル', () => {
+            expect(validateSSHCertificateOptions({ ...certificateOptions, type: 'ca' }).message)
+                .toMatch(/ユーザーまたはホスト/);
+            expect(validateSSHCertificateOptions({ ...certificateOptions, keyId: ' ' }).message)
+                .toBe('鍵IDを入力してください。');
+            expect(validateSSHCertificateOptions({ ...certificateOptions, principals: ['alice bob'] }).message)
+                .toMatch(/プリンシパルに空白やカンマは使用できません/);
+        });
+
+        test('無効な有効期間・シリアル番号', () => {
+            expect(validateSSHCertificateOptions({ ...certificateOptions, validAfter: new Date('invalid') }).message)
+                .toBe('有効期間の日時が正しくありません。');
+            expect(validateSSHCertificateOptions({ ...certificateOptions, validBefore: certificateOptions.validAfter }).message)
+                .toMatch(/有効期間の終了は開始より後/);
+            expect(validateSSHCertificateOptions({ ...certificateOptions, serial: '-1' }).message)
+                .toMatch(/シリアル番号は/);
+            expect(validateSSHCertificateOptions({ ...certificateOptions, serial: '18446744073709551616' }).message)
+                .toMatch(/シリアル番号は/);
+        });
+
+        test('無効なクリティカルオプション・拡張', () => {
+            expect(validateSSHCertificateOptions({ ...certificateOptions, criticalOptions: { 'verify-required': '' } }).message)
+                .toBe('未対応のクリティカルオプションです: verify-required');
+            expect(validateSSHCertificateOptions({ ...certificateOptions, criticalOptions: { 'source-address': 'example.com' } }).message)
+                .toMatch(/source-address/);
+            expect(validateSSHCertificateOptions({ ...certificateOptions, extensions: ['permit-everything'] }).message)
+                .toBe('未対応の拡張です: permit-everything');
+        });
+    });
+
+    describe('X.509証明書オプションの検証', () => {
+        const x509Options = {
+            profile: 'tls-server',
+            subject: { commonName: 'www.example.com', country: 'JP' },
+            dnsNames: ['www.example.com', '*.example.com'],
+            ipAddresses: ['192.0.2.1', '2001:db8::1'],
+            emailAddresses: [],
+            validDays: 365,
+            serial: ''
+        };
+        const params = { keyType: 'ecdsa', outputFormat: 'pem', x509Options };
+
+        test('有効な証明書オプション', () => {
+            expect(validateX509Options(params).isValid).toBe(true);
+            expect(validateX509Options({ keyType: 'ecdsa', outputFormat: 'pem' }).isValid).toBe(true);
+            expect(validateX509Options({
+                ...params,
+                x509Options: { ...x509Options, profile: 'smime', subject: {}, dnsNames: [], ipAddresses: [], emailAddresses: ['alice@example.com'] }
+            }).isValid).toBe(true);
+            expect(validateX509Options({ ...params, x509Options: { ...x509Options, serial: '7f'.padEnd(40, 'f') } }).isValid).toBe(true);
+        });
+
+        test('証明書を作成できない鍵と出力形式', () => {
+            expect(validateX509Options({ ...params, keyType: 'ecdh' }).message)
+                .toBe('ECDH鍵ではX.509証明書に署名できません。');
+            expect(validateX509Options({ ...params, outputFormat: 'pgp' }).message)
+                .toBe('X.509証明書はOpenPGP形式では作成できません。');
+        });
+
+        test('無効な用途・サブジェクト・サブジェクト代替名', () => {
+            const check = (overrides) => validateX509Options({ ...params, x509Options: { ...x509Options, ...overrides } }).message;
+
+            expect(check({ profile: 'ca' })).toMatch(/証明書の用途は/);
+            expect(check({ subject: { commonName: ' ' }, dnsNames: [], ipAddresses: [] }))
+                .toBe('証明書のコモンネーム（CN）またはサブジェクト代替名を入力してください。');
+            expect(check({ subject: { commonName: 'example.com', country: 'JPN' } }))
+                .toBe('国（C）は2文字の国コードで指定してください。');
+            expect(check({ dnsNames: ['exa mple.com'] })).toBe('DNS名の形式が正しくありません: exa mple.com');
+            expect(check({ ipAddresses: ['192.0.2.256'] })).toBe('IPアドレスの形式が正しくありません: 192.0.2.256');
+            expect(check({ ipAddresses: ['2001::db8::1'] })).toBe('IPアドレスの形式が正しくありません: 2001::db8::1');
+            expect(check({ emailAddresses: ['alice'] })).toBe('メールアドレスの形式が正しくありません: alice');
+        });
+
+        test('無効な有効日数・シリアル番号', () => {
+            const check = (overrides) => validateX509Options({ ...params, x509Options: { ...x509Options, ...overrides } }).message;
+
+            expect(check({ validDays: 0 })).toMatch(/有効日数は1〜3650日/);
+            expect(check({ validDays: NaN })).toMatch(/有効日数は1〜3650日/);
+            expect(check({ serial: '0' })).toMatch(/シリアル番号は40桁以内/);
+            expect(check({ serial: 'xyz' })).toMatch(/シリアル番号は40桁以内/);
+            expect(check({ serial: '1'.repeat(41) })).toMatch(/シリアル番号は40桁以内/);
+            expect(check({ serial: '8'.padEnd(40, '0') })).toMatch(/シリアル番号は40桁以内/);
+        });
+
+        test('全体の検証に含まれる', () => {
+            expect(validateAll({
+                keyType: 'ecdsa',
+                keySize: 'P-256',
+                outputFormat: 'pem',
+                passphrase: '',
+                x509Options: { ...x509Options, validDays: 0 }
+            }).isValid).toBe(false);
+        });
+    });
+
+    describe('CSRオプションの検証', () => {
+        const csrOptions = {
+            profile: 'tls-client',
+            subject: { commonName: 'alice' },
+            dnsNames: [],
+            ipAddresses: [],
+            emailAddresses: [],
+            challengePassword: 'challenge'
+        };
+
+        test('有効なCSRオプション', () => {
+            expect(validateCSROptions({ keyType: 'rsa', outputFormat: 'jwk', csrOptions }).isValid).toBe(true);
+            expect(validateCSROptions({ keyType: 'rsa', outputFormat: 'jwk' }).isValid).toBe(true);
+            expect(validateCSROptions({ keyType: 'rsa', outputFormat: 'jwk', csrOptions: { ...csrOptions, challengePassword: '' } }).isValid)
+                .toBe(true);
+        });
+
+        test('無効なCSRオプション', () => {
+            expect(validateCSROptions({ keyType: 'ecdh', outputFormat: 'pem', csrOptions }).message)
+                .toBe('ECDH鍵ではCSRに署名できません。');
+            expect(validateCSROptions({ keyType: 'rsa', outputFormat: 'pgp', csrOptions }).message)
+                .toBe('CSRはOpenPGP形式では作成できません。');
+            expect(validateCSROptions({ keyType: 'rsa', outputFormat: 'pem', csrOptions: { ...csrOptions, dnsNames: ['-bad-'] } }).message)
+                .toBe('DNS名の形式が正しくありません: -bad-');
+            expect(validateCSROptions({ keyType: 'rsa', outputFormat: 'pem', csrOptions: { ...csrOptions, challengePassword: 'x'.repeat(256) } }).message)
+                .toBe('チャレンジパスワードは255文字以内で指定してください。');
+        });
+
+        test('全体の検証に含まれる', () => {
+            expect(validateAll({
+                keyType: 'rsa',
+                keySize: '2048',
+                outputFormat: 'pem',
+                passphrase: '',
+                csrOptions: { ...csrOptions, subject: {} }
+            }).isValid).toBe(false);
+        });
+    });
+
+    describe('ローカルCAオプションの検証', () => {
+        const caOptions = {
+            keyType: 'ecdsa',
+            subject: { commonName: 'Example Root CA', country: 'JP' },
+            validDays: 3650,
+            pathLength: 1,
+            permittedDnsNames: ['example.com', '.example.net'],
+            excludedDnsNames: []
+        };
+
+        test('有効なCAオプション', () => {
+            expect(validateCAOptions(caOptions).isValid).toBe(true);
+            expect(validateCAOptions({ ...caOptions, keyType: 'rsa', pathLength: null, permittedDnsNames: [] }).isValid).toBe(true);
+        });
+
+        test('無効なCAオプション', () => {
+            const check = (overrides) => validateCAOptions({ ...caOptions, ...overrides }).message;
+            expect(check({ keyType: 'eddsa' })).toBe('CAの鍵はRSAまたはECDSAのみサポートしています。');
+            expect(check({ subject: { commonName: ' ' } })).toBe('CAのコモンネーム（CN）を入力してください。');
+            expect(check({ validDays: 0 })).toBe('証明書の有効日数は1〜3650日の整数で指定してください。');
+            expect(check({ pathLength: 11 })).toBe('パス長制約は0〜10の整数で指定してください。');
+            expect(check({ excludedDnsNames: ['*.example.com'] })).toBe('名前制約のDNS名の形式が正しくありません: *.example.com');
+        });
+
+        test('発行する証明書のオプション', () => {
+            const options = { profile: 'tls-server', subject: {}, dnsNames: ['www.example.com'], validDays: 397, serial: '1000' };
+            expect(validateLeafCertificateOptions(options).isValid).toBe(true);
+            expect(validateLeafCertificateOptions({ ...options, dnsNames: [] }).message)
+                .toBe('証明書のコモンネーム（CN）またはサブジェクト代替名を入力してください。');
+            expect(validateLeafCertificateOptions({ ...options, serial: 'xyz' }).message)
+                .toBe('シリアル番号は40桁以内の16進数（0以外）で指定してください。');
+        });
+    });
+
+    describe('PKCS#12オプションの検証', () => {
+        const params = {
+            x509Options: { profile: 'tls-server', subject: { commonName: 'www.example.com' }, validDays: 365 },
+            pkcs12Options: { password: 'password', encryption: 'modern', friendlyName: 'server' }
+        };
+
+        test('有効なPKCS#12オプション', () => {
+            expect(validatePkcs12Options(params).isValid).toBe(true);
+            expect(validatePkcs12Options({ ...params, pkcs12Options: { password: 'password', encryption: 'legacy' } }).isValid).toBe(true);
+            expect(validatePkcs12Options({ x509Options: params.x509Options }).isValid).toBe(true);
+        });
+
+        test('無効なPKCS#12オプション', () => {
+            const check = (overrides) => validatePkcs12Options({ ...params, pkcs12Options: { ...params.pkcs12Options, ...overrides } }).message;
+            expect(validatePkcs12Options({ pkcs12Options: params.pkcs12Options }).message)
+                .toBe('PKCS#12を作成するには自己署名証明書も作成してください。');
+            expect(check({ password: '' })).toBe('PKCS#12のパスワードを入力してください。');
+            expect(check({ encryption: 'aes128' })).toBe('PKCS#12の暗号化方式はmodern/legacyのみサポートしています。');
+            expect(check({ friendlyName: 'a'.repeat(65) })).toBe('PKCS#12の表示名は64文字以内で指定してください。');
+        });
+    });
+
+    test('ZIPファイルのパスワードの検証', () => {
+        expect(validateZipPassword('').isValid).toBe(true);
+        expect(validateZipPassword('zip-password').isValid).toBe(true);
+        expect(validateZipPassword('short').message).toBe('ZIPファイルのパスワードは8文字以上必要です。');
+    });
+
+    describe('一括生成の検証', () => {
+        const params = { keyType: 'eddsa', keySize: 'Ed25519', outputFormat: 'pgp' };
+        const entries = [
+            { name: 'Taro', email: 'taro@example.com', comment: '' },
+            { name: 'Hanako', email: 'hanako@example.com', comment: '' }
+        ];
+
+        test('有効な一括生成', () => {
+            expect(validateBatchJobs(createBatchJobs(params, entries, 'key-{n}')).isValid).toBe(true);
+            expect(validateBatchJobs(createBatchJobs(params, createBatchEntries(100), 'key-{n}')).isValid).toBe(true);
+        });
+
+        test('無効な一括生成', () => {
+            expect(validateBatchJobs([]).message).toBe('一括生成する鍵の数は1〜100で指定してください。');
+            expect(validateBatchJobs(createBatchJobs(params, createBatchEntries(101), 'key-{n}')).message)
+                .toBe('一括生成する鍵の数は1〜100で指定してください。');
+            expect(validateBatchJobs(createBatchJobs(params, entries, '{comment}')).message)
+                .toBe('ファイル名のテンプレートから空のファイル名が作成されました。');
+            expect(validateBatchJobs(createBatchJobs(params, entries, 'key')).message).toBe('ファイル名が重複しています: key');
+            expect(validateBatchJobs(createBatchJobs(params, [...entries, { name: 'Jiro', email: 'jiro', comment: '' }], '{name}')).message)
+                .toBe('3件目: OpenPGPのメールアドレスの形式が正しくありません: jiro');
+        });
+    });
+
+    describe('秘密分散オプションの検証', () => {
+        test('有効な秘密分散オプション', () => {
+            expect(validateSecretSharingOptions({ kind: 'privateKey', threshold: 3, count: 5 }).isValid).toBe(true);
+            expect(validateSecretSharingOptions({ kind: 'passphrase', threshold: 255, count: 255 }).isValid).toBe(true);
+        });
+
+        test('無効な秘密分散オプション', () => {
+            expect(validateSecretSharingOptions({ kind: 'publicKey', threshold: 2, count: 3 }).message)
+                .toBe('分割する秘密は秘密鍵またはパスフレーズを選択してください。');
+            expect(validateSecretSharingOptions({ kind: 'privateKey', threshold: 2, count: 1 }).message)
+                .toBe('シェアの数は2〜255で指定してください。');
+            expect(validateSecretSharingOptions({ kind: 'privateKey', threshold: 2, count: 256 }).message)
+                .toBe('シェアの数は2〜255で指定してください。');
+            expect(validateSecretSharingOptions({ kind: 'privateKey', threshold: 1, count: 3 }).message)
+                .toBe('復元に必要なシェアの数は2以上、シェアの数以下で指定してください。');
+            expect(validateSecretSharingOptions({ kind: 'privateKey', threshold: 4, count: 3 }).message)
+                .toBe('復元に必要なシェアの数は2以上、シェアの数以下で指定してください。');
+            expect(validateSecretSharingOptions({ kind: 'privateKey', threshold: 2.5, count: 3 }).isValid).toBe(false);
+        });
+    });
+
     describe('全体の検証', () => {
         test('全て有効なパラメータ', () => {
             const params = {
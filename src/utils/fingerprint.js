@@ -0,0 +1,269 @@
+/**
+ * 鍵のフィンガープリントに関するユーティリティ関数群
+ * JWKを基準に、JWK Thumbprint・SPKI・OpenSSHの各形式のフィンガープリントを計算する
+ * OpenPGPの鍵は公開鍵パケットからv4/v5のフィンガープリントを計算する
+ */
+import * as forge from 'node-forge';
+import { base64UrlDecode, base64UrlEncode, binaryToBytes, bytesToBinary, jwkToSpki } from './keyEncoding';
+import { isOpenSSHSupported, jwkToOpenSSHPublicKeyBlob } from './ssh';
+import { PGP_EVEN_WORDS, PGP_ODD_WORDS } from './pgpWordList';
+
+/**
+ * JWK Thumbprintの計算に使う必須メンバー（RFC 7638）
+ */
+export const THUMBPRINT_MEMBERS = {
+    RSA: ['e', 'kty', 'n'],
+    EC: ['crv', 'kty', 'x', 'y'],
+    OKP: ['crv', 'kty', 'x']
+};
+
+/**
+ * ランダムアートの描画領域の大きさ（OpenSSHのsshkey.cと同じ）
+ */
+const RANDOMART_WIDTH = 17;
+const RANDOMART_HEIGHT = 9;
+
+/**
+ * ランダムアートで訪問回数を表す文字（最後の2文字は開始点と終了点）
+ */
+const RANDOMART_SYMBOLS = ' .o+=*BOX@%&#/^SE';
+
+/**
+ * ECDSAの曲線の鍵長（ssh-keygen -lの表示）
+ */
+const SSH_ECDSA_BITS = {
+    'P-256': 256,
+    'P-384': 384,
+    'P-521': 521
+};
+
+/**
+ * ハッシュ値を計算
+ * @param {string} algorithm - ハッシュ関数（'sha256'/'sha1'/'md5'）
+ * @param {Uint8Array|string} data - バイト列または文字列（UTF-8）
+ * @returns {Uint8Array} ハッシュ値
+ */
+function digest(algorithm, data) {
+    const md = forge.md[algorithm].create();
+    if (typeof data === 'string') {
+        md.update(data, 'utf8');
+    } else {
+        md.update(bytesToBinary(data));
+    }
+    return binaryToBytes(md.digest().getBytes());
+}
+
+/**
+ * バイト列をコロン区切りの16進数に変換
+ * @param {Uint8Array} bytes - バイト列
+ * @returns {string} 16進数文字列（'ab:cd:...'）
+ */
+function toColonHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(':');
+}
+
+/**
+ * JWK Thumbprint（RFC 7638、SHA-256）を計算
+ * @param {Object} jwk - JWK
+ * @returns {string} Base64URLエンコードされたThumbprint
+ */
+export function getJwkThumbprint(jwk) {
+    const members = THUMBPRINT_MEMBERS[jwk.kty];
+    if (!members) {
+        throw new Error(`未対応の鍵です: ${jwk.kty}`);
+    }
+
+    // 必須メンバーのみを辞書順に並べ、空白なしのJSONにする
+    const json = `{${members.map(name => `"${name}":${JSON.stringify(jwk[name])}`).join(',')}}`;
+    return base64UrlEncode(digest('sha256', json));
+}
+
+/**
+ * SubjectPublicKeyInfoのSHA-256フィンガープリントを計算
+ * @param {Object} jwk - JWK
+ * @returns {string} コロン区切りの16進数
+ */
+export function getSpkiFingerprint(jwk) {
+    return toColonHex(digest('sha256', jwkToSpki(jwk)));
+}
+
+/**
+ * OpenSSH形式のフィンガープリントを計算（ssh-keygen -lと同じ形式）
+ * @param {Object} jwk - JWK
+ * @param {string} algorithm - ハッシュ関数（'sha256'/'md5'）
+ * @returns {string} フィンガープリント（'SHA256:...'または'MD5:...'）
+ */
+export function getOpenSSHFingerprint(jwk, algorithm = 'sha256') {
+    const hash = digest(algorithm, jwkToOpenSSHPublicKeyBlob(jwk));
+
+    if (algorithm === 'md5') {
+        return `MD5:${toColonHex(hash)}`;
+    }
+    return `SHA256:${forge.util.encode64(bytesToBinary(hash)).replace(/=+$/, '')}`;
+}
+
+/**
+ * ランダムアートの見出し（ssh-keygen -lvの「[ED25519 256]」など）を取得
+ * @param {Object} jwk - JWK
+ * @returns {string} 鍵種別と鍵長
+ */
+function getRandomartTitle(jwk) {
+    if (jwk.kty === 'RSA') {
+        const n = base64UrlDecode(jwk.n);
+        const leading = n.findIndex(b => b !== 0);
+        return `[RSA ${(n.length - leading - 1) * 8 + n[leading].toString(2).length}]`;
+    }
+    if (jwk.kty === 'EC') {
+        return `[ECDSA ${SSH_ECDSA_BITS[jwk.crv]}]`;
+    }
+    return '[ED25519 256]';
+}
+
+/**
+ * 見出しを中央に置いた枠の上下の線を作成
+ * @param {string} label - 見出し
+ * @returns {string} 枠線
+ */
+function randomartBorder(label) {
+    const left = Math.floor((RANDOMART_WIDTH - label.length) / 2);
+    return `+${'-'.repeat(left)}${label}${'-'.repeat(RANDOMART_WIDTH - label.length - left)}+`;
+}
+
+/**
+ * OpenSSH形式のフィンガープリントのランダムアートを作成（ssh-keygen -lvと同じ形式）
+ * 「酔歩する司教」のアルゴリズムで、ハッシュ値の2ビットごとに斜めに移動して訪問回数を記録する
+ * @param {Object} jwk - JWK
+ * @param {string} algorithm - ハッシュ関数（'sha256'/'md5'）
+ * @returns {string} 改行区切りのランダムアート
+ */
+export function getOpenSSHRandomart(jwk, algorithm = 'sha256') {
+    const hash = digest(algorithm, jwkToOpenSSHPublicKeyBlob(jwk));
+    const field = Array.from({ length: RANDOMART_HEIGHT }, () => new Array(RANDOMART_WIDTH).fill(0));
+    const start = { x: Math.floor(RANDOMART_WIDTH / 2), y: Math.floor(RANDOMART_HEIGHT / 2) };
+    const last = RANDOMART_SYMBOLS.length - 1;
+    let { x, y } = start;
+
+    for (const byte of hash) {
+        for (let shift = 0; shift < 8; shift += 2) {
+            const bits = byte >> shift;
+            x = Math.min(Math.max(x + (bits & 1 ? 1 : -1), 0), RANDOMART_WIDTH - 1);
+            y = Math.min(Math.max(y + (bits & 2 ? 1 : -1), 0), RANDOMART_HEIGHT - 1);
+            // 開始点と終了点の記号には達しないようにする
+            if (field[y][x] < last - 2) {
+                field[y][x]++;
+            }
+        }
+    }
+    field[start.y][start.x] = last - 1;
+    field[y][x] = last;
+
+    return [
+        randomartBorder(getRandomartTitle(jwk)),
+        ...field.map(row => `|${row.map(count => RANDOMART_SYMBOLS[count]).join('')}|`),
+        randomartBorder(`[${algorithm.toUpperCase()}]`)
+    ].join('\n');
+}
+
+/**
+ * バイト列を大文字の16進数に変換
+ * @param {Uint8Array} bytes - バイト列
+ * @returns {string} 16進数文字列
+ */
+function toHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+/**
+ * OpenPGPの公開鍵パケットからフィンガープリント・鍵IDを計算
+ * v4（RFC 4880 12.2）は0x99と2バイト長を前置したSHA-1で、鍵IDは下位64ビット
+ * v5（LibrePGP）は同じ鍵データを0x9Aと4バイト長を前置したSHA-256で、鍵IDは上位64ビット
+ * v6（RFC 9580 5.5.4.3）は0x9Bと4バイト長を前置したSHA-256で、鍵IDは上位64ビット（v6の鍵はv6のみ）
+ * @param {Uint8Array} packet - v4またはv6の公開鍵パケットの本体（バージョン、作成日時、アルゴリズムID、鍵データ）
+ * @returns {Array<Object>} フィンガープリント（type, value）の一覧
+ */
+export function getOpenPGPFingerprints(packet) {
+    const length = (value, size) => Uint8Array.from({ length: size }, (_, i) => (value >>> ((size - 1 - i) * 8)) & 0xff);
+
+    if (packet[0] === 6) {
+        const v6 = digest('sha256', Uint8Array.from([0x9b, ...length(packet.length, 4), ...packet]));
+        return [
+            { type: 'openpgpV6', value: toHex(v6) },
+            { type: 'openpgpV6KeyId', value: toHex(v6.subarray(0, 8)) }
+        ];
+    }
+    if (packet[0] !== 4) {
+        throw new Error(`未対応のOpenPGPの鍵のバージョンです: ${packet[0]}`);
+    }
+
+    const v4 = digest('sha1', Uint8Array.from([0x99, ...length(packet.length, 2), ...packet]));
+
+    // v5の鍵パケットはバージョンを5にし、鍵データの前に4バイトの長さを入れる
+    const material = packet.subarray(6);
+    const v5Packet = Uint8Array.from([5, ...packet.subarray(1, 6), ...length(material.length, 4), ...material]);
+    const v5 = digest('sha256', Uint8Array.from([0x9a, ...length(v5Packet.length, 4), ...v5Packet]));
+
+    return [
+        { type: 'openpgpV4', value: toHex(v4) },
+        { type: 'openpgpV4KeyId', value: toHex(v4.subarray(-8)) },
+        { type: 'openpgpV5', value: toHex(v5) },
+        { type: 'openpgpV5KeyId', value: toHex(v5.subarray(0, 8)) }
+    ];
+}
+
+/**
+ * フィンガープリントをPGP word listの単語に変換（音声での照合用）
+ * @param {Uint8Array} bytes - フィンガープリントのバイト列
+ * @returns {Array<string>} 単語の一覧
+ */
+export function toPgpWords(bytes) {
+    return Array.from(bytes, (b, i) => (i % 2 === 0 ? PGP_EVEN_WORDS : PGP_ODD_WORDS)[b]);
+}
+
+/**
+ * JWKから計算できるフィンガープリントを一覧で取得
+ * @param {Object} jwk - JWK
+ * @returns {Array<Object>} フィンガープリント（type, value）の一覧
+ */
+export function getKeyFingerprints(jwk) {
+    const fingerprints = [
+        { type: 'jwkThumbprint', value: getJwkThumbprint(jwk) },
+        { type: 'spkiSha256', value: getSpkiFingerprint(jwk) }
+    ];
+
+    if (isOpenSSHSupported(jwk)) {
+        fingerprints.push(
+            { type: 'sshSha256', value: getOpenSSHFingerprint(jwk, 'sha256') },
+            { type: 'sshMd5', value: getOpenSSHFingerprint(jwk, 'md5') }
+        );
+    }
+
+    return fingerprints;
+}
+
+/**
+ * 結果画面・解析画面に表示するフィンガープリントをまとめて取得
+ * 単語リストはOpenPGPの鍵では鍵のバージョン（v4/v6）のフィンガープリント、それ以外はSPKIのSHA-256から作成する
+ * @param {Object|null} jwk - 公開鍵のJWK（OpenPGPの鍵で鍵データを取得できない場合はnull）
+ * @param {Uint8Array|null} openpgpKeyPacket - OpenPGPの主鍵の公開鍵パケットの本体（OpenPGPの鍵の場合のみ）
+ * @returns {Object} フィンガープリントの一覧（fingerprints）、OpenSSHのランダムアート（randomart）、PGP word list（pgpWords）
+ */
+export function getFingerprintDetails(jwk, openpgpKeyPacket = null) {
+    const fingerprints = [
+        ...(openpgpKeyPacket ? getOpenPGPFingerprints(openpgpKeyPacket) : []),
+        ...(jwk ? getKeyFingerprints(jwk) : [])
+    ];
+
+    let pgpWords = null;
+    if (openpgpKeyPacket) {
+        const { type, value } = fingerprints[0];
+        pgpWords = { source: type, words: toPgpWords(value.match(/../g).map(hex => parseInt(hex, 16))) };
+    } else if (jwk) {
+        pgpWords = { source: 'spkiSha256', words: toPgpWords(digest('sha256', jwkToSpki(jwk))) };
+    }
+
+    return {
+        fingerprints,
+        randomart: jwk && isOpenSSHSupported(jwk) ? getOpenSSHRandomart(jwk) : null,
+        pgpWords
+    };
+}
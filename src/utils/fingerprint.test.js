@@ -0,0 +1,160 @@
+import {
+    getJwkThumbprint,
+    getSpkiFingerprint,
+    getOpenSSHFingerprint,
+    getOpenSSHRandomart,
+    getOpenPGPFingerprints,
+    toPgpWords,
+    getKeyFingerprints,
+    getFingerprintDetails
+} from './fingerprint';
+
+jest.unmock('node-forge');
+
+// RFC 7638 3.1 の例
+const rfc7638Jwk = {
+    kty: 'RSA',
+    n: '0vx7agoebGcQSuuPiLJXZptN9nndrQmbXEps2aiAFbWhM78LhWx4cbbfAAtVT86zwu1RK7aPFFxuhDR1L6tSoc_BJECPebWKRXjBZCiFV4n3oknjhMstn64tZ_2W-5JsGY4Hc5n9yBXArwl93lqt7_RN5w6Cf0h4QyQ5v-65YGjQR0_FDW2QvzqY368QQMicAtaSqzs8KJZgnYb9c7d0zgdAZHzu6qMQvRL5hajrn1n91CbOpbISD08qNLyrdkt-bFTWhAI4vMQFh6WeZu0fM4lFd2NcRwr3XPksINHaQ-G_xBniIqbw0Ls1jF44-csFCur-kEgU8awapJzKnqDKgw',
+    e: 'AQAB',
+    alg: 'RS256',
+    kid: '2011-04-29'
+};
+
+// OpenSSLで生成したP-256鍵（期待値はopenssl dgstとssh-keygen -lの出力）
+const p256Jwk = {
+    kty: 'EC',
+    crv: 'P-256',
+    x: 'f-tEHlqkyz4UYhxqGU3dWo5XWbGVVVAZ2WY8poKcf5U',
+    y: 'pFXvUcxBM6eW6D3g-q4vb1UgNiCvVYBPl5CzRypl6Z8'
+};
+
+// RFC 8032 7.1 のテストベクター（TEST 1）
+const ed25519Jwk = {
+    kty: 'OKP',
+    crv: 'Ed25519',
+    x: '11qYAYKxCrfVS_7TyWQHOg7hcvPapiMlrwIaaPcHURo'
+};
+
+// ed25519Jwkを2024-01-02T03:04:05ZにEdDSALegacyの主鍵とした公開鍵パケットの本体
+const ed25519KeyPacket = Uint8Array.from(Buffer.from(
+    '0465937d2516092b06010401da470f01010740d75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a',
+    'hex'
+));
+
+describe('フィンガープリントテスト', () => {
+    test('JWK Thumbprint（RFC 7638）', () => {
+        expect(getJwkThumbprint(rfc7638Jwk)).toBe('NzbLsXh8uDCcd-6MNwXF4W_7noWXFZAfHkxZsRGC9Xs');
+    });
+
+    test('必須メンバー以外はThumbprintに影響しない', () => {
+        expect(getJwkThumbprint({ ...p256Jwk, d: 'secret', kid: 'key-1' }))
+            .toBe(getJwkThumbprint(p256Jwk));
+    });
+
+    test('SPKIのSHA-256フィンガープリント', () => {
+        expect(getSpkiFingerprint(p256Jwk)).toBe(
+            'a8:88:c4:b3:58:ea:09:c2:95:6c:c4:c0:b8:fa:82:4e:91:0b:21:a8:67:69:a0:07:80:94:86:b3:48:42:44:03'
+        );
+    });
+
+    test('OpenSSH形式のフィンガープリント', () => {
+        expect(getOpenSSHFingerprint(p256Jwk)).toBe('SHA256:6NDjG0Hmo+0vQ0Kedf35xhuN2HtkJg1FAdPPW7uHpoo');
+        expect(getOpenSSHFingerprint(p256Jwk, 'md5')).toBe('MD5:48:68:1c:28:db:3f:91:07:03:df:1d:9d:12:fb:61:26');
+        expect(getOpenSSHFingerprint(ed25519Jwk)).toBe('SHA256:bbXpuKG6zhzdmnxq256TlqzFBzRl2f6OOg722cYNbU8');
+    });
+
+    test('OpenSSH形式のランダムアート（ssh-keygen -lvの出力）', () => {
+        expect(getOpenSSHRandomart(ed25519Jwk)).toBe([
+            '+--[ED25519 256]--+',
+            '|            oo   |',
+            '|           o. .  |',
+            '|          o ..   |',
+            '|         o o o.  |',
+            '|        S + o  o |',
+            '|       . + +  . E|',
+            '|      . ..Ooo. B.|',
+            '|     o o.BBB.o+ +|',
+            '|     .*+OB=o=+.  |',
+            '+----[SHA256]-----+'
+        ].join('\n'));
+        expect(getOpenSSHRandomart(p256Jwk, 'md5')).toBe([
+            '+---[ECDSA 256]---+',
+            '|  .o.   oo .     |',
+            '|. .oo+ ..oo      |',
+            '| +  =+o E.+      |',
+            '|. ..o... = .     |',
+            '|   . o. S .      |',
+            '|    o            |',
+            '|     .           |',
+            '|                 |',
+            '|                 |',
+            '+------[MD5]------+'
+        ].join('\n'));
+        expect(getOpenSSHRandomart(rfc7638Jwk).split('\n')[0]).toBe('+---[RSA 2048]----+');
+    });
+
+    test('OpenPGPのv4/v5フィンガープリントと鍵ID', () => {
+        expect(getOpenPGPFingerprints(ed25519KeyPacket)).toEqual([
+            { type: 'openpgpV4', value: '3E20133059D3B10700ADA8E18BC52FEB484B0AE5' },
+            { type: 'openpgpV4KeyId', value: '8BC52FEB484B0AE5' },
+            { type: 'openpgpV5', value: '5578525F868675CD1CEB8CC7F7B8C98ADEA6EBB1CDAC60C50C6BBD7F3E413637' },
+            { type: 'openpgpV5KeyId', value: '5578525F868675CD' }
+        ]);
+        expect(() => getOpenPGPFingerprints(Uint8Array.from([5, ...ed25519KeyPacket.subarray(1)])))
+            .toThrow('未対応のOpenPGPの鍵のバージョンです: 5');
+    });
+
+    test('OpenPGPのv6フィンガープリントと鍵ID', () => {
+        // RFC 9580 付録A.3のv6の主鍵（Ed25519）
+        const v6KeyPacket = Uint8Array.from(Buffer.from('BmOHf+MbAAAAIPlNp7tI1gph5WdwamWH0DMZmbudiRoIJC6thFQ9+JWj', 'base64'));
+        expect(getOpenPGPFingerprints(v6KeyPacket)).toEqual([
+            { type: 'openpgpV6', value: 'CB186C4F0609A697E4D52DFA6C722B0C1F1E27C18A56708F6525EC27BAD9ACC9' },
+            { type: 'openpgpV6KeyId', value: 'CB186C4F0609A697' }
+        ]);
+        expect(getFingerprintDetails(null, v6KeyPacket).pgpWords.source).toBe('openpgpV6');
+    });
+
+    test('PGP word list', () => {
+        // PGP word listの説明でよく使われる例
+        const fingerprint = 'E58294F2E9A227486E8B061B31CC528FD7FA3F19';
+        expect(toPgpWords(fingerprint.match(/../g).map(hex => parseInt(hex, 16))).join(' ')).toBe(
+            'topmost Istanbul Pluto vagabond treadmill Pacific brackish dictator goldfish Medusa ' +
+            'afflict bravado chatter revolver Dupont midsummer stopwatch whimsical cowbell bottomless'
+        );
+    });
+
+    test('表示用のフィンガープリントの一覧', () => {
+        const details = getFingerprintDetails(ed25519Jwk);
+        expect(details.fingerprints.map(f => f.type)).toEqual(['jwkThumbprint', 'spkiSha256', 'sshSha256', 'sshMd5']);
+        expect(details.randomart).toBe(getOpenSSHRandomart(ed25519Jwk));
+        expect(details.pgpWords.source).toBe('spkiSha256');
+        expect(details.pgpWords.words).toHaveLength(32);
+
+        // OpenPGPの鍵はv4のフィンガープリントを単語にする
+        const pgpDetails = getFingerprintDetails(ed25519Jwk, ed25519KeyPacket);
+        expect(pgpDetails.fingerprints.map(f => f.type)).toEqual([
+            'openpgpV4', 'openpgpV4KeyId', 'openpgpV5', 'openpgpV5KeyId',
+            'jwkThumbprint', 'spkiSha256', 'sshSha256', 'sshMd5'
+        ]);
+        expect(pgpDetails.pgpWords).toEqual({
+            source: 'openpgpV4',
+            words: toPgpWords(Buffer.from('3E20133059D3B10700ADA8E18BC52FEB484B0AE5', 'hex'))
+        });
+
+        // 鍵データを取得できないOpenPGPの鍵、SSH非対応の鍵
+        expect(getFingerprintDetails(null, ed25519KeyPacket).randomart).toBeNull();
+        expect(getFingerprintDetails({ ...p256Jwk, crv: 'secp256k1' }).randomart).toBeNull();
+        expect(getFingerprintDetails(null)).toEqual({ fingerprints: [], randomart: null, pgpWords: null });
+    });
+
+    test('SSH非対応の鍵ではOpenSSH形式を含めない', () => {
+        const types = getKeyFingerprints({ ...p256Jwk, crv: 'secp256k1' }).map(f => f.type);
+        expect(types).toEqual(['jwkThumbprint', 'spkiSha256']);
+        expect(getKeyFingerprints(ed25519Jwk).map(f => f.type))
+            .toEqual(['jwkThumbprint', 'spkiSha256', 'sshSha256', 'sshMd5']);
+    });
+
+    test('未対応の鍵でエラー', () => {
+        expect(() => getJwkThumbprint({ kty: 'oct', k: 'AA' })).toThrow('未対応の鍵です');
+    });
+});
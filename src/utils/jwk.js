@@ -0,0 +1,118 @@
+/**
+ * JWK（RFC 7517）とJWK Set（JWKS）に関するユーティリティ関数群
+ * kidにはRFC 7638のJWKサムプリントを使い、use・key_ops・algは鍵のアルゴリズムに合わせて設定する
+ */
+import { THUMBPRINT_MEMBERS, getJwkThumbprint } from './fingerprint';
+
+/**
+ * 鍵の種類ごとのJWKの秘密鍵のメンバー（公開鍵のメンバーはJWK Thumbprintの必須メンバーと同じ）
+ */
+const PRIVATE_MEMBERS = {
+    RSA: ['d', 'p', 'q', 'dp', 'dq', 'qi', 'oth'],
+    EC: ['d'],
+    OKP: ['d']
+};
+
+/**
+ * ECDSAの曲線とJWSのalgの対応（RFC 7518、secp256k1はRFC 8812）
+ */
+const ECDSA_ALGORITHMS = {
+    'P-256': 'ES256',
+    'P-384': 'ES384',
+    'P-521': 'ES512',
+    secp256k1: 'ES256K'
+};
+
+/**
+ * RSA-OAEPのハッシュ関数とJWEのalgの対応
+ */
+const RSA_OAEP_ALGORITHMS = {
+    'SHA-1': 'RSA-OAEP',
+    'SHA-256': 'RSA-OAEP-256',
+    'SHA-384': 'RSA-OAEP-384',
+    'SHA-512': 'RSA-OAEP-512'
+};
+
+/**
+ * JWKの鍵のメンバーの定義を取得
+ * @param {Object} jwk - JWK
+ * @returns {Object} 公開鍵のメンバー（required）と秘密鍵のメンバー（private）
+ */
+function getKeyMembers(jwk) {
+    if (!PRIVATE_MEMBERS[jwk.kty]) {
+        throw new Error(`未対応のJWKの鍵の種類です: ${jwk.kty}`);
+    }
+    return { required: THUMBPRINT_MEMBERS[jwk.kty], private: PRIVATE_MEMBERS[jwk.kty] };
+}
+
+/**
+ * 鍵のアルゴリズムに合わせたJWKのuse・key_ops・algを取得
+ * @param {Object} algorithm - アルゴリズム情報（CryptoKey.algorithm相当。name、RSAの場合はhash、ECDSAの場合はnamedCurve）
+ * @returns {Object} 用途（use）、秘密鍵と公開鍵のkey_ops（privateKeyOps, publicKeyOps）、アルゴリズム（alg）
+ */
+export function getJwkParameters(algorithm) {
+    const hash = algorithm.hash && (algorithm.hash.name || algorithm.hash);
+    const signature = { use: 'sig', privateKeyOps: ['sign'], publicKeyOps: ['verify'] };
+
+    switch (algorithm.name) {
+        case 'RSASSA-PKCS1-v1_5':
+            return { ...signature, alg: `RS${hash.replace('SHA-', '')}` };
+        case 'RSA-PSS':
+            return { ...signature, alg: `PS${hash.replace('SHA-', '')}` };
+        case 'RSA-OAEP':
+            return { use: 'enc', privateKeyOps: ['decrypt', 'unwrapKey'], publicKeyOps: ['encrypt', 'wrapKey'], alg: RSA_OAEP_ALGORITHMS[hash] };
+        case 'ECDSA':
+            return { ...signature, alg: ECDSA_ALGORITHMS[algorithm.namedCurve] };
+        case 'Ed25519':
+        case 'Ed448':
+            // RFC 8037ではどちらの曲線もEdDSA
+            return { ...signature, alg: 'EdDSA' };
+        case 'X25519':
+        case 'X448':
+            // 受信者の公開鍵は送信者が鍵共有に使うため、公開鍵のkey_opsは設定しない
+            return { use: 'enc', privateKeyOps: ['deriveKey', 'deriveBits'], publicKeyOps: [], alg: 'ECDH-ES' };
+        default:
+            throw new Error(`JWKのalgを決定できないアルゴリズムです: ${algorithm.name}`);
+    }
+}
+
+/**
+ * JWKから鍵のメンバーだけを取り出す（ext、key_opsなどのWeb Crypto APIの属性は除く）
+ * @param {Object} jwk - JWK
+ * @param {boolean} includePrivate - 秘密鍵のメンバーを含める場合はtrue
+ * @returns {Object} 鍵のメンバーのみのJWK
+ */
+function pickKeyMembers(jwk, includePrivate) {
+    const { required, private: privateMembers } = getKeyMembers(jwk);
+    const names = includePrivate ? [...required, ...privateMembers] : required;
+    // ktyを先頭にし、それ以外はJWKのメンバーの順序を保つ
+    return Object.fromEntries(
+        ['kty', ...Object.keys(jwk).filter(name => name !== 'kty' && names.includes(name))].map(name => [name, jwk[name]])
+    );
+}
+
+/**
+ * kid・use・key_ops・algを設定した公開鍵と秘密鍵のJWK、公開鍵のJWK Setを作成
+ * @param {Object} jwk - 鍵のJWK（秘密鍵を含まない場合は公開鍵のみ作成）
+ * @param {Object} algorithm - アルゴリズム情報（CryptoKey.algorithm相当）
+ * @param {Object} options - JWKオプション
+ * @param {string} options.kid - 鍵ID（空の場合はJWKサムプリント）
+ * @returns {Object} 公開鍵のJWK（publicJwk）、秘密鍵のJWK（privateJwk、公開鍵のみの場合はnull）、JWK Set（jwks）
+ */
+export function createJwks(jwk, algorithm, options = {}) {
+    const { use, alg, privateKeyOps, publicKeyOps } = getJwkParameters(algorithm);
+    const kid = (options.kid || '').trim() || getJwkThumbprint(jwk);
+    const parameters = (keyOps) => ({
+        use,
+        ...(keyOps.length > 0 && { key_ops: keyOps }),
+        alg,
+        kid
+    });
+
+    const publicJwk = { ...pickKeyMembers(jwk, false), ...parameters(publicKeyOps) };
+    return {
+        publicJwk,
+        privateJwk: jwk.d ? { ...pickKeyMembers(jwk, true), ...parameters(privateKeyOps) } : null,
+        jwks: { keys: [publicJwk] }
+    };
+}
@@ -0,0 +1,46 @@
+import { getJwkParameters, createJwks } from './jwk';
+import { getJwkThumbprint } from './fingerprint';
+import { generateJwk } from './testHelpers';
+
+jest.unmock('node-forge');
+
+describe('JWKテスト', () => {
+    describe('use・key_ops・alg', () => {
+        test.each([
+            [{ name: 'RSASSA-PKCS1-v1_5', hash: { name: 'SHA-384' } }, 'sig', 'RS384'],
+            [{ name: 'RSA-PSS', hash: { name: 'SHA-256' } }, 'sig', 'PS256'],
+            [{ name: 'RSA-OAEP', hash: { name: 'SHA-512' } }, 'enc', 'RSA-OAEP-512'],
+            [{ name: 'ECDSA', namedCurve: 'P-521' }, 'sig', 'ES512'],
+            [{ name: 'ECDSA', namedCurve: 'secp256k1' }, 'sig', 'ES256K'],
+            [{ name: 'Ed448' }, 'sig', 'EdDSA'],
+            [{ name: 'X25519' }, 'enc', 'ECDH-ES']
+        ])('%oの場合', (algorithm, use, alg) => {
+            expect(getJwkParameters(algorithm)).toMatchObject({ use, alg });
+        });
+
+        test('未対応のアルゴリズムはエラー', () => {
+            expect(() => getJwkParameters({ name: 'AES-GCM' })).toThrow('JWKのalgを決定できないアルゴリズムです: AES-GCM');
+        });
+    });
+
+    describe('JWK Setの作成', () => {
+        test('kidを省略した場合はサムプリントを使い、JWKSには公開鍵のメンバーのみを含める', () => {
+            const jwk = { ...generateJwk('rsa', { modulusLength: 1024 }), key_ops: ['decrypt'], ext: true };
+            const { publicJwk, privateJwk, jwks } = createJwks(jwk, { name: 'RSA-PSS', hash: { name: 'SHA-512' } });
+
+            expect(Object.keys(publicJwk)).toEqual(['kty', 'n', 'e', 'use', 'key_ops', 'alg', 'kid']);
+            expect(publicJwk).toMatchObject({ use: 'sig', key_ops: ['verify'], alg: 'PS512', kid: getJwkThumbprint(jwk) });
+            expect(privateJwk).toMatchObject({ d: jwk.d, qi: jwk.qi, key_ops: ['sign'], kid: publicJwk.kid });
+            expect(privateJwk).not.toHaveProperty('ext');
+            expect(jwks).toEqual({ keys: [publicJwk] });
+        });
+
+        test('指定したkidを使い、公開鍵のみの場合は秘密鍵を作成しない', () => {
+            const { d, ...publicJwk } = generateJwk('x25519');
+            const result = createJwks(publicJwk, { name: 'X25519' }, { kid: ' key-1 ' });
+
+            expect(result.publicJwk).toEqual({ ...publicJwk, use: 'enc', alg: 'ECDH-ES', kid: 'key-1' });
+            expect(result.privateJwk).toBeNull();
+        });
+    });
+});
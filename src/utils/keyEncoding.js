@@ -0,0 +1,601 @@
+/**
+ * 鍵のエンコード（JWK/DER/Base64URL）に関するユーティリティ関数群
+ * Web Crypto APIで扱えない鍵をJWKとして保持し、SPKI/PKCS#8との相互変換を行う
+ */
+import * as forge from 'node-forge';
+import { ed25519, x25519 } from '@noble/curves/ed25519';
+import { ed448, x448 } from '@noble/curves/ed448';
+import { p256, p384, p521 } from '@noble/curves/nist';
+import { secp256k1 } from '@noble/curves/secp256k1';
+
+const asn1 = forge.asn1;
+
+/**
+ * OKP鍵（RFC 8410）の曲線名とOIDの対応
+ */
+const OKP_OIDS = {
+    X25519: '1.3.101.110',
+    X448: '1.3.101.111',
+    Ed25519: '1.3.101.112',
+    Ed448: '1.3.101.113'
+};
+
+/**
+ * 楕円曲線（EC鍵）の曲線名とOIDの対応
+ */
+const EC_CURVE_OIDS = {
+    'P-256': '1.2.840.10045.3.1.7',
+    'P-384': '1.3.132.0.34',
+    'P-521': '1.3.132.0.35',
+    secp256k1: '1.3.132.0.10'
+};
+
+/**
+ * id-ecPublicKey（RFC 5480）
+ */
+const EC_PUBLIC_KEY_OID = '1.2.840.10045.2.1';
+
+/**
+ * RSA鍵のOID（rsaEncryptionとRSASSA-PSS）
+ */
+const RSA_OIDS = ['1.2.840.113549.1.1.1', '1.2.840.113549.1.1.10'];
+
+/**
+ * 秘密鍵から公開鍵を計算する実装（曲線名ごと）
+ */
+const CURVE_IMPLEMENTATIONS = {
+    Ed25519: ed25519,
+    Ed448: ed448,
+    X25519: x25519,
+    X448: x448,
+    'P-256': p256,
+    'P-384': p384,
+    'P-521': p521,
+    secp256k1
+};
+
+/**
+ * EC曲線の座標のバイト長
+ */
+const EC_COORDINATE_LENGTHS = {
+    'P-256': 32,
+    'P-384': 48,
+    'P-521': 66,
+    secp256k1: 32
+};
+
+/**
+ * バイト列をforgeのバイナリ文字列に変換
+ * @param {Uint8Array} bytes - バイト列
+ * @returns {string} バイナリ文字列
+ */
+export function bytesToBinary(bytes) {
+    return forge.util.binary.raw.encode(new Uint8Array(bytes));
+}
+
+/**
+ * forgeのバイナリ文字列をバイト列に変換
+ * @param {string} binary - バイナリ文字列
+ * @returns {Uint8Array} バイト列
+ */
+export function binaryToBytes(binary) {
+    return forge.util.binary.raw.decode(binary);
+}
+
+/**
+ * バイト列をBase64URL（パディングなし）にエンコード
+ * @param {Uint8Array} bytes - バイト列
+ * @returns {string} Base64URL文字列
+ */
+export function base64UrlEncode(bytes) {
+    return forge.util.encode64(bytesToBinary(bytes))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+/**
+ * Base64URL文字列をバイト列にデコード
+ * @param {string} text - Base64URL文字列
+ * @returns {Uint8Array} バイト列
+ */
+export function base64UrlDecode(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    return binaryToBytes(forge.util.decode64(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')));
+}
+
+/**
+ * ASN.1オブジェクトをDERバイト列に変換
+ * @param {Object} object - forgeのASN.1オブジェクト
+ * @returns {Uint8Array} DERバイト列
+ */
+export function toDer(object) {
+    return binaryToBytes(asn1.toDer(object).getBytes());
+}
+
+/**
+ * OBJECT IDENTIFIERを作成
+ * @param {string} oid - OID
+ * @returns {Object} OIDのASN.1オブジェクト
+ */
+export function oidObject(oid) {
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oid).getBytes());
+}
+
+/**
+ * ASN.1のSEQUENCEを作成
+ * @param {Array<Object>} values - 要素
+ * @returns {Object} SEQUENCEのASN.1オブジェクト
+ */
+export function sequence(values) {
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, values);
+}
+
+/**
+ * ASN.1のOCTET STRINGを作成
+ * @param {Uint8Array|string} value - バイト列またはバイナリ文字列
+ * @returns {Object} OCTET STRINGのASN.1オブジェクト
+ */
+export function octetString(value) {
+    const binary = typeof value === 'string' ? value : bytesToBinary(value);
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, binary);
+}
+
+/**
+ * ASN.1のINTEGERを数値から作成
+ * @param {number} value - 整数
+ * @returns {Object} INTEGERのASN.1オブジェクト
+ */
+export function integer(value) {
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(value).getBytes());
+}
+
+/**
+ * 明示タグ（EXPLICIT）で包む
+ * @param {Object} value - 包むASN.1オブジェクト
+ * @param {number} tag - タグ番号（省略時は[0]）
+ * @returns {Object} 明示タグのASN.1オブジェクト
+ */
+export function explicit(value, tag = 0) {
+    return asn1.create(asn1.Class.CONTEXT_SPECIFIC, tag, true, [value]);
+}
+
+/**
+ * 安全な乱数のバイト列を生成
+ * @param {number} length - バイト長
+ * @returns {Uint8Array} 乱数
+ */
+export function randomBytes(length) {
+    return crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * JWKに対応するアルゴリズム識別子を作成
+ * @param {Object} jwk - JWK
+ * @returns {Object} AlgorithmIdentifierのASN.1オブジェクト
+ */
+function algorithmIdentifier(jwk) {
+    if (jwk.kty === 'RSA') {
+        // RFC 8017: rsaEncryptionのパラメータはNULL
+        return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            oidObject(RSA_OIDS[0]),
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+        ]);
+    }
+    if (jwk.kty === 'OKP' && OKP_OIDS[jwk.crv]) {
+        // RFC 8410: パラメータは省略
+        return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            oidObject(OKP_OIDS[jwk.crv])
+        ]);
+    }
+    if (jwk.kty === 'EC' && EC_CURVE_OIDS[jwk.crv]) {
+        // RFC 5480: パラメータは名前付き曲線のOID
+        return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            oidObject(EC_PUBLIC_KEY_OID),
+            oidObject(EC_CURVE_OIDS[jwk.crv])
+        ]);
+    }
+    throw new Error(`未対応の鍵です: ${jwk.kty}/${jwk.crv}`);
+}
+
+/**
+ * 符号なし整数のバイト列を、符号付き整数として最短のバイト列にする（ASN.1のINTEGERとSSHのmpintで共通）
+ * @param {Uint8Array} bytes - 符号なし整数のバイト列（ビッグエンディアン）
+ * @returns {Uint8Array} 先頭の0x00を除いたバイト列（0の場合は空）
+ */
+export function toSignedIntegerBytes(bytes) {
+    let start = 0;
+    while (start < bytes.length && bytes[start] === 0) {
+        start++;
+    }
+    const value = bytes.subarray(start);
+    // 最上位ビットが立っている場合は負数と区別するため0x00を付加
+    if (value.length > 0 && value[0] & 0x80) {
+        const padded = new Uint8Array(value.length + 1);
+        padded.set(value, 1);
+        return padded;
+    }
+    return value;
+}
+
+/**
+ * 符号なし整数のバイト列からASN.1のINTEGERを作成
+ * @param {Uint8Array} bytes - 符号なし整数のバイト列（ビッグエンディアン）
+ * @returns {Object} INTEGERのASN.1オブジェクト
+ */
+export function unsignedInteger(bytes) {
+    const value = toSignedIntegerBytes(bytes);
+    // DERでは0も1バイトで表す
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, bytesToBinary(value.length > 0 ? value : new Uint8Array(1)));
+}
+
+/**
+ * JWKの値をASN.1のINTEGERに変換
+ * @param {string} value - Base64URLエンコードされた符号なし整数
+ * @returns {Object} INTEGERのASN.1オブジェクト
+ */
+function integerObject(value) {
+    return unsignedInteger(base64UrlDecode(value));
+}
+
+/**
+ * JWKの公開鍵をバイト列で取得
+ * EC鍵は非圧縮形式（0x04 || x || y）の点、RSA鍵はRSAPublicKey（PKCS#1）を返す
+ * @param {Object} jwk - JWK
+ * @returns {Uint8Array} 公開鍵のバイト列
+ */
+export function getPublicKeyBytes(jwk) {
+    if (jwk.kty === 'RSA') {
+        return toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            integerObject(jwk.n),
+            integerObject(jwk.e)
+        ]));
+    }
+    if (jwk.kty === 'EC') {
+        const x = base64UrlDecode(jwk.x);
+        const y = base64UrlDecode(jwk.y);
+        const point = new Uint8Array(1 + x.length + y.length);
+        point[0] = 0x04;
+        point.set(x, 1);
+        point.set(y, 1 + x.length);
+        return point;
+    }
+    return base64UrlDecode(jwk.x);
+}
+
+/**
+ * JWKをSubjectPublicKeyInfo（DER）に変換
+ * @param {Object} jwk - 公開鍵または秘密鍵のJWK
+ * @returns {Uint8Array} SPKIのDERバイト列
+ */
+export function jwkToSpki(jwk) {
+    return toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        algorithmIdentifier(jwk),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false,
+            '\x00' + bytesToBinary(getPublicKeyBytes(jwk)))
+    ]));
+}
+
+/**
+ * PrivateKeyInfoのprivateKeyフィールドに入れる鍵固有の構造を作成
+ * @param {Object} jwk - 秘密鍵のJWK
+ * @returns {Object} ASN.1オブジェクト
+ */
+function privateKeyStructure(jwk) {
+    if (jwk.kty === 'RSA') {
+        if (!jwk.p || !jwk.q || !jwk.dp || !jwk.dq || !jwk.qi) {
+            throw new Error('CRTパラメータを含まないRSA秘密鍵には対応していません');
+        }
+        // RFC 8017: RSAPrivateKey
+        return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(0).getBytes()),
+            ...['n', 'e', 'd', 'p', 'q', 'dp', 'dq', 'qi'].map(name => integerObject(jwk[name]))
+        ]);
+    }
+
+    const d = bytesToBinary(base64UrlDecode(jwk.d));
+
+    if (jwk.kty === 'EC') {
+        // SEC 1: ECPrivateKey（曲線パラメータはAlgorithmIdentifier側に記載するため省略）
+        return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(1).getBytes()),
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, d),
+            asn1.create(asn1.Class.CONTEXT_SPECIFIC, 1, true, [
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false,
+                    '\x00' + bytesToBinary(getPublicKeyBytes(jwk)))
+            ])
+        ]);
+    }
+
+    // RFC 8410: CurvePrivateKey（OCTET STRING）
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, d);
+}
+
+/**
+ * 秘密鍵のJWKをPrivateKeyInfo（PKCS#8 DER）に変換
+ * @param {Object} jwk - 秘密鍵のJWK
+ * @returns {Uint8Array} PKCS#8のDERバイト列
+ */
+export function jwkToPkcs8(jwk) {
+    const algorithm = algorithmIdentifier(jwk);
+    if (!jwk.d) {
+        throw new Error('秘密鍵が含まれていません');
+    }
+
+    return toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(0).getBytes()),
+        algorithm,
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+            asn1.toDer(privateKeyStructure(jwk)).getBytes())
+    ]));
+}
+
+/**
+ * DERバイト列をPEM形式に変換
+ * @param {Uint8Array} der - DERバイト列
+ * @param {string} type - PEMのラベル（'PUBLIC KEY'など）
+ * @returns {string} PEM文字列
+ */
+export function derToPem(der, type) {
+    return forge.pem.encode({ type, body: bytesToBinary(der) });
+}
+
+/**
+ * OIDから曲線名を逆引き
+ * @param {Object} table - 曲線名とOIDの対応表
+ * @param {string} oid - OID
+ * @returns {string|undefined} 曲線名
+ */
+function findCurveByOid(table, oid) {
+    return Object.keys(table).find(name => table[name] === oid);
+}
+
+/**
+ * ASN.1のINTEGERを符号なしのバイト列として取得
+ * @param {Object} object - INTEGERのASN.1オブジェクト
+ * @returns {Uint8Array} 先頭の0x00を除いたバイト列
+ */
+function readUnsignedInteger(object) {
+    const bytes = binaryToBytes(object.value);
+    let start = 0;
+    while (start < bytes.length - 1 && bytes[start] === 0) {
+        start++;
+    }
+    return bytes.slice(start);
+}
+
+/**
+ * ASN.1のBIT STRINGの内容をバイト列として取得
+ * @param {Object} object - BIT STRINGのASN.1オブジェクト
+ * @returns {Uint8Array} 未使用ビット数を除いたバイト列
+ */
+function readBitString(object) {
+    // forgeは内容がDERとして解釈できる場合に分解するため、元のバイト列を優先する
+    const contents = object.bitStringContents || object.value;
+    return binaryToBytes(contents).slice(1);
+}
+
+/**
+ * DERバイト列をASN.1オブジェクトに変換
+ * @param {Uint8Array} der - DERバイト列
+ * @returns {Object} ASN.1オブジェクト
+ */
+export function fromDer(der) {
+    try {
+        return asn1.fromDer(bytesToBinary(der));
+    } catch (error) {
+        throw new Error('DER形式の解析に失敗しました');
+    }
+}
+
+/**
+ * 非圧縮形式のEC公開鍵をJWKの座標に分割
+ * @param {string} crv - 曲線名
+ * @param {Uint8Array} point - 公開鍵（0x04 || x || y）
+ * @returns {Object} JWKのx, y
+ */
+export function splitEcPoint(crv, point) {
+    const length = EC_COORDINATE_LENGTHS[crv];
+    if (point[0] !== 0x04 || point.length !== 1 + length * 2) {
+        throw new Error('圧縮形式のEC公開鍵には対応していません');
+    }
+    return {
+        x: base64UrlEncode(point.slice(1, 1 + length)),
+        y: base64UrlEncode(point.slice(1 + length))
+    };
+}
+
+/**
+ * RSAPublicKey/RSAPrivateKey（PKCS#1）をJWKに変換
+ * @param {Object} object - RSAPublicKeyまたはRSAPrivateKeyのASN.1オブジェクト
+ * @returns {Object} JWK
+ */
+function rsaKeyToJwk(object) {
+    const values = object.value.map(readUnsignedInteger);
+
+    // RSAPublicKey: n, e
+    if (values.length === 2) {
+        return { kty: 'RSA', n: base64UrlEncode(values[0]), e: base64UrlEncode(values[1]) };
+    }
+
+    // RSAPrivateKey: version, n, e, d, p, q, dp, dq, qi
+    const [, n, e, d, p, q, dp, dq, qi] = values;
+    return {
+        kty: 'RSA',
+        n: base64UrlEncode(n),
+        e: base64UrlEncode(e),
+        d: base64UrlEncode(d),
+        p: base64UrlEncode(p),
+        q: base64UrlEncode(q),
+        dp: base64UrlEncode(dp),
+        dq: base64UrlEncode(dq),
+        qi: base64UrlEncode(qi)
+    };
+}
+
+/**
+ * RSA秘密鍵の要素からJWKを作成
+ * CRTパラメータのdp, dqを持たない形式（OpenSSH/OpenPGP）のために計算する
+ * @param {Object} values - 各要素のバイト列（n, e, d, p, q, qi）
+ * @returns {Object} 秘密鍵のJWK
+ */
+export function rsaComponentsToJwk({ n, e, d, p, q, qi }) {
+    const toBigInteger = bytes => new forge.jsbn.BigInteger(forge.util.bytesToHex(bytesToBinary(bytes)), 16);
+    const fromBigInteger = value => {
+        const bytes = Uint8Array.from(value.toByteArray());
+        // toByteArrayは符号用の0x00を先頭に付ける場合がある
+        return base64UrlEncode(bytes[0] === 0 && bytes.length > 1 ? bytes.slice(1) : bytes);
+    };
+    const dValue = toBigInteger(d);
+    const one = forge.jsbn.BigInteger.ONE;
+
+    return {
+        kty: 'RSA',
+        n: base64UrlEncode(n),
+        e: base64UrlEncode(e),
+        d: base64UrlEncode(d),
+        p: base64UrlEncode(p),
+        q: base64UrlEncode(q),
+        dp: fromBigInteger(dValue.mod(toBigInteger(p).subtract(one))),
+        dq: fromBigInteger(dValue.mod(toBigInteger(q).subtract(one))),
+        qi: base64UrlEncode(qi)
+    };
+}
+
+/**
+ * PKCS#1のRSA鍵（DER）をJWKに変換
+ * @param {Uint8Array} der - RSAPublicKeyまたはRSAPrivateKeyのDERバイト列
+ * @returns {Object} JWK
+ */
+export function pkcs1ToJwk(der) {
+    return rsaKeyToJwk(fromDer(der));
+}
+
+/**
+ * 秘密鍵から公開鍵を計算してJWKを補完
+ * @param {string} kty - 鍵種別（'EC'/'OKP'）
+ * @param {string} crv - 曲線名
+ * @param {Uint8Array} privateKey - 秘密鍵
+ * @returns {Object} 秘密鍵のJWK
+ */
+export function privateKeyToJwk(kty, crv, privateKey) {
+    const implementation = CURVE_IMPLEMENTATIONS[crv];
+
+    if (kty === 'EC') {
+        // スカラー値は座標と同じ長さに揃える
+        const d = new Uint8Array(EC_COORDINATE_LENGTHS[crv]);
+        d.set(privateKey.slice(-d.length), Math.max(d.length - privateKey.length, 0));
+        return {
+            kty,
+            crv,
+            ...splitEcPoint(crv, implementation.getPublicKey(d, false)),
+            d: base64UrlEncode(d)
+        };
+    }
+
+    return {
+        kty,
+        crv,
+        x: base64UrlEncode(implementation.getPublicKey(privateKey)),
+        d: base64UrlEncode(privateKey)
+    };
+}
+
+/**
+ * ECPrivateKey（SEC 1）をJWKに変換
+ * @param {Object} object - ECPrivateKeyのASN.1オブジェクト
+ * @param {string} crv - 曲線名（AlgorithmIdentifierで指定されている場合）
+ * @returns {Object} 秘密鍵のJWK
+ */
+function ecPrivateKeyToJwk(object, crv) {
+    let curve = crv;
+    for (const field of object.value.slice(2)) {
+        // [0] parameters: 名前付き曲線のOID
+        if (field.tagClass === asn1.Class.CONTEXT_SPECIFIC && field.type === 0) {
+            curve = findCurveByOid(EC_CURVE_OIDS, asn1.derToOid(field.value[0].value));
+        }
+    }
+    if (!curve) {
+        throw new Error('未対応の楕円曲線です');
+    }
+    return privateKeyToJwk('EC', curve, binaryToBytes(object.value[1].value));
+}
+
+/**
+ * SEC 1形式のEC秘密鍵（DER）をJWKに変換
+ * @param {Uint8Array} der - ECPrivateKeyのDERバイト列
+ * @returns {Object} 秘密鍵のJWK
+ */
+export function sec1ToJwk(der) {
+    return ecPrivateKeyToJwk(fromDer(der));
+}
+
+/**
+ * AlgorithmIdentifierを解析
+ * @param {Object} object - AlgorithmIdentifierのASN.1オブジェクト
+ * @returns {Object} 鍵種別（kty）と曲線名（crv）
+ */
+function parseAlgorithmIdentifier(object) {
+    const oid = asn1.derToOid(object.value[0].value);
+
+    if (RSA_OIDS.includes(oid)) {
+        return { kty: 'RSA' };
+    }
+
+    const okpCurve = findCurveByOid(OKP_OIDS, oid);
+    if (okpCurve) {
+        return { kty: 'OKP', crv: okpCurve };
+    }
+
+    if (oid === EC_PUBLIC_KEY_OID && object.value[1] && object.value[1].type === asn1.Type.OID) {
+        const ecCurve = findCurveByOid(EC_CURVE_OIDS, asn1.derToOid(object.value[1].value));
+        if (ecCurve) {
+            return { kty: 'EC', crv: ecCurve };
+        }
+    }
+
+    throw new Error(`未対応のアルゴリズムです: ${oid}`);
+}
+
+/**
+ * SubjectPublicKeyInfo（DER）をJWKに変換
+ * @param {Uint8Array} der - SPKIのDERバイト列
+ * @returns {Object} 公開鍵のJWK
+ */
+export function spkiToJwk(der) {
+    const object = fromDer(der);
+    const { kty, crv } = parseAlgorithmIdentifier(object.value[0]);
+    const publicKey = readBitString(object.value[1]);
+
+    switch (kty) {
+        case 'RSA':
+            return rsaKeyToJwk(fromDer(publicKey));
+        case 'EC':
+            return { kty, crv, ...splitEcPoint(crv, publicKey) };
+        default:
+            return { kty, crv, x: base64UrlEncode(publicKey) };
+    }
+}
+
+/**
+ * PrivateKeyInfo（PKCS#8 DER）をJWKに変換
+ * 公開鍵が含まれていない場合は秘密鍵から計算する
+ * @param {Uint8Array} der - PKCS#8のDERバイト列
+ * @returns {Object} 秘密鍵のJWK
+ */
+export function pkcs8ToJwk(der) {
+    const object = fromDer(der);
+    const { kty, crv } = parseAlgorithmIdentifier(object.value[1]);
+    const privateKey = binaryToBytes(object.value[2].value);
+
+    switch (kty) {
+        case 'RSA':
+            return rsaKeyToJwk(fromDer(privateKey));
+        case 'EC':
+            return ecPrivateKeyToJwk(fromDer(privateKey), crv);
+        default:
+            // CurvePrivateKey（OCTET STRING）の中身が秘密鍵
+            return privateKeyToJwk(kty, crv, binaryToBytes(fromDer(privateKey).value));
+    }
+}
+
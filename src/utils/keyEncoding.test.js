@@ -0,0 +1,176 @@
+import {
+    base64UrlEncode,
+    base64UrlDecode,
+    jwkToSpki,
+    jwkToPkcs8,
+    getPublicKeyBytes,
+    derToPem,
+    pkcs1ToJwk,
+    sec1ToJwk,
+    spkiToJwk,
+    pkcs8ToJwk,
+    toSignedIntegerBytes,
+    unsignedInteger,
+    toDer
+} from './keyEncoding';
+
+jest.unmock('node-forge');
+
+// RFC 8032 7.4 のテストベクター（Ed448、空メッセージ）
+const ed448Jwk = {
+    kty: 'OKP',
+    crv: 'Ed448',
+    x: 'X9dEm1m0Yf0s54fsYWrUah2hNCSFpw4fig6nXYDpZ3jt8SR2m0bHBhvWeD3x5Q9s0foavq_oJWGA',
+    d: 'bIKlYsuAjRDWMr6JyFE-v2ySnzTd-oyfY8mWDvbjSKNSjIo_zC8ETjmj_FuUSS-PAy51SaIAmPlb'
+};
+
+// OpenSSLで生成したP-256鍵
+const p256Jwk = {
+    kty: 'EC',
+    crv: 'P-256',
+    x: 'f-tEHlqkyz4UYhxqGU3dWo5XWbGVVVAZ2WY8poKcf5U',
+    y: 'pFXvUcxBM6eW6D3g-q4vb1UgNiCvVYBPl5CzRypl6Z8',
+    d: '5g1fZLGbhh7woAzNcVolzgLeNNbUVN6YAVadCrGkhMY'
+};
+const p256PublicPoint = '047feb441e5aa4cb3e14621c6a194ddd5a8e5759b195555019d9663ca6829c7f95'
+    + 'a455ef51cc4133a796e83de0faae2f6f55203620af55804f9790b3472a65e99f';
+
+// OpenSSLで生成した512ビットRSA鍵（テスト用）
+const rsaJwk = {
+    kty: 'RSA',
+    n: '7K-7aV_3XuWo6YapBS3lUykUG-SjUuzctF87glj6jcsGo1FGoduJh1CykNdFdilCIVgW2GuceF2VfpT9KLCaIw',
+    e: 'AQAB',
+    d: 'eYBg2eBM0addxbu-Co2b-svMqeD-QrSbO_DjUK-yt5Rz4hPEoS8roxKerjt_ejTkT9HcOuAKq3SfFg7zCzYW4Q',
+    p: '-9DphafGZswZHro2Bi_hfREzNOymr3-rlRHEh-ArptE',
+    q: '8J53f-zd4NNCtEU44z_yVBjyXSnSMyQHMvAmlFvFFrM',
+    dp: 'HwTwDzfIl9cibQeRKhfx1d8tiKJyMgIvF7DVncs-dVE',
+    dq: 'aE25LXoHQGMzwiNToqbgq_XYcewkE0kl2b3ia2NQjyM',
+    qi: '8bFyGDtB34igJd5WwSr13KSTw4Cw2JmRG1OnfpU5luc'
+};
+
+const toHex = bytes => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+describe('鍵エンコードテスト', () => {
+    describe('Base64URL', () => {
+        test('エンコードとデコード', () => {
+            const bytes = new Uint8Array([0xfb, 0xff, 0xfe, 0x00, 0x01]);
+            expect(base64UrlEncode(bytes)).toBe('-__-AAE');
+            expect(Array.from(base64UrlDecode('-__-AAE'))).toEqual(Array.from(bytes));
+        });
+    });
+
+    describe('整数', () => {
+        test('先頭の0x00を除き、最上位ビットが立っている場合は0x00を付加', () => {
+            expect(toHex(toSignedIntegerBytes(new Uint8Array([0x00, 0x00, 0x7f, 0x01])))).toBe('7f01');
+            expect(toHex(toSignedIntegerBytes(new Uint8Array([0x00, 0x80, 0x01])))).toBe('008001');
+            expect(toHex(toSignedIntegerBytes(new Uint8Array([0x00, 0x00])))).toBe('');
+        });
+
+        test('ASN.1のINTEGER', () => {
+            expect(toHex(toDer(unsignedInteger(new Uint8Array([0xff]))))).toBe('020200ff');
+            expect(toHex(toDer(unsignedInteger(new Uint8Array([0x00]))))).toBe('020100');
+        });
+    });
+
+    describe('Ed448（RFC 8410）', () => {
+        test('SubjectPublicKeyInfoへの変換', () => {
+            const spki = jwkToSpki(ed448Jwk);
+            expect(spki).toHaveLength(69);
+            expect(toHex(spki.slice(0, 12))).toBe('3043300506032b6571033a00');
+            expect(base64UrlEncode(spki.slice(12))).toBe(ed448Jwk.x);
+        });
+
+        test('PrivateKeyInfoへの変換', () => {
+            const pkcs8 = jwkToPkcs8(ed448Jwk);
+            expect(pkcs8).toHaveLength(73);
+            expect(toHex(pkcs8.slice(0, 16))).toBe('3047020100300506032b6571043b0439');
+            expect(base64UrlEncode(pkcs8.slice(16))).toBe(ed448Jwk.d);
+        });
+
+        test('秘密鍵がない場合はエラー', () => {
+            const { d, ...publicJwk } = ed448Jwk;
+            expect(() => jwkToPkcs8(publicJwk)).toThrow('秘密鍵が含まれていません');
+        });
+    });
+
+    describe('EC鍵（RFC 5480/SEC 1）', () => {
+        test('SubjectPublicKeyInfoへの変換', () => {
+            expect(toHex(jwkToSpki(p256Jwk))).toBe(
+                '3059301306072a8648ce3d020106082a8648ce3d03010703420004' + p256PublicPoint.slice(2)
+            );
+        });
+
+        test('PrivateKeyInfo（ECPrivateKeyを格納）への変換', () => {
+            // openssl pkcs8 -topk8 -nocrypt の出力と一致する
+            expect(toHex(jwkToPkcs8(p256Jwk))).toBe(
+                '308187020100301306072a8648ce3d020106082a8648ce3d030107046d306b0201010420'
+                + 'e60d5f64b19b861ef0a00ccd715a25ce02de34d6d454de9801569d0ab1a484c6'
+                + 'a14403420004' + p256PublicPoint.slice(2)
+            );
+        });
+
+        test('secp256k1の曲線OID', () => {
+            const spki = jwkToSpki({ ...p256Jwk, crv: 'secp256k1' });
+            expect(toHex(spki.slice(0, 23))).toBe('3056301006072a8648ce3d020106052b8104000a034200');
+        });
+
+        test('非圧縮形式の公開鍵', () => {
+            expect(toHex(getPublicKeyBytes(p256Jwk))).toBe(p256PublicPoint);
+        });
+    });
+
+    test('未対応の鍵でエラー', () => {
+        expect(() => jwkToSpki({ kty: 'OKP', crv: 'Unknown', x: 'AA' })).toThrow('未対応の鍵です');
+        expect(() => jwkToSpki({ kty: 'EC', crv: 'P-192', x: 'AA', y: 'AA' })).toThrow('未対応の鍵です');
+    });
+
+    describe('DERからJWKへの変換', () => {
+        const fromHex = hex => Uint8Array.from(hex.match(/../g), byte => parseInt(byte, 16));
+        const { d, ...p256PublicJwk } = p256Jwk;
+
+        test('SubjectPublicKeyInfoの解析', () => {
+            expect(spkiToJwk(jwkToSpki(p256Jwk))).toEqual(p256PublicJwk);
+            expect(spkiToJwk(jwkToSpki(rsaJwk))).toEqual({ kty: 'RSA', n: rsaJwk.n, e: rsaJwk.e });
+            expect(spkiToJwk(jwkToSpki(ed448Jwk))).toEqual({ kty: 'OKP', crv: 'Ed448', x: ed448Jwk.x });
+        });
+
+        test('PrivateKeyInfoの解析', () => {
+            expect(pkcs8ToJwk(jwkToPkcs8(p256Jwk))).toEqual(p256Jwk);
+            expect(pkcs8ToJwk(jwkToPkcs8(rsaJwk))).toEqual(rsaJwk);
+        });
+
+        test('秘密鍵のみから公開鍵を計算', () => {
+            // RFC 8410のPrivateKeyInfoは公開鍵を含まない
+            expect(pkcs8ToJwk(jwkToPkcs8(ed448Jwk))).toEqual(ed448Jwk);
+        });
+
+        test('SEC 1形式（曲線パラメータ付き）の解析', () => {
+            // openssl ecparam -genkeyの出力と同じ構造
+            const der = fromHex(
+                '30770201010420e60d5f64b19b861ef0a00ccd715a25ce02de34d6d454de9801569d0ab1a484c6'
+                + 'a00a06082a8648ce3d030107a14403420004' + p256PublicPoint.slice(2)
+            );
+            expect(sec1ToJwk(der)).toEqual(p256Jwk);
+        });
+
+        test('PKCS#1の公開鍵の解析', () => {
+            expect(pkcs1ToJwk(getPublicKeyBytes(rsaJwk))).toEqual({ kty: 'RSA', n: rsaJwk.n, e: rsaJwk.e });
+        });
+
+        test('不正なDERでエラー', () => {
+            expect(() => spkiToJwk(new Uint8Array([0x30, 0x05, 0x01]))).toThrow('DER形式の解析に失敗しました');
+        });
+
+        test('未対応のアルゴリズムでエラー', () => {
+            // DSA（1.2.840.10040.4.1）
+            const der = fromHex('3011300906072a8648ce380401030400010203');
+            expect(() => spkiToJwk(der)).toThrow('未対応のアルゴリズムです: 1.2.840.10040.4.1');
+        });
+    });
+
+    test('PEM形式への変換', () => {
+        const pem = derToPem(jwkToSpki(ed448Jwk), 'PUBLIC KEY');
+        expect(pem).toMatch(/^-----BEGIN PUBLIC KEY-----\r\nMEMwBQYDK2VxAzoA/);
+        expect(pem).toMatch(/-----END PUBLIC KEY-----\r\n$/);
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * 鍵生成エンジン
+ * Web Workerで鍵を生成し、進捗と経過時間の通知、キャンセルに対応する
+ * Web Workerが使えない環境ではメインスレッドで生成する
+ */
+import { generateKeys } from './crypto';
+import { createKeygenWorker } from '../workers/createKeygenWorker';
+
+/**
+ * 経過時間の通知間隔（ミリ秒）
+ */
+const PROGRESS_INTERVAL = 100;
+
+/**
+ * キャンセル時のエラーを作成
+ * @returns {Error} AbortErrorという名前のエラー
+ */
+function createAbortError() {
+    const error = new Error('鍵生成をキャンセルしました');
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * 鍵生成を開始
+ * @param {Object} params - 鍵生成パラメータ（generateKeysと同じ）
+ * @param {function} onProgress - 進捗通知のコールバック（{ stage, elapsed }）
+ * @returns {Object} 生成結果のPromise（promise）とキャンセル関数（cancel）
+ */
+export function startKeyGeneration(params, onProgress = () => {}) {
+    const startTime = Date.now();
+    let stage = 'starting';
+    let finished = false;
+    let rejectJob;
+    let worker = null;
+
+    const report = () => {
+        onProgress({ stage, elapsed: Date.now() - startTime });
+    };
+    const setStage = (value) => {
+        stage = value;
+        report();
+    };
+
+    const timer = setInterval(report, PROGRESS_INTERVAL);
+
+    const finish = () => {
+        finished = true;
+        clearInterval(timer);
+        if (worker) {
+            worker.terminate();
+        }
+    };
+
+    const promise = new Promise((resolve, reject) => {
+        rejectJob = reject;
+        worker = createKeygenWorker();
+
+        if (!worker) {
+            // Web Worker未対応の環境ではメインスレッドで生成（キャンセル後の結果は破棄）
+            generateKeys(params, setStage).then(
+                (result) => {
+                    if (!finished) {
+                        finish();
+                        resolve(result);
+                    }
+                },
+                (error) => {
+                    if (!finished) {
+                        finish();
+                        reject(error);
+                    }
+                }
+            );
+            return;
+        }
+
+        worker.onmessage = (event) => {
+            const { type } = event.data;
+
+            if (type === 'progress') {
+                setStage(event.data.stage);
+            } else if (type === 'result') {
+                finish();
+                resolve(event.data.result);
+            } else if (type === 'error') {
+                finish();
+                const error = new Error(event.data.error.message);
+                error.name = event.data.error.name;
+                reject(error);
+            }
+        };
+
+        worker.onerror = (event) => {
+            finish();
+            reject(new Error(event.message || '鍵生成中にエラーが発生しました'));
+        };
+
+        worker.postMessage({ params });
+    });
+
+    report();
+
+    /**
+     * 鍵生成をキャンセル
+     * Web Workerは強制終了し、生成結果のPromiseはAbortErrorで拒否する
+     */
+    const cancel = () => {
+        if (finished) {
+            return;
+        }
+        finish();
+        rejectJob(createAbortError());
+    };
+
+    return { promise, cancel };
+}
+
+/**
+ * 複数の鍵の生成を開始
+ * 鍵を1つずつstartKeyGenerationで生成し、生成済みの数と全体の経過時間を通知する
+ * @param {Array<Object>} paramsList - 鍵ごとの鍵生成パラメータ
+ * @param {function} onProgress - 進捗通知のコールバック（{ completed, total, elapsed }）
+ * @returns {Object} 生成結果の配列のPromise（promise）とキャンセル関数（cancel）
+ */
+export function startBatchGeneration(paramsList, onProgress = () => {}) {
+    const startTime = Date.now();
+    const total = paramsList.length;
+    let completed = 0;
+    let cancelled = false;
+    let current = null;
+
+    const report = () => {
+        onProgress({ completed, total, elapsed: Date.now() - startTime });
+    };
+
+    const run = async () => {
+        const results = [];
+        for (const params of paramsList) {
+            // 鍵の生成が終わった直後にキャンセルされた場合は次の鍵を生成しない
+            if (cancelled) {
+                throw createAbortError();
+            }
+            current = startKeyGeneration(params, report);
+            results.push(await current.promise);
+            completed++;
+            report();
+        }
+        return results;
+    };
+
+    const promise = run();
+
+    /**
+     * 一括生成をキャンセル
+     * 生成中の鍵のWeb Workerを強制終了し、生成結果のPromiseはAbortErrorで拒否する
+     */
+    const cancel = () => {
+        cancelled = true;
+        if (current) {
+            current.cancel();
+        }
+    };
+
+    return { promise, cancel };
+}
@@ -0,0 +1,129 @@
+import { startKeyGeneration, startBatchGeneration } from './keygenEngine';
+import { generateKeys } from './crypto';
+import { createKeygenWorker } from '../workers/createKeygenWorker';
+
+jest.mock('./crypto', () => ({
+    generateKeys: jest.fn()
+}));
+
+const params = {
+    keyType: 'rsa',
+    keySize: '4096',
+    outputFormat: 'pem',
+    passphrase: ''
+};
+const keys = { publicKey: 'public', privateKey: 'private' };
+
+// Web Workerのモック
+const createMockWorker = () => ({
+    postMessage: jest.fn(),
+    terminate: jest.fn(),
+    onmessage: null,
+    onerror: null
+});
+
+describe('鍵生成エンジンテスト', () => {
+    describe('Web Workerでの生成', () => {
+        let worker;
+
+        beforeEach(() => {
+            worker = createMockWorker();
+            createKeygenWorker.mockReturnValue(worker);
+        });
+
+        test('パラメータを送信し結果を受け取る', async () => {
+            const onProgress = jest.fn();
+            const { promise } = startKeyGeneration(params, onProgress);
+
+            expect(worker.postMessage).toHaveBeenCalledWith({ params });
+            worker.onmessage({ data: { type: 'progress', stage: 'generating' } });
+            worker.onmessage({ data: { type: 'result', result: keys } });
+
+            await expect(promise).resolves.toEqual(keys);
+            expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ stage: 'generating' }));
+            expect(onProgress.mock.calls[0][0].elapsed).toEqual(expect.any(Number));
+            expect(worker.terminate).toHaveBeenCalled();
+            expect(generateKeys).not.toHaveBeenCalled();
+        });
+
+        test('Worker内のエラーを名前付きで復元', async () => {
+            const { promise } = startKeyGeneration(params);
+
+            worker.onmessage({
+                data: { type: 'error', error: { name: 'NotSupportedError', message: '未対応です' } }
+            });
+
+            await expect(promise).rejects.toMatchObject({ name: 'NotSupportedError', message: '未対応です' });
+        });
+
+        test('キャンセルでWorkerを終了', async () => {
+            const { promise, cancel } = startKeyGeneration(params);
+
+            cancel();
+
+            await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+            expect(worker.terminate).toHaveBeenCalled();
+        });
+    });
+
+    describe('メインスレッドへのフォールバック', () => {
+        test('Workerが使えない場合はメインスレッドで生成', async () => {
+            createKeygenWorker.mockReturnValue(null);
+            generateKeys.mockImplementation(async (_, onProgress) => {
+                onProgress('converting');
+                return keys;
+            });
+            const onProgress = jest.fn();
+
+            await expect(startKeyGeneration(params, onProgress).promise).resolves.toEqual(keys);
+            expect(generateKeys).toHaveBeenCalledWith(params, expect.any(Function));
+            expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ stage: 'converting' }));
+        });
+
+        test('キャンセル後の結果は破棄', async () => {
+            createKeygenWorker.mockReturnValue(null);
+            let resolveKeys;
+            generateKeys.mockReturnValue(new Promise(resolve => {
+                resolveKeys = resolve;
+            }));
+
+            const { promise, cancel } = startKeyGeneration(params);
+            cancel();
+            resolveKeys(keys);
+
+            await expect(promise).rejects.toThrow('鍵生成をキャンセルしました');
+        });
+    });
+
+    describe('一括生成', () => {
+        beforeEach(() => {
+            createKeygenWorker.mockReturnValue(null);
+        });
+
+        test('鍵を順に生成して進捗を通知', async () => {
+            generateKeys.mockImplementation(async ({ keySize }) => ({ ...keys, keySize }));
+            const onProgress = jest.fn();
+
+            const { promise } = startBatchGeneration([params, { ...params, keySize: '2048' }], onProgress);
+
+            await expect(promise).resolves.toEqual([{ ...keys, keySize: '4096' }, { ...keys, keySize: '2048' }]);
+            expect(generateKeys).toHaveBeenCalledTimes(2);
+            expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ completed: 1, total: 2 }));
+            expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ completed: 2, total: 2 }));
+        });
+
+        test('キャンセルで以降の鍵を生成しない', async () => {
+            let resolveKeys;
+            generateKeys.mockReturnValue(new Promise(resolve => {
+                resolveKeys = resolve;
+            }));
+
+            const { promise, cancel } = startBatchGeneration([params, params, params]);
+            cancel();
+            resolveKeys(keys);
+
+            await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+            expect(generateKeys).toHaveBeenCalledTimes(1);
+        });
+    });
+});
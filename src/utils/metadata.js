@@ -2,13 +2,90 @@
  * メタデータ生成に関するユーティリティ関数群
  */
 
+/**
+ * 推奨されるセキュリティ強度（NIST SP 800-57 Part 1で2031年以降に求められる128ビット）
+ */
+const RECOMMENDED_SECURITY_STRENGTH = 128;
+
+/**
+ * 128ビットのセキュリティ強度を満たすRSAの鍵サイズ
+ */
+const RECOMMENDED_RSA_SIZE = 3072;
+
+/**
+ * 推奨と推奨用途の表示テキスト
+ */
+const METADATA_TEXTS = {
+    ja: {
+        recommendations: {
+            rsa2048: '一般的な用途に適しています（～2030年）',
+            rsa3072: '長期保存に適しています（～2040年）',
+            highest: '最高レベルのセキュリティを提供します',
+            p256: 'TLS/SSLに最適です（～2030年）',
+            p384: '政府システムに推奨されます',
+            secp256k1: 'Bitcoin/Ethereumなどのブロックチェーン署名に最適です',
+            ed25519: 'SSHやブロックチェーンに最適です',
+            ed448: '長期的なセキュリティが必要な場合に推奨',
+            x25519: 'HPKEやWireGuardなどの鍵共有に最適です',
+            x448: '長期的なセキュリティが必要な鍵共有に推奨'
+        },
+        uses: {
+            emailEncryption: 'メール暗号化',
+            fileEncryption: 'ファイル暗号化',
+            tls: 'TLS証明書',
+            jwt: 'JWT署名',
+            codeSigning: 'コード署名',
+            blockchain: 'ブロックチェーン署名',
+            ssh: 'SSH認証',
+            hpke: 'HPKE',
+            age: 'age暗号化',
+            wireguard: 'WireGuard',
+            openssl: 'OpenSSL操作',
+            sshServer: 'SSHサーバー認証',
+            web: 'Webアプリケーション'
+        }
+    },
+    en: {
+        recommendations: {
+            rsa2048: 'Suitable for general use (until 2030)',
+            rsa3072: 'Suitable for long-term protection (until 2040)',
+            highest: 'Provides the highest level of security',
+            p256: 'Ideal for TLS/SSL (until 2030)',
+            p384: 'Recommended for government systems',
+            secp256k1: 'Ideal for blockchain signatures such as Bitcoin and Ethereum',
+            ed25519: 'Ideal for SSH and blockchains',
+            ed448: 'Recommended when long-term security is required',
+            x25519: 'Ideal for key agreement such as HPKE and WireGuard',
+            x448: 'Recommended for key agreement that requires long-term security'
+        },
+        uses: {
+            emailEncryption: 'Email encryption',
+            fileEncryption: 'File encryption',
+            tls: 'TLS certificates',
+            jwt: 'JWT signing',
+            codeSigning: 'Code signing',
+            blockchain: 'Blockchain signatures',
+            ssh: 'SSH authentication',
+            hpke: 'HPKE',
+            age: 'age encryption',
+            wireguard: 'WireGuard',
+            openssl: 'OpenSSL operations',
+            sshServer: 'SSH server authentication',
+            web: 'Web applications'
+        }
+    }
+};
+
 /**
  * 鍵生成のメタデータを作成
  * @param {Object} params - 鍵生成パラメータ
+ * @param {Object} keys - 生成結果（fingerprints, randomart, pgpWordsを記録。OpenPGP形式の場合はfingerprint, keyId, userIds, expires, subkeysも記録）
+ * @param {string} language - 推奨と推奨用途の言語（'ja'/'en'。既定は'ja'）
  * @returns {Object} メタデータオブジェクト
  */
-export function createMetadata(params) {
+export function createMetadata(params, keys = {}, language = 'ja') {
     const { keyType, keySize, outputFormat, passphrase } = params;
+    const texts = METADATA_TEXTS[language];
     
     return {
         // 基本情報
@@ -19,13 +96,33 @@ export function createMetadata(params) {
         hasPassphrase: !!passphrase,
 
         // セキュリティ情報
-        security: getSecurityInfo(keyType, keySize),
+        security: getSecurityInfo(keyType, keySize, texts),
 
         // 用途情報
-        usage: getUsageInfo(keyType, outputFormat),
+        usage: getUsageInfo(keyType, outputFormat, params.rsaOptions, texts),
 
         // 互換性情報
-        compatibility: getCompatibilityInfo(keyType, outputFormat)
+        compatibility: getCompatibilityInfo(keyType, outputFormat),
+
+        // OpenPGPの鍵の識別情報
+        ...(keys.fingerprint && {
+            openpgp: {
+                fingerprint: keys.fingerprint,
+                keyId: keys.keyId,
+                userIds: keys.userIds,
+                expires: keys.expires,
+                subkeys: keys.subkeys
+            }
+        }),
+
+        // 相手と照合するためのフィンガープリント（種類ごとの値、OpenSSHのランダムアート、PGP word list）
+        ...(keys.fingerprints && {
+            fingerprints: {
+                ...Object.fromEntries(keys.fingerprints.map(({ type, value }) => [type, value])),
+                randomart: keys.randomart,
+                pgpWords: keys.pgpWords
+            }
+        })
     };
 }
 
@@ -33,13 +130,15 @@ export function createMetadata(params) {
  * セキュリティ情報を取得
  * @param {string} keyType - 暗号方式
  * @param {string} keySize - 鍵サイズ
- * @returns {Object} セキュリティ情報
+ * @param {Object} texts - 表示テキスト
+ * @returns {Object} セキュリティ情報（meetsRecommendationは現在の推奨を満たすかどうか）
  */
-function getSecurityInfo(keyType, keySize) {
+function getSecurityInfo(keyType, keySize, texts) {
     const info = {
         bitStrength: 0,
         recommendation: '',
-        standards: []
+        standards: [],
+        meetsRecommendation: false
     };
 
     switch (keyType) {
@@ -47,11 +146,11 @@ function getSecurityInfo(keyType, keySize) {
             info.bitStrength = parseInt(keySize);
             info.standards = ['PKCS#1', 'FIPS 186-4'];
             if (keySize === '2048') {
-                info.recommendation = '一般的な用途に適しています（～2030年）';
+                info.recommendation = texts.recommendations.rsa2048;
             } else if (keySize === '3072') {
-                info.recommendation = '長期保存に適しています（～2040年）';
+                info.recommendation = texts.recommendations.rsa3072;
             } else if (keySize === '4096') {
-                info.recommendation = '最高レベルのセキュリティを提供します';
+                info.recommendation = texts.recommendations.highest;
             }
             break;
 
@@ -59,10 +158,16 @@ function getSecurityInfo(keyType, keySize) {
             info.standards = ['NIST FIPS 186-4', 'RFC 8422', 'SEC 2'];
             if (keySize === 'P-256') {
                 info.bitStrength = 128;
-                info.recommendation = 'TLS/SSLに最適です（～2030年）';
+                info.recommendation = texts.recommendations.p256;
             } else if (keySize === 'P-384') {
                 info.bitStrength = 192;
-                info.recommendation = '政府システムに推奨されます';
+                info.recommendation = texts.recommendations.p384;
+            } else if (keySize === 'P-521') {
+                info.bitStrength = 256;
+                info.recommendation = texts.recommendations.highest;
+            } else if (keySize === 'secp256k1') {
+                info.bitStrength = 128;
+                info.recommendation = texts.recommendations.secp256k1;
             }
             break;
 
@@ -70,14 +175,30 @@ function getSecurityInfo(keyType, keySize) {
             info.standards = ['RFC 8032'];
             if (keySize === 'Ed25519') {
                 info.bitStrength = 128;
-                info.recommendation = 'SSHやブロックチェーンに最適です';
+                info.recommendation = texts.recommendations.ed25519;
             } else if (keySize === 'Ed448') {
                 info.bitStrength = 224;
-                info.recommendation = '長期的なセキュリティが必要な場合に推奨';
+                info.recommendation = texts.recommendations.ed448;
+            }
+            break;
+
+        case 'ecdh':
+            info.standards = ['RFC 7748', 'RFC 8410'];
+            if (keySize === 'X25519') {
+                info.bitStrength = 128;
+                info.recommendation = texts.recommendations.x25519;
+            } else if (keySize === 'X448') {
+                info.bitStrength = 224;
+                info.recommendation = texts.recommendations.x448;
             }
             break;
     }
 
+    // RSAのbitStrengthは鍵長のため、128ビットのセキュリティ強度に相当する鍵長と比べる
+    info.meetsRecommendation = keyType === 'rsa'
+        ? info.bitStrength >= RECOMMENDED_RSA_SIZE
+        : info.bitStrength >= RECOMMENDED_SECURITY_STRENGTH;
+
     return info;
 }
 
@@ -85,9 +206,11 @@ function getSecurityInfo(keyType, keySize) {
  * 用途情報を取得
  * @param {string} keyType - 暗号方式
  * @param {string} outputFormat - 出力形式
+ * @param {Object} rsaOptions - RSAオプション（RSAの場合のみ）
+ * @param {Object} texts - 表示テキスト
  * @returns {Object} 用途情報
  */
-function getUsageInfo(keyType, outputFormat) {
+function getUsageInfo(keyType, outputFormat, rsaOptions, texts) {
     const usage = {
         signing: false,
         encryption: false,
@@ -98,42 +221,60 @@ function getUsageInfo(keyType, outputFormat) {
 
     switch (keyType) {
         case 'rsa':
-            usage.signing = true;
-            usage.encryption = true;
-            usage.keyExchange = true;
-            usage.authentication = true;
-            usage.recommended = ['TLS証明書', 'メール暗号化', 'ファイル暗号化'];
+            // アルゴリズムの指定がある場合はWeb Crypto APIの鍵用途に合わせる
+            if (rsaOptions && rsaOptions.algorithm === 'RSA-OAEP') {
+                usage.encryption = true;
+                usage.keyExchange = true;
+                usage.recommended = ['emailEncryption', 'fileEncryption'];
+            } else if (rsaOptions) {
+                usage.signing = true;
+                usage.authentication = true;
+                usage.recommended = ['tls', 'jwt', 'codeSigning'];
+            } else {
+                usage.signing = true;
+                usage.encryption = true;
+                usage.keyExchange = true;
+                usage.authentication = true;
+                usage.recommended = ['tls', 'emailEncryption', 'fileEncryption'];
+            }
             break;
 
         case 'ecdsa':
             usage.signing = true;
             usage.authentication = true;
-            usage.recommended = ['TLS証明書', 'ブロックチェーン署名'];
+            usage.recommended = ['tls', 'blockchain'];
             break;
 
         case 'eddsa':
             usage.signing = true;
             usage.authentication = true;
-            usage.recommended = ['SSH認証', 'ブロックチェーン署名'];
+            usage.recommended = ['ssh', 'blockchain'];
+            break;
+
+        case 'ecdh':
+            usage.keyExchange = true;
+            usage.recommended = ['hpke', 'age', 'wireguard'];
             break;
     }
 
     // 出力形式に基づく推奨用途の追加
     switch (outputFormat) {
         case 'pem':
-            usage.recommended.push('OpenSSL操作');
+            usage.recommended.push('openssl');
             break;
         case 'ssh':
-            usage.recommended.push('SSHサーバー認証');
+            usage.recommended.push('sshServer');
             break;
         case 'jwk':
-            usage.recommended.push('Webアプリケーション');
+            usage.recommended.push('web');
             break;
         case 'pgp':
-            usage.recommended.push('メール暗号化');
+            usage.recommended.push('emailEncryption');
             break;
     }
 
+    // RSAの鍵をOpenPGP形式で出力した場合などはメール暗号化が重複するため除く
+    usage.recommended = [...new Set(usage.recommended)].map(use => texts.uses[use]);
     return usage;
 }
 
@@ -182,13 +323,22 @@ function getCompatibilityInfo(keyType, outputFormat) {
         'Bouncy Castle'
     ];
 
-    if (keyType === 'eddsa') {
+    if (['eddsa', 'ecdh'].includes(keyType)) {
         compatibility.libraries.push('libsodium');
     }
 
     return compatibility;
 }
 
+/**
+ * 出力形式に対応する鍵ファイルの拡張子を取得
+ * @param {string} outputFormat - 出力形式
+ * @returns {string} 拡張子
+ */
+export function getFileExtension(outputFormat) {
+    return outputFormat === 'jwk' ? 'json' : outputFormat;
+}
+
 /**
  * ファイル名を生成
  * @param {Object} params - 鍵生成パラメータ
@@ -198,12 +348,21 @@ export function generateFilenames(params) {
     const { keyType, keySize, outputFormat } = params;
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const prefix = `${keyType}_${keySize}_${timestamp}`;
-    const extension = outputFormat === 'jwk' ? 'json' : outputFormat;
+    const extension = getFileExtension(outputFormat);
 
     return {
         public: `${prefix}_public.${extension}`,
         private: `${prefix}_private.${extension}`,
         metadata: `${prefix}_metadata.json`,
-        zip: `${prefix}_keys.zip`
+        // JWK Setはそのままサーバーに配置できるように固定のファイル名にする
+        jwks: 'jwks.json',
+        certificate: `${prefix}_certificate.pem`,
+        certificateDer: `${prefix}_certificate.der`,
+        certificateRequest: `${prefix}_request.csr`,
+        pkcs12: `${prefix}.p12`,
+        // GnuPGが保存する失効証明書（openpgp-revocs.d/<フィンガープリント>.rev）と同じ拡張子
+        revocationCertificate: `${prefix}_revocation.rev`,
+        zip: `${prefix}_keys.zip`,
+        batch: `${prefix}_batch.zip`
     };
 } 
\ No newline at end of file
@@ -1,10 +1,13 @@
 import {
+    createMetadata,
     generateMetadata,
     getSecurityInfo,
     getCompatibilityInfo,
     getUsageInfo
 } from './metadata';
 
+jest.unmock('./metadata');
+
 describe('メタデータ生成テスト', () => {
     describe('セキュリティ情報の生成', () => {
         test('RSA-2048のセキュリティ情報', () => {
@@ -163,4 +166,88 @@ describe('メタデータ生成テスト', () => {
             expect(() => generateMetadata(params)).toThrow();
         });
     });
-}); 
\ No newline at end of file
+}); 
+
+describe('createMetadataテスト', () => {
+    test('ECDH（X25519）のメタデータ', () => {
+        const metadata = createMetadata({
+            keyType: 'ecdh',
+            keySize: 'X25519',
+            outputFormat: 'pem',
+            passphrase: ''
+        });
+
+        expect(metadata.security.bitStrength).toBe(128);
+        expect(metadata.security.standards).toContain('RFC 7748');
+        expect(metadata.usage.keyExchange).toBe(true);
+        expect(metadata.usage.signing).toBe(false);
+        expect(metadata.usage.recommended).toEqual(expect.arrayContaining(['HPKE', 'WireGuard']));
+        expect(metadata.compatibility.libraries).toContain('libsodium');
+    });
+
+    test('ECDH（X448）のセキュリティ強度', () => {
+        const metadata = createMetadata({ keyType: 'ecdh', keySize: 'X448', outputFormat: 'jwk' });
+        expect(metadata.security.bitStrength).toBe(224);
+    });
+
+    test('OpenPGPの鍵はフィンガープリントを記録', () => {
+        const params = { keyType: 'eddsa', keySize: 'Ed25519', outputFormat: 'pgp' };
+        const metadata = createMetadata(params, {
+            publicKey: '-----BEGIN PGP PUBLIC KEY BLOCK-----',
+            fingerprint: '420C6DD9AEDAE9AAFD63666922DD0B0DD0F0C59E',
+            keyId: '22DD0B0DD0F0C59E',
+            userIds: ['Taro Yamada <taro@example.com>'],
+            expires: '2025-01-01T03:04:05.000Z',
+            subkeys: []
+        });
+
+        expect(metadata.openpgp).toEqual({
+            fingerprint: '420C6DD9AEDAE9AAFD63666922DD0B0DD0F0C59E',
+            keyId: '22DD0B0DD0F0C59E',
+            userIds: ['Taro Yamada <taro@example.com>'],
+            expires: '2025-01-01T03:04:05.000Z',
+            subkeys: []
+        });
+        expect(createMetadata(params)).not.toHaveProperty('openpgp');
+    });
+
+    test('フィンガープリントを記録', () => {
+        const params = { keyType: 'eddsa', keySize: 'Ed25519', outputFormat: 'ssh' };
+        const pgpWords = { source: 'spkiSha256', words: ['aardvark', 'adroitness'] };
+        const metadata = createMetadata(params, {
+            fingerprints: [
+                { type: 'jwkThumbprint', value: 'kPrK_qmxVWaYVA9wwBF6Iuo3vVzz7TxHCTwXBygrS4k' },
+                { type: 'sshSha256', value: 'SHA256:bbXpuKG6zhzdmnxq256TlqzFBzRl2f6OOg722cYNbU8' }
+            ],
+            randomart: '+--[ED25519 256]--+',
+            pgpWords
+        });
+
+        expect(metadata.fingerprints).toEqual({
+            jwkThumbprint: 'kPrK_qmxVWaYVA9wwBF6Iuo3vVzz7TxHCTwXBygrS4k',
+            sshSha256: 'SHA256:bbXpuKG6zhzdmnxq256TlqzFBzRl2f6OOg722cYNbU8',
+            randomart: '+--[ED25519 256]--+',
+            pgpWords
+        });
+        expect(createMetadata(params)).not.toHaveProperty('fingerprints');
+    });
+
+    test('推奨を満たすかどうか', () => {
+        expect(createMetadata({ keyType: 'rsa', keySize: '2048', outputFormat: 'pem' }).security.meetsRecommendation).toBe(false);
+        expect(createMetadata({ keyType: 'rsa', keySize: '3072', outputFormat: 'pem' }).security.meetsRecommendation).toBe(true);
+        expect(createMetadata({ keyType: 'ecdsa', keySize: 'P-256', outputFormat: 'pem' }).security.meetsRecommendation).toBe(true);
+        expect(createMetadata({ keyType: 'eddsa', keySize: 'Ed448', outputFormat: 'pem' }).security.meetsRecommendation).toBe(true);
+    });
+
+    test('英語のメタデータ', () => {
+        const metadata = createMetadata({ keyType: 'ecdh', keySize: 'X25519', outputFormat: 'jwk' }, {}, 'en');
+
+        expect(metadata.security.recommendation).toBe('Ideal for key agreement such as HPKE and WireGuard');
+        expect(metadata.usage.recommended).toEqual(['HPKE', 'age encryption', 'WireGuard', 'Web applications']);
+    });
+
+    test('推奨用途は重複しない', () => {
+        const metadata = createMetadata({ keyType: 'rsa', keySize: '3072', outputFormat: 'pgp' });
+        expect(metadata.usage.recommended).toEqual(['TLS証明書', 'メール暗号化', 'ファイル暗号化']);
+    });
+});
@@ -0,0 +1,276 @@
+/**
+ * PKCS#8秘密鍵のパスフレーズ暗号化（PKCS#5 PBES2、RFC 8018）に関するユーティリティ関数群
+ * 鍵導出関数はPBKDF2-HMAC-SHA256またはscrypt（RFC 7914）、暗号はAES-256-CBCを使用する
+ * OpenSSLはPKCS#8でAEAD（AES-GCM）を扱えないため、互換性を優先してCBCモードのみ出力する
+ */
+import * as forge from 'node-forge';
+import { pbkdf2 } from '@noble/hashes/pbkdf2';
+import { scrypt } from '@noble/hashes/scrypt';
+import { sha1 } from '@noble/hashes/sha1';
+import { sha256, sha384, sha512 } from '@noble/hashes/sha2';
+import {
+    binaryToBytes,
+    bytesToBinary,
+    toDer,
+    fromDer,
+    oidObject,
+    sequence,
+    octetString,
+    integer,
+    randomBytes
+} from './keyEncoding';
+
+const asn1 = forge.asn1;
+
+/**
+ * PBES2関連のOID
+ */
+const OIDS = {
+    pbes2: '1.2.840.113549.1.5.13',
+    pbkdf2: '1.2.840.113549.1.5.12',
+    scrypt: '1.3.6.1.4.1.11591.4.11',
+    hmacWithSHA1: '1.2.840.113549.2.7',
+    hmacWithSHA256: '1.2.840.113549.2.9',
+    hmacWithSHA384: '1.2.840.113549.2.10',
+    hmacWithSHA512: '1.2.840.113549.2.11'
+};
+
+/**
+ * 暗号方式のOIDと鍵長（AES-CBC）
+ */
+const CIPHERS = {
+    '2.16.840.1.101.3.4.1.2': { name: 'aes-128-cbc', keyLength: 16 },
+    '2.16.840.1.101.3.4.1.22': { name: 'aes-192-cbc', keyLength: 24 },
+    '2.16.840.1.101.3.4.1.42': { name: 'aes-256-cbc', keyLength: 32 }
+};
+
+/**
+ * 出力に使う暗号方式（AES-256-CBC）のOID
+ */
+const AES_256_CBC_OID = '2.16.840.1.101.3.4.1.42';
+
+/**
+ * PBKDF2の擬似乱数関数のOIDとハッシュ関数の対応
+ */
+const PRF_HASHES = {
+    [OIDS.hmacWithSHA1]: sha1,
+    [OIDS.hmacWithSHA256]: sha256,
+    [OIDS.hmacWithSHA384]: sha384,
+    [OIDS.hmacWithSHA512]: sha512
+};
+
+/**
+ * 暗号化オプションの初期値
+ * PBKDF2の反復回数はOWASPの推奨値、scryptのパラメータはOpenSSLの既定値
+ */
+export const DEFAULT_PEM_ENCRYPTION = {
+    kdf: 'pbkdf2',
+    iterations: 600000,
+    cost: 16384
+};
+
+/**
+ * scryptのブロックサイズ（r）と並列度（p）
+ */
+const SCRYPT_BLOCK_SIZE = 8;
+const SCRYPT_PARALLELIZATION = 1;
+
+/**
+ * 鍵導出関数のAlgorithmIdentifierを作成
+ * @param {Object} options - 暗号化オプション
+ * @param {Uint8Array} salt - ソルト
+ * @returns {Object} AlgorithmIdentifierのASN.1オブジェクト
+ */
+function kdfAlgorithmIdentifier(options, salt) {
+    if (options.kdf === 'scrypt') {
+        // RFC 7914: salt, costParameter, blockSize, parallelizationParameter
+        return sequence([
+            oidObject(OIDS.scrypt),
+            sequence([
+                octetString(salt),
+                integer(options.cost),
+                integer(SCRYPT_BLOCK_SIZE),
+                integer(SCRYPT_PARALLELIZATION)
+            ])
+        ]);
+    }
+
+    // RFC 8018: salt, iterationCount, prf（鍵長は暗号方式から決まるため省略）
+    return sequence([
+        oidObject(OIDS.pbkdf2),
+        sequence([
+            octetString(salt),
+            integer(options.iterations),
+            sequence([
+                oidObject(OIDS.hmacWithSHA256),
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+            ])
+        ])
+    ]);
+}
+
+/**
+ * パスフレーズから暗号鍵を導出
+ * @param {string} passphrase - パスフレーズ
+ * @param {Object} kdf - 鍵導出関数のパラメータ（kdf, salt, iterations, prf, cost, blockSize, parallelization）
+ * @param {number} keyLength - 鍵長（バイト）
+ * @returns {Uint8Array} 暗号鍵
+ */
+function deriveKey(passphrase, kdf, keyLength) {
+    if (kdf.kdf === 'scrypt') {
+        return scrypt(passphrase, kdf.salt, {
+            N: kdf.cost,
+            r: kdf.blockSize,
+            p: kdf.parallelization,
+            dkLen: keyLength
+        });
+    }
+    return pbkdf2(kdf.prf, passphrase, kdf.salt, { c: kdf.iterations, dkLen: keyLength });
+}
+
+/**
+ * データをPBES2（AES-256-CBC）でパスフレーズ暗号化
+ * @param {Uint8Array} data - 暗号化するバイト列
+ * @param {string} passphrase - パスフレーズ
+ * @param {Object} options - 暗号化オプション（kdf, iterations, cost）
+ * @returns {Object} 暗号方式のAlgorithmIdentifier（algorithm）と暗号文（encrypted）
+ */
+export function encryptPBES2(data, passphrase, options = {}) {
+    const settings = { ...DEFAULT_PEM_ENCRYPTION, ...options };
+    const salt = randomBytes(16);
+    const iv = randomBytes(16);
+
+    const key = deriveKey(passphrase, {
+        kdf: settings.kdf,
+        salt,
+        iterations: settings.iterations,
+        prf: sha256,
+        cost: settings.cost,
+        blockSize: SCRYPT_BLOCK_SIZE,
+        parallelization: SCRYPT_PARALLELIZATION
+    }, 32);
+
+    const cipher = forge.cipher.createCipher('AES-CBC', bytesToBinary(key));
+    cipher.start({ iv: bytesToBinary(iv) });
+    cipher.update(forge.util.createBuffer(bytesToBinary(data)));
+    cipher.finish();
+
+    return {
+        algorithm: sequence([
+            oidObject(OIDS.pbes2),
+            sequence([
+                kdfAlgorithmIdentifier(settings, salt),
+                sequence([oidObject(AES_256_CBC_OID), octetString(iv)])
+            ])
+        ]),
+        encrypted: binaryToBytes(cipher.output.getBytes())
+    };
+}
+
+/**
+ * PrivateKeyInfo（PKCS#8 DER）をパスフレーズで暗号化
+ * @param {Uint8Array} pkcs8 - PrivateKeyInfoのDERバイト列
+ * @param {string} passphrase - パスフレーズ
+ * @param {Object} options - 暗号化オプション
+ * @param {string} options.kdf - 鍵導出関数（'pbkdf2'/'scrypt'）
+ * @param {number} options.iterations - PBKDF2の反復回数
+ * @param {number} options.cost - scryptのコストパラメータ（N）
+ * @returns {Uint8Array} EncryptedPrivateKeyInfoのDERバイト列
+ */
+export function encryptPrivateKeyInfo(pkcs8, passphrase, options = {}) {
+    const { algorithm, encrypted } = encryptPBES2(pkcs8, passphrase, options);
+    return toDer(sequence([algorithm, octetString(encrypted)]));
+}
+
+/**
+ * ASN.1のINTEGERを数値として取得
+ * @param {Object} object - INTEGERのASN.1オブジェクト
+ * @returns {number} 整数
+ */
+function readInteger(object) {
+    return asn1.derToInteger(object.value);
+}
+
+/**
+ * バイト列が1つのDER SEQUENCEとして解析できるかを判定
+ * @param {Uint8Array} bytes - バイト列
+ * @returns {boolean} 解析できる場合はtrue
+ */
+function isDerSequence(bytes) {
+    try {
+        return fromDer(bytes).type === asn1.Type.SEQUENCE;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * PBES2の鍵導出関数のパラメータを解析
+ * @param {Object} object - 鍵導出関数のAlgorithmIdentifier
+ * @returns {Object} 鍵導出関数のパラメータ
+ */
+function parseKdf(object) {
+    const oid = asn1.derToOid(object.value[0].value);
+    const params = object.value[1].value;
+    const salt = binaryToBytes(params[0].value);
+
+    if (oid === OIDS.scrypt) {
+        return {
+            kdf: 'scrypt',
+            salt,
+            cost: readInteger(params[1]),
+            blockSize: readInteger(params[2]),
+            parallelization: readInteger(params[3])
+        };
+    }
+
+    if (oid === OIDS.pbkdf2) {
+        // keyLength（INTEGER）とprf（SEQUENCE）はどちらも省略可能
+        const prfObject = params.slice(2).find(item => item.type === asn1.Type.SEQUENCE);
+        const prfOid = prfObject ? asn1.derToOid(prfObject.value[0].value) : OIDS.hmacWithSHA1;
+        if (!PRF_HASHES[prfOid]) {
+            throw new Error(`未対応の擬似乱数関数です: ${prfOid}`);
+        }
+        return { kdf: 'pbkdf2', salt, iterations: readInteger(params[1]), prf: PRF_HASHES[prfOid] };
+    }
+
+    throw new Error(`未対応の鍵導出関数です: ${oid}`);
+}
+
+/**
+ * EncryptedPrivateKeyInfo（PKCS#8 DER）をパスフレーズで復号
+ * PBES2以外（PBES1、PKCS#12のPBE）はnode-forgeで復号する
+ * @param {Uint8Array} der - EncryptedPrivateKeyInfoのDERバイト列
+ * @param {string} passphrase - パスフレーズ
+ * @returns {Uint8Array} PrivateKeyInfoのDERバイト列
+ */
+export function decryptPrivateKeyInfo(der, passphrase) {
+    const object = fromDer(der);
+    const [algorithm, encryptedData] = object.value;
+
+    if (asn1.derToOid(algorithm.value[0].value) !== OIDS.pbes2) {
+        const privateKeyInfo = forge.pki.decryptPrivateKeyInfo(object, passphrase);
+        if (!privateKeyInfo) {
+            throw new Error('パスフレーズが正しくありません');
+        }
+        return toDer(privateKeyInfo);
+    }
+
+    const [kdfObject, cipherObject] = algorithm.value[1].value;
+    const cipherOid = asn1.derToOid(cipherObject.value[0].value);
+    if (!CIPHERS[cipherOid]) {
+        throw new Error(`未対応の暗号方式です: ${cipherOid}`);
+    }
+
+    const key = deriveKey(passphrase, parseKdf(kdfObject), CIPHERS[cipherOid].keyLength);
+    const decipher = forge.cipher.createDecipher('AES-CBC', bytesToBinary(key));
+    decipher.start({ iv: cipherObject.value[1].value });
+    decipher.update(forge.util.createBuffer(encryptedData.value));
+
+    // パディングの検査だけでは誤ったパスフレーズを検出できない場合があるため、DERとして読めるかも確認する
+    const privateKeyInfo = decipher.finish() ? binaryToBytes(decipher.output.getBytes()) : null;
+    if (!privateKeyInfo || !isDerSequence(privateKeyInfo)) {
+        throw new Error('パスフレーズが正しくありません');
+    }
+    return privateKeyInfo;
+}
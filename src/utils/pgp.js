@@ -0,0 +1,414 @@
+/**
+ * OpenPGP形式の鍵に関するユーティリティ関数群
+ * 生成済みの鍵（JWK）をそのまま主鍵（認証・署名用）とする秘密鍵パケット（RFC 9580 5.5.3）を組み立て、
+ * v6の鍵でのみ定義されているEd448はv6、それ以外はGnuPGなどと互換性のあるv4のパケットとし、
+ * openpgp.jsでユーザーIDと自己署名、暗号化用の副鍵を付けてOpenPGPの鍵にする
+ */
+import * as openpgp from 'openpgp';
+import { base64UrlDecode } from './keyEncoding';
+
+/**
+ * 秘密鍵パケットのタグ
+ */
+const SECRET_KEY_PACKET_TAG = 5;
+
+/**
+ * OpenPGPの公開鍵アルゴリズムID（RFC 9580 9.1）
+ */
+const OPENPGP_ALGORITHMS = {
+    rsa: 1,
+    ecdsa: 19,
+    eddsaLegacy: 22,
+    ed448: 28
+};
+
+/**
+ * ECDSAの曲線名とOIDのDERエンコード（タグと長さを除く）の対応
+ */
+const OPENPGP_CURVE_OIDS = {
+    'P-256': [0x2a, 0x86, 0x48, 0xce, 0x3d, 0x03, 0x01, 0x07],
+    'P-384': [0x2b, 0x81, 0x04, 0x00, 0x22],
+    'P-521': [0x2b, 0x81, 0x04, 0x00, 0x23],
+    secp256k1: [0x2b, 0x81, 0x04, 0x00, 0x0a]
+};
+
+/**
+ * Ed25519（EdDSALegacy）の曲線のOID（1.3.6.1.4.1.11591.15.1）
+ */
+const ED25519_LEGACY_OID = [0x2b, 0x06, 0x01, 0x04, 0x01, 0xda, 0x47, 0x0f, 0x01];
+
+/**
+ * 暗号化用の副鍵の種類とopenpgp.jsの鍵生成オプションの対応
+ * v4の主鍵にはGnuPG 2.2以降で扱えるv4の鍵（Curve25519はECDHのレガシー形式）、v6の主鍵にはX448の鍵を使う
+ */
+export const PGP_SUBKEY_TYPES = {
+    curve25519: { type: 'ecc', curve: 'curve25519Legacy' },
+    nistP256: { type: 'ecc', curve: 'nistP256' },
+    rsa3072: { type: 'rsa', rsaBits: 3072 },
+    x448: { type: 'curve448' }
+};
+
+/**
+ * v6の主鍵（Ed448）に追加できる副鍵の種類
+ * レガシー形式のCurve25519などはv4の鍵でのみ定義されているため、v6の主鍵にはX448のみ追加できる
+ */
+const PGP_V6_SUBKEY_TYPES = ['x448'];
+
+/**
+ * 失効証明書に記録できる失効理由（openpgp.enums.reasonForRevocationのキー）
+ * ユーザーIDの失効理由（userIDInvalid）は鍵全体の失効には使えないため含めない
+ */
+export const PGP_REVOCATION_REASONS = ['noReason', 'keyCompromised', 'keySuperseded', 'keyRetired'];
+
+/**
+ * OpenPGPオプションの初期値
+ * 主鍵は無期限、暗号化用にCurve25519の副鍵を追加する（gpg --full-generate-keyの既定と同じ構成）
+ */
+export const DEFAULT_PGP_OPTIONS = {
+    userIds: [{ name: '', email: '', comment: '' }],
+    keyExpirationDays: 0,
+    subkey: 'curve25519',
+    subkeyExpirationDays: 0,
+    revocationReason: 'noReason',
+    revocationComment: ''
+};
+
+/**
+ * 主鍵の種類に追加できる副鍵の種類を取得
+ * @param {string} keySize - 主鍵の鍵サイズ（曲線名など）
+ * @returns {Array<string>} 副鍵の種類（PGP_SUBKEY_TYPESのキー）の一覧
+ */
+export function getPGPSubkeyTypes(keySize) {
+    const types = Object.keys(PGP_SUBKEY_TYPES);
+    return keySize === 'Ed448'
+        ? types.filter(type => PGP_V6_SUBKEY_TYPES.includes(type))
+        : types.filter(type => !PGP_V6_SUBKEY_TYPES.includes(type));
+}
+
+/**
+ * 主鍵の種類に応じた暗号化用の副鍵の初期値を取得
+ * @param {string} keySize - 主鍵の鍵サイズ（曲線名など）
+ * @returns {string} 副鍵の種類（Ed448の場合はX448、それ以外はDEFAULT_PGP_OPTIONSの値）
+ */
+export function getDefaultPGPSubkey(keySize) {
+    return keySize === 'Ed448' ? 'x448' : DEFAULT_PGP_OPTIONS.subkey;
+}
+
+/**
+ * 1日の秒数
+ */
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+/**
+ * バイト列を連結
+ * @param {Array<Uint8Array>} arrays - 連結するバイト列
+ * @returns {Uint8Array} 連結されたバイト列
+ */
+function concatBytes(...arrays) {
+    const result = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+    let offset = 0;
+    for (const array of arrays) {
+        result.set(array, offset);
+        offset += array.length;
+    }
+    return result;
+}
+
+/**
+ * 整数をビッグエンディアンのバイト列にエンコード
+ * @param {number} value - 整数
+ * @param {number} length - バイト数
+ * @returns {Uint8Array} バイト列
+ */
+function encodeUint(value, length) {
+    const bytes = new Uint8Array(length);
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = value & 0xff;
+        value = Math.floor(value / 256);
+    }
+    return bytes;
+}
+
+/**
+ * バイト列をMPI（ビット長 + 先頭の0を除いた値）にエンコード
+ * @param {Uint8Array} bytes - 符号なし整数のバイト列
+ * @returns {Uint8Array} MPI
+ */
+function encodeMpi(bytes) {
+    let start = 0;
+    while (start < bytes.length - 1 && bytes[start] === 0) {
+        start++;
+    }
+    const value = bytes.slice(start);
+    const bits = (value.length - 1) * 8 + (32 - Math.clz32(value[0]));
+    return concatBytes(encodeUint(bits, 2), value);
+}
+
+/**
+ * 曲線のOIDを長さ付きでエンコード
+ * @param {Array<number>} oid - OIDのDERエンコード
+ * @returns {Uint8Array} 長さ（1バイト）とOID
+ */
+function encodeCurveOid(oid) {
+    return new Uint8Array([oid.length, ...oid]);
+}
+
+/**
+ * 新形式のパケットヘッダーを付ける
+ * @param {number} tag - パケットのタグ
+ * @param {Uint8Array} body - パケットの本体
+ * @returns {Uint8Array} パケット
+ */
+function encodePacket(tag, body) {
+    let length;
+    if (body.length < 192) {
+        length = new Uint8Array([body.length]);
+    } else if (body.length < 8384) {
+        const value = body.length - 192;
+        length = new Uint8Array([(value >> 8) + 192, value & 0xff]);
+    } else {
+        length = concatBytes(new Uint8Array([0xff]), encodeUint(body.length, 4));
+    }
+    return concatBytes(new Uint8Array([0xc0 | tag]), length, body);
+}
+
+/**
+ * JWKの鍵データをOpenPGPのアルゴリズムIDと公開鍵・秘密鍵のフィールドに変換
+ * @param {Object} jwk - 秘密鍵のJWK
+ * @returns {Object} 鍵パケットのバージョン（version）、アルゴリズムID（algorithm）、公開鍵のフィールド（publicFields）、秘密鍵のフィールド（privateFields）
+ */
+function encodeKeyMaterial(jwk) {
+    const value = (name) => base64UrlDecode(jwk[name]);
+
+    if (jwk.kty === 'RSA') {
+        // OpenPGPはu = p^-1 mod q のため、JWKのp, qを入れ替えるとu = qi になる
+        return {
+            version: 4,
+            algorithm: OPENPGP_ALGORITHMS.rsa,
+            publicFields: concatBytes(encodeMpi(value('n')), encodeMpi(value('e'))),
+            privateFields: concatBytes(encodeMpi(value('d')), encodeMpi(value('q')), encodeMpi(value('p')), encodeMpi(value('qi')))
+        };
+    }
+
+    if (jwk.kty === 'EC' && OPENPGP_CURVE_OIDS[jwk.crv]) {
+        // 公開鍵は非圧縮形式（0x04 || x || y）の点
+        return {
+            version: 4,
+            algorithm: OPENPGP_ALGORITHMS.ecdsa,
+            publicFields: concatBytes(
+                encodeCurveOid(OPENPGP_CURVE_OIDS[jwk.crv]),
+                encodeMpi(concatBytes(new Uint8Array([0x04]), value('x'), value('y')))
+            ),
+            privateFields: encodeMpi(value('d'))
+        };
+    }
+
+    if (jwk.kty === 'OKP' && jwk.crv === 'Ed25519') {
+        // GnuPGとの互換性のため、v4鍵で広く使われているEdDSALegacy（公開鍵は0x40を前置したネイティブ形式）で出力
+        return {
+            version: 4,
+            algorithm: OPENPGP_ALGORITHMS.eddsaLegacy,
+            publicFields: concatBytes(
+                encodeCurveOid(ED25519_LEGACY_OID),
+                encodeMpi(concatBytes(new Uint8Array([0x40]), value('x')))
+            ),
+            privateFields: encodeMpi(value('d'))
+        };
+    }
+
+    if (jwk.kty === 'OKP' && jwk.crv === 'Ed448') {
+        // Ed448（RFC 9580）はv6の鍵でのみ定義されており、MPIを使わず固定長のネイティブ形式
+        return {
+            version: 6,
+            algorithm: OPENPGP_ALGORITHMS.ed448,
+            publicFields: value('x'),
+            privateFields: value('d')
+        };
+    }
+
+    throw new Error(`OpenPGP形式に変換できない鍵です: ${jwk.crv || jwk.kty}`);
+}
+
+/**
+ * JWKから暗号化していない秘密鍵パケット（v4またはv6）を作成
+ * @param {Object} jwk - 秘密鍵のJWK
+ * @param {Date} created - 鍵の作成日時
+ * @returns {Uint8Array} 秘密鍵パケット
+ */
+function encodeSecretKeyPacket(jwk, created) {
+    const { version, algorithm, publicFields, privateFields } = encodeKeyMaterial(jwk);
+    const header = concatBytes(
+        new Uint8Array([version]),
+        encodeUint(Math.floor(created.getTime() / 1000), 4),
+        new Uint8Array([algorithm])
+    );
+
+    if (version === 6) {
+        // v6は公開鍵のフィールドの前に4バイトの長さを置き、暗号化しない秘密鍵にはチェックサムを付けない
+        return encodePacket(SECRET_KEY_PACKET_TAG, concatBytes(
+            header,
+            encodeUint(publicFields.length, 4),
+            publicFields,
+            new Uint8Array([0]),
+            privateFields
+        ));
+    }
+
+    // 秘密鍵のフィールドのチェックサム（各バイトの和の下位16ビット）
+    const checksum = privateFields.reduce((sum, byte) => (sum + byte) & 0xffff, 0);
+    return encodePacket(SECRET_KEY_PACKET_TAG, concatBytes(
+        header,
+        publicFields,
+        // S2K usage 0（暗号化なし。パスフレーズはopenpgp.jsで設定する）
+        new Uint8Array([0]),
+        privateFields,
+        encodeUint(checksum, 2)
+    ));
+}
+
+/**
+ * ユーザーIDを「名前 (コメント) <メールアドレス>」の表記にする
+ * @param {Object} userId - ユーザーID（name, email, comment）
+ * @returns {string} ユーザーIDの文字列
+ */
+export function formatUserId({ name = '', email = '', comment = '' }) {
+    return [
+        name.trim(),
+        comment.trim() && `(${comment.trim()})`,
+        email.trim() && `<${email.trim()}>`
+    ].filter(Boolean).join(' ');
+}
+
+/**
+ * フィンガープリントを4文字ごとに区切った大文字の16進数にする（gpg --fingerprintと同じ形式）
+ * @param {string} fingerprint - フィンガープリント（16進数）
+ * @returns {string} 表示用のフィンガープリント
+ */
+export function formatFingerprint(fingerprint) {
+    return fingerprint.toUpperCase().match(/.{1,4}/g).join(' ');
+}
+
+/**
+ * 有効期限の日時を取得
+ * @param {Date} created - 鍵の作成日時
+ * @param {number} days - 有効期間の日数（0の場合は無期限）
+ * @returns {string|null} 有効期限（ISO 8601形式、無期限の場合はnull）
+ */
+function getExpirationDate(created, days) {
+    return days > 0 ? new Date(created.getTime() + days * SECONDS_PER_DAY * 1000).toISOString() : null;
+}
+
+/**
+ * 鍵の失効証明書を作成
+ * GnuPGが鍵の作成時に保存する失効証明書と同じく、鍵の失効署名のみをASCII Armor形式にする
+ * @param {Object} privateKey - 暗号化していないopenpgp.jsの秘密鍵
+ * @param {string} reason - 失効理由（PGP_REVOCATION_REASONSの値）
+ * @param {string} comment - 失効理由の説明
+ * @param {Date} date - 失効署名の作成日時
+ * @returns {Promise<string>} ASCII Armor形式の失効証明書
+ */
+async function createRevocationCertificate(privateKey, reason, comment, date) {
+    // openpgp.jsは説明を1文字1バイトとして書き込むため、UTF-8のバイト列を文字列にして渡す（読み込み時はUTF-8として復号される）
+    const utf8Comment = String.fromCharCode(...new TextEncoder().encode(comment));
+    const { privateKey: revokedKey } = await openpgp.revokeKey({
+        key: privateKey,
+        reasonForRevocation: { flag: openpgp.enums.reasonForRevocation[reason], string: utf8Comment },
+        date,
+        format: 'object'
+    });
+
+    const packets = new openpgp.PacketList();
+    packets.push(revokedKey.revocationSignatures[0]);
+    return openpgp.armor(openpgp.enums.armor.publicKey, packets.write(), undefined, undefined, 'This is a revocation certificate');
+}
+
+/**
+ * 秘密鍵のJWKを主鍵とするOpenPGPの鍵を作成
+ * 主鍵の鍵データは変更せず、ユーザーIDと自己署名（認証・署名用）を付け、必要に応じて暗号化用の副鍵を生成して追加する
+ * Ed448の主鍵はv6の鍵になり、副鍵はX448のみ追加できる（getPGPSubkeyTypes）
+ * @param {Object} jwk - 秘密鍵のJWK（RSA、ECDSA、Ed25519、Ed448）
+ * @param {Object} options - OpenPGPオプション
+ * @param {Array<Object>} options.userIds - ユーザーID（name, email, comment）の一覧。先頭が主ユーザーID
+ * @param {number} options.keyExpirationDays - 主鍵の有効期間の日数（オプション。0の場合は無期限）
+ * @param {string} options.subkey - 暗号化用の副鍵の種類（オプション。PGP_SUBKEY_TYPESのキー、'none'の場合は追加しない）
+ * @param {number} options.subkeyExpirationDays - 副鍵の有効期間の日数（オプション。0の場合は無期限）
+ * @param {string} options.revocationReason - 失効証明書の失効理由（オプション。PGP_REVOCATION_REASONSの値）
+ * @param {string} options.revocationComment - 失効証明書の失効理由の説明（オプション）
+ * @param {string} options.passphrase - 秘密鍵暗号化用パスフレーズ（オプション）
+ * @param {Date} options.date - 鍵の作成日時（オプション。既定は現在時刻）
+ * @returns {Promise<Object>} ASCII Armor形式の公開鍵と秘密鍵と失効証明書（revocationCertificate）、主鍵のフィンガープリント（fingerprint）・鍵ID（keyId）・有効期限（expires）・公開鍵パケットの本体（publicKeyPacket）、ユーザーID（userIds）、副鍵（subkeys）
+ */
+export async function jwkToOpenPGPKey(jwk, options = {}) {
+    const {
+        userIds = [],
+        keyExpirationDays = 0,
+        subkey = 'none',
+        subkeyExpirationDays = 0,
+        revocationReason = 'noReason',
+        revocationComment = '',
+        passphrase = '',
+        date = new Date()
+    } = options;
+
+    const normalizedUserIds = userIds.map(({ name = '', email = '', comment = '' }) => ({
+        name: name.trim(),
+        email: email.trim(),
+        comment: comment.trim()
+    }));
+    if (normalizedUserIds.length === 0 || normalizedUserIds.some(userId => !userId.name && !userId.email)) {
+        throw new Error('OpenPGPの鍵にはユーザーID（名前またはメールアドレス）が必要です');
+    }
+    if (subkey !== 'none' && !PGP_SUBKEY_TYPES[subkey]) {
+        throw new Error(`未対応のOpenPGPの副鍵です: ${subkey}`);
+    }
+    if (subkey !== 'none' && !getPGPSubkeyTypes(jwk.crv).includes(subkey)) {
+        throw new Error(`この主鍵には追加できないOpenPGPの副鍵です: ${subkey}`);
+    }
+    if (!PGP_REVOCATION_REASONS.includes(revocationReason)) {
+        throw new Error(`未対応の失効理由です: ${revocationReason}`);
+    }
+
+    // 自己署名の日時が鍵の作成日時より前にならないよう、秒単位に切り捨てて揃える
+    const created = new Date(Math.floor(date.getTime() / 1000) * 1000);
+    const key = await openpgp.readPrivateKey({ binaryKey: encodeSecretKeyPacket(jwk, created) });
+    let { privateKey } = await openpgp.reformatKey({
+        privateKey: key,
+        userIDs: normalizedUserIds,
+        keyExpirationTime: keyExpirationDays * SECONDS_PER_DAY,
+        date: created,
+        format: 'object'
+    });
+
+    // 副鍵は暗号化していない状態で追加し、最後に鍵全体をパスフレーズで暗号化する
+    if (subkey !== 'none') {
+        privateKey = await privateKey.addSubkey({
+            ...PGP_SUBKEY_TYPES[subkey],
+            keyExpirationTime: subkeyExpirationDays * SECONDS_PER_DAY,
+            date: created
+        });
+    }
+
+    // 失効署名は主鍵の秘密鍵が必要なため、パスフレーズで暗号化する前に作成する
+    const revocationCertificate = await createRevocationCertificate(privateKey, revocationReason, revocationComment.trim(), created);
+    if (passphrase) {
+        privateKey = await openpgp.encryptKey({ privateKey, passphrase });
+    }
+
+    const publicKey = privateKey.toPublic();
+    return {
+        publicKey: publicKey.armor(),
+        privateKey: privateKey.armor(),
+        revocationCertificate,
+        fingerprint: publicKey.getFingerprint().toUpperCase(),
+        keyId: publicKey.getKeyID().toHex().toUpperCase(),
+        expires: getExpirationDate(created, keyExpirationDays),
+        publicKeyPacket: publicKey.keyPacket.writePublicKey(),
+        userIds: normalizedUserIds.map(formatUserId),
+        subkeys: publicKey.getSubkeys().map(encryptionKey => ({
+            type: subkey,
+            fingerprint: encryptionKey.getFingerprint().toUpperCase(),
+            keyId: encryptionKey.getKeyID().toHex().toUpperCase(),
+            expires: getExpirationDate(created, subkeyExpirationDays)
+        }))
+    };
+}
@@ -0,0 +1,275 @@
+/**
+ * @jest-environment node
+ */
+import { webcrypto } from 'crypto';
+import { generateJwk } from './testHelpers';
+
+// openpgp.jsのNode.js版はjsdom環境では読み込めないためnode環境で実行
+jest.unmock('node-forge');
+jest.unmock('openpgp');
+jest.unmock('./metadata');
+
+// OpenSSLで生成したP-256鍵
+const p256Jwk = {
+    kty: 'EC',
+    crv: 'P-256',
+    x: 'f-tEHlqkyz4UYhxqGU3dWo5XWbGVVVAZ2WY8poKcf5U',
+    y: 'pFXvUcxBM6eW6D3g-q4vb1UgNiCvVYBPl5CzRypl6Z8',
+    d: '5g1fZLGbhh7woAzNcVolzgLeNNbUVN6YAVadCrGkhMY'
+};
+
+const userId = { name: 'Taro Yamada', email: 'taro@example.com', comment: 'work' };
+const userIds = [userId];
+
+describe('OpenPGPテスト', () => {
+    // 自己署名と秘密鍵の暗号化にはWeb Crypto APIの実装が必要
+    // openpgp.jsは読み込み時にWeb Crypto APIを取得するため、実装を設定してから読み込む
+    const cryptoMock = global.crypto;
+    let openpgp;
+    let jwkToOpenPGPKey;
+    let DEFAULT_PGP_OPTIONS;
+    let formatUserId;
+    let formatFingerprint;
+    let importKey;
+    let getOpenPGPFingerprints;
+    let convertImportedKey;
+    beforeAll(() => {
+        global.crypto = webcrypto;
+        openpgp = require('openpgp');
+        ({ jwkToOpenPGPKey, formatUserId, formatFingerprint, DEFAULT_PGP_OPTIONS } = require('./pgp'));
+        ({ importKey } = require('./keyImport'));
+        ({ getOpenPGPFingerprints } = require('./fingerprint'));
+        ({ convertImportedKey } = require('./crypto'));
+    });
+    afterAll(() => {
+        global.crypto = cryptoMock;
+    });
+
+    describe('鍵データをそのまま主鍵にする', () => {
+        // secp256k1はNode.js版のopenpgp.jsでは追加のモジュール（eckey-utils）が必要なため対象外
+        // Ed448はv6の鍵になり、鍵IDはフィンガープリントの上位64ビット
+        test.each([
+            ['RSA', 'rsa', { modulusLength: 2048 }, 4],
+            ['ECDSA P-384', 'ec', { namedCurve: 'P-384' }, 4],
+            ['Ed25519', 'ed25519', undefined, 4],
+            ['Ed448', 'ed448', undefined, 6]
+        ])('%s', async (label, type, options, version) => {
+            const jwk = generateJwk(type, options);
+            const pgp = await jwkToOpenPGPKey(jwk, { userIds, passphrase: 'secret-pass' });
+
+            // 読み込み直した主鍵の鍵データが元のJWKと一致する
+            const imported = await importKey(pgp.privateKey, 'secret-pass');
+            expect(imported.privateJwk).toEqual(jwk);
+
+            const publicKey = await openpgp.readKey({ armoredKey: pgp.publicKey });
+            expect(publicKey.isPrivate()).toBe(false);
+            expect(publicKey.getUserIDs()).toEqual(['Taro Yamada (work) <taro@example.com>']);
+            expect(publicKey.keyPacket.version).toBe(version);
+            expect(publicKey.getFingerprint().toUpperCase()).toBe(pgp.fingerprint);
+            expect(pgp.keyId).toBe(version === 6 ? pgp.fingerprint.slice(0, 16) : pgp.fingerprint.slice(-16));
+            expect(pgp.subkeys).toEqual([]);
+
+            // 公開鍵パケットから計算したフィンガープリントがopenpgp.jsの値と一致する
+            expect(getOpenPGPFingerprints(pgp.publicKeyPacket).slice(0, 2)).toEqual([
+                { type: `openpgpV${version}`, value: pgp.fingerprint },
+                { type: `openpgpV${version}KeyId`, value: pgp.keyId }
+            ]);
+        });
+    });
+
+    describe('ユーザーID・副鍵・有効期限', () => {
+        const date = new Date('2024-01-02T03:04:05Z');
+
+        test('主鍵は認証・署名用、副鍵は暗号化用', async () => {
+            const { keyFlags } = openpgp.enums;
+            const pgp = await jwkToOpenPGPKey(generateJwk('ed25519'), {
+                userIds: [userId, { name: 'Taro Yamada', email: 'taro@home.example' }],
+                keyExpirationDays: 365,
+                subkey: 'curve25519',
+                subkeyExpirationDays: 730,
+                passphrase: 'secret-pass',
+                date
+            });
+            const key = await openpgp.readKey({ armoredKey: pgp.publicKey });
+
+            // 先頭のユーザーIDが主ユーザーID
+            expect(key.getUserIDs()).toEqual(['Taro Yamada (work) <taro@example.com>', 'Taro Yamada <taro@home.example>']);
+            expect(pgp.userIds).toEqual(key.getUserIDs());
+            const { user } = await key.getPrimaryUser(date);
+            expect(user.userID.email).toBe('taro@example.com');
+
+            const [primaryFlags] = user.selfCertifications[0].keyFlags;
+            expect(primaryFlags).toBe(keyFlags.certifyKeys | keyFlags.signData);
+
+            expect(key.getSubkeys()).toHaveLength(1);
+            const [subkey] = key.getSubkeys();
+            expect(subkey.getAlgorithmInfo()).toEqual({ algorithm: 'ecdh', curve: 'curve25519Legacy' });
+            const [subkeyFlags] = subkey.bindingSignatures[0].keyFlags;
+            expect(subkeyFlags).toBe(keyFlags.encryptCommunication | keyFlags.encryptStorage);
+
+            // 有効期限は作成日時からの日数
+            expect(await key.getExpirationTime()).toEqual(new Date('2025-01-01T03:04:05Z'));
+            expect(await subkey.getExpirationTime(date)).toEqual(new Date('2026-01-01T03:04:05Z'));
+            expect(pgp.expires).toBe('2025-01-01T03:04:05.000Z');
+            expect(pgp.subkeys).toEqual([{
+                type: 'curve25519',
+                fingerprint: subkey.getFingerprint().toUpperCase(),
+                keyId: subkey.getKeyID().toHex().toUpperCase(),
+                expires: '2026-01-01T03:04:05.000Z'
+            }]);
+
+            // 副鍵を含めてパスフレーズで暗号化される
+            const privateKey = await openpgp.readPrivateKey({ armoredKey: pgp.privateKey });
+            expect(privateKey.isDecrypted()).toBe(false);
+            const decrypted = await openpgp.decryptKey({ privateKey, passphrase: 'secret-pass' });
+            expect(decrypted.getSubkeys()[0].isDecrypted()).toBe(true);
+        });
+
+        test('副鍵で暗号化したメッセージを復号できる', async () => {
+            const pgp = await jwkToOpenPGPKey(generateJwk('ec', { namedCurve: 'P-256' }), { userIds, subkey: 'nistP256', date });
+            const encrypted = await openpgp.encrypt({
+                message: await openpgp.createMessage({ text: 'secret' }),
+                encryptionKeys: await openpgp.readKey({ armoredKey: pgp.publicKey }),
+                date
+            });
+            const { data } = await openpgp.decrypt({
+                message: await openpgp.readMessage({ armoredMessage: encrypted }),
+                decryptionKeys: await openpgp.readPrivateKey({ armoredKey: pgp.privateKey }),
+                date
+            });
+            expect(data).toBe('secret');
+            expect(pgp.expires).toBeNull();
+        });
+
+        test('Ed448の主鍵はv6の鍵になりX448の副鍵を追加できる', async () => {
+            const jwk = generateJwk('ed448');
+            const pgp = await jwkToOpenPGPKey(jwk, { userIds, subkey: 'x448', passphrase: 'secret-pass', date });
+            const key = await openpgp.readKey({ armoredKey: pgp.publicKey });
+
+            expect(key.keyPacket.version).toBe(6);
+            expect(key.getAlgorithmInfo()).toEqual({ algorithm: 'ed448' });
+            const [subkey] = key.getSubkeys();
+            expect(subkey.keyPacket.version).toBe(6);
+            expect(subkey.getAlgorithmInfo()).toEqual({ algorithm: 'x448' });
+            expect(pgp.subkeys).toEqual([expect.objectContaining({ type: 'x448', keyId: subkey.getKeyID().toHex().toUpperCase() })]);
+
+            const encrypted = await openpgp.encrypt({
+                message: await openpgp.createMessage({ text: 'secret' }),
+                encryptionKeys: key,
+                date
+            });
+            const { data } = await openpgp.decrypt({
+                message: await openpgp.readMessage({ armoredMessage: encrypted }),
+                decryptionKeys: await openpgp.decryptKey({
+                    privateKey: await openpgp.readPrivateKey({ armoredKey: pgp.privateKey }),
+                    passphrase: 'secret-pass'
+                }),
+                date
+            });
+            expect(data).toBe('secret');
+
+            // 読み込み直した主鍵の鍵データが元のJWKと一致する
+            const imported = await importKey(pgp.privateKey, 'secret-pass');
+            expect(imported.privateJwk).toEqual(jwk);
+        });
+    });
+
+    test('失効証明書で鍵を失効できる', async () => {
+        const date = new Date('2024-01-02T03:04:05Z');
+        const pgp = await jwkToOpenPGPKey(generateJwk('ed25519'), {
+            userIds,
+            subkey: 'curve25519',
+            revocationReason: 'keyCompromised',
+            revocationComment: ' 秘密鍵の紛失 ',
+            passphrase: 'secret-pass',
+            date
+        });
+        expect(pgp.revocationCertificate).toMatch(/^-----BEGIN PGP PUBLIC KEY BLOCK-----\nComment: This is a revocation certificate\n/);
+
+        // 失効証明書を取り込むまでは鍵は有効
+        const publicKey = await openpgp.readKey({ armoredKey: pgp.publicKey });
+        expect(await publicKey.isRevoked(null, null, date)).toBe(false);
+
+        const revoked = await openpgp.revokeKey({
+            key: publicKey,
+            revocationCertificate: pgp.revocationCertificate,
+            date,
+            format: 'object'
+        });
+        expect(await revoked.publicKey.isRevoked(null, null, date)).toBe(true);
+
+        const [signature] = revoked.publicKey.revocationSignatures;
+        expect(signature.reasonForRevocationFlag).toBe(openpgp.enums.reasonForRevocation.keyCompromised);
+        expect(signature.reasonForRevocationString).toBe('秘密鍵の紛失');
+        expect(signature.created).toEqual(date);
+    });
+
+    test('作成日時とユーザーIDが同じ場合はフィンガープリントも同じ', async () => {
+        const date = new Date('2024-01-02T03:04:05.678Z');
+        const pgp = await jwkToOpenPGPKey(p256Jwk, { userIds: [{ name: 'Test' }], date });
+        const again = await jwkToOpenPGPKey(p256Jwk, { userIds: [{ email: 'other@example.com' }], date });
+
+        // v4のフィンガープリントは公開鍵パケット（作成日時と鍵データ）のみから計算される
+        expect(pgp.fingerprint).toBe('420C6DD9AEDAE9AAFD63666922DD0B0DD0F0C59E');
+        expect(again.fingerprint).toBe(pgp.fingerprint);
+
+        const key = await openpgp.readKey({ armoredKey: pgp.publicKey });
+        expect(key.getCreationTime()).toEqual(new Date('2024-01-02T03:04:05Z'));
+    });
+
+    test('秘密鍵で署名し公開鍵で検証できる', async () => {
+        const pgp = await jwkToOpenPGPKey(generateJwk('ed25519'), { userIds });
+        const privateKey = await openpgp.readPrivateKey({ armoredKey: pgp.privateKey });
+        expect(privateKey.isDecrypted()).toBe(true);
+
+        const signature = await openpgp.sign({
+            message: await openpgp.createMessage({ text: 'hello' }),
+            signingKeys: privateKey
+        });
+        const { signatures } = await openpgp.verify({
+            message: await openpgp.readMessage({ armoredMessage: signature }),
+            verificationKeys: await openpgp.readKey({ armoredKey: pgp.publicKey })
+        });
+        await expect(signatures[0].verified).resolves.toBe(true);
+    });
+
+    test('読み込んだ鍵を主鍵としてOpenPGP形式に変換', async () => {
+        const { d, ...publicJwk } = p256Jwk;
+        const pgp = await convertImportedKey(
+            { keyType: 'ecdsa', keySize: 'P-256', comment: '', publicJwk, privateJwk: p256Jwk },
+            'pgp',
+            'secret-pass',
+            { pgpOptions: { ...DEFAULT_PGP_OPTIONS, userIds } }
+        );
+
+        const imported = await importKey(pgp.privateKey, 'secret-pass');
+        expect(imported.privateJwk).toEqual(p256Jwk);
+        expect(pgp.userIds).toEqual(['Taro Yamada (work) <taro@example.com>']);
+        expect(pgp.subkeys).toHaveLength(1);
+    });
+
+    test('ユーザーIDがない鍵と変換できない鍵はエラー', async () => {
+        await expect(jwkToOpenPGPKey(p256Jwk, { userIds: [] }))
+            .rejects.toThrow('OpenPGPの鍵にはユーザーID（名前またはメールアドレス）が必要です');
+        await expect(jwkToOpenPGPKey(p256Jwk, { userIds: [userId, { name: ' ', comment: 'work' }] }))
+            .rejects.toThrow('OpenPGPの鍵にはユーザーID（名前またはメールアドレス）が必要です');
+        await expect(jwkToOpenPGPKey(p256Jwk, { userIds, subkey: 'x25519' }))
+            .rejects.toThrow('未対応のOpenPGPの副鍵です: x25519');
+        // v4の主鍵にはX448、v6の主鍵（Ed448）にはv4の副鍵を追加できない
+        await expect(jwkToOpenPGPKey(p256Jwk, { userIds, subkey: 'x448' }))
+            .rejects.toThrow('この主鍵には追加できないOpenPGPの副鍵です: x448');
+        await expect(jwkToOpenPGPKey(generateJwk('ed448'), { userIds, subkey: 'curve25519' }))
+            .rejects.toThrow('この主鍵には追加できないOpenPGPの副鍵です: curve25519');
+        await expect(jwkToOpenPGPKey(p256Jwk, { userIds, revocationReason: 'userIDInvalid' }))
+            .rejects.toThrow('未対応の失効理由です: userIDInvalid');
+        await expect(jwkToOpenPGPKey(generateJwk('x25519'), { userIds }))
+            .rejects.toThrow('OpenPGP形式に変換できない鍵です: X25519');
+    });
+
+    test('ユーザーIDとフィンガープリントの表記', () => {
+        expect(formatUserId(userId)).toBe('Taro Yamada (work) <taro@example.com>');
+        expect(formatUserId({ email: ' taro@example.com ' })).toBe('<taro@example.com>');
+        expect(formatFingerprint('420c6dd9aedae9aafd63666922dd0b0dd0f0c59e'))
+            .toBe('420C 6DD9 AEDA E9AA FD63 6669 22DD 0B0D D0F0 C59E');
+    });
+});
@@ -0,0 +1,255 @@
+/**
+ * PKCS#12（.p12/.pfx、RFC 7292）に関するユーティリティ関数群
+ * 秘密鍵・証明書・証明書チェーンをパスワードで保護した1つのファイルにまとめる
+ * 新しい形式（modern）はOpenSSL 3と同じくPBES2（AES-256-CBC、PBKDF2-HMAC-SHA256）とSHA-256のMACを使い、
+ * 古い形式（legacy）はWindows Server 2016以前や古いJavaでも読み込めるように3DES・RC2とSHA-1のMACを使う
+ */
+import * as forge from 'node-forge';
+import { sha1 } from '@noble/hashes/sha1';
+import {
+    binaryToBytes,
+    bytesToBinary,
+    toDer,
+    oidObject,
+    sequence,
+    octetString,
+    integer,
+    explicit,
+    randomBytes,
+    jwkToPkcs8
+} from './keyEncoding';
+import { encryptPBES2 } from './pbes2';
+
+const asn1 = forge.asn1;
+
+/**
+ * PKCS#7・PKCS#9・PKCS#12関連のOID
+ */
+const OIDS = {
+    data: '1.2.840.113549.1.7.1',
+    encryptedData: '1.2.840.113549.1.7.6',
+    pkcs8ShroudedKeyBag: '1.2.840.113549.1.12.10.1.2',
+    certBag: '1.2.840.113549.1.12.10.1.3',
+    x509Certificate: '1.2.840.113549.1.9.22.1',
+    friendlyName: '1.2.840.113549.1.9.20',
+    localKeyId: '1.2.840.113549.1.9.21',
+    pbeWithSHAAnd3KeyTripleDESCBC: '1.2.840.113549.1.12.1.3',
+    pbeWithSHAAnd40BitRC2CBC: '1.2.840.113549.1.12.1.6',
+    sha1: '1.3.14.3.2.26',
+    sha256: '2.16.840.1.101.3.4.2.1'
+};
+
+/**
+ * 暗号化方式ごとの設定
+ * modernの反復回数はJava keytool（JDK 18以降）の既定値、legacyはOpenSSL 1.1の既定値
+ */
+export const PKCS12_ENCRYPTIONS = {
+    modern: { iterations: 10000, macHash: 'sha256' },
+    legacy: { iterations: 2048, macHash: 'sha1' }
+};
+
+/**
+ * PKCS#12オプションの初期値
+ */
+export const DEFAULT_PKCS12_OPTIONS = {
+    encryption: 'modern',
+    friendlyName: ''
+};
+
+/**
+ * PKCS#12のPBE（鍵導出はRFC 7292 付録B）で使う暗号方式の鍵長とIV長
+ */
+const LEGACY_CIPHERS = {
+    [OIDS.pbeWithSHAAnd3KeyTripleDESCBC]: { keyLength: 24, ivLength: 8 },
+    [OIDS.pbeWithSHAAnd40BitRC2CBC]: { keyLength: 5, ivLength: 8 }
+};
+
+/**
+ * PKCS#12の鍵導出関数の用途（ID）
+ */
+const KDF_IDS = { key: 1, iv: 2, mac: 3 };
+
+/**
+ * PKCS#12の鍵導出関数でパスワードから鍵・IV・MAC鍵を導出
+ * パスワードはnode-forgeがBMPString（UTF-16BE、終端の0x0000付き）に変換する
+ * @param {string} password - パスワード
+ * @param {Uint8Array} salt - ソルト
+ * @param {number} id - 用途（1: 鍵、2: IV、3: MAC鍵）
+ * @param {number} iterations - 反復回数
+ * @param {number} length - 出力のバイト長
+ * @param {string} hash - ハッシュ関数（'sha1'/'sha256'）
+ * @returns {string} 導出したバイト列（バイナリ文字列）
+ */
+function deriveLegacyKey(password, salt, id, iterations, length, hash) {
+    return forge.pkcs12.generateKey(
+        password,
+        forge.util.createBuffer(bytesToBinary(salt)),
+        id,
+        iterations,
+        length,
+        forge.md[hash].create()
+    ).getBytes();
+}
+
+/**
+ * データをPKCS#12のPBE（3DESまたは40ビットRC2）で暗号化
+ * @param {string} oid - 暗号方式のOID
+ * @param {Uint8Array} data - 暗号化するバイト列
+ * @param {string} password - パスワード
+ * @param {number} iterations - 反復回数
+ * @returns {Object} 暗号方式のAlgorithmIdentifier（algorithm）と暗号文（encrypted）
+ */
+function encryptLegacy(oid, data, password, iterations) {
+    const { keyLength, ivLength } = LEGACY_CIPHERS[oid];
+    const salt = randomBytes(8);
+    const key = deriveLegacyKey(password, salt, KDF_IDS.key, iterations, keyLength, 'sha1');
+    const iv = deriveLegacyKey(password, salt, KDF_IDS.iv, iterations, ivLength, 'sha1');
+
+    let cipher;
+    if (oid === OIDS.pbeWithSHAAnd40BitRC2CBC) {
+        cipher = forge.rc2.createEncryptionCipher(key, 40);
+        cipher.start(iv);
+    } else {
+        cipher = forge.cipher.createCipher('3DES-CBC', key);
+        cipher.start({ iv });
+    }
+    cipher.update(forge.util.createBuffer(bytesToBinary(data)));
+    cipher.finish();
+
+    return {
+        algorithm: sequence([oidObject(oid), sequence([octetString(salt), integer(iterations)])]),
+        encrypted: binaryToBytes(cipher.output.getBytes())
+    };
+}
+
+/**
+ * 暗号化方式に応じてデータを暗号化
+ * @param {string} encryption - 暗号化方式（'modern'/'legacy'）
+ * @param {string} legacyOid - legacyで使う暗号方式のOID
+ * @param {Uint8Array} data - 暗号化するバイト列
+ * @param {string} password - パスワード
+ * @returns {Object} 暗号方式のAlgorithmIdentifier（algorithm）と暗号文（encrypted）
+ */
+function encrypt(encryption, legacyOid, data, password) {
+    const { iterations } = PKCS12_ENCRYPTIONS[encryption];
+    return encryption === 'legacy'
+        ? encryptLegacy(legacyOid, data, password, iterations)
+        : encryptPBES2(data, password, { kdf: 'pbkdf2', iterations });
+}
+
+/**
+ * SafeBagの属性（friendlyName、localKeyId）を作成
+ * @param {string} friendlyName - 表示名（空の場合は省略）
+ * @param {Uint8Array} localKeyId - 鍵と証明書を対応付ける識別子
+ * @returns {Object} 属性のSETのASN.1オブジェクト
+ */
+function bagAttributes(friendlyName, localKeyId) {
+    // BMPString（UTF-16BE）への変換はnode-forgeが行う
+    const attribute = (oid, value) => sequence([
+        oidObject(oid),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [value])
+    ]);
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [
+        ...(friendlyName
+            ? [attribute(OIDS.friendlyName, asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BMPSTRING, false, friendlyName))]
+            : []),
+        attribute(OIDS.localKeyId, octetString(localKeyId))
+    ]);
+}
+
+/**
+ * ContentInfoを作成
+ * @param {string} contentType - コンテンツタイプのOID
+ * @param {Object} content - コンテンツのASN.1オブジェクト
+ * @returns {Object} ContentInfoのASN.1オブジェクト
+ */
+function contentInfo(contentType, content) {
+    return sequence([oidObject(contentType), explicit(content)]);
+}
+
+/**
+ * MACを計算してMacDataを作成
+ * @param {Uint8Array} content - MACの対象（AuthenticatedSafeのDER）
+ * @param {string} password - パスワード
+ * @param {Object} settings - 暗号化方式の設定（iterations, macHash）
+ * @returns {Object} MacDataのASN.1オブジェクト
+ */
+function macData(content, password, settings) {
+    const { iterations, macHash } = settings;
+    const salt = randomBytes(macHash === 'sha256' ? 32 : 20);
+    const hmac = forge.hmac.create();
+    const md = forge.md[macHash].create();
+    hmac.start(macHash, deriveLegacyKey(password, salt, KDF_IDS.mac, iterations, md.digestLength, macHash));
+    hmac.update(bytesToBinary(content));
+
+    return sequence([
+        sequence([
+            sequence([oidObject(OIDS[macHash]), asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')]),
+            octetString(binaryToBytes(hmac.digest().getBytes()))
+        ]),
+        octetString(salt),
+        integer(iterations)
+    ]);
+}
+
+/**
+ * 秘密鍵・証明書・証明書チェーンをPKCS#12にまとめる
+ * 秘密鍵と最初の証明書には同じfriendlyNameとlocalKeyId（証明書のSHA-1、OpenSSLと同じ）を付ける
+ * @param {Object} privateJwk - 秘密鍵のJWK
+ * @param {Array<Uint8Array>} certificates - 証明書のDERバイト列（先頭が秘密鍵の証明書、以降はチェーン）
+ * @param {string} password - パスワード
+ * @param {Object} options - PKCS#12オプション
+ * @param {string} options.encryption - 暗号化方式（'modern'/'legacy'）
+ * @param {string} options.friendlyName - 鍵と証明書の表示名（Windowsの証明書ストアやkeytoolの別名に使われる）
+ * @returns {Uint8Array} PKCS#12のDERバイト列
+ */
+export function createPkcs12(privateJwk, certificates, password, options = {}) {
+    const { encryption, friendlyName } = { ...DEFAULT_PKCS12_OPTIONS, ...options };
+    if (!PKCS12_ENCRYPTIONS[encryption]) {
+        throw new Error(`未対応のPKCS#12の暗号化方式です: ${encryption}`);
+    }
+    if (!password) {
+        throw new Error('PKCS#12のパスワードを入力してください');
+    }
+    if (certificates.length === 0) {
+        throw new Error('PKCS#12には証明書が必要です');
+    }
+
+    const localKeyId = sha1(certificates[0]);
+
+    // 証明書は暗号化したSafeContents（EncryptedData）に格納する
+    const certificateBags = toDer(sequence(certificates.map((certificate, index) => sequence([
+        oidObject(OIDS.certBag),
+        explicit(sequence([oidObject(OIDS.x509Certificate), explicit(octetString(certificate))])),
+        ...(index === 0 ? [bagAttributes(friendlyName, localKeyId)] : [])
+    ]))));
+    const encryptedCertificates = encrypt(encryption, OIDS.pbeWithSHAAnd40BitRC2CBC, certificateBags, password);
+
+    // 秘密鍵はEncryptedPrivateKeyInfo（pkcs8ShroudedKeyBag）として平文のSafeContentsに格納する
+    const encryptedKey = encrypt(encryption, OIDS.pbeWithSHAAnd3KeyTripleDESCBC, jwkToPkcs8(privateJwk), password);
+    const keyBags = toDer(sequence([
+        sequence([
+            oidObject(OIDS.pkcs8ShroudedKeyBag),
+            explicit(sequence([encryptedKey.algorithm, octetString(encryptedKey.encrypted)])),
+            bagAttributes(friendlyName, localKeyId)
+        ])
+    ]));
+
+    const authenticatedSafe = toDer(sequence([
+        contentInfo(OIDS.encryptedData, sequence([
+            integer(0),
+            sequence([
+                oidObject(OIDS.data),
+                encryptedCertificates.algorithm,
+                asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, false, bytesToBinary(encryptedCertificates.encrypted))
+            ])
+        ])),
+        contentInfo(OIDS.data, octetString(keyBags))
+    ]));
+
+    return toDer(sequence([
+        integer(3),
+        contentInfo(OIDS.data, octetString(authenticatedSafe)),
+        macData(authenticatedSafe, password, PKCS12_ENCRYPTIONS[encryption])
+    ]));
+}
@@ -0,0 +1,94 @@
+import { createPkcs12, PKCS12_ENCRYPTIONS } from './pkcs12';
+import { decryptPrivateKeyInfo } from './pbes2';
+import { createSelfSignedCertificate, DEFAULT_X509_OPTIONS } from './x509';
+import { binaryToBytes, bytesToBinary, fromDer, toDer, pkcs8ToJwk } from './keyEncoding';
+import { mockRandomValues, generateJwk } from './testHelpers';
+
+jest.unmock('node-forge');
+
+const forge = require('node-forge');
+
+// 鍵に対応する自己署名証明書を作成
+const createCertificate = (jwk, commonName) => createSelfSignedCertificate(jwk, {
+    ...DEFAULT_X509_OPTIONS,
+    subject: { ...DEFAULT_X509_OPTIONS.subject, commonName }
+});
+
+const oidOf = (object) => forge.asn1.derToOid(object.value[0].value);
+
+// node-forgeでPKCS#12を読み込む（legacyのみ対応）
+const readWithForge = (der, password) => forge.pkcs12.pkcs12FromAsn1(fromDer(der), password);
+
+describe('PKCS#12テスト', () => {
+    const jwk = generateJwk('ec', { namedCurve: 'P-256' });
+    const certificate = createCertificate(jwk, 'www.example.com');
+    const rootCertificate = createCertificate(generateJwk('ed25519'), 'Example Root CA');
+
+    beforeEach(() => {
+        mockRandomValues();
+    });
+
+    test('legacy（3DES・RC2、SHA-1のMAC）をnode-forgeで読み込める', () => {
+        const der = createPkcs12(jwk, [certificate, rootCertificate], 'pässword', { encryption: 'legacy', friendlyName: 'サーバー鍵' });
+        const pkcs12 = readWithForge(der, 'pässword');
+
+        const keyBags = pkcs12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag];
+        const certificateBags = pkcs12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag];
+        expect(keyBags).toHaveLength(1);
+        expect(certificateBags).toHaveLength(2);
+
+        // 秘密鍵と最初の証明書だけに同じ表示名とlocalKeyIdを付ける
+        const localKeyId = forge.md.sha1.create().update(bytesToBinary(certificate)).digest().getBytes();
+        expect(keyBags[0].attributes).toEqual({ friendlyName: ['サーバー鍵'], localKeyId: [localKeyId] });
+        expect(certificateBags[0].attributes).toEqual(keyBags[0].attributes);
+        expect(certificateBags[1].attributes).toEqual({});
+
+        // node-forgeが扱えないEC鍵とEd25519の証明書はASN.1のまま取り出される
+        expect(pkcs8ToJwk(toDer(keyBags[0].asn1))).toEqual(jwk);
+        expect(certificateBags.map(bag => toDer(bag.asn1))).toEqual([certificate, rootCertificate]);
+    });
+
+    test('legacyで誤ったパスワードはMACの検証に失敗', () => {
+        const der = createPkcs12(jwk, [certificate], 'password', { encryption: 'legacy' });
+        expect(() => readWithForge(der, 'wrong')).toThrow('PKCS#12 MAC could not be verified');
+    });
+
+    test('modern（PBES2・AES-256、SHA-256のMAC）の構造と復号', () => {
+        const rsaJwk = generateJwk('rsa', { modulusLength: 1024 });
+        const rsaCertificate = createCertificate(rsaJwk, 'rsa');
+        const der = createPkcs12(rsaJwk, [rsaCertificate, rootCertificate], 'password', { encryption: 'modern' });
+
+        const [version, authSafe, mac] = fromDer(der).value;
+        expect(forge.asn1.derToInteger(version.value)).toBe(3);
+        expect(oidOf(mac.value[0].value[0])).toBe('2.16.840.1.101.3.4.2.1');
+        expect(forge.asn1.derToInteger(mac.value[2].value)).toBe(PKCS12_ENCRYPTIONS.modern.iterations);
+
+        const [encryptedCertificates, keys] = fromDer(binaryToBytes(authSafe.value[1].value[0].value)).value;
+        expect(oidOf(encryptedCertificates)).toBe('1.2.840.113549.1.7.6');
+        expect(oidOf(keys)).toBe('1.2.840.113549.1.7.1');
+
+        // 秘密鍵はPBES2で暗号化したEncryptedPrivateKeyInfo
+        const [keyBag] = fromDer(binaryToBytes(keys.value[1].value[0].value)).value;
+        const encryptedKey = keyBag.value[1].value[0];
+        expect(oidOf(encryptedKey.value[0])).toBe('1.2.840.113549.1.5.13');
+        expect(pkcs8ToJwk(decryptPrivateKeyInfo(toDer(encryptedKey), 'password'))).toEqual(rsaJwk);
+
+        // 証明書のSafeContentsも同じPBES2で暗号化する
+        const [, encryptedContentInfo] = encryptedCertificates.value[1].value[0].value;
+        const [, algorithm, content] = encryptedContentInfo.value;
+        const encrypted = forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.OCTETSTRING, false, content.value);
+        const certificateBags = fromDer(decryptPrivateKeyInfo(
+            toDer(forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.SEQUENCE, true, [algorithm, encrypted])),
+            'password'
+        )).value;
+        expect(certificateBags.map(bag => binaryToBytes(bag.value[1].value[0].value[1].value[0].value)))
+            .toEqual([rsaCertificate, rootCertificate]);
+    });
+
+    test('不正なオプションはエラー', () => {
+        expect(() => createPkcs12(jwk, [certificate], 'password', { encryption: 'aes128' }))
+            .toThrow('未対応のPKCS#12の暗号化方式です: aes128');
+        expect(() => createPkcs12(jwk, [certificate], '')).toThrow('PKCS#12のパスワードを入力してください');
+        expect(() => createPkcs12(jwk, [], 'password')).toThrow('PKCS#12には証明書が必要です');
+    });
+});
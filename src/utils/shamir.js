@@ -0,0 +1,292 @@
+/**
+ * Shamirの秘密分散に関するユーティリティ関数群
+ * 秘密鍵（またはそのパスフレーズ）をN個のシェアに分割し、そのうちM個（しきい値）から復元する
+ * 演算はバイトごとにGF(2^8)（AESと同じ既約多項式 x^8 + x^4 + x^3 + x + 1）で行う
+ */
+import * as forge from 'node-forge';
+import { sha256 } from '@noble/hashes/sha2';
+import { bytesToBinary, binaryToBytes } from './keyEncoding';
+import { importKey } from './keyImport';
+import { getSpkiFingerprint } from './fingerprint';
+
+/**
+ * 分割できる秘密の種類（秘密鍵、秘密鍵のパスフレーズ）
+ */
+export const SECRET_KINDS = ['privateKey', 'passphrase'];
+
+/**
+ * シェアの数の上限（GF(2^8)の0以外の元の数）
+ */
+export const MAX_SHARE_COUNT = 255;
+
+/**
+ * シェアのヘッダーとフッター
+ */
+const SHARE_HEADER = '-----BEGIN KOKAI2 SECRET SHARE-----';
+const SHARE_FOOTER = '-----END KOKAI2 SECRET SHARE-----';
+
+/**
+ * テキストからシェアを取り出す正規表現
+ */
+const SHARE_PATTERN = /-----BEGIN KOKAI2 SECRET SHARE-----([\s\S]*?)-----END KOKAI2 SECRET SHARE-----/g;
+
+/**
+ * 復元した秘密の確認用に、分割前の秘密の末尾に付けるSHA-256のバイト数
+ * （シェアには含まれないため、秘密のハッシュ値を公開することにはならない）
+ */
+const SECRET_CHECK_LENGTH = 4;
+
+/**
+ * シェアのチェックサム（SHA-256の先頭）のバイト数
+ */
+const SHARE_CHECKSUM_LENGTH = 4;
+
+/**
+ * 分割した秘密の組を識別するShare-IDのバイト数
+ */
+const SHARE_ID_LENGTH = 4;
+
+/**
+ * GF(2^8)の指数表と対数表（生成元は3）
+ */
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+    EXP[i] = x;
+    EXP[i + 255] = x;
+    LOG[x] = i;
+    // xに生成元3を掛ける（x * 2 + x）
+    x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0);
+}
+
+/**
+ * GF(2^8)の乗算
+ * @param {number} a - 被乗数
+ * @param {number} b - 乗数
+ * @returns {number} 積
+ */
+function mul(a, b) {
+    return a && b ? EXP[LOG[a] + LOG[b]] : 0;
+}
+
+/**
+ * GF(2^8)の除算
+ * @param {number} a - 被除数
+ * @param {number} b - 除数（0以外）
+ * @returns {number} 商
+ */
+function div(a, b) {
+    return a ? EXP[LOG[a] + 255 - LOG[b]] : 0;
+}
+
+/**
+ * バイト列を16進数（大文字）にする
+ * @param {Uint8Array} bytes - バイト列
+ * @returns {string} 16進数
+ */
+function toHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+/**
+ * 秘密のバイト列をシェアに分割
+ * @param {Uint8Array} secret - 秘密
+ * @param {number} threshold - 復元に必要なシェアの数（M）
+ * @param {number} count - シェアの数（N）
+ * @returns {Array<Object>} シェアの番号（index、1から）と値（data）
+ */
+export function splitSecret(secret, threshold, count) {
+    // 定数項が秘密で、残りの係数が乱数の(M-1)次多項式をバイトごとに作る
+    const coefficients = Array.from({ length: threshold - 1 }, () => crypto.getRandomValues(new Uint8Array(secret.length)));
+
+    return Array.from({ length: count }, (_, i) => {
+        const x = i + 1;
+        const data = secret.map((byte, position) => {
+            // ホーナー法で多項式の値を計算
+            let y = 0;
+            for (let j = coefficients.length - 1; j >= 0; j--) {
+                y = mul(y ^ coefficients[j][position], x);
+            }
+            return y ^ byte;
+        });
+        return { index: x, data };
+    });
+}
+
+/**
+ * シェアから秘密のバイト列を復元（ラグランジュ補間でx = 0の値を求める）
+ * @param {Array<Object>} shares - シェアの番号（index）と値（data）
+ * @returns {Uint8Array} 秘密
+ */
+export function combineShares(shares) {
+    const secret = new Uint8Array(shares[0].data.length);
+
+    for (const { index, data } of shares) {
+        // x = 0でのラグランジュ基底多項式の値（GF(2^8)では減算は排他的論理和）
+        const basis = shares
+            .filter(other => other.index !== index)
+            .reduce((product, other) => mul(product, div(other.index, other.index ^ index)), 1);
+        for (let i = 0; i < secret.length; i++) {
+            secret[i] ^= mul(data[i], basis);
+        }
+    }
+
+    return secret;
+}
+
+/**
+ * シェアのチェックサムを計算（Share-IDなどのヘッダーと値を対象とする）
+ * @param {Object} share - シェア（id, kind, index, count, threshold, fingerprint, data）
+ * @returns {string} チェックサム（16進数）
+ */
+function getShareChecksum({ id, kind, index, count, threshold, fingerprint, data }) {
+    const text = [id, kind, `${index}/${count}`, threshold, fingerprint, toHex(data)].join('\n');
+    return toHex(sha256(new TextEncoder().encode(text)).slice(0, SHARE_CHECKSUM_LENGTH));
+}
+
+/**
+ * シェアをテキスト形式にする
+ * @param {Object} share - シェア（id, kind, index, count, threshold, fingerprint, data）
+ * @returns {string} シェアのテキスト
+ */
+function armorShare(share) {
+    const body = forge.util.encode64(bytesToBinary(share.data)).match(/.{1,64}/g);
+
+    return [
+        SHARE_HEADER,
+        `Share-ID: ${share.id}`,
+        `Secret: ${share.kind}`,
+        `Share: ${share.index}/${share.count}`,
+        `Threshold: ${share.threshold}`,
+        `Fingerprint: ${share.fingerprint}`,
+        `Checksum: ${getShareChecksum(share)}`,
+        '',
+        ...body,
+        SHARE_FOOTER
+    ].join('\n');
+}
+
+/**
+ * 秘密鍵またはパスフレーズをシェアに分割
+ * 各シェアにはShare-ID、何番目のシェアか、しきい値、公開鍵のフィンガープリントとチェックサムを記載する
+ * @param {string} secret - 秘密鍵（PEMなどのテキスト）またはパスフレーズ
+ * @param {Object} options - 分割のオプション
+ * @param {number} options.threshold - 復元に必要なシェアの数（M）
+ * @param {number} options.count - シェアの数（N）
+ * @param {string} options.kind - 秘密の種類（'privateKey'/'passphrase'）
+ * @param {string} options.fingerprint - 公開鍵のSubjectPublicKeyInfoのSHA-256フィンガープリント
+ * @returns {Array<Object>} シェア（id, kind, index, count, threshold, fingerprint, text）
+ */
+export function createSecretShares(secret, { threshold, count, kind, fingerprint }) {
+    const bytes = new TextEncoder().encode(secret);
+    const payload = new Uint8Array(bytes.length + SECRET_CHECK_LENGTH);
+    payload.set(bytes);
+    payload.set(sha256(bytes).slice(0, SECRET_CHECK_LENGTH), bytes.length);
+
+    const id = toHex(crypto.getRandomValues(new Uint8Array(SHARE_ID_LENGTH)));
+
+    return splitSecret(payload, threshold, count).map(({ index, data }) => {
+        const share = { id, kind, index, count, threshold, fingerprint, data };
+        return { id, kind, index, count, threshold, fingerprint, text: armorShare(share) };
+    });
+}
+
+/**
+ * テキストからシェアを読み込む（複数のシェアを続けて貼り付けたテキストに対応）
+ * @param {string} text - シェアのテキスト
+ * @returns {Array<Object>} シェア（id, kind, index, count, threshold, fingerprint, data）
+ * @throws {Error} シェアがない場合、形式が正しくない場合、チェックサムが一致しない場合
+ */
+export function parseSecretShares(text) {
+    const blocks = Array.from(text.matchAll(SHARE_PATTERN), match => match[1]);
+    if (blocks.length === 0) {
+        throw new Error('シェアが見つかりません。');
+    }
+
+    return blocks.map((block, i) => {
+        const headers = {};
+        const body = [];
+        for (const line of block.split(/\r?\n/).map(line => line.trim())) {
+            const header = line.match(/^([A-Za-z-]+):\s*(.*)$/);
+            if (header) {
+                headers[header[1]] = header[2];
+            } else if (line) {
+                body.push(line);
+            }
+        }
+
+        const position = (headers.Share || '').match(/^(\d+)\/(\d+)$/);
+        const threshold = Number(headers.Threshold);
+        if (!headers['Share-ID'] || !SECRET_KINDS.includes(headers.Secret) || !position ||
+            !Number.isInteger(threshold) || body.length === 0) {
+            throw new Error(`${i + 1}番目のシェアの形式が正しくありません。`);
+        }
+
+        const share = {
+            id: headers['Share-ID'],
+            kind: headers.Secret,
+            index: Number(position[1]),
+            count: Number(position[2]),
+            threshold,
+            fingerprint: headers.Fingerprint || '',
+            data: binaryToBytes(forge.util.decode64(body.join('')))
+        };
+        if (getShareChecksum(share) !== (headers.Checksum || '').toUpperCase()) {
+            throw new Error(`${i + 1}番目のシェアのチェックサムが一致しません。入力内容を確認してください。`);
+        }
+
+        return share;
+    });
+}
+
+/**
+ * シェアから秘密鍵またはパスフレーズを復元
+ * @param {Array<Object>} shares - parseSecretSharesで読み込んだシェア
+ * @returns {Object} 復元した秘密（secret）と、秘密の種類（kind）、公開鍵のフィンガープリント（fingerprint）、Share-ID（id）
+ * @throws {Error} 別の組のシェアが含まれる場合、シェアが足りない場合、復元した秘密を確認できない場合
+ */
+export function recoverSecret(shares) {
+    const [first] = shares;
+    if (shares.some(share => share.id !== first.id || share.kind !== first.kind ||
+        share.threshold !== first.threshold || share.fingerprint !== first.fingerprint)) {
+        throw new Error('Share-IDが異なるシェアが含まれています。同じ秘密から作成したシェアを入力してください。');
+    }
+
+    // 同じシェアが重複して入力された場合は1つとして扱う
+    const unique = shares.filter((share, i) => shares.findIndex(other => other.index === share.index) === i);
+    if (unique.length < first.threshold) {
+        throw new Error(`復元にはシェアが${first.threshold}個必要です（${unique.length}個入力されています）。`);
+    }
+
+    const payload = combineShares(unique.slice(0, first.threshold));
+    const bytes = payload.slice(0, -SECRET_CHECK_LENGTH);
+    const check = payload.slice(-SECRET_CHECK_LENGTH);
+    if (toHex(sha256(bytes).slice(0, SECRET_CHECK_LENGTH)) !== toHex(check)) {
+        throw new Error('シェアから秘密を復元できませんでした。シェアが正しいか確認してください。');
+    }
+
+    return {
+        id: first.id,
+        kind: first.kind,
+        fingerprint: first.fingerprint,
+        secret: new TextDecoder().decode(bytes)
+    };
+}
+
+/**
+ * 復元した秘密が、分割時の公開鍵に対応するかを確認
+ * 秘密鍵の場合はその公開鍵の、パスフレーズの場合はそのパスフレーズで復号した秘密鍵の公開鍵のフィンガープリントと比較する
+ * @param {Object} recovered - recoverSecretで復元した秘密（kind, secret, fingerprint）
+ * @param {Object} options - 確認のオプション
+ * @param {string} options.passphrase - 秘密鍵のパスフレーズ（秘密鍵が暗号化されている場合）
+ * @param {string} options.privateKey - 暗号化された秘密鍵（パスフレーズを復元した場合）
+ * @returns {Promise<boolean>} フィンガープリントが一致するかどうか
+ * @throws {Error} 秘密鍵を読み込めない場合
+ */
+export async function verifyRecoveredSecret({ kind, secret, fingerprint }, { passphrase = '', privateKey = '' } = {}) {
+    const key = kind === 'passphrase'
+        ? await importKey(privateKey, secret)
+        : await importKey(secret, passphrase);
+
+    return getSpkiFingerprint(key.publicJwk) === fingerprint;
+}
@@ -0,0 +1,193 @@
+/**
+ * JWKの鍵による署名と検証に関するユーティリティ関数群
+ * SSH証明書やX.509証明書の発行に使用する（RSAはnode-forge、ECDSA/EdDSAは@noble/curves）
+ */
+import * as forge from 'node-forge';
+import { p256, p384, p521 } from '@noble/curves/nist';
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { ed25519 } from '@noble/curves/ed25519';
+import { ed448 } from '@noble/curves/ed448';
+import { sha256, sha384, sha512 } from '@noble/hashes/sha2';
+import { base64UrlDecode, bytesToBinary, binaryToBytes, getPublicKeyBytes } from './keyEncoding';
+
+/**
+ * ECDSAの曲線と既定のハッシュ関数
+ */
+const ECDSA_CURVES = {
+    'P-256': { curve: p256, hash: 'SHA-256' },
+    'P-384': { curve: p384, hash: 'SHA-384' },
+    'P-521': { curve: p521, hash: 'SHA-512' },
+    secp256k1: { curve: secp256k1, hash: 'SHA-256' }
+};
+
+/**
+ * ハッシュ関数名と実装の対応
+ */
+const HASHES = {
+    'SHA-256': { noble: sha256, forge: 'sha256' },
+    'SHA-384': { noble: sha384, forge: 'sha384' },
+    'SHA-512': { noble: sha512, forge: 'sha512' }
+};
+
+/**
+ * base64urlの値をnode-forgeの多倍長整数に変換
+ * @param {string} value - base64url文字列
+ * @returns {Object} forge.jsbn.BigInteger
+ */
+function toBigInteger(value) {
+    return new forge.jsbn.BigInteger(forge.util.bytesToHex(bytesToBinary(base64UrlDecode(value))), 16);
+}
+
+/**
+ * 署名に使うハッシュ関数を取得
+ * @param {string} name - ハッシュ関数名（'SHA-256'など）
+ * @returns {Object} ハッシュ関数の実装
+ */
+function getHash(name) {
+    if (!HASHES[name]) {
+        throw new Error(`未対応のハッシュ関数です: ${name}`);
+    }
+    return HASHES[name];
+}
+
+/**
+ * JWKの秘密鍵の既定のハッシュ関数を取得
+ * ECDSAは曲線の強度に合わせ、RSAはSHA-256とする（EdDSAはハッシュ関数を指定しない）
+ * @param {Object} jwk - 秘密鍵のJWK
+ * @returns {string|null} ハッシュ関数名
+ */
+export function getDefaultSignatureHash(jwk) {
+    if (jwk.kty === 'EC') {
+        return ECDSA_CURVES[jwk.crv] ? ECDSA_CURVES[jwk.crv].hash : null;
+    }
+    return jwk.kty === 'RSA' ? 'SHA-256' : null;
+}
+
+/**
+ * RSASSA-PSSの署名方式を作成（ソルト長はハッシュ長、RFC 4055の推奨）
+ * @param {string} algorithm - forgeのハッシュ関数名
+ * @returns {Object} forgeのPSS署名方式
+ */
+function createPssScheme(algorithm) {
+    return forge.pss.create({
+        md: forge.md[algorithm].create(),
+        mgf: forge.mgf.mgf1.create(forge.md[algorithm].create()),
+        saltLength: forge.md[algorithm].create().digestLength
+    });
+}
+
+/**
+ * RSA秘密鍵で署名（RSASSA-PKCS1-v1_5またはRSASSA-PSS）
+ * @param {Object} jwk - RSA秘密鍵のJWK
+ * @param {Uint8Array} data - 署名対象のデータ
+ * @param {string} hash - ハッシュ関数名
+ * @param {string} padding - パディング方式（'pkcs1'/'pss'）
+ * @returns {Uint8Array} 署名
+ */
+function signRSA(jwk, data, hash, padding) {
+    const privateKey = forge.pki.setRsaPrivateKey(
+        ...['n', 'e', 'd', 'p', 'q', 'dp', 'dq', 'qi'].map(name => toBigInteger(jwk[name]))
+    );
+    const algorithm = getHash(hash).forge;
+    const md = forge.md[algorithm].create();
+    md.update(bytesToBinary(data));
+    return binaryToBytes(privateKey.sign(md, padding === 'pss' ? createPssScheme(algorithm) : undefined));
+}
+
+/**
+ * JWKの秘密鍵でデータに署名
+ * ECDSAの署名はrとsを固定長で連結した形式（IEEE P1363）で返す
+ * @param {Object} jwk - 秘密鍵のJWK
+ * @param {Uint8Array} data - 署名対象のデータ
+ * @param {Object} options - 署名オプション
+ * @param {string} options.hash - ハッシュ関数名（省略時は鍵に応じた既定値）
+ * @param {string} options.padding - RSAのパディング方式（'pkcs1'/'pss'、省略時は'pkcs1'）
+ * @returns {Uint8Array} 署名
+ */
+export function signWithJwk(jwk, data, options = {}) {
+    if (!jwk.d) {
+        throw new Error('署名には秘密鍵が必要です');
+    }
+    const hash = options.hash || getDefaultSignatureHash(jwk);
+
+    if (jwk.kty === 'RSA') {
+        return signRSA(jwk, data, hash, options.padding || 'pkcs1');
+    }
+
+    if (jwk.kty === 'EC' && ECDSA_CURVES[jwk.crv]) {
+        const digest = getHash(hash).noble(data);
+        return ECDSA_CURVES[jwk.crv].curve.sign(digest, base64UrlDecode(jwk.d)).toCompactRawBytes();
+    }
+
+    if (jwk.kty === 'OKP' && jwk.crv === 'Ed25519') {
+        return ed25519.sign(data, base64UrlDecode(jwk.d));
+    }
+    if (jwk.kty === 'OKP' && jwk.crv === 'Ed448') {
+        return ed448.sign(data, base64UrlDecode(jwk.d));
+    }
+
+    throw new Error(`署名に対応していない鍵です: ${jwk.kty}/${jwk.crv || ''}`);
+}
+
+/**
+ * RSA公開鍵で署名を検証（RSASSA-PKCS1-v1_5またはRSASSA-PSS）
+ * @param {Object} jwk - RSA公開鍵のJWK
+ * @param {Uint8Array} data - 署名対象のデータ
+ * @param {Uint8Array} signature - 署名
+ * @param {string} hash - ハッシュ関数名
+ * @param {string} padding - パディング方式（'pkcs1'/'pss'）
+ * @returns {boolean} 署名が正しい場合はtrue
+ */
+function verifyRSA(jwk, data, signature, hash, padding) {
+    const publicKey = forge.pki.setRsaPublicKey(toBigInteger(jwk.n), toBigInteger(jwk.e));
+    const algorithm = getHash(hash).forge;
+    const md = forge.md[algorithm].create();
+    md.update(bytesToBinary(data));
+
+    try {
+        return publicKey.verify(md.digest().getBytes(), bytesToBinary(signature),
+            padding === 'pss' ? createPssScheme(algorithm) : undefined);
+    } catch (error) {
+        // forgeはパディングが不正な場合に例外を投げる
+        return false;
+    }
+}
+
+/**
+ * JWKの公開鍵で署名を検証
+ * ECDSAの署名はrとsを固定長で連結した形式（IEEE P1363）で渡す
+ * @param {Object} jwk - 公開鍵（または秘密鍵）のJWK
+ * @param {Uint8Array} data - 署名対象のデータ
+ * @param {Uint8Array} signature - 署名
+ * @param {Object} options - 検証オプション
+ * @param {string} options.hash - ハッシュ関数名（省略時は鍵に応じた既定値）
+ * @param {string} options.padding - RSAのパディング方式（'pkcs1'/'pss'、省略時は'pkcs1'）
+ * @returns {boolean} 署名が正しい場合はtrue
+ */
+export function verifyWithJwk(jwk, data, signature, options = {}) {
+    const hash = options.hash || getDefaultSignatureHash(jwk);
+
+    if (jwk.kty === 'RSA') {
+        return verifyRSA(jwk, data, signature, hash, options.padding || 'pkcs1');
+    }
+
+    let verify;
+    if (jwk.kty === 'EC' && ECDSA_CURVES[jwk.crv]) {
+        const digest = getHash(hash).noble(data);
+        // 他の実装が作成したsの大きい署名も受け入れる
+        verify = () => ECDSA_CURVES[jwk.crv].curve.verify(signature, digest, getPublicKeyBytes(jwk), { lowS: false });
+    } else if (jwk.kty === 'OKP' && jwk.crv === 'Ed25519') {
+        verify = () => ed25519.verify(signature, data, getPublicKeyBytes(jwk));
+    } else if (jwk.kty === 'OKP' && jwk.crv === 'Ed448') {
+        verify = () => ed448.verify(signature, data, getPublicKeyBytes(jwk));
+    } else {
+        throw new Error(`署名に対応していない鍵です: ${jwk.kty}/${jwk.crv || ''}`);
+    }
+
+    try {
+        return verify();
+    } catch (error) {
+        // 署名の長さや値が不正な場合
+        return false;
+    }
+}
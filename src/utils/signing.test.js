@@ -0,0 +1,96 @@
+import { generateKeyPairSync, createPublicKey, sign, verify, constants } from 'crypto';
+import { signWithJwk, verifyWithJwk, getDefaultSignatureHash } from './signing';
+import { generateJwk } from './testHelpers';
+
+jest.unmock('node-forge');
+
+const toPublicKey = (jwk) => createPublicKey({ key: jwk, format: 'jwk' });
+
+const data = new TextEncoder().encode('署名対象のデータ');
+
+describe('署名テスト', () => {
+    describe('RSA', () => {
+        const rsaJwk = generateJwk('rsa', { modulusLength: 1024 });
+
+        test('RSASSA-PKCS1-v1_5で署名', () => {
+            const signature = signWithJwk(rsaJwk, data, { hash: 'SHA-512' });
+            expect(verify('sha512', data, toPublicKey(rsaJwk), signature)).toBe(true);
+        });
+
+        test('RSASSA-PSSで署名（ソルト長はハッシュ長）', () => {
+            const signature = signWithJwk(rsaJwk, data, { padding: 'pss' });
+            expect(verify('sha256', data, {
+                key: toPublicKey(rsaJwk),
+                padding: constants.RSA_PKCS1_PSS_PADDING,
+                saltLength: 32
+            }, signature)).toBe(true);
+        });
+    });
+
+    describe('ECDSA', () => {
+        test.each([
+            ['P-256', 'sha256', 64],
+            ['P-384', 'sha384', 96],
+            ['P-521', 'sha512', 132]
+        ])('%sで曲線に応じたハッシュ関数を使い、rとsを連結した形式で署名', (namedCurve, hash, length) => {
+            const jwk = generateJwk('ec', { namedCurve });
+            const signature = signWithJwk(jwk, data);
+
+            expect(signature.length).toBe(length);
+            expect(verify(hash, data, { key: toPublicKey(jwk), dsaEncoding: 'ieee-p1363' }, signature)).toBe(true);
+        });
+    });
+
+    describe('EdDSA', () => {
+        test.each(['ed25519', 'ed448'])('%sで署名', (type) => {
+            const jwk = generateJwk(type);
+            expect(verify(null, data, toPublicKey(jwk), signWithJwk(jwk, data))).toBe(true);
+        });
+    });
+
+    test('既定のハッシュ関数', () => {
+        expect(getDefaultSignatureHash({ kty: 'RSA' })).toBe('SHA-256');
+        expect(getDefaultSignatureHash({ kty: 'EC', crv: 'P-384' })).toBe('SHA-384');
+        expect(getDefaultSignatureHash({ kty: 'EC', crv: 'secp256k1' })).toBe('SHA-256');
+        expect(getDefaultSignatureHash({ kty: 'OKP', crv: 'Ed25519' })).toBeNull();
+    });
+
+    test('署名できない鍵やハッシュ関数はエラー', () => {
+        const { d, ...publicJwk } = generateJwk('ed25519');
+        expect(() => signWithJwk(publicJwk, data)).toThrow('署名には秘密鍵が必要です');
+        expect(() => signWithJwk({ kty: 'OKP', crv: 'X25519', x: 'AA', d: 'AA' }, data))
+            .toThrow('署名に対応していない鍵です: OKP/X25519');
+        expect(() => signWithJwk(generateJwk('ec', { namedCurve: 'P-256' }), data, { hash: 'SHA-1' }))
+            .toThrow('未対応のハッシュ関数です: SHA-1');
+    });
+
+    describe('署名の検証', () => {
+        test.each([
+            ['RSA', 'rsa', { modulusLength: 1024 }, 'sha384'],
+            ['ECDSA', 'ec', { namedCurve: 'P-256' }, 'sha384'],
+            ['Ed25519', 'ed25519', {}, null]
+        ])('Node.jsで作成した%sの署名を検証', (name, type, keyOptions, hash) => {
+            const { privateKey, publicKey } = generateKeyPairSync(type, keyOptions);
+            const publicJwk = publicKey.export({ format: 'jwk' });
+            const signature = new Uint8Array(sign(hash, data, { key: privateKey, dsaEncoding: 'ieee-p1363' }));
+
+            expect(verifyWithJwk(publicJwk, data, signature, { hash: hash && hash.replace('sha', 'SHA-') })).toBe(true);
+            expect(verifyWithJwk(publicJwk, new TextEncoder().encode('別のデータ'), signature, { hash: hash && hash.replace('sha', 'SHA-') }))
+                .toBe(false);
+        });
+
+        test('RSASSA-PSSとEd448の署名を検証', () => {
+            const rsaJwk = generateJwk('rsa', { modulusLength: 1024 });
+            expect(verifyWithJwk(rsaJwk, data, signWithJwk(rsaJwk, data, { padding: 'pss' }), { padding: 'pss' })).toBe(true);
+            expect(verifyWithJwk(rsaJwk, data, signWithJwk(rsaJwk, data), { padding: 'pss' })).toBe(false);
+
+            const ed448Jwk = generateJwk('ed448');
+            expect(verifyWithJwk(ed448Jwk, data, signWithJwk(ed448Jwk, data))).toBe(true);
+        });
+
+        test('不正な長さの署名は検証に失敗', () => {
+            expect(verifyWithJwk(generateJwk('ec', { namedCurve: 'P-384' }), data, new Uint8Array(10))).toBe(false);
+            expect(verifyWithJwk(generateJwk('ed25519'), data, new Uint8Array(10))).toBe(false);
+        });
+    });
+});
@@ -1,4 +1,5 @@
 import { render } from '@testing-library/react';
+import { randomFillSync, generateKeyPairSync } from 'crypto';
 
 // テストラッパーコンポーネント
 export const renderWithProviders = (ui, options = {}) => {
@@ -49,4 +50,12 @@ export const mockErrorMessages = {
 };
 
 // 非同期処理のヘルパー
-export const waitForAsync = () => new Promise(resolve => setTimeout(resolve, 0)); 
\ No newline at end of file
+export const waitForAsync = () => new Promise(resolve => setTimeout(resolve, 0)); 
+
+// crypto.getRandomValuesのモックにNode.jsの乱数を設定（resetMocksで実装が消えるためテストごとに呼ぶ）
+export const mockRandomValues = () => {
+    global.crypto.getRandomValues.mockImplementation(array => randomFillSync(array));
+};
+
+// Node.jsで生成した鍵をJWKとして取り出す
+export const generateJwk = (type, options) => generateKeyPairSync(type, options).privateKey.export({ format: 'jwk' });
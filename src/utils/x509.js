@@ -0,0 +1,1030 @@
+/**
+ * X.509証明書・失効リスト（RFC 5280）と証明書署名要求（PKCS#10、RFC 2986）に関するユーティリティ関数群
+ * node-forgeはRSA以外の鍵で証明書に署名できないため、ASN.1の構造を直接組み立てて署名する
+ */
+import * as forge from 'node-forge';
+import { sha1 } from '@noble/hashes/sha1';
+import { signWithJwk, verifyWithJwk, getDefaultSignatureHash } from './signing';
+import {
+    binaryToBytes,
+    bytesToBinary,
+    toDer,
+    fromDer,
+    oidObject,
+    sequence,
+    octetString,
+    integer,
+    explicit,
+    randomBytes,
+    unsignedInteger,
+    derToPem,
+    jwkToSpki,
+    spkiToJwk,
+    getPublicKeyBytes
+} from './keyEncoding';
+
+const asn1 = forge.asn1;
+
+/**
+ * 署名アルゴリズムのOID
+ */
+const SIGNATURE_OIDS = {
+    RSA: {
+        'SHA-256': '1.2.840.113549.1.1.11',
+        'SHA-384': '1.2.840.113549.1.1.12',
+        'SHA-512': '1.2.840.113549.1.1.13'
+    },
+    RSA_PSS: '1.2.840.113549.1.1.10',
+    EC: {
+        'SHA-256': '1.2.840.10045.4.3.2',
+        'SHA-384': '1.2.840.10045.4.3.3',
+        'SHA-512': '1.2.840.10045.4.3.4'
+    },
+    Ed25519: '1.3.101.112',
+    Ed448: '1.3.101.113'
+};
+
+/**
+ * RSASSA-PSSのパラメータに使うハッシュ関数のOIDとソルト長（ハッシュ長、RFC 4055）、MGF1のOID
+ */
+const PSS_HASHES = {
+    'SHA-256': { oid: '2.16.840.1.101.3.4.2.1', saltLength: 32 },
+    'SHA-384': { oid: '2.16.840.1.101.3.4.2.2', saltLength: 48 },
+    'SHA-512': { oid: '2.16.840.1.101.3.4.2.3', saltLength: 64 }
+};
+const MGF1_OID = '1.2.840.113549.1.1.8';
+
+/**
+ * 署名アルゴリズムのOIDと名前、ハッシュ関数（CSRの解析に使用）
+ * RSASSA-PSSのハッシュ関数はパラメータから取得する
+ */
+const SIGNATURE_ALGORITHMS = {
+    '1.2.840.113549.1.1.11': { name: 'sha256WithRSAEncryption', hash: 'SHA-256' },
+    '1.2.840.113549.1.1.12': { name: 'sha384WithRSAEncryption', hash: 'SHA-384' },
+    '1.2.840.113549.1.1.13': { name: 'sha512WithRSAEncryption', hash: 'SHA-512' },
+    '1.2.840.113549.1.1.10': { name: 'RSASSA-PSS', hash: null, padding: 'pss' },
+    '1.2.840.10045.4.3.2': { name: 'ecdsa-with-SHA256', hash: 'SHA-256' },
+    '1.2.840.10045.4.3.3': { name: 'ecdsa-with-SHA384', hash: 'SHA-384' },
+    '1.2.840.10045.4.3.4': { name: 'ecdsa-with-SHA512', hash: 'SHA-512' },
+    '1.3.101.112': { name: 'Ed25519', hash: null },
+    '1.3.101.113': { name: 'Ed448', hash: null }
+};
+
+/**
+ * CSRの属性（PKCS#9）のOID
+ */
+const ATTRIBUTE_OIDS = {
+    challengePassword: '1.2.840.113549.1.9.7',
+    extensionRequest: '1.2.840.113549.1.9.14'
+};
+
+/**
+ * 識別名（DN）の属性（出力順）とOID、文字列型（asn1.Typeの名前）
+ */
+const NAME_ATTRIBUTES = [
+    { name: 'country', oid: '2.5.4.6', type: 'PRINTABLESTRING' },
+    { name: 'state', oid: '2.5.4.8', type: 'UTF8' },
+    { name: 'locality', oid: '2.5.4.7', type: 'UTF8' },
+    { name: 'organization', oid: '2.5.4.10', type: 'UTF8' },
+    { name: 'organizationalUnit', oid: '2.5.4.11', type: 'UTF8' },
+    { name: 'commonName', oid: '2.5.4.3', type: 'UTF8' },
+    { name: 'email', oid: '1.2.840.113549.1.9.1', type: 'IA5STRING' }
+];
+
+/**
+ * 証明書拡張のOID
+ */
+const EXTENSION_OIDS = {
+    subjectKeyIdentifier: '2.5.29.14',
+    keyUsage: '2.5.29.15',
+    subjectAltName: '2.5.29.17',
+    basicConstraints: '2.5.29.19',
+    authorityKeyIdentifier: '2.5.29.35',
+    extKeyUsage: '2.5.29.37',
+    nameConstraints: '2.5.29.30',
+    cRLNumber: '2.5.29.20',
+    reasonCode: '2.5.29.21'
+};
+
+/**
+ * CAの鍵用途（証明書とCRLへの署名）
+ */
+const CA_KEY_USAGE = ['digitalSignature', 'keyCertSign', 'cRLSign'];
+
+/**
+ * 失効理由（CRLReason）のコード
+ */
+export const REVOCATION_REASONS = {
+    unspecified: 0,
+    keyCompromise: 1,
+    cACompromise: 2,
+    affiliationChanged: 3,
+    superseded: 4,
+    cessationOfOperation: 5
+};
+
+/**
+ * 鍵用途（KeyUsage）のビット位置
+ */
+const KEY_USAGE_BITS = {
+    digitalSignature: 0,
+    nonRepudiation: 1,
+    keyEncipherment: 2,
+    dataEncipherment: 3,
+    keyAgreement: 4,
+    keyCertSign: 5,
+    cRLSign: 6
+};
+
+/**
+ * 証明書の用途ごとの拡張鍵用途（ExtendedKeyUsage）のOIDと鍵用途
+ * RSA鍵ではTLSサーバーとS/MIMEで鍵暗号化（keyEncipherment）も許可する
+ */
+export const X509_PROFILES = {
+    'tls-server': { extKeyUsage: '1.3.6.1.5.5.7.3.1', keyUsage: ['digitalSignature'], rsaKeyUsage: ['keyEncipherment'] },
+    'tls-client': { extKeyUsage: '1.3.6.1.5.5.7.3.2', keyUsage: ['digitalSignature'], rsaKeyUsage: [] },
+    smime: { extKeyUsage: '1.3.6.1.5.5.7.3.4', keyUsage: ['digitalSignature'], rsaKeyUsage: ['keyEncipherment'] },
+    'code-signing': { extKeyUsage: '1.3.6.1.5.5.7.3.3', keyUsage: ['digitalSignature'], rsaKeyUsage: [] }
+};
+
+/**
+ * 証明書オプションの初期値
+ */
+export const DEFAULT_X509_OPTIONS = {
+    profile: 'tls-server',
+    subject: {
+        commonName: '',
+        organization: '',
+        organizationalUnit: '',
+        locality: '',
+        state: '',
+        country: ''
+    },
+    dnsNames: [],
+    ipAddresses: [],
+    emailAddresses: [],
+    validDays: 365,
+    serial: ''
+};
+
+/**
+ * ASN.1のBIT STRINGを作成
+ * @param {Uint8Array} bytes - バイト列
+ * @param {number} unusedBits - 末尾の未使用ビット数
+ * @returns {Object} BIT STRINGのASN.1オブジェクト
+ */
+function bitString(bytes, unusedBits = 0) {
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false,
+        String.fromCharCode(unusedBits) + bytesToBinary(bytes));
+}
+
+/**
+ * 識別名（Name）を作成
+ * @param {Object} name - 属性名と値（commonName, organizationなど）
+ * @returns {Object} NameのASN.1オブジェクト
+ */
+function encodeName(name) {
+    return sequence(NAME_ATTRIBUTES
+        .filter(attribute => name[attribute.name])
+        .map(attribute => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [
+            sequence([
+                oidObject(attribute.oid),
+                // UTF8Stringはforgeが文字列をそのまま書き出すため、UTF-8のバイト列に変換する
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type[attribute.type], false,
+                    attribute.type === 'UTF8' ? forge.util.encodeUtf8(name[attribute.name]) : name[attribute.name])
+            ])
+        ])));
+}
+
+/**
+ * 有効期間の日時を作成
+ * RFC 5280: 2049年まではUTCTime、2050年以降はGeneralizedTime
+ * @param {Date} date - 日時
+ * @returns {Object} UTCTimeまたはGeneralizedTimeのASN.1オブジェクト
+ */
+function encodeTime(date) {
+    return date.getUTCFullYear() < 2050
+        ? asn1.create(asn1.Class.UNIVERSAL, asn1.Type.UTCTIME, false, asn1.dateToUtcTime(date))
+        : asn1.create(asn1.Class.UNIVERSAL, asn1.Type.GENERALIZEDTIME, false, asn1.dateToGeneralizedTime(date));
+}
+
+/**
+ * 証明書拡張を作成
+ * @param {string} oid - 拡張のOID
+ * @param {boolean} critical - 重要（critical）フラグ
+ * @param {Object} value - 拡張の値のASN.1オブジェクト
+ * @returns {Object} ExtensionのASN.1オブジェクト
+ */
+function extension(oid, critical, value) {
+    return sequence([
+        oidObject(oid),
+        ...(critical ? [asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BOOLEAN, false, '\xff')] : []),
+        octetString(asn1.toDer(value).getBytes())
+    ]);
+}
+
+/**
+ * 鍵用途（KeyUsage）のBIT STRINGを作成
+ * @param {Array<string>} usages - 鍵用途の名前
+ * @returns {Object} BIT STRINGのASN.1オブジェクト
+ */
+function encodeKeyUsage(usages) {
+    const bits = usages.map(usage => KEY_USAGE_BITS[usage]);
+    const bytes = new Uint8Array(Math.floor(Math.max(...bits) / 8) + 1);
+    bits.forEach(bit => {
+        bytes[bit >> 3] |= 0x80 >> (bit & 7);
+    });
+    // DERでは末尾の0のビットを未使用ビットとして除く
+    const lastByte = bytes[bytes.length - 1];
+    let unusedBits = 0;
+    while (unusedBits < 7 && !(lastByte & (1 << unusedBits))) {
+        unusedBits++;
+    }
+    return bitString(bytes, unusedBits);
+}
+
+/**
+ * サブジェクト代替名（SubjectAltName）を作成
+ * @param {Object} options - 証明書オプション（dnsNames, ipAddresses, emailAddresses）
+ * @returns {Object} GeneralNamesのASN.1オブジェクト
+ */
+function encodeSubjectAltName({ dnsNames = [], ipAddresses = [], emailAddresses = [] }) {
+    return sequence([
+        // rfc822Name [1]、dNSName [2]、iPAddress [7]
+        ...emailAddresses.map(email => asn1.create(asn1.Class.CONTEXT_SPECIFIC, 1, false, email)),
+        ...dnsNames.map(dns => asn1.create(asn1.Class.CONTEXT_SPECIFIC, 2, false, dns)),
+        ...ipAddresses.map(ip => {
+            const bytes = forge.util.bytesFromIP(ip);
+            if (!bytes) {
+                throw new Error(`IPアドレスの形式が正しくありません: ${ip}`);
+            }
+            return asn1.create(asn1.Class.CONTEXT_SPECIFIC, 7, false, bytes);
+        })
+    ]);
+}
+
+/**
+ * 証明書の用途とサブジェクト代替名の拡張を作成（証明書とCSRで共通）
+ * @param {Object} jwk - 証明書の鍵のJWK
+ * @param {Object} settings - 証明書オプション（profile, subject, dnsNames, ipAddresses, emailAddresses）
+ * @returns {Array<Object>} ExtensionのASN.1オブジェクト（keyUsage, extKeyUsage, subjectAltName）
+ */
+function profileExtensions(jwk, settings) {
+    const profile = X509_PROFILES[settings.profile];
+    if (!profile) {
+        throw new Error(`不正な証明書の用途です: ${settings.profile}`);
+    }
+
+    const keyUsage = jwk.kty === 'RSA'
+        ? [...profile.keyUsage, ...profile.rsaKeyUsage]
+        : profile.keyUsage;
+    const hasAltNames = settings.dnsNames.length + settings.ipAddresses.length + settings.emailAddresses.length > 0;
+
+    return [
+        extension(EXTENSION_OIDS.keyUsage, true, encodeKeyUsage(keyUsage)),
+        extension(EXTENSION_OIDS.extKeyUsage, false, sequence([oidObject(profile.extKeyUsage)])),
+        // RFC 5280: サブジェクトが空の場合はサブジェクト代替名を重要（critical）とする
+        ...(hasAltNames
+            ? [extension(EXTENSION_OIDS.subjectAltName, !settings.subject.commonName, encodeSubjectAltName(settings))]
+            : [])
+    ];
+}
+
+/**
+ * 公開鍵の鍵識別子（RFC 5280 4.2.1.2の方法1: 公開鍵のSHA-1）を計算
+ * @param {Object} jwk - 公開鍵または秘密鍵のJWK
+ * @returns {Uint8Array} 鍵識別子
+ */
+function keyIdentifier(jwk) {
+    return sha1(getPublicKeyBytes(jwk));
+}
+
+/**
+ * 署名に使うハッシュ関数とRSAのパディング方式を取得
+ * RSAはRSAオプションのアルゴリズムとハッシュ関数に合わせ、RSA-PSS以外はPKCS#1 v1.5で署名する
+ * @param {Object} jwk - 署名に使う秘密鍵のJWK
+ * @param {Object} rsaOptions - RSAオプション（algorithm, hash、省略時はSHA-256のPKCS#1 v1.5）
+ * @returns {Object} ハッシュ関数名（hash、EdDSAの場合はnull）とパディング方式（padding）
+ */
+function getSignatureScheme(jwk, rsaOptions) {
+    if (jwk.kty === 'RSA' && rsaOptions) {
+        return {
+            hash: rsaOptions.hash || getDefaultSignatureHash(jwk),
+            padding: rsaOptions.algorithm === 'RSA-PSS' ? 'pss' : 'pkcs1'
+        };
+    }
+    return { hash: getDefaultSignatureHash(jwk), padding: 'pkcs1' };
+}
+
+/**
+ * ハッシュ関数のAlgorithmIdentifierを作成（RFC 4055: SHA-2のパラメータは省略する）
+ * @param {string} hash - ハッシュ関数名
+ * @returns {Object} AlgorithmIdentifierのASN.1オブジェクト
+ */
+function hashAlgorithm(hash) {
+    return sequence([oidObject(PSS_HASHES[hash].oid)]);
+}
+
+/**
+ * 署名アルゴリズムのAlgorithmIdentifierを作成
+ * @param {Object} jwk - 署名に使う秘密鍵のJWK
+ * @param {Object} scheme - 署名方式（hash: ハッシュ関数名、padding: RSAのパディング方式）
+ * @returns {Object} AlgorithmIdentifierのASN.1オブジェクト
+ */
+function signatureAlgorithm(jwk, { hash, padding }) {
+    if (jwk.kty === 'RSA' && padding === 'pss') {
+        // RFC 4055: RSASSA-PSS-params（ソルト長はハッシュ長、trailerFieldは既定値のため省略）
+        return sequence([
+            oidObject(SIGNATURE_OIDS.RSA_PSS),
+            sequence([
+                explicit(hashAlgorithm(hash)),
+                explicit(sequence([oidObject(MGF1_OID), hashAlgorithm(hash)]), 1),
+                explicit(integer(PSS_HASHES[hash].saltLength), 2)
+            ])
+        ]);
+    }
+    if (jwk.kty === 'RSA') {
+        // RFC 4055: sha*WithRSAEncryptionのパラメータはNULL
+        return sequence([
+            oidObject(SIGNATURE_OIDS.RSA[hash]),
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+        ]);
+    }
+    if (jwk.kty === 'EC') {
+        return sequence([oidObject(SIGNATURE_OIDS.EC[hash])]);
+    }
+    if (jwk.kty === 'OKP' && SIGNATURE_OIDS[jwk.crv]) {
+        return sequence([oidObject(SIGNATURE_OIDS[jwk.crv])]);
+    }
+    throw new Error(`証明書の署名に対応していない鍵です: ${jwk.kty}/${jwk.crv || ''}`);
+}
+
+/**
+ * 署名アルゴリズムのAlgorithmIdentifierを解析
+ * @param {Object} algorithm - AlgorithmIdentifierのASN.1オブジェクト
+ * @returns {Object|null} 名前（name）、ハッシュ関数名（hash）、RSAのパディング方式（padding）（未対応の場合はnull）
+ */
+function parseSignatureAlgorithm(algorithm) {
+    const info = SIGNATURE_ALGORITHMS[asn1.derToOid(algorithm.value[0].value)];
+    if (!info || info.padding !== 'pss') {
+        return info ? { padding: 'pkcs1', ...info } : null;
+    }
+
+    // RSASSA-PSS-paramsのhashAlgorithm（省略時はSHA-1のため未対応）
+    const params = algorithm.value[1] ? algorithm.value[1].value : [];
+    const hashField = params.find(field => field.tagClass === asn1.Class.CONTEXT_SPECIFIC && field.type === 0);
+    const hashOid = hashField && asn1.derToOid(hashField.value[0].value[0].value);
+    const hash = Object.keys(PSS_HASHES).find(name => PSS_HASHES[name].oid === hashOid);
+    return hash ? { ...info, hash } : null;
+}
+
+/**
+ * 署名対象のASN.1構造をDERにして署名
+ * ECDSAの署名はDERのSEQUENCE（r, s）に変換する（RFC 5480）
+ * @param {Object} jwk - 署名に使う秘密鍵のJWK
+ * @param {Object} tbs - 署名対象のASN.1オブジェクト
+ * @param {Object} scheme - 署名方式（hash: ハッシュ関数名、padding: RSAのパディング方式）
+ * @returns {Object} 署名のBIT STRING
+ */
+function signStructure(jwk, tbs, scheme) {
+    let signature = signWithJwk(jwk, toDer(tbs), scheme);
+
+    if (jwk.kty === 'EC') {
+        const half = signature.length / 2;
+        signature = toDer(sequence([
+            unsignedInteger(signature.slice(0, half)),
+            unsignedInteger(signature.slice(half))
+        ]));
+    }
+
+    return bitString(signature);
+}
+
+/**
+ * 16進数のシリアル番号をバイト列に変換（未指定の場合は128ビットの乱数）
+ * @param {string} serial - 16進数のシリアル番号
+ * @returns {Uint8Array} シリアル番号のバイト列
+ */
+function serialNumberBytes(serial) {
+    if (serial) {
+        return binaryToBytes(forge.util.hexToBytes(serial.length % 2 ? `0${serial}` : serial));
+    }
+    const bytes = randomBytes(16);
+    // RFC 5280: シリアル番号は正の整数
+    bytes[0] = (bytes[0] & 0x7f) | 0x01;
+    return bytes;
+}
+
+/**
+ * 鍵ペアの秘密鍵で自己署名したX.509 v3証明書を作成
+ * @param {Object} privateJwk - 秘密鍵のJWK（RSA、ECDSA、Ed25519、Ed448）
+ * @param {Object} options - 証明書オプション
+ * @param {string} options.profile - 証明書の用途（'tls-server'/'tls-client'/'smime'/'code-signing'）
+ * @param {Object} options.subject - サブジェクトの識別名（commonName, organizationなど）
+ * @param {Array<string>} options.dnsNames - サブジェクト代替名のDNS名
+ * @param {Array<string>} options.ipAddresses - サブジェクト代替名のIPアドレス
+ * @param {Array<string>} options.emailAddresses - サブジェクト代替名のメールアドレス
+ * @param {number} options.validDays - 有効日数
+ * @param {string} options.serial - 16進数のシリアル番号（省略時は乱数）
+ * @param {Object} options.rsaOptions - RSA鍵で署名する場合の署名方式（algorithm, hash、省略時はSHA-256のPKCS#1 v1.5）
+ * @param {Date} notBefore - 有効期間の開始（省略時は現在時刻）
+ * @returns {Uint8Array} 証明書のDERバイト列
+ */
+export function createSelfSignedCertificate(privateJwk, options, notBefore = new Date()) {
+    return issueCertificate({ privateJwk }, privateJwk, options, notBefore);
+}
+
+/**
+ * 証明書のDERをPEM形式に変換
+ * @param {Uint8Array} der - 証明書のDERバイト列
+ * @returns {string} PEM形式の証明書
+ */
+export function certificateToPem(der) {
+    return derToPem(der, 'CERTIFICATE');
+}
+
+/**
+ * CSRの属性を作成
+ * @param {string} oid - 属性のOID
+ * @param {Object} value - 属性値のASN.1オブジェクト
+ * @returns {Object} AttributeのASN.1オブジェクト
+ */
+function attribute(oid, value) {
+    return sequence([
+        oidObject(oid),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [value])
+    ]);
+}
+
+/**
+ * 鍵ペアの秘密鍵で署名した証明書署名要求（PKCS#10）を作成
+ * 証明書の用途とサブジェクト代替名は拡張要求（extensionRequest）として含める
+ * @param {Object} privateJwk - 秘密鍵のJWK（RSA、ECDSA、Ed25519、Ed448）
+ * @param {Object} options - CSRオプション
+ * @param {string} options.profile - 証明書の用途（'tls-server'/'tls-client'/'smime'/'code-signing'）
+ * @param {Object} options.subject - サブジェクトの識別名（commonName, organizationなど）
+ * @param {Array<string>} options.dnsNames - サブジェクト代替名のDNS名
+ * @param {Array<string>} options.ipAddresses - サブジェクト代替名のIPアドレス
+ * @param {Array<string>} options.emailAddresses - サブジェクト代替名のメールアドレス
+ * @param {string} options.challengePassword - チャレンジパスワード（省略可）
+ * @param {Object} options.rsaOptions - RSA鍵で署名する場合の署名方式（algorithm, hash、省略時はSHA-256のPKCS#1 v1.5）
+ * @returns {Uint8Array} CSRのDERバイト列
+ */
+export function createCertificationRequest(privateJwk, options) {
+    const settings = { ...DEFAULT_X509_OPTIONS, challengePassword: '', ...options };
+    const scheme = getSignatureScheme(privateJwk, settings.rsaOptions);
+    const algorithm = signatureAlgorithm(privateJwk, scheme);
+
+    const certificationRequestInfo = sequence([
+        // version: v1（0）
+        integer(0),
+        encodeName(settings.subject),
+        asn1.fromDer(bytesToBinary(jwkToSpki(privateJwk))),
+        asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+            ...(settings.challengePassword
+                ? [attribute(ATTRIBUTE_OIDS.challengePassword, asn1.create(asn1.Class.UNIVERSAL, asn1.Type.UTF8, false,
+                    forge.util.encodeUtf8(settings.challengePassword)))]
+                : []),
+            attribute(ATTRIBUTE_OIDS.extensionRequest, sequence(profileExtensions(privateJwk, settings)))
+        ])
+    ]);
+
+    return toDer(sequence([certificationRequestInfo, algorithm, signStructure(privateJwk, certificationRequestInfo, scheme)]));
+}
+
+/**
+ * CSRのDERをPEM形式に変換
+ * @param {Uint8Array} der - CSRのDERバイト列
+ * @returns {string} PEM形式のCSR
+ */
+export function certificationRequestToPem(der) {
+    return derToPem(der, 'CERTIFICATE REQUEST');
+}
+
+/**
+ * ASN.1の文字列型の値を取得（UTF8StringはUTF-8として復号）
+ * @param {Object} object - 文字列型のASN.1オブジェクト
+ * @returns {string} 文字列
+ */
+function readString(object) {
+    return object.type === asn1.Type.UTF8 ? forge.util.decodeUtf8(object.value) : object.value;
+}
+
+/**
+ * 識別名（Name）を解析
+ * @param {Object} object - NameのASN.1オブジェクト
+ * @returns {Object} 属性名と値（commonName, organizationなど）
+ */
+function parseName(object) {
+    const name = {};
+    object.value.forEach(set => set.value.forEach(pair => {
+        const oid = asn1.derToOid(pair.value[0].value);
+        const known = NAME_ATTRIBUTES.find(attribute => attribute.oid === oid);
+        name[known ? known.name : oid] = readString(pair.value[1]);
+    }));
+    return name;
+}
+
+/**
+ * 証明書拡張を解析
+ * @param {Array<Object>} extensions - ExtensionのASN.1オブジェクト
+ * @returns {Object} サブジェクト代替名（dnsNames, ipAddresses, emailAddresses）、鍵用途（keyUsage）、証明書の用途（profile）など
+ */
+function parseExtensions(extensions) {
+    const result = {
+        dnsNames: [],
+        ipAddresses: [],
+        emailAddresses: [],
+        keyUsage: [],
+        extKeyUsage: [],
+        profile: null,
+        ca: false,
+        pathLength: null,
+        permittedDnsNames: [],
+        excludedDnsNames: [],
+        subjectKeyId: null,
+        authorityKeyId: null
+    };
+
+    extensions.forEach(object => {
+        const oid = asn1.derToOid(object.value[0].value);
+        const value = asn1.fromDer(object.value[object.value.length - 1].value);
+
+        if (oid === EXTENSION_OIDS.subjectAltName) {
+            value.value.forEach(name => {
+                if (name.type === 1) {
+                    result.emailAddresses.push(name.value);
+                } else if (name.type === 2) {
+                    result.dnsNames.push(name.value);
+                } else if (name.type === 7) {
+                    result.ipAddresses.push(forge.util.bytesToIP(name.value));
+                }
+            });
+        } else if (oid === EXTENSION_OIDS.keyUsage) {
+            // forgeは内容がDERとして解釈できる場合に分解するため、元のバイト列を優先する
+            const bytes = binaryToBytes(value.bitStringContents || value.value).slice(1);
+            result.keyUsage = Object.keys(KEY_USAGE_BITS)
+                .filter(usage => bytes[KEY_USAGE_BITS[usage] >> 3] & (0x80 >> (KEY_USAGE_BITS[usage] & 7)));
+        } else if (oid === EXTENSION_OIDS.extKeyUsage) {
+            result.extKeyUsage = value.value.map(usage => asn1.derToOid(usage.value));
+            result.profile = Object.keys(X509_PROFILES)
+                .find(profile => result.extKeyUsage.includes(X509_PROFILES[profile].extKeyUsage)) || null;
+        } else if (oid === EXTENSION_OIDS.basicConstraints) {
+            value.value.forEach(item => {
+                if (item.type === asn1.Type.BOOLEAN) {
+                    result.ca = item.value !== '\x00';
+                } else if (item.type === asn1.Type.INTEGER) {
+                    result.pathLength = asn1.derToInteger(item.value);
+                }
+            });
+        } else if (oid === EXTENSION_OIDS.nameConstraints) {
+            // permittedSubtrees [0]、excludedSubtrees [1]のdNSNameのみ取り出す
+            value.value.forEach(subtrees => {
+                const names = subtrees.value
+                    .map(subtree => subtree.value[0])
+                    .filter(name => name.type === 2)
+                    .map(name => name.value);
+                result[subtrees.type === 0 ? 'permittedDnsNames' : 'excludedDnsNames'] = names;
+            });
+        } else if (oid === EXTENSION_OIDS.subjectKeyIdentifier) {
+            result.subjectKeyId = forge.util.bytesToHex(value.value);
+        } else if (oid === EXTENSION_OIDS.authorityKeyIdentifier) {
+            const keyId = value.value.find(item => item.type === 0);
+            result.authorityKeyId = keyId ? forge.util.bytesToHex(keyId.value) : null;
+        }
+    });
+
+    return result;
+}
+
+/**
+ * ECDSAのDER形式の署名（SEQUENCE（r, s））をrとsの連結に変換
+ * @param {Uint8Array} signature - DER形式の署名
+ * @param {number} length - 曲線の座標のバイト長
+ * @returns {Uint8Array} rとsを連結した署名
+ */
+function ecdsaSignatureToRaw(signature, length) {
+    const raw = new Uint8Array(length * 2);
+    fromDer(signature).value.forEach((integer, index) => {
+        const bytes = binaryToBytes(integer.value).slice(-length);
+        raw.set(bytes, (index + 1) * length - bytes.length);
+    });
+    return raw;
+}
+
+/**
+ * PEM形式またはDERのCSRを解析して署名を検証
+ * @param {string|Uint8Array} input - PEM形式のCSRまたはDERバイト列
+ * @returns {Object} サブジェクト（subject）、公開鍵（publicJwk）、サブジェクト代替名、鍵用途、チャレンジパスワード、署名アルゴリズム、署名の検証結果（signatureValid）
+ */
+export function parseCertificationRequest(input) {
+    let der = input;
+    if (typeof input === 'string') {
+        let messages = [];
+        try {
+            messages = forge.pem.decode(input);
+        } catch (error) {
+            // PEM形式でない場合は下でエラーにする
+        }
+        const message = messages.find(pem => /CERTIFICATE REQUEST$/.test(pem.type));
+        if (!message) {
+            throw new Error('CSRの形式が正しくありません');
+        }
+        der = binaryToBytes(message.body);
+    }
+
+    const object = fromDer(der);
+    const [info, algorithm, signatureBits] = object.value;
+    if (!info || !signatureBits || info.value.length < 3) {
+        throw new Error('CSRの形式が正しくありません');
+    }
+
+    const publicJwk = spkiToJwk(toDer(info.value[2]));
+    const attributes = info.value[3] ? info.value[3].value : [];
+    let challengePassword = '';
+    let extensions = [];
+    attributes.forEach(attr => {
+        const oid = asn1.derToOid(attr.value[0].value);
+        const [value] = attr.value[1].value;
+        if (oid === ATTRIBUTE_OIDS.challengePassword) {
+            challengePassword = readString(value);
+        } else if (oid === ATTRIBUTE_OIDS.extensionRequest) {
+            extensions = value.value;
+        }
+    });
+
+    const signatureInfo = parseSignatureAlgorithm(algorithm);
+    let signatureValid = false;
+    if (signatureInfo) {
+        try {
+            let signature = binaryToBytes(signatureBits.bitStringContents || signatureBits.value).slice(1);
+            if (publicJwk.kty === 'EC') {
+                signature = ecdsaSignatureToRaw(signature, getPublicKeyBytes(publicJwk).length >> 1);
+            }
+            signatureValid = verifyWithJwk(publicJwk, toDer(info), signature, {
+                hash: signatureInfo.hash,
+                padding: signatureInfo.padding
+            });
+        } catch (error) {
+            // 署名の形式が不正な場合や鍵と署名アルゴリズムが一致しない場合
+            signatureValid = false;
+        }
+    }
+
+    const { dnsNames, ipAddresses, emailAddresses, keyUsage, extKeyUsage, profile } = parseExtensions(extensions);
+    return {
+        subject: parseName(info.value[1]),
+        publicJwk,
+        dnsNames,
+        ipAddresses,
+        emailAddresses,
+        keyUsage,
+        extKeyUsage,
+        profile,
+        challengePassword,
+        signatureAlgorithm: signatureInfo ? signatureInfo.name : asn1.derToOid(algorithm.value[0].value),
+        signatureValid
+    };
+}
+
+/**
+ * DNS名がCAの名前制約（dNSName）に含まれるかを判定
+ * 先頭が「.」の制約はサブドメインのみ、それ以外はドメイン自身とサブドメインに一致する
+ * @param {string} name - DNS名（ワイルドカードを含む）
+ * @param {string} constraint - 名前制約のDNS名
+ * @returns {boolean} 含まれる場合はtrue
+ */
+export function matchesDnsConstraint(name, constraint) {
+    const target = name.toLowerCase();
+    const base = constraint.toLowerCase();
+    if (base.startsWith('.')) {
+        return target.endsWith(base);
+    }
+    return target === base || target.endsWith(`.${base}`);
+}
+
+/**
+ * 名前制約の拡張（NameConstraints）を作成
+ * @param {Array<string>} permitted - 許可するDNS名
+ * @param {Array<string>} excluded - 除外するDNS名
+ * @returns {Object} NameConstraintsのASN.1オブジェクト
+ */
+function encodeNameConstraints(permitted, excluded) {
+    const subtrees = (tag, names) => asn1.create(asn1.Class.CONTEXT_SPECIFIC, tag, true,
+        names.map(name => sequence([asn1.create(asn1.Class.CONTEXT_SPECIFIC, 2, false, name)])));
+    return sequence([
+        ...(permitted.length > 0 ? [subtrees(0, permitted)] : []),
+        ...(excluded.length > 0 ? [subtrees(1, excluded)] : [])
+    ]);
+}
+
+/**
+ * PEM形式またはDERの証明書をASN.1オブジェクトとして読み込む
+ * @param {string|Uint8Array} input - PEM形式の証明書またはDERバイト列
+ * @returns {Object} 証明書のASN.1オブジェクト
+ */
+function readCertificate(input) {
+    let der = input;
+    if (typeof input === 'string') {
+        let messages = [];
+        try {
+            messages = forge.pem.decode(input);
+        } catch (error) {
+            // PEM形式でない場合は下でエラーにする
+        }
+        const message = messages.find(pem => pem.type === 'CERTIFICATE');
+        if (!message) {
+            throw new Error('証明書の形式が正しくありません');
+        }
+        der = binaryToBytes(message.body);
+    }
+
+    const object = fromDer(der);
+    const tbs = object.value[0];
+    if (!tbs || !tbs.value || tbs.value.length < 7) {
+        throw new Error('証明書の形式が正しくありません');
+    }
+    return object;
+}
+
+/**
+ * 有効期間の日時を読み込む
+ * @param {Object} object - UTCTimeまたはGeneralizedTimeのASN.1オブジェクト
+ * @returns {Date} 日時
+ */
+function readTime(object) {
+    return object.type === asn1.Type.UTCTIME
+        ? asn1.utcTimeToDate(object.value)
+        : asn1.generalizedTimeToDate(object.value);
+}
+
+/**
+ * PEM形式またはDERの証明書を解析
+ * @param {string|Uint8Array} input - PEM形式の証明書またはDERバイト列
+ * @returns {Object} サブジェクト（subject）、発行者（issuer）、16進数のシリアル番号（serial）、有効期間、公開鍵（publicJwk）、拡張の内容
+ */
+export function parseCertificate(input) {
+    const tbs = readCertificate(input).value[0];
+    // version [0]は省略される場合がある（v1）
+    const fields = tbs.value[0].tagClass === asn1.Class.CONTEXT_SPECIFIC ? tbs.value.slice(1) : tbs.value;
+    const [serial, algorithm, issuer, validity, subject, spki] = fields;
+    const extensions = fields.find(field => field.tagClass === asn1.Class.CONTEXT_SPECIFIC && field.type === 3);
+    const signatureOid = asn1.derToOid(algorithm.value[0].value);
+
+    return {
+        subject: parseName(subject),
+        issuer: parseName(issuer),
+        serial: forge.util.bytesToHex(serial.value).replace(/^(00)+(?=.)/, ''),
+        notBefore: readTime(validity.value[0]),
+        notAfter: readTime(validity.value[1]),
+        publicJwk: spkiToJwk(toDer(spki)),
+        signatureAlgorithm: SIGNATURE_ALGORITHMS[signatureOid] ? SIGNATURE_ALGORITHMS[signatureOid].name : signatureOid,
+        ...parseExtensions(extensions ? extensions.value[0].value : [])
+    };
+}
+
+/**
+ * 発行者（CA）の識別名と鍵識別子を取得
+ * @param {Object} issuer - 発行者（privateJwk、自己署名以外はcertificate）
+ * @param {Object} subjectName - 自己署名の場合に使うサブジェクトの識別名のASN.1オブジェクト
+ * @returns {Object} 識別名（name）、鍵識別子（keyId）、発行者の証明書の内容（certificate）
+ */
+function getIssuerInfo(issuer, subjectName) {
+    if (!issuer.certificate) {
+        return { name: subjectName, keyId: keyIdentifier(issuer.privateJwk), certificate: null };
+    }
+
+    const tbs = readCertificate(issuer.certificate).value[0];
+    const certificate = parseCertificate(issuer.certificate);
+    if (getPublicKeyBytes(certificate.publicJwk).join() !== getPublicKeyBytes(issuer.privateJwk).join()) {
+        throw new Error('CAの証明書と秘密鍵が一致しません');
+    }
+    return {
+        // 発行者名はCA証明書のサブジェクトをそのまま使う
+        name: tbs.value[5],
+        keyId: certificate.subjectKeyId
+            ? binaryToBytes(forge.util.hexToBytes(certificate.subjectKeyId))
+            : keyIdentifier(issuer.privateJwk),
+        certificate
+    };
+}
+
+/**
+ * 発行者のCA証明書の制約（CAフラグ、パス長、名前制約）を確認
+ * @param {Object} certificate - 発行者の証明書の内容
+ * @param {Object} settings - 発行する証明書のオプション
+ */
+function checkIssuerConstraints(certificate, settings) {
+    if (!certificate.ca) {
+        throw new Error('発行者の証明書はCA証明書ではありません');
+    }
+    if (settings.ca && certificate.pathLength === 0) {
+        throw new Error('発行者のパス長制約により下位のCA証明書は発行できません');
+    }
+
+    const violated = settings.dnsNames.find(name => (
+        (certificate.permittedDnsNames.length > 0
+            && !certificate.permittedDnsNames.some(constraint => matchesDnsConstraint(name, constraint)))
+        || certificate.excludedDnsNames.some(constraint => matchesDnsConstraint(name, constraint))
+    ));
+    if (violated !== undefined) {
+        throw new Error(`DNS名がCAの名前制約に違反しています: ${violated}`);
+    }
+}
+
+/**
+ * 下位のCA証明書の名前制約に発行者の名前制約を引き継ぐ
+ * 許可するDNS名は発行者の許可する範囲内に限り（指定しない場合は発行者と同じ）、除外するDNS名は発行者の分を加える
+ * チェーンの各CAの制約が直下のCA証明書に集まるため、リーフ証明書は発行者の制約だけを確認すればよい
+ * @param {Object} certificate - 発行者の証明書の内容
+ * @param {Object} settings - 発行するCA証明書のオプション
+ * @returns {Object} 許可するDNS名（permittedDnsNames）と除外するDNS名（excludedDnsNames）
+ */
+function inheritNameConstraints(certificate, settings) {
+    let permittedDnsNames = settings.permittedDnsNames;
+    if (certificate.permittedDnsNames.length > 0) {
+        if (permittedDnsNames.length === 0) {
+            permittedDnsNames = certificate.permittedDnsNames;
+        }
+        // 先頭が「.」の制約はサブドメインのみのため、発行者の同じ制約か、そのサブドメインであれば範囲内とする
+        const outside = permittedDnsNames.find(name => !certificate.permittedDnsNames.some(constraint => (
+            name.toLowerCase() === constraint.toLowerCase()
+            || matchesDnsConstraint(name.replace(/^\./, ''), constraint)
+        )));
+        if (outside !== undefined) {
+            throw new Error(`発行者の名前制約で許可されていないDNS名は許可できません: ${outside}`);
+        }
+    }
+
+    return {
+        permittedDnsNames,
+        excludedDnsNames: [...new Set([...certificate.excludedDnsNames, ...settings.excludedDnsNames])]
+    };
+}
+
+/**
+ * 下位のCA証明書のパス長制約に発行者のパス長制約を引き継ぐ
+ * 発行者にパス長制約がある場合は発行者のパス長より1小さい値を上限とする（指定しない場合は上限の値）
+ * チェーンの途中のCA証明書にも制約が残るため、下位のCAは発行者のパス長だけを確認すればよい
+ * @param {Object} certificate - 発行者の証明書の内容
+ * @param {Object} settings - 発行するCA証明書のオプション
+ * @returns {number|null} パス長制約（nullの場合は制限なし）
+ */
+function inheritPathLength(certificate, settings) {
+    if (certificate.pathLength === null) {
+        return settings.pathLength;
+    }
+    const maxPathLength = certificate.pathLength - 1;
+    return Math.min(settings.pathLength ?? maxPathLength, maxPathLength);
+}
+
+/**
+ * 発行者（CA）の秘密鍵で署名したX.509 v3証明書を作成
+ * CA証明書の場合はbasicConstraints（cA、パス長）と名前制約（発行者のパス長制約と名前制約を引き継ぐ）を付け、鍵用途を証明書とCRLへの署名とする
+ * @param {Object} issuer - 発行者
+ * @param {Object} issuer.privateJwk - 発行者の秘密鍵のJWK
+ * @param {string|Uint8Array} issuer.certificate - 発行者のCA証明書（省略時は自己署名）
+ * @param {Object} subjectJwk - 証明書に含める公開鍵（または秘密鍵）のJWK
+ * @param {Object} options - 証明書オプション
+ * @param {boolean} options.ca - CA証明書の場合はtrue
+ * @param {number|null} options.pathLength - CA証明書のパス長制約（nullの場合は制限なし）
+ * @param {Array<string>} options.permittedDnsNames - CA証明書の名前制約で許可するDNS名
+ * @param {Array<string>} options.excludedDnsNames - CA証明書の名前制約で除外するDNS名
+ * @param {string} options.profile - CA証明書以外の証明書の用途
+ * @param {Object} options.subject - サブジェクトの識別名
+ * @param {Array<string>} options.dnsNames - サブジェクト代替名のDNS名
+ * @param {Array<string>} options.ipAddresses - サブジェクト代替名のIPアドレス
+ * @param {Array<string>} options.emailAddresses - サブジェクト代替名のメールアドレス
+ * @param {number} options.validDays - 有効日数
+ * @param {string} options.serial - 16進数のシリアル番号（省略時は乱数）
+ * @param {Object} options.rsaOptions - RSA鍵で署名する場合の署名方式（algorithm, hash、省略時はSHA-256のPKCS#1 v1.5）
+ * @param {Date} notBefore - 有効期間の開始（省略時は現在時刻）
+ * @returns {Uint8Array} 証明書のDERバイト列
+ */
+export function issueCertificate(issuer, subjectJwk, options, notBefore = new Date()) {
+    const settings = {
+        ...DEFAULT_X509_OPTIONS,
+        ca: false,
+        pathLength: null,
+        permittedDnsNames: [],
+        excludedDnsNames: [],
+        ...options
+    };
+    const name = encodeName(settings.subject);
+    const issuerInfo = getIssuerInfo(issuer, name);
+    if (issuerInfo.certificate) {
+        checkIssuerConstraints(issuerInfo.certificate, settings);
+        if (settings.ca) {
+            Object.assign(settings, inheritNameConstraints(issuerInfo.certificate, settings));
+            settings.pathLength = inheritPathLength(issuerInfo.certificate, settings);
+        }
+    }
+
+    const notAfter = new Date(notBefore.getTime() + settings.validDays * 24 * 60 * 60 * 1000);
+    const scheme = getSignatureScheme(issuer.privateJwk, settings.rsaOptions);
+    const algorithm = signatureAlgorithm(issuer.privateJwk, scheme);
+    const hasNameConstraints = settings.permittedDnsNames.length + settings.excludedDnsNames.length > 0;
+
+    const typeExtensions = settings.ca
+        ? [
+            extension(EXTENSION_OIDS.basicConstraints, true, sequence([
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BOOLEAN, false, '\xff'),
+                ...(Number.isInteger(settings.pathLength)
+                    ? [integer(settings.pathLength)]
+                    : [])
+            ])),
+            extension(EXTENSION_OIDS.keyUsage, true, encodeKeyUsage(CA_KEY_USAGE)),
+            // RFC 5280: 名前制約は重要（critical）とする
+            ...(hasNameConstraints
+                ? [extension(EXTENSION_OIDS.nameConstraints, true,
+                    encodeNameConstraints(settings.permittedDnsNames, settings.excludedDnsNames))]
+                : [])
+        ]
+        : [
+            extension(EXTENSION_OIDS.basicConstraints, true, sequence([])),
+            ...profileExtensions(subjectJwk, settings)
+        ];
+
+    const tbsCertificate = sequence([
+        // version: v3（2）
+        explicit(integer(2)),
+        unsignedInteger(serialNumberBytes(settings.serial)),
+        algorithm,
+        issuerInfo.name,
+        sequence([encodeTime(notBefore), encodeTime(notAfter)]),
+        name,
+        asn1.fromDer(bytesToBinary(jwkToSpki(subjectJwk))),
+        explicit(sequence([
+            ...typeExtensions,
+            extension(EXTENSION_OIDS.subjectKeyIdentifier, false, octetString(keyIdentifier(subjectJwk))),
+            extension(EXTENSION_OIDS.authorityKeyIdentifier, false, sequence([
+                asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, false, bytesToBinary(issuerInfo.keyId))
+            ]))
+        ]), 3)
+    ]);
+
+    return toDer(sequence([tbsCertificate, algorithm, signStructure(issuer.privateJwk, tbsCertificate, scheme)]));
+}
+
+/**
+ * 発行者（CA）の秘密鍵で署名した証明書失効リスト（CRL v2）を作成
+ * @param {Object} issuer - 発行者（privateJwk, certificate）
+ * @param {Array<Object>} revoked - 失効した証明書（serial: 16進数のシリアル番号、date: 失効日時、reason: 失効理由）
+ * @param {Object} options - CRLオプション
+ * @param {number} options.crlNumber - CRL番号
+ * @param {number} options.nextUpdateDays - 次回更新までの日数
+ * @param {Date} thisUpdate - 発行日時（省略時は現在時刻）
+ * @returns {Uint8Array} CRLのDERバイト列
+ */
+export function createCertificateRevocationList(issuer, revoked, options, thisUpdate = new Date()) {
+    const { crlNumber = 1, nextUpdateDays = 30 } = options;
+    const issuerInfo = getIssuerInfo(issuer, null);
+    if (!issuerInfo.certificate || !issuerInfo.certificate.ca) {
+        throw new Error('発行者の証明書はCA証明書ではありません');
+    }
+
+    const nextUpdate = new Date(thisUpdate.getTime() + nextUpdateDays * 24 * 60 * 60 * 1000);
+    const scheme = getSignatureScheme(issuer.privateJwk);
+    const algorithm = signatureAlgorithm(issuer.privateJwk, scheme);
+    const entries = revoked.map(entry => {
+        const reason = REVOCATION_REASONS[entry.reason] || 0;
+        return sequence([
+            unsignedInteger(serialNumberBytes(entry.serial)),
+            encodeTime(entry.date),
+            // RFC 5280: 理由が不明（unspecified）の場合は理由コードを省略する
+            ...(reason
+                ? [sequence([
+                    extension(EXTENSION_OIDS.reasonCode, false,
+                        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.ENUMERATED, false, String.fromCharCode(reason)))
+                ])]
+                : [])
+        ]);
+    });
+
+    const tbsCertList = sequence([
+        // version: v2（1）
+        integer(1),
+        algorithm,
+        issuerInfo.name,
+        encodeTime(thisUpdate),
+        encodeTime(nextUpdate),
+        ...(entries.length > 0 ? [sequence(entries)] : []),
+        explicit(sequence([
+            extension(EXTENSION_OIDS.authorityKeyIdentifier, false, sequence([
+                asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, false, bytesToBinary(issuerInfo.keyId))
+            ])),
+            extension(EXTENSION_OIDS.cRLNumber, false, integer(crlNumber))
+        ]))
+    ]);
+
+    return toDer(sequence([tbsCertList, algorithm, signStructure(issuer.privateJwk, tbsCertList, scheme)]));
+}
+
+/**
+ * CRLのDERをPEM形式に変換
+ * @param {Uint8Array} der - CRLのDERバイト列
+ * @returns {string} PEM形式のCRL
+ */
+export function crlToPem(der) {
+    return derToPem(der, 'X509 CRL');
+}
@@ -0,0 +1,387 @@
+import * as forge from 'node-forge';
+import { createPublicKey, X509Certificate } from 'crypto';
+import {
+    createSelfSignedCertificate,
+    certificateToPem,
+    createCertificationRequest,
+    certificationRequestToPem,
+    parseCertificationRequest,
+    issueCertificate,
+    parseCertificate as parseCertificateInfo,
+    createCertificateRevocationList,
+    crlToPem,
+    matchesDnsConstraint,
+    X509_PROFILES,
+    DEFAULT_X509_OPTIONS
+} from './x509';
+import { fromDer } from './keyEncoding';
+import { mockRandomValues, generateJwk } from './testHelpers';
+
+jest.unmock('node-forge');
+
+// Node.jsで証明書を読み込む
+const parseCertificate = (der) => new X509Certificate(Buffer.from(der));
+
+// 証明書・CSRの署名アルゴリズムのOIDを取得
+const getSignatureOid = (der) => forge.asn1.derToOid(fromDer(der).value[1].value[0].value);
+
+// OpenSSLで作成したCSR（openssl req -new -newkey ec -pkeyopt ec_paramgen_curve:P-384 -subj /CN=ec）
+const opensslCsr = `-----BEGIN CERTIFICATE REQUEST-----
+MIIBBDCBjAIBADANMQswCQYDVQQDDAJlYzB2MBAGByqGSM49AgEGBSuBBAAiA2IA
+BJcG+zpdf1f/MjmViwDI0JFftpLuiJjqtU3ySwPvzaBpJDGyZczP58/hbVbV4LFJ
+dQVgqPE5rPZgEYNFo7Bt1r5ZhvGgfiU6t0Mfgej8SeV5887min2Kban3rzFUkFQq
+lKAAMAoGCCqGSM49BAMCA2cAMGQCMEeN3VzslJnWEE+mMZCYrPtzhYBWLqmvQ2Cy
+yZPviur+x6Q+m8V1QrKXe1hesPR7UAIwJ6AY5J/BCzwCIBHebuhv+L/o7ktWnxRz
+S3VBpBHcGp2IKJPEhk3qnnLux7fGrxs9
+-----END CERTIFICATE REQUEST-----`;
+
+const options = {
+    ...DEFAULT_X509_OPTIONS,
+    subject: { ...DEFAULT_X509_OPTIONS.subject, commonName: 'www.example.com', organization: 'Example Inc.', country: 'JP' },
+    dnsNames: ['www.example.com', '*.example.com'],
+    ipAddresses: ['192.0.2.1', '2001:db8::1'],
+    emailAddresses: ['admin@example.com']
+};
+
+describe('X.509証明書テスト', () => {
+    beforeEach(() => {
+        mockRandomValues();
+    });
+
+    test.each([
+        ['RSA', 'rsa', { modulusLength: 1024 }],
+        ['ECDSA P-256', 'ec', { namedCurve: 'P-256' }],
+        ['ECDSA P-384', 'ec', { namedCurve: 'P-384' }],
+        ['ECDSA P-521', 'ec', { namedCurve: 'P-521' }],
+        ['Ed25519', 'ed25519', {}],
+        ['Ed448', 'ed448', {}]
+    ])('%sの鍵で自己署名', (name, type, keyOptions) => {
+        const jwk = generateJwk(type, keyOptions);
+        const certificate = parseCertificate(createSelfSignedCertificate(jwk, options));
+        const publicKey = createPublicKey({ key: jwk, format: 'jwk' });
+
+        expect(certificate.verify(publicKey)).toBe(true);
+        expect(certificate.publicKey.equals(publicKey)).toBe(true);
+        expect(certificate.subject).toBe('C=JP\nO=Example Inc.\nCN=www.example.com');
+        expect(certificate.issuer).toBe(certificate.subject);
+        expect(certificate.ca).toBe(false);
+    });
+
+    test.each([
+        ['RSASSA-PKCS1-v1_5', 'SHA-256', '1.2.840.113549.1.1.11', 'sha256WithRSAEncryption'],
+        ['RSASSA-PKCS1-v1_5', 'SHA-384', '1.2.840.113549.1.1.12', 'sha384WithRSAEncryption'],
+        ['RSA-OAEP', 'SHA-512', '1.2.840.113549.1.1.13', 'sha512WithRSAEncryption'],
+        ['RSA-PSS', 'SHA-384', '1.2.840.113549.1.1.10', 'RSASSA-PSS']
+    ])('RSAオプション（%s/%s）に合わせて署名', (algorithm, hash, oid, name) => {
+        const jwk = generateJwk('rsa', { modulusLength: 1024 });
+        const rsaOptions = { algorithm, hash, publicExponent: 65537 };
+        const der = createSelfSignedCertificate(jwk, { ...options, rsaOptions });
+        const csr = createCertificationRequest(jwk, { ...options, rsaOptions });
+
+        expect(getSignatureOid(der)).toBe(oid);
+        expect(parseCertificate(der).verify(createPublicKey({ key: jwk, format: 'jwk' }))).toBe(true);
+        expect(parseCertificateInfo(der).signatureAlgorithm).toBe(name);
+        expect(getSignatureOid(csr)).toBe(oid);
+        expect(parseCertificationRequest(csr)).toMatchObject({ signatureAlgorithm: name, signatureValid: true });
+    });
+
+    test('サブジェクト代替名と拡張鍵用途', () => {
+        const certificate = parseCertificate(createSelfSignedCertificate(generateJwk('ed25519'), options));
+
+        expect(certificate.subjectAltName).toBe(
+            'email:admin@example.com, DNS:www.example.com, DNS:*.example.com, IP Address:192.0.2.1, IP Address:2001:DB8:0:0:0:0:0:1'
+        );
+        expect(certificate.checkHost('api.example.com')).toBe('*.example.com');
+        expect(certificate.checkIP('192.0.2.1')).toBe('192.0.2.1');
+        expect(certificate.keyUsage).toEqual([X509_PROFILES['tls-server'].extKeyUsage]);
+    });
+
+    test.each(Object.keys(X509_PROFILES))('%sの用途', (profile) => {
+        const certificate = parseCertificate(createSelfSignedCertificate(generateJwk('ec', { namedCurve: 'P-256' }), { ...options, profile }));
+        expect(certificate.keyUsage).toEqual([X509_PROFILES[profile].extKeyUsage]);
+    });
+
+    test('有効期間とシリアル番号', () => {
+        const notBefore = new Date('2049-06-01T00:00:00Z');
+        const certificate = parseCertificate(createSelfSignedCertificate(
+            generateJwk('ed25519'),
+            { ...options, validDays: 730, serial: '1f' },
+            notBefore
+        ));
+
+        // 2050年以降はGeneralizedTimeで書き出す
+        expect(new Date(certificate.validFrom)).toEqual(notBefore);
+        expect(new Date(certificate.validTo)).toEqual(new Date('2051-06-01T00:00:00Z'));
+        expect(certificate.serialNumber).toBe('1F');
+    });
+
+    test('シリアル番号を省略した場合は正の乱数', () => {
+        const certificate = parseCertificate(createSelfSignedCertificate(generateJwk('ed25519'), options));
+        expect(certificate.serialNumber).toMatch(/^[0-7][0-9A-F]{31}$/);
+    });
+
+    test('日本語のサブジェクトとPEM形式', () => {
+        const der = createSelfSignedCertificate(generateJwk('ed25519'), {
+            ...options,
+            subject: { ...options.subject, organization: '株式会社サンプル' }
+        });
+        const pem = certificateToPem(der);
+
+        expect(pem).toMatch(/^-----BEGIN CERTIFICATE-----\r?\n[A-Za-z0-9+/=\r\n]+-----END CERTIFICATE-----/);
+        expect(new X509Certificate(pem).subject).toContain('O=株式会社サンプル');
+    });
+
+    test('不正な用途と署名できない鍵はエラー', () => {
+        expect(() => createSelfSignedCertificate(generateJwk('ed25519'), { ...options, profile: 'unknown' }))
+            .toThrow('不正な証明書の用途です: unknown');
+        expect(() => createSelfSignedCertificate(generateJwk('x25519'), options))
+            .toThrow();
+    });
+});
+
+describe('証明書署名要求（CSR）テスト', () => {
+    beforeEach(() => {
+        mockRandomValues();
+    });
+
+    test.each([
+        ['RSA', 'rsa', { modulusLength: 1024 }, 'sha256WithRSAEncryption'],
+        ['ECDSA P-384', 'ec', { namedCurve: 'P-384' }, 'ecdsa-with-SHA384'],
+        ['ECDSA secp256k1', 'ec', { namedCurve: 'secp256k1' }, 'ecdsa-with-SHA256'],
+        ['Ed25519', 'ed25519', {}, 'Ed25519'],
+        ['Ed448', 'ed448', {}, 'Ed448']
+    ])('%sの鍵で署名したCSRを解析', (name, type, keyOptions, signatureAlgorithm) => {
+        const jwk = generateJwk(type, keyOptions);
+        const { d, p, q, dp, dq, qi, ...publicJwk } = jwk;
+        const pem = certificationRequestToPem(createCertificationRequest(jwk, { ...options, challengePassword: 'pässword' }));
+
+        expect(pem).toMatch(/^-----BEGIN CERTIFICATE REQUEST-----\r?\n/);
+        expect(parseCertificationRequest(pem)).toEqual({
+            subject: { country: 'JP', organization: 'Example Inc.', commonName: 'www.example.com' },
+            publicJwk,
+            dnsNames: options.dnsNames,
+            ipAddresses: options.ipAddresses,
+            emailAddresses: options.emailAddresses,
+            keyUsage: type === 'rsa' ? ['digitalSignature', 'keyEncipherment'] : ['digitalSignature'],
+            extKeyUsage: [X509_PROFILES['tls-server'].extKeyUsage],
+            profile: 'tls-server',
+            challengePassword: 'pässword',
+            signatureAlgorithm,
+            signatureValid: true
+        });
+    });
+
+    test('チャレンジパスワードは省略できる', () => {
+        const der = createCertificationRequest(generateJwk('ed25519'), { ...options, profile: 'code-signing' });
+        expect(parseCertificationRequest(der)).toMatchObject({ challengePassword: '', profile: 'code-signing' });
+    });
+
+    test('OpenSSLで作成したCSRを解析', () => {
+        expect(parseCertificationRequest(opensslCsr)).toMatchObject({
+            subject: { commonName: 'ec' },
+            publicJwk: { kty: 'EC', crv: 'P-384' },
+            dnsNames: [],
+            profile: null,
+            signatureAlgorithm: 'ecdsa-with-SHA256',
+            signatureValid: true
+        });
+    });
+
+    test('改ざんされたCSRは署名の検証に失敗', () => {
+        const der = createCertificationRequest(generateJwk('ec', { namedCurve: 'P-256' }), options);
+        // サブジェクトのCNの1文字を書き換える
+        const index = Buffer.from(der).indexOf('www.example.com');
+        der[index] = 'x'.charCodeAt(0);
+
+        expect(parseCertificationRequest(der)).toMatchObject({
+            subject: { commonName: 'xww.example.com' },
+            signatureValid: false
+        });
+    });
+
+    test('CSR以外はエラー', () => {
+        expect(() => parseCertificationRequest(certificateToPem(createSelfSignedCertificate(generateJwk('ed25519'), options))))
+            .toThrow('CSRの形式が正しくありません');
+        expect(() => parseCertificationRequest('-----BEGIN CERTIFICATE REQUEST-----\nMAA=\n-----END CERTIFICATE REQUEST-----'))
+            .toThrow('CSRの形式が正しくありません');
+    });
+});
+
+describe('ローカル認証局（CA）テスト', () => {
+    beforeEach(() => {
+        mockRandomValues();
+    });
+
+    const caOptions = (commonName, extra = {}) => ({
+        ...DEFAULT_X509_OPTIONS,
+        subject: { ...DEFAULT_X509_OPTIONS.subject, commonName },
+        ca: true,
+        validDays: 3650,
+        ...extra
+    });
+
+    const createRoot = (extra) => {
+        const privateJwk = generateJwk('ec', { namedCurve: 'P-256' });
+        return { privateJwk, certificate: createSelfSignedCertificate(privateJwk, caOptions('Root CA', extra)) };
+    };
+
+    test('ルートCA証明書', () => {
+        const root = createRoot({ pathLength: 1 });
+        const certificate = parseCertificate(root.certificate);
+        const info = parseCertificateInfo(root.certificate);
+
+        expect(certificate.ca).toBe(true);
+        expect(certificate.verify(createPublicKey({ key: root.privateJwk, format: 'jwk' }))).toBe(true);
+        expect(info).toMatchObject({
+            subject: { commonName: 'Root CA' },
+            issuer: { commonName: 'Root CA' },
+            ca: true,
+            pathLength: 1,
+            keyUsage: ['digitalSignature', 'keyCertSign', 'cRLSign']
+        });
+        expect(info.authorityKeyId).toBe(info.subjectKeyId);
+    });
+
+    test('中間CAとリーフ証明書のチェーン', () => {
+        const root = createRoot({ pathLength: 1 });
+        const intermediateJwk = generateJwk('rsa', { modulusLength: 1024 });
+        const intermediate = {
+            privateJwk: intermediateJwk,
+            certificate: issueCertificate(root, intermediateJwk, caOptions('Intermediate CA', {
+                pathLength: 0,
+                permittedDnsNames: ['example.com'],
+                excludedDnsNames: ['secret.example.com']
+            }))
+        };
+        const leafJwk = generateJwk('ed25519');
+        const leaf = issueCertificate(intermediate, leafJwk, { ...options, ipAddresses: [], serial: '1001' });
+
+        const rootCertificate = parseCertificate(root.certificate);
+        const intermediateCertificate = parseCertificate(intermediate.certificate);
+        const leafCertificate = parseCertificate(leaf);
+        expect(intermediateCertificate.checkIssued(rootCertificate)).toBe(true);
+        expect(intermediateCertificate.verify(rootCertificate.publicKey)).toBe(true);
+        expect(leafCertificate.checkIssued(intermediateCertificate)).toBe(true);
+        expect(leafCertificate.verify(intermediateCertificate.publicKey)).toBe(true);
+        expect(leafCertificate.issuer).toBe('CN=Intermediate CA');
+
+        expect(parseCertificateInfo(intermediate.certificate)).toMatchObject({
+            pathLength: 0,
+            permittedDnsNames: ['example.com'],
+            excludedDnsNames: ['secret.example.com']
+        });
+        const leafInfo = parseCertificateInfo(certificateToPem(leaf));
+        expect(leafInfo).toMatchObject({ ca: false, serial: '1001', profile: 'tls-server' });
+        expect(leafInfo.authorityKeyId).toBe(parseCertificateInfo(intermediate.certificate).subjectKeyId);
+    });
+
+    test('パス長制約と名前制約に違反する証明書は発行しない', () => {
+        const root = createRoot({ pathLength: 0, permittedDnsNames: ['.example.com'] });
+
+        expect(() => issueCertificate(root, generateJwk('ed25519'), caOptions('Sub CA')))
+            .toThrow('発行者のパス長制約により下位のCA証明書は発行できません');
+        expect(() => issueCertificate(root, generateJwk('ed25519'), { ...options, dnsNames: ['example.com'] }))
+            .toThrow('DNS名がCAの名前制約に違反しています: example.com');
+        expect(() => issueCertificate({ ...root, privateJwk: generateJwk('ec', { namedCurve: 'P-256' }) }, generateJwk('ed25519'), options))
+            .toThrow('CAの証明書と秘密鍵が一致しません');
+
+        const leafJwk = generateJwk('ed25519');
+        const leaf = { privateJwk: leafJwk, certificate: createSelfSignedCertificate(leafJwk, options) };
+        expect(() => issueCertificate(leaf, generateJwk('ed25519'), options))
+            .toThrow('発行者の証明書はCA証明書ではありません');
+    });
+
+    test('上位のCAの名前制約は下位のCAを経由しても適用する', () => {
+        const root = createRoot({ permittedDnsNames: ['example.com'], excludedDnsNames: ['secret.example.com'] });
+        const intermediateJwk = generateJwk('ec', { namedCurve: 'P-256' });
+        const intermediate = {
+            privateJwk: intermediateJwk,
+            certificate: issueCertificate(root, intermediateJwk, caOptions('Intermediate CA', {
+                excludedDnsNames: ['internal.example.com']
+            }))
+        };
+
+        expect(parseCertificateInfo(intermediate.certificate)).toMatchObject({
+            permittedDnsNames: ['example.com'],
+            excludedDnsNames: ['secret.example.com', 'internal.example.com']
+        });
+        expect(() => issueCertificate(intermediate, generateJwk('ed25519'), { ...options, dnsNames: ['evil.org'] }))
+            .toThrow('DNS名がCAの名前制約に違反しています: evil.org');
+        expect(() => issueCertificate(intermediate, generateJwk('ed25519'), { ...options, dnsNames: ['secret.example.com'] }))
+            .toThrow('DNS名がCAの名前制約に違反しています: secret.example.com');
+        expect(() => issueCertificate(intermediate, generateJwk('ed25519'), { ...options, dnsNames: ['www.example.com'] }))
+            .not.toThrow();
+    });
+
+    test('上位のCAが許可していないDNS名は下位のCAでも許可できない', () => {
+        const root = createRoot({ permittedDnsNames: ['.example.com'] });
+
+        expect(() => issueCertificate(root, generateJwk('ed25519'), caOptions('Sub CA', { permittedDnsNames: ['evil.org'] })))
+            .toThrow('発行者の名前制約で許可されていないDNS名は許可できません: evil.org');
+        expect(() => issueCertificate(root, generateJwk('ed25519'), caOptions('Sub CA', { permittedDnsNames: ['example.com'] })))
+            .toThrow('発行者の名前制約で許可されていないDNS名は許可できません: example.com');
+        expect(parseCertificateInfo(issueCertificate(root, generateJwk('ed25519'), caOptions('Sub CA', {
+            permittedDnsNames: ['.example.com', 'dev.example.com']
+        })))).toMatchObject({ permittedDnsNames: ['.example.com', 'dev.example.com'] });
+    });
+
+    test('上位のCAのパス長制約は下位のCAに引き継ぐ', () => {
+        const root = createRoot({ pathLength: 1 });
+        const intermediateJwk = generateJwk('ec', { namedCurve: 'P-256' });
+        const intermediate = {
+            privateJwk: intermediateJwk,
+            certificate: issueCertificate(root, intermediateJwk, caOptions('Intermediate CA'))
+        };
+
+        // パス長を指定しない場合は上位のCAのパス長より1小さい値になり、その下にはCA証明書を発行できない
+        expect(parseCertificateInfo(intermediate.certificate)).toMatchObject({ ca: true, pathLength: 0 });
+        expect(() => issueCertificate(intermediate, generateJwk('ed25519'), caOptions('Sub CA')))
+            .toThrow('発行者のパス長制約により下位のCA証明書は発行できません');
+        expect(() => issueCertificate(intermediate, generateJwk('ed25519'), options)).not.toThrow();
+
+        // 上位のCAで許される値より大きいパス長は上限の値にする
+        expect(parseCertificateInfo(issueCertificate(root, generateJwk('ed25519'), caOptions('Sub CA', { pathLength: 5 }))))
+            .toMatchObject({ pathLength: 0 });
+        expect(parseCertificateInfo(issueCertificate(createRoot(), generateJwk('ed25519'), caOptions('Sub CA'))).pathLength)
+            .toBeNull();
+    });
+
+    test('DNS名の名前制約の判定', () => {
+        expect(matchesDnsConstraint('example.com', 'example.com')).toBe(true);
+        expect(matchesDnsConstraint('WWW.Example.com', 'example.com')).toBe(true);
+        expect(matchesDnsConstraint('badexample.com', 'example.com')).toBe(false);
+        expect(matchesDnsConstraint('example.com', '.example.com')).toBe(false);
+        expect(matchesDnsConstraint('*.example.com', '.example.com')).toBe(true);
+    });
+
+    test('証明書失効リスト（CRL）', () => {
+        const root = createRoot();
+        const thisUpdate = new Date('2030-01-01T00:00:00Z');
+        const der = createCertificateRevocationList(root, [
+            { serial: '1001', date: new Date('2029-12-01T00:00:00Z'), reason: 'keyCompromise' },
+            { serial: '1002', date: new Date('2029-12-02T00:00:00Z'), reason: 'unspecified' }
+        ], { crlNumber: 7, nextUpdateDays: 7 }, thisUpdate);
+        const pem = crlToPem(der);
+
+        expect(pem).toMatch(/^-----BEGIN X509 CRL-----\r?\n/);
+        const hex = Buffer.from(der).toString('hex');
+        // cRLNumber（2.5.29.20）の値は7
+        expect(hex).toContain('0603551d140403020107');
+        // keyCompromise（1）の理由コードのみを記録する
+        expect(hex.match(/0603551d1504030a01/g)).toHaveLength(1);
+        expect(hex).toContain('0603551d1504030a0101');
+        // 発行日時と次回更新日時
+        expect(Buffer.from(der).toString('latin1')).toContain('300101000000Z');
+        expect(Buffer.from(der).toString('latin1')).toContain('300108000000Z');
+    });
+
+    test('CA証明書以外ではCRLを作成できない', () => {
+        const jwk = generateJwk('ed25519');
+        expect(() => createCertificateRevocationList({ privateJwk: jwk, certificate: createSelfSignedCertificate(jwk, options) }, [], {}))
+            .toThrow('発行者の証明書はCA証明書ではありません');
+    });
+
+    test('不正な証明書の解析はエラー', () => {
+        expect(() => parseCertificateInfo('invalid')).toThrow('証明書の形式が正しくありません');
+    });
+});
@@ -0,0 +1,201 @@
+/**
+ * ZIPファイルの作成に関するユーティリティ関数群
+ * 鍵ファイルは小さいため圧縮せずに格納し、パスワードが指定された場合はWinZip AES（AE-2、AES-256）で暗号化する
+ * WinZip AESは7-Zip・WinZip・macOSのアーカイブユーティリティ（一部）などで展開できる
+ */
+import * as forge from 'node-forge';
+import { pbkdf2 } from '@noble/hashes/pbkdf2';
+import { hmac } from '@noble/hashes/hmac';
+import { sha1 } from '@noble/hashes/sha1';
+import { binaryToBytes, bytesToBinary } from './keyEncoding';
+
+/**
+ * ZIPのシグネチャ
+ */
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+/**
+ * 圧縮方式（0: 無圧縮、99: WinZip AES）
+ */
+const METHOD_STORED = 0;
+const METHOD_AES = 99;
+
+/**
+ * 汎用フラグ（bit 0: 暗号化、bit 11: ファイル名がUTF-8）
+ */
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+/**
+ * WinZip AESのパラメータ（AES-256）
+ */
+const AES_STRENGTH = 3;
+const AES_KEY_LENGTH = 32;
+const AES_SALT_LENGTH = 16;
+const AES_PBKDF2_ITERATIONS = 1000;
+const AES_AUTH_CODE_LENGTH = 10;
+
+const textEncoder = new TextEncoder();
+
+/**
+ * CRC-32の計算表
+ */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * CRC-32を計算
+ * @param {Uint8Array} bytes - バイト列
+ * @returns {number} CRC-32
+ */
+export function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 整数をリトルエンディアンのバイト列に変換
+ * @param {number} value - 整数
+ * @param {number} length - バイト長（2または4）
+ * @returns {Array<number>} バイト列
+ */
+function le(value, length) {
+    return Array.from({ length }, (_, i) => (value >>> (i * 8)) & 0xff);
+}
+
+/**
+ * 日時をMS-DOS形式の時刻と日付に変換（ローカル時刻、2秒単位）
+ * @param {Date} date - 日時
+ * @returns {Object} 時刻（time）と日付（date）
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * WinZip AESのAES-CTRで暗号化
+ * カウンタは1から始まる128ビットのリトルエンディアン整数（一般的なCTRモードとは逆順）のため、ECBで鍵ストリームを作る
+ * @param {Uint8Array} key - AESの鍵
+ * @param {Uint8Array} data - 平文
+ * @returns {Uint8Array} 暗号文
+ */
+function aesCtrEncrypt(key, data) {
+    const blocks = Math.ceil(data.length / 16);
+    const counters = new Uint8Array(blocks * 16);
+    for (let i = 0; i < blocks; i++) {
+        counters.set(le(i + 1, 4), i * 16);
+    }
+
+    const cipher = forge.cipher.createCipher('AES-ECB', bytesToBinary(key));
+    cipher.mode.pad = false;
+    cipher.start();
+    cipher.update(forge.util.createBuffer(bytesToBinary(counters)));
+    cipher.finish();
+    const keystream = binaryToBytes(cipher.output.getBytes());
+
+    return data.map((byte, i) => byte ^ keystream[i]);
+}
+
+/**
+ * ファイルの内容をWinZip AES（AE-2）で暗号化
+ * @param {Uint8Array} data - ファイルの内容
+ * @param {string} password - パスワード
+ * @returns {Uint8Array} ソルト、パスワード検証値、暗号文、認証コードを連結したデータ
+ */
+function encryptEntry(data, password) {
+    const salt = crypto.getRandomValues(new Uint8Array(AES_SALT_LENGTH));
+    const derived = pbkdf2(sha1, textEncoder.encode(password), salt, {
+        c: AES_PBKDF2_ITERATIONS,
+        dkLen: AES_KEY_LENGTH * 2 + 2
+    });
+    const encrypted = aesCtrEncrypt(derived.subarray(0, AES_KEY_LENGTH), data);
+    const authCode = hmac(sha1, derived.subarray(AES_KEY_LENGTH, AES_KEY_LENGTH * 2), encrypted)
+        .subarray(0, AES_AUTH_CODE_LENGTH);
+
+    return Uint8Array.from([...salt, ...derived.subarray(AES_KEY_LENGTH * 2), ...encrypted, ...authCode]);
+}
+
+/**
+ * 複数のファイルをZIPファイルにまとめる
+ * @param {Array<Object>} files - ファイル（name: ファイル名、content: 文字列またはバイト列）の一覧
+ * @param {Object} options - オプション
+ * @param {string} options.password - パスワード（オプション。指定した場合はAES-256で暗号化）
+ * @param {Date} options.date - ファイルの更新日時（オプション。既定は現在時刻）
+ * @returns {Uint8Array} ZIPファイル
+ */
+export function createZip(files, { password = '', date = new Date() } = {}) {
+    const { time, date: dosDate } = toDosDateTime(date);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = textEncoder.encode(file.name);
+        const content = typeof file.content === 'string' ? textEncoder.encode(file.content) : file.content;
+        const data = password ? encryptEntry(content, password) : content;
+        // AE-2ではCRC-32の代わりに認証コードで改ざんを検出するため、CRC-32は0にする
+        const crc = password ? 0 : crc32(content);
+        // AESの拡張フィールド（ベンダーバージョン2、ベンダーID「AE」、鍵長、実際の圧縮方式）
+        const extra = password ? [...le(0x9901, 2), ...le(7, 2), ...le(2, 2), 0x41, 0x45, AES_STRENGTH, ...le(METHOD_STORED, 2)] : [];
+
+        const common = [
+            ...le(password ? 51 : 20, 2),
+            ...le(FLAG_UTF8 | (password ? FLAG_ENCRYPTED : 0), 2),
+            ...le(password ? METHOD_AES : METHOD_STORED, 2),
+            ...le(time, 2),
+            ...le(dosDate, 2),
+            ...le(crc, 4),
+            ...le(data.length, 4),
+            ...le(content.length, 4),
+            ...le(name.length, 2),
+            ...le(extra.length, 2)
+        ];
+
+        const local = Uint8Array.from([...le(LOCAL_FILE_HEADER, 4), ...common, ...name, ...extra]);
+        localParts.push(local, data);
+        centralParts.push(Uint8Array.from([
+            ...le(CENTRAL_DIRECTORY_HEADER, 4),
+            // 作成したバージョン（展開に必要なバージョンと同じ）
+            ...common.slice(0, 2),
+            ...common,
+            // コメント長、ディスク番号、内部属性、外部属性
+            ...le(0, 2), ...le(0, 2), ...le(0, 2), ...le(0, 4),
+            ...le(offset, 4),
+            ...name,
+            ...extra
+        ]));
+        offset += local.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = Uint8Array.from([
+        ...le(END_OF_CENTRAL_DIRECTORY, 4),
+        ...le(0, 2), ...le(0, 2),
+        ...le(files.length, 2), ...le(files.length, 2),
+        ...le(centralSize, 4),
+        ...le(offset, 4),
+        ...le(0, 2)
+    ]);
+
+    const parts = [...localParts, ...centralParts, end];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+        zip.set(part, position);
+        position += part.length;
+    }
+    return zip;
+}
@@ -0,0 +1,85 @@
+import { crc32, createZip } from './zip';
+import { mockRandomValues } from './testHelpers';
+
+jest.unmock('node-forge');
+
+// ZIPのヘッダーの整数（リトルエンディアン）を読む
+const view = (zip) => new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+const decode = (bytes) => new TextDecoder().decode(bytes);
+
+describe('ZIPテスト', () => {
+    const date = new Date(2024, 0, 2, 3, 4, 6);
+
+    beforeEach(() => {
+        mockRandomValues();
+    });
+
+    test('CRC-32', () => {
+        expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+        expect(crc32(new Uint8Array(0))).toBe(0);
+    });
+
+    test('無圧縮のZIPファイルの作成', () => {
+        const der = new Uint8Array([0x30, 0x03, 0x02, 0x01, 0x01]);
+        const zip = createZip([
+            { name: 'README.txt', content: 'hello world\n' },
+            { name: '証明書.der', content: der }
+        ], { date });
+        const data = view(zip);
+
+        // ローカルファイルヘッダー
+        expect(data.getUint32(0, true)).toBe(0x04034b50);
+        expect(data.getUint16(6, true)).toBe(0x0800);
+        expect(data.getUint16(8, true)).toBe(0);
+        expect(data.getUint16(10, true)).toBe((3 << 11) | (4 << 5) | 3);
+        expect(data.getUint16(12, true)).toBe((44 << 9) | (1 << 5) | 2);
+        expect(data.getUint32(14, true)).toBe(crc32(new TextEncoder().encode('hello world\n')));
+        expect(data.getUint32(18, true)).toBe(12);
+        expect(decode(zip.subarray(30, 40))).toBe('README.txt');
+        expect(decode(zip.subarray(40, 52))).toBe('hello world\n');
+
+        // 2つ目のファイルはUTF-8のファイル名とバイナリの内容
+        expect(data.getUint32(52, true)).toBe(0x04034b50);
+        expect(decode(zip.subarray(82, 95))).toBe('証明書.der');
+        expect(zip.subarray(95, 100)).toEqual(der);
+
+        // セントラルディレクトリの終端（ファイル数、セントラルディレクトリの位置）
+        const end = zip.length - 22;
+        expect(data.getUint32(end, true)).toBe(0x06054b50);
+        expect(data.getUint16(end + 10, true)).toBe(2);
+        expect(data.getUint32(end + 16, true)).toBe(100);
+        expect(data.getUint32(100, true)).toBe(0x02014b50);
+        expect(data.getUint32(100 + 42, true)).toBe(0);
+    });
+
+    test('WinZip AES（AE-2、AES-256）で暗号化', () => {
+        // ソルトを固定し、7-Zip互換の実装（zip.js）で展開できることを確認した出力と比較
+        global.crypto.getRandomValues.mockImplementation(array => array.fill(0));
+        const zip = createZip([{ name: 'a.txt', content: 'hello world\n' }], { password: 'password', date });
+        const data = view(zip);
+
+        expect(data.getUint16(4, true)).toBe(51);
+        expect(data.getUint16(6, true)).toBe(0x0801);
+        expect(data.getUint16(8, true)).toBe(99);
+        // AE-2ではCRC-32を記録しない
+        expect(data.getUint32(14, true)).toBe(0);
+        expect(data.getUint32(18, true)).toBe(16 + 2 + 12 + 10);
+        expect(data.getUint32(22, true)).toBe(12);
+        // AESの拡張フィールド（AE-2、AES-256、無圧縮）
+        expect(Buffer.from(zip.subarray(35, 46)).toString('hex')).toBe('0199070002004145030000');
+        expect(Buffer.from(zip.subarray(46, 86)).toString('hex')).toBe(
+            '00000000000000000000000000000000' +
+            '9adb' +
+            '039e10142e3c246cb5858361' +
+            'd6bf49a0c27d87a056ef'
+        );
+    });
+
+    test('ファイルごとに異なるソルトで暗号化', () => {
+        const files = [{ name: 'a.txt', content: 'same' }, { name: 'b.txt', content: 'same' }];
+        const zip = createZip(files, { password: 'password', date });
+        const entryLength = 46 + 16 + 2 + 4 + 10;
+
+        expect(zip.subarray(46, 62)).not.toEqual(zip.subarray(entryLength + 46, entryLength + 62));
+    });
+});
@@ -0,0 +1,21 @@
+/**
+ * 鍵生成用Web Workerの作成
+ * webpackがWorkerを別バンドルとして出力できるよう、new URL(..., import.meta.url)の形で指定する
+ */
+
+/**
+ * 鍵生成用Web Workerを作成
+ * @returns {Worker|null} Worker（Web Worker未対応の環境ではnull）
+ */
+export function createKeygenWorker() {
+    if (typeof Worker === 'undefined') {
+        return null;
+    }
+
+    try {
+        return new Worker(new URL('./keygen.worker.js', import.meta.url));
+    } catch (error) {
+        console.error('Worker作成エラー:', error);
+        return null;
+    }
+}
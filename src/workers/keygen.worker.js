@@ -0,0 +1,25 @@
+/**
+ * 鍵生成用Web Worker
+ * メインスレッドから受け取ったパラメータで鍵を生成し、結果を文字列として返す
+ */
+import { generateKeys } from '../utils/crypto';
+
+// Workerのグローバルスコープ
+const ctx = globalThis;
+
+ctx.onmessage = async (event) => {
+    const { params } = event.data;
+
+    try {
+        const result = await generateKeys(params, (stage) => {
+            ctx.postMessage({ type: 'progress', stage });
+        });
+        ctx.postMessage({ type: 'result', result });
+    } catch (error) {
+        // Errorオブジェクトはそのまま転送できないため名前とメッセージのみ返す
+        ctx.postMessage({
+            type: 'error',
+            error: { name: error.name, message: error.message }
+        });
+    }
+};